@@ -0,0 +1,115 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Statement header (one per tenant per billed period)
+    await qi.createTable('billing_statements', {
+      statement_id:      { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      tenant_id:         { type: Sequelize.STRING(30), allowNull: false },
+      building_id:       { type: Sequelize.STRING(30), allowNull: false },
+
+      // Billed windows (DATEONLY, same as meter_reading.lastread_date)
+      period_start:      { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:        { type: Sequelize.DATEONLY, allowNull: false },
+      prev_period_start: { type: Sequelize.DATEONLY, allowNull: false },
+      prev_period_end:   { type: Sequelize.DATEONLY, allowNull: false },
+
+      // Snapshot totals
+      total_base:        { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      total_vat:         { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      total_wt:          { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      total_penalty:     { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      total_amount:      { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+
+      statement_status:  {
+        type: Sequelize.ENUM('issued', 'void'),
+        allowNull: false,
+        defaultValue: 'issued'
+      },
+      issued_at:         { type: Sequelize.DATE, allowNull: false },
+      issued_by:         { type: Sequelize.STRING(30), allowNull: false },
+      voided_at:         { type: Sequelize.DATE, allowNull: true },
+      voided_by:         { type: Sequelize.STRING(30), allowNull: true },
+      void_reason:       { type: Sequelize.STRING(250), allowNull: true },
+
+      last_updated:      { type: Sequelize.DATE, allowNull: false },
+      updated_by:        { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('billing_statements', ['tenant_id', 'period_end'], { name: 'ix_statement_tenant_period' });
+    await qi.addIndex('billing_statements', ['building_id'], { name: 'ix_statement_building_id' });
+
+    await qi.addConstraint('billing_statements', {
+      fields: ['tenant_id'],
+      type: 'foreign key',
+      name: 'fk_statement_tenant_id',
+      references: { table: 'tenant_list', field: 'tenant_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('billing_statements', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_statement_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // 2) Statement lines (frozen copy of what the billing engine computed)
+    await qi.createTable('billing_statement_lines', {
+      line_id:        { type: Sequelize.STRING(40), allowNull: false, primaryKey: true },
+      statement_id:   { type: Sequelize.STRING(30), allowNull: false },
+      line_no:        { type: Sequelize.INTEGER, allowNull: false },
+      line_type:      { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'meter' },
+      description:    { type: Sequelize.STRING(100), allowNull: true },
+
+      // Meter snapshot (nullable so non-meter lines can share the table)
+      meter_id:       { type: Sequelize.STRING(30), allowNull: true },
+      meter_sn:       { type: Sequelize.STRING(30), allowNull: true },
+      meter_type:     { type: Sequelize.STRING(10), allowNull: true },
+      meter_mult:     { type: Sequelize.DECIMAL(10,2), allowNull: true },
+      stall_id:       { type: Sequelize.STRING(30), allowNull: true },
+
+      prev_index:     { type: Sequelize.DECIMAL(30,2), allowNull: true },
+      curr_index:     { type: Sequelize.DECIMAL(30,2), allowNull: true },
+      prev_read_date: { type: Sequelize.DATEONLY, allowNull: true },
+      curr_read_date: { type: Sequelize.DATEONLY, allowNull: true },
+
+      consumption:    { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      rate:           { type: Sequelize.DECIMAL(12,4), allowNull: false, defaultValue: 0.0000 },
+
+      // Tax knobs used, as percent points (12.00 = 12%)
+      vat_pct:        { type: Sequelize.DECIMAL(10,4), allowNull: false, defaultValue: 0.0000 },
+      wt_pct:         { type: Sequelize.DECIMAL(10,4), allowNull: false, defaultValue: 0.0000 },
+      penalty_pct:    { type: Sequelize.DECIMAL(10,4), allowNull: false, defaultValue: 0.0000 },
+
+      base:           { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      vat:            { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      wt:             { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      penalty:        { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      total:          { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+
+      // Full engine output for the line, stored as JSON text (model (de)serializes)
+      line_details:   { type: Sequelize.TEXT, allowNull: true },
+    });
+
+    await qi.addIndex('billing_statement_lines', ['statement_id'], { name: 'ix_statement_line_statement_id' });
+
+    await qi.addConstraint('billing_statement_lines', {
+      fields: ['statement_id'],
+      type: 'foreign key',
+      name: 'fk_statement_line_statement_id',
+      references: { table: 'billing_statements', field: 'statement_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_statement_lines');
+    await qi.dropTable('billing_statements');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_statements_statement_status";'); } catch {}
+  }
+};
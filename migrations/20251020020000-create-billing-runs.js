@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    await qi.createTable('billing_runs', {
+      run_id:           { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:      { type: Sequelize.STRING(30), allowNull: false },
+      end_date:         { type: Sequelize.DATEONLY, allowNull: false },
+      period_start:     { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:       { type: Sequelize.DATEONLY, allowNull: false },
+
+      run_status: {
+        type: Sequelize.ENUM('running', 'completed', 'completed_with_errors', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+
+      tenant_count:     { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      meter_count:      { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      error_count:      { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+
+      // JSON text (model getters/setters (de)serialize)
+      totals_by_type:   { type: Sequelize.TEXT, allowNull: true },
+      grand_totals:     { type: Sequelize.TEXT, allowNull: true },
+      tenant_summaries: { type: Sequelize.TEXT, allowNull: true },
+      run_errors:       { type: Sequelize.TEXT, allowNull: true },
+
+      started_at:       { type: Sequelize.DATE, allowNull: false },
+      finished_at:      { type: Sequelize.DATE, allowNull: true },
+      run_by:           { type: Sequelize.STRING(30), allowNull: false },
+
+      last_updated:     { type: Sequelize.DATE, allowNull: false },
+      updated_by:       { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('billing_runs', ['building_id', 'end_date'], { name: 'ix_billing_run_building_end' });
+
+    await qi.addConstraint('billing_runs', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_billing_run_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_runs');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_runs_run_status";'); } catch {}
+  }
+};
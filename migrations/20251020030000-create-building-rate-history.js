@@ -0,0 +1,63 @@
+'use strict';
+
+// Rows dated on this floor hold the rates a building had before history was tracked
+const RATE_HISTORY_FLOOR = '1900-01-01';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    await qi.createTable('building_rate_history', {
+      rate_id:        { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:    { type: Sequelize.STRING(30), allowNull: false },
+      effective_from: { type: Sequelize.DATEONLY, allowNull: false },
+
+      // NULL = unchanged by this entry (inherits the previous entry's value)
+      erate_perKwH:   { type: Sequelize.DECIMAL(10,2), allowNull: true },
+      emin_con:       { type: Sequelize.DECIMAL(10,2), allowNull: true },
+      wrate_perCbM:   { type: Sequelize.DECIMAL(10,2), allowNull: true },
+      wmin_con:       { type: Sequelize.DECIMAL(10,2), allowNull: true },
+      lrate_perKg:    { type: Sequelize.DECIMAL(10,2), allowNull: true },
+
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addConstraint('building_rate_history', {
+      type: 'unique',
+      name: 'ux_rate_history_building_effective',
+      fields: ['building_id', 'effective_from']
+    });
+
+    await qi.addConstraint('building_rate_history', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_rate_history_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Backfill: current building rates become the baseline entry
+    const [buildings] = await qi.sequelize.query(
+      'SELECT building_id, erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg FROM building_list'
+    );
+    if (buildings.length) {
+      const now = new Date();
+      await qi.bulkInsert('building_rate_history', buildings.map((b, i) => ({
+        rate_id: `RATE-${i + 1}`,
+        building_id: b.building_id,
+        effective_from: RATE_HISTORY_FLOOR,
+        erate_perKwH: b.erate_perKwH,
+        emin_con: b.emin_con,
+        wrate_perCbM: b.wrate_perCbM,
+        wmin_con: b.wmin_con,
+        lrate_perKg: b.lrate_perKg,
+        last_updated: now,
+        updated_by: 'System Admin',
+      })));
+    }
+  },
+
+  async down(qi) {
+    await qi.dropTable('building_rate_history');
+  }
+};
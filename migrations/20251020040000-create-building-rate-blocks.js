@@ -0,0 +1,40 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    await qi.createTable('building_rate_blocks', {
+      block_id:     { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:  { type: Sequelize.STRING(30), allowNull: false },
+      utility:      { type: Sequelize.ENUM('electric','water','lpg'), allowNull: false },
+      block_no:     { type: Sequelize.INTEGER, allowNull: false },
+
+      // Consumption band [block_from, block_to); block_to NULL = open-ended last block
+      block_from:   { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      block_to:     { type: Sequelize.DECIMAL(18,2), allowNull: true },
+      block_rate:   { type: Sequelize.DECIMAL(12,4), allowNull: false, defaultValue: 0.0000 },
+
+      last_updated: { type: Sequelize.DATE, allowNull: false },
+      updated_by:   { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addConstraint('building_rate_blocks', {
+      type: 'unique',
+      name: 'ux_rate_block_building_utility_no',
+      fields: ['building_id', 'utility', 'block_no']
+    });
+
+    await qi.addConstraint('building_rate_blocks', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_rate_block_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('building_rate_blocks');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_building_rate_blocks_utility";'); } catch {}
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Cut-off day on buildings (NULL = calendar month)
+    await qi.addColumn('building_list', 'billing_cutoff_day', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+    });
+
+    // 2) Explicit period calendar (takes precedence over the cut-off day)
+    await qi.createTable('billing_cycle_periods', {
+      cycle_period_id: { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:     { type: Sequelize.STRING(30), allowNull: false },
+      period_start:    { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:      { type: Sequelize.DATEONLY, allowNull: false },
+      last_updated:    { type: Sequelize.DATE, allowNull: false },
+      updated_by:      { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addConstraint('billing_cycle_periods', {
+      type: 'unique',
+      name: 'ux_cycle_period_building_start',
+      fields: ['building_id', 'period_start']
+    });
+
+    await qi.addConstraint('billing_cycle_periods', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_cycle_period_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_cycle_periods');
+    await qi.removeColumn('building_list', 'billing_cutoff_day');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Register digit count (e.g. 5 -> wraps 99999 -> 00000); NULL = no rollover detection
+    await qi.addColumn('meter_list', 'meter_digits', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+    });
+  },
+
+  async down(qi) {
+    await qi.removeColumn('meter_list', 'meter_digits');
+  }
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    await qi.createTable('meter_replacements', {
+      replacement_id:         { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      old_meter_id:           { type: Sequelize.STRING(30), allowNull: false },
+      new_meter_id:           { type: Sequelize.STRING(30), allowNull: false },
+      replaced_date:          { type: Sequelize.DATEONLY, allowNull: false },
+
+      // Closing index of the outgoing meter / opening index of the incoming meter
+      old_final_reading:      { type: Sequelize.DECIMAL(30,2), allowNull: false, defaultValue: 0.00 },
+      new_initial_reading:    { type: Sequelize.DECIMAL(30,2), allowNull: false, defaultValue: 0.00 },
+      old_final_reading_id:   { type: Sequelize.STRING(30), allowNull: true },
+      new_initial_reading_id: { type: Sequelize.STRING(30), allowNull: true },
+
+      reason:                 { type: Sequelize.STRING(250), allowNull: true },
+      last_updated:           { type: Sequelize.DATE, allowNull: false },
+      updated_by:             { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    // A meter can be replaced (and installed as a replacement) only once
+    await qi.addIndex('meter_replacements', ['old_meter_id'], { unique: true, name: 'ux_replacement_old_meter' });
+    await qi.addIndex('meter_replacements', ['new_meter_id'], { unique: true, name: 'ux_replacement_new_meter' });
+
+    await qi.addConstraint('meter_replacements', {
+      fields: ['old_meter_id'],
+      type: 'foreign key',
+      name: 'fk_replacement_old_meter_id',
+      references: { table: 'meter_list', field: 'meter_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('meter_replacements', {
+      fields: ['new_meter_id'],
+      type: 'foreign key',
+      name: 'fk_replacement_new_meter_id',
+      references: { table: 'meter_list', field: 'meter_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('meter_replacements');
+  }
+};
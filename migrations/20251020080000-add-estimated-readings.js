@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Readings filled in from the meter's average daily consumption (no actual read)
+    await qi.addColumn('meter_reading', 'is_estimated', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+  },
+
+  async down(qi) {
+    await qi.removeColumn('meter_reading', 'is_estimated');
+  }
+};
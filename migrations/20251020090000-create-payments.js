@@ -0,0 +1,96 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Payments received from tenants
+    await qi.createTable('payments', {
+      payment_id:        { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      tenant_id:         { type: Sequelize.STRING(30), allowNull: false },
+      building_id:       { type: Sequelize.STRING(30), allowNull: false },
+
+      payment_date:      { type: Sequelize.DATEONLY, allowNull: false },
+      amount:            { type: Sequelize.DECIMAL(18,2), allowNull: false },
+      payment_method:    {
+        type: Sequelize.ENUM('cash', 'check', 'bank_transfer', 'card', 'online'),
+        allowNull: false
+      },
+      payment_reference: { type: Sequelize.STRING(60), allowNull: true },
+
+      // Part of the amount not yet allocated to a statement (tenant credit)
+      unapplied_amount:  { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+
+      payment_status:    {
+        type: Sequelize.ENUM('posted', 'void'),
+        allowNull: false,
+        defaultValue: 'posted'
+      },
+      received_by:       { type: Sequelize.STRING(30), allowNull: false },
+      voided_at:         { type: Sequelize.DATE, allowNull: true },
+      voided_by:         { type: Sequelize.STRING(30), allowNull: true },
+      void_reason:       { type: Sequelize.STRING(250), allowNull: true },
+
+      last_updated:      { type: Sequelize.DATE, allowNull: false },
+      updated_by:        { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('payments', ['tenant_id', 'payment_date'], { name: 'ix_payment_tenant_date' });
+    await qi.addIndex('payments', ['building_id'], { name: 'ix_payment_building_id' });
+
+    await qi.addConstraint('payments', {
+      fields: ['tenant_id'],
+      type: 'foreign key',
+      name: 'fk_payment_tenant_id',
+      references: { table: 'tenant_list', field: 'tenant_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('payments', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_payment_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // 2) Allocations of a payment to issued statements (oldest first)
+    await qi.createTable('payment_allocations', {
+      allocation_id:     { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      payment_id:        { type: Sequelize.STRING(30), allowNull: false },
+      statement_id:      { type: Sequelize.STRING(30), allowNull: false },
+      amount:            { type: Sequelize.DECIMAL(18,2), allowNull: false },
+
+      last_updated:      { type: Sequelize.DATE, allowNull: false },
+      updated_by:        { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('payment_allocations', ['payment_id'], { name: 'ix_allocation_payment_id' });
+    await qi.addIndex('payment_allocations', ['statement_id'], { name: 'ix_allocation_statement_id' });
+
+    await qi.addConstraint('payment_allocations', {
+      fields: ['payment_id'],
+      type: 'foreign key',
+      name: 'fk_allocation_payment_id',
+      references: { table: 'payments', field: 'payment_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('payment_allocations', {
+      fields: ['statement_id'],
+      type: 'foreign key',
+      name: 'fk_allocation_statement_id',
+      references: { table: 'billing_statements', field: 'statement_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('payment_allocations');
+    await qi.dropTable('payments');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_payments_payment_method";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_payments_payment_status";'); } catch {}
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Building penalty policy
+    //    penalty_rate: percent points of the unpaid balance (2 = 2%)
+    //    due_day_offset: statement due date = period_end + offset days
+    //    penalty_grace_days: days after the due date before a penalty is assessed
+    await qi.addColumn('building_list', 'penalty_rate', {
+      type: Sequelize.DECIMAL(10,4), allowNull: false, defaultValue: 0.0000,
+    });
+    await qi.addColumn('building_list', 'penalty_grace_days', {
+      type: Sequelize.INTEGER, allowNull: false, defaultValue: 0,
+    });
+    await qi.addColumn('building_list', 'due_day_offset', {
+      type: Sequelize.INTEGER, allowNull: false, defaultValue: 15,
+    });
+
+    // 2) Statement due date (NULL for statements issued before the policy existed)
+    await qi.addColumn('billing_statements', 'due_date', {
+      type: Sequelize.DATEONLY, allowNull: true,
+    });
+
+    // 3) Late-payment penalties (one per overdue statement)
+    await qi.createTable('penalty_assessments', {
+      assessment_id:     { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      statement_id:      { type: Sequelize.STRING(30), allowNull: false },
+      tenant_id:         { type: Sequelize.STRING(30), allowNull: false },
+      building_id:       { type: Sequelize.STRING(30), allowNull: false },
+
+      assessed_on:       { type: Sequelize.DATEONLY, allowNull: false },
+      due_date:          { type: Sequelize.DATEONLY, allowNull: false },
+      overdue_amount:    { type: Sequelize.DECIMAL(18,2), allowNull: false },
+      penalty_rate:      { type: Sequelize.DECIMAL(10,4), allowNull: false },
+      penalty_amount:    { type: Sequelize.DECIMAL(18,2), allowNull: false },
+
+      assessment_status: {
+        type: Sequelize.ENUM('assessed', 'waived'),
+        allowNull: false,
+        defaultValue: 'assessed'
+      },
+      waived_at:         { type: Sequelize.DATE, allowNull: true },
+      waived_by:         { type: Sequelize.STRING(30), allowNull: true },
+      waive_reason:      { type: Sequelize.STRING(250), allowNull: true },
+
+      last_updated:      { type: Sequelize.DATE, allowNull: false },
+      updated_by:        { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('penalty_assessments', ['statement_id'], { unique: true, name: 'ux_penalty_statement_id' });
+    await qi.addIndex('penalty_assessments', ['tenant_id'], { name: 'ix_penalty_tenant_id' });
+
+    await qi.addConstraint('penalty_assessments', {
+      fields: ['statement_id'],
+      type: 'foreign key',
+      name: 'fk_penalty_statement_id',
+      references: { table: 'billing_statements', field: 'statement_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('penalty_assessments', {
+      fields: ['tenant_id'],
+      type: 'foreign key',
+      name: 'fk_penalty_tenant_id',
+      references: { table: 'tenant_list', field: 'tenant_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('penalty_assessments');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_penalty_assessments_assessment_status";'); } catch {}
+    await qi.removeColumn('billing_statements', 'due_date');
+    await qi.removeColumn('building_list', 'due_day_offset');
+    await qi.removeColumn('building_list', 'penalty_grace_days');
+    await qi.removeColumn('building_list', 'penalty_rate');
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+// Rows dated on this floor hold the rates a building had before history was tracked
+const RATE_HISTORY_FLOOR = '1900-01-01';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // LPG minimum consumption per building (was fixed at 1 kg in code)
+    await qi.addColumn('building_list', 'lmin_con', {
+      type: Sequelize.DECIMAL(10,2),
+      allowNull: false,
+      defaultValue: 1.00,
+    });
+
+    // Tracked in rate history like the other minimums (NULL = unchanged)
+    await qi.addColumn('building_rate_history', 'lmin_con', {
+      type: Sequelize.DECIMAL(10,2),
+      allowNull: true,
+    });
+
+    // Backfill: the building's LPG minimum goes on its baseline entry, so a later
+    // change does not reach back into earlier periods
+    await qi.sequelize.query(
+      'UPDATE building_rate_history SET lmin_con = ' +
+      '(SELECT b.lmin_con FROM building_list b WHERE b.building_id = building_rate_history.building_id) ' +
+      'WHERE effective_from = :floor',
+      { replacements: { floor: RATE_HISTORY_FLOOR } }
+    );
+  },
+
+  async down(qi) {
+    await qi.removeColumn('building_rate_history', 'lmin_con');
+    await qi.removeColumn('building_list', 'lmin_con');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Stall floor area (square meters) for area-based charges
+    await qi.addColumn('stall_list', 'floor_area', {
+      type: Sequelize.DECIMAL(10,2), allowNull: true,
+    });
+
+    // 2) VAT / WT for non-utility charges (percent points, like e_/w_/l_)
+    await qi.addColumn('vat_codes', 'o_vat', {
+      type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00,
+    });
+    await qi.addColumn('wt_codes', 'o_wt', {
+      type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00,
+    });
+
+    // 3) Recurring charge types per building
+    //    flat:    charge_rate per stall per period
+    //    per_sqm: charge_rate × stall floor_area per period
+    await qi.createTable('charge_types', {
+      charge_type_id: { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:    { type: Sequelize.STRING(30), allowNull: false },
+      charge_name:    { type: Sequelize.STRING(60), allowNull: false },
+      charge_basis:   { type: Sequelize.ENUM('flat', 'per_sqm'), allowNull: false, defaultValue: 'flat' },
+      charge_rate:    { type: Sequelize.DECIMAL(12,4), allowNull: false, defaultValue: 0.0000 },
+      is_taxable:     { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      charge_status:  { type: Sequelize.ENUM('active', 'inactive'), allowNull: false, defaultValue: 'active' },
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addConstraint('charge_types', {
+      type: 'unique',
+      name: 'ux_charge_types_building_name',
+      fields: ['building_id', 'charge_name']
+    });
+
+    await qi.addConstraint('charge_types', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_charge_types_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('charge_types');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_charge_types_charge_basis";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_charge_types_charge_status";'); } catch {}
+    await qi.removeColumn('wt_codes', 'o_wt');
+    await qi.removeColumn('vat_codes', 'o_vat');
+    await qi.removeColumn('stall_list', 'floor_area');
+  }
+};
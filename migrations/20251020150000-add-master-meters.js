@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Sub-meter → master meter (one level); the master's consumption minus its
+    // sub-meters is common-area use allocated to the served tenants
+    await qi.addColumn('meter_list', 'parent_meter_id', {
+      type: Sequelize.STRING(30), allowNull: true,
+    });
+
+    // How a master meter's residual is split (NULL on sub-meters; default consumption)
+    await qi.addColumn('meter_list', 'allocation_basis', {
+      type: Sequelize.ENUM('area', 'consumption', 'equal'), allowNull: true,
+    });
+
+    await qi.addIndex('meter_list', ['parent_meter_id'], { name: 'ix_meter_list_parent_meter_id' });
+
+    await qi.addConstraint('meter_list', {
+      fields: ['parent_meter_id'],
+      type: 'foreign key',
+      name: 'fk_meter_parent_meter_id',
+      references: { table: 'meter_list', field: 'meter_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.removeConstraint('meter_list', 'fk_meter_parent_meter_id');
+    await qi.removeIndex('meter_list', 'ix_meter_list_parent_meter_id');
+    await qi.removeColumn('meter_list', 'allocation_basis');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_meter_list_allocation_basis";'); } catch {}
+    await qi.removeColumn('meter_list', 'parent_meter_id');
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // A meter serving several stalls: each stall's tenant is billed share_pct of it.
+    // When a meter has shares they replace its own stall_id for billing.
+    await qi.createTable('meter_stall_shares', {
+      share_id:     { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      meter_id:     { type: Sequelize.STRING(30), allowNull: false },
+      stall_id:     { type: Sequelize.STRING(30), allowNull: false },
+      share_pct:    { type: Sequelize.DECIMAL(7,4), allowNull: false },
+      last_updated: { type: Sequelize.DATE, allowNull: false },
+      updated_by:   { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addConstraint('meter_stall_shares', {
+      type: 'unique',
+      name: 'ux_meter_stall_share',
+      fields: ['meter_id', 'stall_id']
+    });
+    await qi.addIndex('meter_stall_shares', ['stall_id'], { name: 'ix_meter_stall_share_stall_id' });
+
+    await qi.addConstraint('meter_stall_shares', {
+      fields: ['meter_id'],
+      type: 'foreign key',
+      name: 'fk_meter_stall_share_meter_id',
+      references: { table: 'meter_list', field: 'meter_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('meter_stall_shares', {
+      fields: ['stall_id'],
+      type: 'foreign key',
+      name: 'fk_meter_stall_share_stall_id',
+      references: { table: 'stall_list', field: 'stall_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('meter_stall_shares');
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Negotiated tenant rates: a contract rate per unit, or a % discount off the
+    // building-rate charge, for one utility (or all when utility is NULL),
+    // valid from valid_from through valid_to (NULL = open-ended).
+    await qi.createTable('tenant_rate_overrides', {
+      override_id:    { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      tenant_id:      { type: Sequelize.STRING(30), allowNull: false },
+      utility:        { type: Sequelize.ENUM('electric', 'water', 'lpg'), allowNull: true },
+      override_type:  { type: Sequelize.ENUM('rate', 'discount'), allowNull: false },
+      override_value: { type: Sequelize.DECIMAL(12,4), allowNull: false },
+      valid_from:     { type: Sequelize.DATEONLY, allowNull: false },
+      valid_to:       { type: Sequelize.DATEONLY, allowNull: true },
+      notes:          { type: Sequelize.STRING(255), allowNull: true },
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('tenant_rate_overrides', ['tenant_id', 'valid_from'], {
+      name: 'ix_tenant_rate_overrides_tenant_from'
+    });
+
+    await qi.addConstraint('tenant_rate_overrides', {
+      fields: ['tenant_id'],
+      type: 'foreign key',
+      name: 'fk_tenant_rate_overrides_tenant_id',
+      references: { table: 'tenant_list', field: 'tenant_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('tenant_rate_overrides');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_tenant_rate_overrides_utility";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_tenant_rate_overrides_override_type";'); } catch {}
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // VAT code computation method
+    //   vat_method     exclusive: VAT = base × vat%  |  inclusive: rates include VAT, base = amount / (1 + vat%)
+    //   penalty_basis  base: penalty on the VAT-exclusive base  |  gross: penalty on base + VAT
+    await qi.addColumn('vat_codes', 'vat_method', {
+      type: Sequelize.ENUM('exclusive', 'inclusive'), allowNull: false, defaultValue: 'exclusive',
+    });
+    await qi.addColumn('vat_codes', 'penalty_basis', {
+      type: Sequelize.ENUM('base', 'gross'), allowNull: false, defaultValue: 'base',
+    });
+
+    // WT code computation method
+    //   on_vat: WT = VAT × wt%  |  on_base: WT = VAT-exclusive base × wt%
+    await qi.addColumn('wt_codes', 'wt_method', {
+      type: Sequelize.ENUM('on_vat', 'on_base'), allowNull: false, defaultValue: 'on_vat',
+    });
+  },
+
+  async down(qi) {
+    await qi.removeColumn('wt_codes', 'wt_method');
+    await qi.removeColumn('vat_codes', 'penalty_basis');
+    await qi.removeColumn('vat_codes', 'vat_method');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_wt_codes_wt_method";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_vat_codes_penalty_basis";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_vat_codes_vat_method";'); } catch {}
+  }
+};
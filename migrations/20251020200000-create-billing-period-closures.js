@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Closed billing periods per building: readings dated inside a closed period
+    // cannot be added, changed or deleted. Reopening keeps the row (with reason)
+    // as history; closing again adds a new row.
+    await qi.createTable('billing_period_closures', {
+      closure_id:     { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:    { type: Sequelize.STRING(30), allowNull: false },
+      period_start:   { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:     { type: Sequelize.DATEONLY, allowNull: false },
+      closure_status: { type: Sequelize.ENUM('closed', 'reopened'), allowNull: false, defaultValue: 'closed' },
+      closed_at:      { type: Sequelize.DATE, allowNull: false },
+      closed_by:      { type: Sequelize.STRING(30), allowNull: false },
+      reopened_at:    { type: Sequelize.DATE, allowNull: true },
+      reopened_by:    { type: Sequelize.STRING(30), allowNull: true },
+      reopen_reason:  { type: Sequelize.STRING(255), allowNull: true },
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('billing_period_closures', ['building_id', 'period_start'], {
+      name: 'ix_billing_period_closures_building_start'
+    });
+
+    await qi.addConstraint('billing_period_closures', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_billing_period_closures_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_period_closures');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_period_closures_closure_status";'); } catch {}
+  }
+};
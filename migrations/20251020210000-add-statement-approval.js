@@ -0,0 +1,75 @@
+'use strict';
+
+const STATUSES_BEFORE = ['issued', 'void'];
+const STATUSES_AFTER  = ['draft', 'reviewed', 'approved', 'issued', 'void'];
+
+// statement_status is an ENUM: a CHECK constraint on MSSQL (ALTER COLUMN cannot
+// carry one), a native type elsewhere
+async function setStatusValues(qi, Sequelize, values) {
+  if (qi.sequelize.getDialect() !== 'mssql') {
+    await qi.changeColumn('billing_statements', 'statement_status', {
+      type: Sequelize.ENUM(...values), allowNull: false, defaultValue: 'issued',
+    });
+    return;
+  }
+
+  const [checks] = await qi.sequelize.query(`
+    SELECT cc.name
+    FROM sys.check_constraints cc
+    JOIN sys.columns c ON c.object_id = cc.parent_object_id AND c.column_id = cc.parent_column_id
+    WHERE cc.parent_object_id = OBJECT_ID('billing_statements') AND c.name = 'statement_status'
+  `);
+  for (const { name } of checks) {
+    await qi.sequelize.query(`ALTER TABLE [billing_statements] DROP CONSTRAINT [${name}];`);
+  }
+  await qi.addConstraint('billing_statements', {
+    fields: ['statement_status'],
+    type: 'check',
+    name: 'ck_statement_status',
+    where: { statement_status: values },
+  });
+}
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Approval workflow: draft -> reviewed -> approved -> issued (void from any state)
+    await setStatusValues(qi, Sequelize, STATUSES_AFTER);
+
+    // 2) Who/when for each transition (issued_* stays NULL until the statement is issued)
+    await qi.addColumn('billing_statements', 'prepared_at', { type: Sequelize.DATE, allowNull: true });
+    await qi.addColumn('billing_statements', 'prepared_by', { type: Sequelize.STRING(30), allowNull: true });
+    await qi.addColumn('billing_statements', 'reviewed_at', { type: Sequelize.DATE, allowNull: true });
+    await qi.addColumn('billing_statements', 'reviewed_by', { type: Sequelize.STRING(30), allowNull: true });
+    await qi.addColumn('billing_statements', 'approved_at', { type: Sequelize.DATE, allowNull: true });
+    await qi.addColumn('billing_statements', 'approved_by', { type: Sequelize.STRING(30), allowNull: true });
+    await qi.changeColumn('billing_statements', 'issued_at', { type: Sequelize.DATE, allowNull: true });
+    await qi.changeColumn('billing_statements', 'issued_by', { type: Sequelize.STRING(30), allowNull: true });
+
+    // 3) Statements issued before the workflow were prepared and issued in one step
+    await qi.sequelize.query(
+      'UPDATE billing_statements SET prepared_at = issued_at, prepared_by = issued_by WHERE prepared_at IS NULL;'
+    );
+  },
+
+  async down(qi, Sequelize) {
+    // Statements not yet issued cannot be represented before the workflow
+    await qi.sequelize.query(
+      "DELETE FROM billing_statement_lines WHERE statement_id IN " +
+      "(SELECT statement_id FROM billing_statements WHERE statement_status IN ('draft', 'reviewed', 'approved'));"
+    );
+    await qi.sequelize.query(
+      "DELETE FROM billing_statements WHERE statement_status IN ('draft', 'reviewed', 'approved');"
+    );
+
+    await qi.changeColumn('billing_statements', 'issued_by', { type: Sequelize.STRING(30), allowNull: false });
+    await qi.changeColumn('billing_statements', 'issued_at', { type: Sequelize.DATE, allowNull: false });
+    await qi.removeColumn('billing_statements', 'approved_by');
+    await qi.removeColumn('billing_statements', 'approved_at');
+    await qi.removeColumn('billing_statements', 'reviewed_by');
+    await qi.removeColumn('billing_statements', 'reviewed_at');
+    await qi.removeColumn('billing_statements', 'prepared_by');
+    await qi.removeColumn('billing_statements', 'prepared_at');
+
+    await setStatusValues(qi, Sequelize, STATUSES_BEFORE);
+  }
+};
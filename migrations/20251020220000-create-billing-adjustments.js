@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Rebilling adjustments: when a reading behind an issued statement changes, the
+    // statement is recomputed and the difference (debit > 0, credit < 0) waits here
+    // for a biller's decision. Accepted adjustments are carried on the tenant's next
+    // statement (billed_statement_id).
+    await qi.createTable('billing_adjustments', {
+      adjustment_id:       { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      statement_id:        { type: Sequelize.STRING(30), allowNull: false },
+      tenant_id:           { type: Sequelize.STRING(30), allowNull: false },
+      building_id:         { type: Sequelize.STRING(30), allowNull: false },
+      period_start:        { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:          { type: Sequelize.DATEONLY, allowNull: false },
+
+      adjustment_type:     { type: Sequelize.ENUM('debit', 'credit'), allowNull: false },
+      delta_base:          { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      delta_vat:           { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      delta_wt:            { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      delta_penalty:       { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      delta_total:         { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      adjustment_reason:   { type: Sequelize.STRING(255), allowNull: false },
+      adjustment_details:  { type: Sequelize.TEXT, allowNull: true },
+
+      adjustment_status:   {
+        type: Sequelize.ENUM('pending', 'accepted', 'rejected', 'billed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      decided_at:          { type: Sequelize.DATE, allowNull: true },
+      decided_by:          { type: Sequelize.STRING(30), allowNull: true },
+      decision_note:       { type: Sequelize.STRING(255), allowNull: true },
+      billed_statement_id: { type: Sequelize.STRING(30), allowNull: true },
+
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('billing_adjustments', ['statement_id'], { name: 'ix_billing_adjustments_statement_id' });
+    await qi.addIndex('billing_adjustments', ['tenant_id', 'adjustment_status'], {
+      name: 'ix_billing_adjustments_tenant_status'
+    });
+
+    await qi.addConstraint('billing_adjustments', {
+      fields: ['statement_id'],
+      type: 'foreign key',
+      name: 'fk_billing_adjustments_statement_id',
+      references: { table: 'billing_statements', field: 'statement_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    await qi.addConstraint('billing_adjustments', {
+      fields: ['tenant_id'],
+      type: 'foreign key',
+      name: 'fk_billing_adjustments_tenant_id',
+      references: { table: 'tenant_list', field: 'tenant_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_adjustments');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_adjustments_adjustment_type";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_adjustments_adjustment_status";'); } catch {}
+  }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Manual credit/debit memos against a tenant account. Amounts are unsigned
+    // (memo_type gives the direction). Once approved by an admin, a memo is carried
+    // on the tenant's next statement (billed_statement_id).
+    await qi.createTable('billing_memos', {
+      memo_id:              { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      tenant_id:            { type: Sequelize.STRING(30), allowNull: false },
+      building_id:          { type: Sequelize.STRING(30), allowNull: false },
+      memo_type:            { type: Sequelize.ENUM('credit', 'debit'), allowNull: false },
+      reason_code:          {
+        type: Sequelize.ENUM('penalty_waiver', 'goodwill', 'back_billing', 'correction', 'other'),
+        allowNull: false
+      },
+      memo_date:            { type: Sequelize.DATEONLY, allowNull: false },
+      description:          { type: Sequelize.STRING(255), allowNull: false },
+      related_statement_id: { type: Sequelize.STRING(30), allowNull: true },
+
+      // amount as entered; VAT (tenant vat_code, "other" rate) is added or, for
+      // VAT-inclusive codes, taken out of it
+      amount:               { type: Sequelize.DECIMAL(18,2), allowNull: false },
+      apply_vat:            { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      vat_code:             { type: Sequelize.STRING(30), allowNull: true },
+      vat_pct:              { type: Sequelize.DECIMAL(10,4), allowNull: false, defaultValue: 0.0000 },
+      memo_base:            { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      memo_vat:             { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+      memo_total:           { type: Sequelize.DECIMAL(18,2), allowNull: false, defaultValue: 0.00 },
+
+      memo_status:          {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected', 'billed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      created_at:           { type: Sequelize.DATE, allowNull: false },
+      created_by:           { type: Sequelize.STRING(30), allowNull: false },
+      decided_at:           { type: Sequelize.DATE, allowNull: true },
+      decided_by:           { type: Sequelize.STRING(30), allowNull: true },
+      decision_note:        { type: Sequelize.STRING(255), allowNull: true },
+      billed_statement_id:  { type: Sequelize.STRING(30), allowNull: true },
+
+      last_updated:         { type: Sequelize.DATE, allowNull: false },
+      updated_by:           { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('billing_memos', ['tenant_id', 'memo_status'], { name: 'ix_billing_memos_tenant_status' });
+    await qi.addIndex('billing_memos', ['building_id'], { name: 'ix_billing_memos_building_id' });
+
+    await qi.addConstraint('billing_memos', {
+      fields: ['tenant_id'],
+      type: 'foreign key',
+      name: 'fk_billing_memos_tenant_id',
+      references: { table: 'tenant_list', field: 'tenant_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_memos');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_memos_memo_type";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_memos_reason_code";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_billing_memos_memo_status";'); } catch {}
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // 1) Official numbering series per building (BIR Authority to Print details).
+    //    next_number is taken under a row lock inside the issuing transaction, so
+    //    numbers are gap-free: a rolled-back issue gives its number back.
+    await qi.createTable('invoice_series', {
+      series_id:       { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:     { type: Sequelize.STRING(30), allowNull: false },
+      document_type:   { type: Sequelize.ENUM('invoice', 'official_receipt'), allowNull: false },
+      prefix:          { type: Sequelize.STRING(20), allowNull: false, defaultValue: '' },
+      range_start:     { type: Sequelize.INTEGER, allowNull: false },
+      range_end:       { type: Sequelize.INTEGER, allowNull: false },
+      next_number:     { type: Sequelize.INTEGER, allowNull: false },
+      atp_number:      { type: Sequelize.STRING(50), allowNull: false },
+      atp_date:        { type: Sequelize.DATEONLY, allowNull: false },
+      atp_valid_until: { type: Sequelize.DATEONLY, allowNull: true },
+      series_status:   {
+        type: Sequelize.ENUM('active', 'inactive', 'exhausted'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      last_updated:    { type: Sequelize.DATE, allowNull: false },
+      updated_by:      { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('invoice_series', ['building_id', 'document_type', 'series_status'], {
+      name: 'ix_invoice_series_building_type_status'
+    });
+
+    await qi.addConstraint('invoice_series', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_invoice_series_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // 2) Every number handed out, kept when its document is voided (audit trail)
+    await qi.createTable('invoice_numbers', {
+      invoice_no:      { type: Sequelize.STRING(40), allowNull: false, primaryKey: true },
+      series_id:       { type: Sequelize.STRING(30), allowNull: false },
+      serial_no:       { type: Sequelize.INTEGER, allowNull: false },
+      building_id:     { type: Sequelize.STRING(30), allowNull: false },
+      document_type:   { type: Sequelize.ENUM('invoice', 'official_receipt'), allowNull: false },
+      document_id:     { type: Sequelize.STRING(30), allowNull: false },
+      number_status:   { type: Sequelize.ENUM('issued', 'void'), allowNull: false, defaultValue: 'issued' },
+      assigned_at:     { type: Sequelize.DATE, allowNull: false },
+      assigned_by:     { type: Sequelize.STRING(30), allowNull: false },
+      voided_at:       { type: Sequelize.DATE, allowNull: true },
+      voided_by:       { type: Sequelize.STRING(30), allowNull: true },
+      void_reason:     { type: Sequelize.STRING(250), allowNull: true },
+      last_updated:    { type: Sequelize.DATE, allowNull: false },
+      updated_by:      { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addIndex('invoice_numbers', ['series_id', 'serial_no'], {
+      name: 'ux_invoice_numbers_series_serial',
+      unique: true
+    });
+    await qi.addIndex('invoice_numbers', ['document_type', 'document_id'], {
+      name: 'ix_invoice_numbers_document'
+    });
+
+    await qi.addConstraint('invoice_numbers', {
+      fields: ['series_id'],
+      type: 'foreign key',
+      name: 'fk_invoice_numbers_series_id',
+      references: { table: 'invoice_series', field: 'series_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // 3) Number printed on the statement / payment receipt
+    await qi.addColumn('billing_statements', 'invoice_no', { type: Sequelize.STRING(40), allowNull: true });
+    await qi.addColumn('payments', 'or_no', { type: Sequelize.STRING(40), allowNull: true });
+  },
+
+  async down(qi) {
+    await qi.removeColumn('payments', 'or_no');
+    await qi.removeColumn('billing_statements', 'invoice_no');
+    await qi.dropTable('invoice_numbers');
+    await qi.dropTable('invoice_series');
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_invoice_numbers_document_type";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_invoice_numbers_number_status";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_invoice_series_document_type";'); } catch {}
+    try { await qi.sequelize.query('DROP TYPE IF EXISTS "enum_invoice_series_series_status";'); } catch {}
+  }
+};
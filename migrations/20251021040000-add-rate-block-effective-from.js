@@ -0,0 +1,45 @@
+'use strict';
+
+// Existing block tables were in force since before history was tracked
+const RATE_HISTORY_FLOOR = '1900-01-01';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Block tables become effective-dated like building_rate_history: billing uses
+    // the table with the latest effective_from on or before the period end.
+    await qi.addColumn('building_rate_blocks', 'effective_from', {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      defaultValue: RATE_HISTORY_FLOOR
+    });
+
+    await qi.removeConstraint('building_rate_blocks', 'ux_rate_block_building_utility_no');
+    await qi.addConstraint('building_rate_blocks', {
+      type: 'unique',
+      name: 'ux_rate_block_building_utility_from_no',
+      fields: ['building_id', 'utility', 'effective_from', 'block_no']
+    });
+  },
+
+  async down(qi) {
+    // keep only the table in force today per building + utility
+    const [rows] = await qi.sequelize.query(
+      'SELECT building_id, utility, MAX(effective_from) AS effective_from FROM building_rate_blocks ' +
+      'WHERE effective_from <= CAST(CURRENT_TIMESTAMP AS DATE) GROUP BY building_id, utility'
+    );
+    const [all] = await qi.sequelize.query('SELECT block_id, building_id, utility, effective_from, block_no FROM building_rate_blocks');
+    const keep = new Set(rows.map(r => `${r.building_id}|${r.utility}|${String(r.effective_from).slice(0, 10)}`));
+    const drop = all
+      .filter(r => r.block_no === 0 || !keep.has(`${r.building_id}|${r.utility}|${String(r.effective_from).slice(0, 10)}`))
+      .map(r => r.block_id);
+    if (drop.length) await qi.bulkDelete('building_rate_blocks', { block_id: drop });
+
+    await qi.removeConstraint('building_rate_blocks', 'ux_rate_block_building_utility_from_no');
+    await qi.addConstraint('building_rate_blocks', {
+      type: 'unique',
+      name: 'ux_rate_block_building_utility_no',
+      fields: ['building_id', 'utility', 'block_no']
+    });
+    await qi.removeColumn('building_rate_blocks', 'effective_from');
+  }
+};
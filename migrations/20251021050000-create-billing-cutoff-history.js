@@ -0,0 +1,52 @@
+'use strict';
+
+// Rows dated on this floor hold the cut-off day a building had before history was tracked
+const CUTOFF_HISTORY_FLOOR = '1900-01-01';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Effective-dated cut-off day: periods from effective_from on follow the new day,
+    // earlier periods keep their windows (NULL = calendar month)
+    await qi.createTable('billing_cutoff_history', {
+      cutoff_id:          { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:        { type: Sequelize.STRING(30), allowNull: false },
+      effective_from:     { type: Sequelize.DATEONLY, allowNull: false },
+      billing_cutoff_day: { type: Sequelize.INTEGER, allowNull: true },
+      last_updated:       { type: Sequelize.DATE, allowNull: false },
+      updated_by:         { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await qi.addConstraint('billing_cutoff_history', {
+      type: 'unique',
+      name: 'ux_cutoff_history_building_effective',
+      fields: ['building_id', 'effective_from']
+    });
+
+    await qi.addConstraint('billing_cutoff_history', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_cutoff_history_building_id',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Backfill: the current cut-off day becomes the baseline entry
+    const [buildings] = await qi.sequelize.query('SELECT building_id, billing_cutoff_day FROM building_list');
+    if (buildings.length) {
+      const now = new Date();
+      await qi.bulkInsert('billing_cutoff_history', buildings.map((b, i) => ({
+        cutoff_id: `BCO-${i + 1}`,
+        building_id: b.building_id,
+        effective_from: CUTOFF_HISTORY_FLOOR,
+        billing_cutoff_day: b.billing_cutoff_day,
+        last_updated: now,
+        updated_by: 'System Admin',
+      })));
+    }
+  },
+
+  async down(qi) {
+    await qi.dropTable('billing_cutoff_history');
+  }
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+// Existing charge types were in force since before validity was tracked
+const CHARGE_VALIDITY_FLOOR = '1900-01-01';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Charge types become valid for periods ending from valid_from through valid_to
+    // (NULL = open-ended); a new rate is a new row of the same name from a later date.
+    await qi.addColumn('charge_types', 'valid_from', {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      defaultValue: CHARGE_VALIDITY_FLOOR
+    });
+    await qi.addColumn('charge_types', 'valid_to', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await qi.removeConstraint('charge_types', 'ux_charge_types_building_name');
+    await qi.addConstraint('charge_types', {
+      type: 'unique',
+      name: 'ux_charge_types_building_name_from',
+      fields: ['building_id', 'charge_name', 'valid_from']
+    });
+  },
+
+  async down(qi) {
+    // keep only the latest row per building + charge name
+    const [all] = await qi.sequelize.query(
+      'SELECT charge_type_id, building_id, charge_name, valid_from FROM charge_types'
+    );
+    const latest = new Map();
+    for (const r of all) {
+      const key = `${r.building_id}|${r.charge_name}`;
+      const cur = latest.get(key);
+      if (!cur || String(r.valid_from) > String(cur.valid_from)) latest.set(key, r);
+    }
+    const keep = new Set([...latest.values()].map(r => r.charge_type_id));
+    const drop = all.filter(r => !keep.has(r.charge_type_id)).map(r => r.charge_type_id);
+    if (drop.length) await qi.bulkDelete('charge_types', { charge_type_id: drop });
+
+    await qi.removeConstraint('charge_types', 'ux_charge_types_building_name_from');
+    await qi.addConstraint('charge_types', {
+      type: 'unique',
+      name: 'ux_charge_types_building_name',
+      fields: ['building_id', 'charge_name']
+    });
+    await qi.removeColumn('charge_types', 'valid_to');
+    await qi.removeColumn('charge_types', 'valid_from');
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+// Existing splits were in force since before share history was tracked
+const SHARE_HISTORY_FLOOR = '1900-01-01';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Splits become effective-dated: billing uses the split with the latest
+    // effective_from on or before the period end (a lone share_pct 0 row = unshared).
+    await qi.addColumn('meter_stall_shares', 'effective_from', {
+      type: Sequelize.DATEONLY,
+      allowNull: false,
+      defaultValue: SHARE_HISTORY_FLOOR
+    });
+
+    await qi.removeConstraint('meter_stall_shares', 'ux_meter_stall_share');
+    await qi.addConstraint('meter_stall_shares', {
+      type: 'unique',
+      name: 'ux_meter_stall_share_from',
+      fields: ['meter_id', 'stall_id', 'effective_from']
+    });
+  },
+
+  async down(qi) {
+    // keep only the split in force today per meter (none when it is unshared today)
+    const [rows] = await qi.sequelize.query(
+      'SELECT meter_id, MAX(effective_from) AS effective_from FROM meter_stall_shares ' +
+      'WHERE effective_from <= CAST(CURRENT_TIMESTAMP AS DATE) GROUP BY meter_id'
+    );
+    const [all] = await qi.sequelize.query('SELECT share_id, meter_id, share_pct, effective_from FROM meter_stall_shares');
+    const keep = new Set(rows.map(r => `${r.meter_id}|${String(r.effective_from).slice(0, 10)}`));
+    const drop = all
+      .filter(r => Number(r.share_pct) === 0 || !keep.has(`${r.meter_id}|${String(r.effective_from).slice(0, 10)}`))
+      .map(r => r.share_id);
+    if (drop.length) await qi.bulkDelete('meter_stall_shares', { share_id: drop });
+
+    await qi.removeConstraint('meter_stall_shares', 'ux_meter_stall_share_from');
+    await qi.addConstraint('meter_stall_shares', {
+      type: 'unique',
+      name: 'ux_meter_stall_share',
+      fields: ['meter_id', 'stall_id']
+    });
+    await qi.removeColumn('meter_stall_shares', 'effective_from');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+  async up(qi, Sequelize) {
+    // Penalty basis of the tenant's VAT code used for the assessment: base (VAT-exclusive)
+    // or gross (base + VAT). Earlier assessments were all on the gross amount.
+    await qi.addColumn('penalty_assessments', 'penalty_basis', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'gross'
+    });
+  },
+
+  async down(qi) {
+    await qi.removeColumn('penalty_assessments', 'penalty_basis');
+  }
+};
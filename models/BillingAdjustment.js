@@ -0,0 +1,58 @@
+// models/BillingAdjustment.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Difference between an issued statement and a recomputation after its readings
+ * changed (delta_* signed: debit > 0, credit < 0).
+ * pending -> accepted -> billed (carried on billed_statement_id), or pending -> rejected.
+ */
+const BillingAdjustment = sequelize.define('BillingAdjustment', {
+  adjustment_id:       { type: DataTypes.STRING, primaryKey: true },
+  statement_id:        { type: DataTypes.STRING(30), allowNull: false },
+  tenant_id:           { type: DataTypes.STRING(30), allowNull: false },
+  building_id:         { type: DataTypes.STRING(30), allowNull: false },
+  period_start:        { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:          { type: DataTypes.DATEONLY, allowNull: false },
+
+  adjustment_type:     { type: DataTypes.ENUM('debit', 'credit'), allowNull: false },
+  delta_base:          { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  delta_vat:           { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  delta_wt:            { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  delta_penalty:       { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  delta_total:         { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  adjustment_reason:   { type: DataTypes.STRING(255), allowNull: false },
+
+  // Baseline vs recomputed totals; store JSON as text, (de)serialize here
+  adjustment_details: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    defaultValue: null,
+    get() {
+      const raw = this.getDataValue('adjustment_details');
+      if (raw == null) return null;
+      try { return JSON.parse(raw); } catch { return raw; }
+    },
+    set(value) {
+      this.setDataValue('adjustment_details', value == null ? null : JSON.stringify(value));
+    }
+  },
+
+  adjustment_status:   {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'billed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  decided_at:          { type: DataTypes.DATE, allowNull: true },
+  decided_by:          { type: DataTypes.STRING(30), allowNull: true },
+  decision_note:       { type: DataTypes.STRING(255), allowNull: true },
+  billed_statement_id: { type: DataTypes.STRING(30), allowNull: true },
+
+  last_updated:        { type: DataTypes.DATE, allowNull: false },
+  updated_by:          { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_adjustments',
+  timestamps: false,
+});
+
+module.exports = BillingAdjustment;
@@ -0,0 +1,25 @@
+// models/BillingCutoff.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Effective-dated cut-off day of a building (NULL = calendar month).
+ * Billing windows on a date follow the entry with the latest effective_from
+ * on or before it; the first window under a new entry starts on its effective_from.
+ */
+const BillingCutoff = sequelize.define('BillingCutoff', {
+  cutoff_id:          { type: DataTypes.STRING, primaryKey: true },
+  building_id:        { type: DataTypes.STRING(30), allowNull: false },
+  effective_from:     { type: DataTypes.DATEONLY, allowNull: false },
+  billing_cutoff_day: { type: DataTypes.INTEGER, allowNull: true, validate: { min: 1, max: 31 } },
+  last_updated:       { type: DataTypes.DATE, allowNull: false },
+  updated_by:         { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_cutoff_history',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_id', 'effective_from'] }
+  ]
+});
+
+module.exports = BillingCutoff;
@@ -0,0 +1,25 @@
+// models/BillingCyclePeriod.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Explicit billing period calendar for a building.
+ * From a building's first row on, these define its billing windows
+ * (instead of the cut-off day / calendar months).
+ */
+const BillingCyclePeriod = sequelize.define('BillingCyclePeriod', {
+  cycle_period_id: { type: DataTypes.STRING, primaryKey: true },
+  building_id:     { type: DataTypes.STRING(30), allowNull: false },
+  period_start:    { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:      { type: DataTypes.DATEONLY, allowNull: false },
+  last_updated:    { type: DataTypes.DATE, allowNull: false },
+  updated_by:      { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_cycle_periods',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_id', 'period_start'] }
+  ]
+});
+
+module.exports = BillingCyclePeriod;
@@ -0,0 +1,50 @@
+// models/BillingMemo.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Manual credit/debit memo against a tenant account (unsigned amounts; memo_type
+ * gives the direction). pending -> approved -> billed (carried on billed_statement_id),
+ * or pending -> rejected.
+ */
+const BillingMemo = sequelize.define('BillingMemo', {
+  memo_id:              { type: DataTypes.STRING, primaryKey: true },
+  tenant_id:            { type: DataTypes.STRING(30), allowNull: false },
+  building_id:          { type: DataTypes.STRING(30), allowNull: false },
+  memo_type:            { type: DataTypes.ENUM('credit', 'debit'), allowNull: false },
+  reason_code:          {
+    type: DataTypes.ENUM('penalty_waiver', 'goodwill', 'back_billing', 'correction', 'other'),
+    allowNull: false
+  },
+  memo_date:            { type: DataTypes.DATEONLY, allowNull: false },
+  description:          { type: DataTypes.STRING(255), allowNull: false },
+  related_statement_id: { type: DataTypes.STRING(30), allowNull: true },
+
+  amount:               { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+  apply_vat:            { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  vat_code:             { type: DataTypes.STRING(30), allowNull: true },
+  vat_pct:              { type: DataTypes.DECIMAL(10, 4), allowNull: false, defaultValue: 0.0000 },
+  memo_base:            { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  memo_vat:             { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  memo_total:           { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+
+  memo_status:          {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'billed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  created_at:           { type: DataTypes.DATE, allowNull: false },
+  created_by:           { type: DataTypes.STRING(30), allowNull: false },
+  decided_at:           { type: DataTypes.DATE, allowNull: true },
+  decided_by:           { type: DataTypes.STRING(30), allowNull: true },
+  decision_note:        { type: DataTypes.STRING(255), allowNull: true },
+  billed_statement_id:  { type: DataTypes.STRING(30), allowNull: true },
+
+  last_updated:         { type: DataTypes.DATE, allowNull: false },
+  updated_by:           { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_memos',
+  timestamps: false,
+});
+
+module.exports = BillingMemo;
@@ -0,0 +1,35 @@
+// models/BillingPeriodClosure.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * A closed billing period of a building. While closed, readings dated in
+ * [period_start, period_end] are locked; a reopen (with reason) unlocks them
+ * and stays on the row as history.
+ */
+const BillingPeriodClosure = sequelize.define('BillingPeriodClosure', {
+  closure_id:     { type: DataTypes.STRING, primaryKey: true },
+  building_id:    { type: DataTypes.STRING(30), allowNull: false },
+  period_start:   { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:     { type: DataTypes.DATEONLY, allowNull: false },
+  closure_status: {
+    type: DataTypes.ENUM('closed', 'reopened'),
+    allowNull: false,
+    defaultValue: 'closed'
+  },
+  closed_at:      { type: DataTypes.DATE, allowNull: false },
+  closed_by:      { type: DataTypes.STRING(30), allowNull: false },
+  reopened_at:    { type: DataTypes.DATE, allowNull: true },
+  reopened_by:    { type: DataTypes.STRING(30), allowNull: true },
+  reopen_reason:  { type: DataTypes.STRING(255), allowNull: true },
+  last_updated:   { type: DataTypes.DATE, allowNull: false },
+  updated_by:     { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_period_closures',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_id', 'period_start'] }
+  ]
+});
+
+module.exports = BillingPeriodClosure;
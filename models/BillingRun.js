@@ -0,0 +1,55 @@
+// models/BillingRun.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+// Store small JSON documents as text; (de)serialize here
+function jsonText(field) {
+  return {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    defaultValue: null,
+    get() {
+      const raw = this.getDataValue(field);
+      if (raw == null) return null;
+      try { return JSON.parse(raw); } catch { return raw; }
+    },
+    set(value) {
+      this.setDataValue(field, value == null ? null : JSON.stringify(value));
+    }
+  };
+}
+
+const BillingRun = sequelize.define('BillingRun', {
+  run_id:       { type: DataTypes.STRING, primaryKey: true },
+  building_id:  { type: DataTypes.STRING(30), allowNull: false },
+  end_date:     { type: DataTypes.DATEONLY, allowNull: false },
+  period_start: { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:   { type: DataTypes.DATEONLY, allowNull: false },
+
+  run_status: {
+    type: DataTypes.ENUM('running', 'completed', 'completed_with_errors', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+
+  tenant_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  meter_count:  { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  error_count:  { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+
+  totals_by_type:   jsonText('totals_by_type'),
+  grand_totals:     jsonText('grand_totals'),
+  tenant_summaries: jsonText('tenant_summaries'),
+  run_errors:       jsonText('run_errors'),
+
+  started_at:   { type: DataTypes.DATE, allowNull: false },
+  finished_at:  { type: DataTypes.DATE, allowNull: true },
+  run_by:       { type: DataTypes.STRING(30), allowNull: false },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_runs',
+  timestamps: false,
+});
+
+module.exports = BillingRun;
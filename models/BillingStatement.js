@@ -0,0 +1,63 @@
+// models/BillingStatement.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+const BillingStatement = sequelize.define('BillingStatement', {
+  statement_id:      { type: DataTypes.STRING, primaryKey: true },
+  tenant_id:         { type: DataTypes.STRING(30), allowNull: false },
+  building_id:       { type: DataTypes.STRING(30), allowNull: false },
+
+  // Billed windows (DATEONLY, same as Reading.lastread_date)
+  period_start:      { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:        { type: DataTypes.DATEONLY, allowNull: false },
+  prev_period_start: { type: DataTypes.DATEONLY, allowNull: false },
+  prev_period_end:   { type: DataTypes.DATEONLY, allowNull: false },
+
+  // Snapshot totals
+  total_base:        { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  total_vat:         { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  total_wt:          { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  total_penalty:     { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  total_amount:      { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+
+  // period_end + building due_day_offset (NULL for statements issued before due dates)
+  due_date:          { type: DataTypes.DATEONLY, allowNull: true },
+
+  // Official invoice number, assigned when issued (NULL when the building has no invoice series)
+  invoice_no:        { type: DataTypes.STRING(40), allowNull: true },
+
+  // draft -> reviewed -> approved -> issued; only issued statements are billed to the tenant
+  statement_status:  {
+    type: DataTypes.ENUM('draft', 'reviewed', 'approved', 'issued', 'void'),
+    allowNull: false,
+    defaultValue: 'issued'
+  },
+  prepared_at:       { type: DataTypes.DATE, allowNull: true },
+  prepared_by:       { type: DataTypes.STRING(30), allowNull: true },
+  reviewed_at:       { type: DataTypes.DATE, allowNull: true },
+  reviewed_by:       { type: DataTypes.STRING(30), allowNull: true },
+  approved_at:       { type: DataTypes.DATE, allowNull: true },
+  approved_by:       { type: DataTypes.STRING(30), allowNull: true },
+  issued_at:         { type: DataTypes.DATE, allowNull: true },
+  issued_by:         { type: DataTypes.STRING(30), allowNull: true },
+  voided_at:         { type: DataTypes.DATE, allowNull: true },
+  voided_by:         { type: DataTypes.STRING(30), allowNull: true },
+  void_reason:       { type: DataTypes.STRING(250), allowNull: true },
+
+  last_updated:      { type: DataTypes.DATE, allowNull: false },
+  updated_by:        { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_statements',
+  timestamps: false,
+});
+
+module.exports = BillingStatement;
+
+// ------------ Associations ------------
+const BillingStatementLine = require('./BillingStatementLine');
+
+BillingStatement.hasMany(BillingStatementLine, {
+  foreignKey: 'statement_id',
+  sourceKey: 'statement_id',
+  as: 'lines',
+});
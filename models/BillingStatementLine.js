@@ -0,0 +1,61 @@
+// models/BillingStatementLine.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+const BillingStatementLine = sequelize.define('BillingStatementLine', {
+  line_id:        { type: DataTypes.STRING(40), primaryKey: true },
+  statement_id:   { type: DataTypes.STRING(30), allowNull: false },
+  line_no:        { type: DataTypes.INTEGER, allowNull: false },
+  line_type:      { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'meter' },
+  description:    { type: DataTypes.STRING(100), allowNull: true },
+
+  // Meter snapshot
+  meter_id:       { type: DataTypes.STRING(30), allowNull: true },
+  meter_sn:       { type: DataTypes.STRING(30), allowNull: true },
+  meter_type:     { type: DataTypes.STRING(10), allowNull: true },
+  meter_mult:     { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+  stall_id:       { type: DataTypes.STRING(30), allowNull: true },
+
+  prev_index:     { type: DataTypes.DECIMAL(30, 2), allowNull: true },
+  curr_index:     { type: DataTypes.DECIMAL(30, 2), allowNull: true },
+  prev_read_date: { type: DataTypes.DATEONLY, allowNull: true },
+  curr_read_date: { type: DataTypes.DATEONLY, allowNull: true },
+
+  consumption:    { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  rate:           { type: DataTypes.DECIMAL(12, 4), allowNull: false, defaultValue: 0.0000 },
+
+  // Percent points (e.g., 12.00 = 12%) — match VAT/WT style
+  vat_pct:        { type: DataTypes.DECIMAL(10, 4), allowNull: false, defaultValue: 0.0000 },
+  wt_pct:         { type: DataTypes.DECIMAL(10, 4), allowNull: false, defaultValue: 0.0000 },
+  penalty_pct:    { type: DataTypes.DECIMAL(10, 4), allowNull: false, defaultValue: 0.0000 },
+
+  base:           { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  vat:            { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  wt:             { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  penalty:        { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+  total:          { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+
+  // Full engine output for the line; store JSON as text, (de)serialize here
+  line_details: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    defaultValue: null,
+    get() {
+      const raw = this.getDataValue('line_details');
+      if (raw == null) return null;
+      try { return JSON.parse(raw); } catch { return raw; }
+    },
+    set(value) {
+      if (value == null) {
+        this.setDataValue('line_details', null);
+      } else {
+        this.setDataValue('line_details', JSON.stringify(value));
+      }
+    }
+  }
+}, {
+  tableName: 'billing_statement_lines',
+  timestamps: false,
+});
+
+module.exports = BillingStatementLine;
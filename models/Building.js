@@ -37,6 +37,41 @@ const Building = sequelize.define('Building', {
     defaultValue: 0.00,
     validate: { min: 0 }
   },
+  lmin_con:      { 
+    type: DataTypes.DECIMAL(10, 2), 
+    allowNull: false, 
+    defaultValue: 1.00,
+    validate: { min: 0 }
+  },
+
+  // Billing cycle: bill (cut-off + 1) .. cut-off; NULL = calendar month
+  billing_cutoff_day: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: null,
+    validate: { min: 1, max: 31 }
+  },
+
+  // Penalty policy: rate (percent points) on the unpaid balance, assessed once
+  // penalty_grace_days after the due date (= period_end + due_day_offset)
+  penalty_rate: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    defaultValue: 0.0000,
+    validate: { min: 0 }
+  },
+  penalty_grace_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: { min: 0 }
+  },
+  due_day_offset: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 15,
+    validate: { min: 0 }
+  },
 
   last_updated:  { type: DataTypes.DATE, allowNull: false },
   updated_by:    { type: DataTypes.STRING(30), allowNull: false },
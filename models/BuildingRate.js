@@ -0,0 +1,32 @@
+// models/BuildingRate.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Effective-dated building base rates.
+ * A NULL rate field means "unchanged by this entry"; the value in force on a
+ * date is the latest non-NULL value with effective_from <= that date.
+ */
+const BuildingRate = sequelize.define('BuildingRate', {
+  rate_id:        { type: DataTypes.STRING, primaryKey: true },
+  building_id:    { type: DataTypes.STRING(30), allowNull: false },
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+
+  erate_perKwH:   { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  emin_con:       { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  wrate_perCbM:   { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  wmin_con:       { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  lrate_perKg:    { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  lmin_con:       { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+
+  last_updated:   { type: DataTypes.DATE, allowNull: false },
+  updated_by:     { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'building_rate_history',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_id', 'effective_from'] }
+  ]
+});
+
+module.exports = BuildingRate;
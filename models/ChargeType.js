@@ -0,0 +1,45 @@
+// models/ChargeType.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Recurring (non-metered) charge billed every period on each stall of the
+ * building that is leased to a tenant: a flat amount per stall, or charge_rate × stall floor_area.
+ * Taxable charges use the tenant's o_vat / o_wt (other charges) rates.
+ * Valid for periods ending from valid_from through valid_to (NULL = open-ended);
+ * a rate change is a new row of the same name from a later valid_from.
+ */
+const ChargeType = sequelize.define('ChargeType', {
+  charge_type_id: { type: DataTypes.STRING, primaryKey: true },
+  building_id:    { type: DataTypes.STRING(30), allowNull: false },
+  charge_name:    { type: DataTypes.STRING(60), allowNull: false },
+  charge_basis:   {
+    type: DataTypes.ENUM('flat', 'per_sqm'),
+    allowNull: false,
+    defaultValue: 'flat'
+  },
+  charge_rate:    {
+    type: DataTypes.DECIMAL(12, 4),
+    allowNull: false,
+    defaultValue: 0.0000,
+    validate: { min: 0 }
+  },
+  is_taxable:     { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  charge_status:  {
+    type: DataTypes.ENUM('active', 'inactive'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  valid_from:     { type: DataTypes.DATEONLY, allowNull: false, defaultValue: '1900-01-01' },
+  valid_to:       { type: DataTypes.DATEONLY, allowNull: true },
+  last_updated:   { type: DataTypes.DATE, allowNull: false },
+  updated_by:     { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'charge_types',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_id', 'charge_name', 'valid_from'] }
+  ]
+});
+
+module.exports = ChargeType;
@@ -0,0 +1,36 @@
+// models/InvoiceNumber.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * An official number handed out from a series to a document (statement for
+ * invoices, payment for official receipts). Never deleted; voided with its document.
+ */
+const InvoiceNumber = sequelize.define('InvoiceNumber', {
+  invoice_no:    { type: DataTypes.STRING(40), primaryKey: true },
+  series_id:     { type: DataTypes.STRING(30), allowNull: false },
+  serial_no:     { type: DataTypes.INTEGER, allowNull: false },
+  building_id:   { type: DataTypes.STRING(30), allowNull: false },
+  document_type: { type: DataTypes.ENUM('invoice', 'official_receipt'), allowNull: false },
+  document_id:   { type: DataTypes.STRING(30), allowNull: false },
+  number_status: {
+    type: DataTypes.ENUM('issued', 'void'),
+    allowNull: false,
+    defaultValue: 'issued'
+  },
+  assigned_at:   { type: DataTypes.DATE, allowNull: false },
+  assigned_by:   { type: DataTypes.STRING(30), allowNull: false },
+  voided_at:     { type: DataTypes.DATE, allowNull: true },
+  voided_by:     { type: DataTypes.STRING(30), allowNull: true },
+  void_reason:   { type: DataTypes.STRING(250), allowNull: true },
+  last_updated:  { type: DataTypes.DATE, allowNull: false },
+  updated_by:    { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'invoice_numbers',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['series_id', 'serial_no'] }
+  ]
+});
+
+module.exports = InvoiceNumber;
@@ -0,0 +1,33 @@
+// models/InvoiceSeries.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Official (BIR) numbering series of a building for invoices or official receipts:
+ * serials range_start..range_end printed as prefix + zero-padded serial, under
+ * the Authority to Print (ATP) details. next_number is the next serial to assign.
+ */
+const InvoiceSeries = sequelize.define('InvoiceSeries', {
+  series_id:       { type: DataTypes.STRING, primaryKey: true },
+  building_id:     { type: DataTypes.STRING(30), allowNull: false },
+  document_type:   { type: DataTypes.ENUM('invoice', 'official_receipt'), allowNull: false },
+  prefix:          { type: DataTypes.STRING(20), allowNull: false, defaultValue: '' },
+  range_start:     { type: DataTypes.INTEGER, allowNull: false },
+  range_end:       { type: DataTypes.INTEGER, allowNull: false },
+  next_number:     { type: DataTypes.INTEGER, allowNull: false },
+  atp_number:      { type: DataTypes.STRING(50), allowNull: false },
+  atp_date:        { type: DataTypes.DATEONLY, allowNull: false },
+  atp_valid_until: { type: DataTypes.DATEONLY, allowNull: true },
+  series_status:   {
+    type: DataTypes.ENUM('active', 'inactive', 'exhausted'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  last_updated:    { type: DataTypes.DATE, allowNull: false },
+  updated_by:      { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'invoice_series',
+  timestamps: false,
+});
+
+module.exports = InvoiceSeries;
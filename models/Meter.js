@@ -22,6 +22,13 @@ const Meter = sequelize.define('Meter', {
     allowNull: false,
     validate: { min: 0 }
   },
+  meter_digits: {
+    // register digit count (5 -> max 99999); NULL = no rollover detection
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: null,
+    validate: { min: 1, max: 12 }
+  },
   meter_status: {
     type: DataTypes.ENUM('active', 'inactive'),
     allowNull: false,
@@ -31,6 +38,18 @@ const Meter = sequelize.define('Meter', {
     type: DataTypes.STRING(30),
     allowNull: false
   },
+  parent_meter_id: {
+    // master meter this sub-meter is under (NULL = not a sub-meter)
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    defaultValue: null
+  },
+  allocation_basis: {
+    // master meters: how the common-area residual is split (NULL = consumption)
+    type: DataTypes.ENUM('area', 'consumption', 'equal'),
+    allowNull: true,
+    defaultValue: null
+  },
   last_updated: {
     type: DataTypes.DATE,
     allowNull: false
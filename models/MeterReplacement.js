@@ -0,0 +1,28 @@
+// models/MeterReplacement.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Links an outgoing meter to the meter that replaced it, with the closing
+ * index of the old register and the opening index of the new one.
+ */
+const MeterReplacement = sequelize.define('MeterReplacement', {
+  replacement_id:         { type: DataTypes.STRING, primaryKey: true },
+  old_meter_id:           { type: DataTypes.STRING(30), allowNull: false, unique: true },
+  new_meter_id:           { type: DataTypes.STRING(30), allowNull: false, unique: true },
+  replaced_date:          { type: DataTypes.DATEONLY, allowNull: false },
+
+  old_final_reading:      { type: DataTypes.DECIMAL(30, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  new_initial_reading:    { type: DataTypes.DECIMAL(30, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  old_final_reading_id:   { type: DataTypes.STRING(30), allowNull: true },
+  new_initial_reading_id: { type: DataTypes.STRING(30), allowNull: true },
+
+  reason:                 { type: DataTypes.STRING(250), allowNull: true },
+  last_updated:           { type: DataTypes.DATE, allowNull: false },
+  updated_by:             { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'meter_replacements',
+  timestamps: false,
+});
+
+module.exports = MeterReplacement;
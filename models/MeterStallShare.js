@@ -0,0 +1,28 @@
+// models/MeterStallShare.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Share of a meter billed to a stall's tenant (percent points, 50 = 50%).
+ * A meter with shares is billed only through them (they add up to 100);
+ * a meter without shares is billed wholly to its own stall.
+ * Splits are effective-dated (see utils/meterShares.js); a lone share_pct 0 row
+ * marks the meter unshared from its effective_from.
+ */
+const MeterStallShare = sequelize.define('MeterStallShare', {
+  share_id:     { type: DataTypes.STRING, primaryKey: true },
+  meter_id:     { type: DataTypes.STRING(30), allowNull: false },
+  stall_id:     { type: DataTypes.STRING(30), allowNull: false },
+  share_pct:    { type: DataTypes.DECIMAL(7, 4), allowNull: false, validate: { min: 0, max: 100 } },
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false, defaultValue: '1900-01-01' },
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'meter_stall_shares',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['meter_id', 'stall_id', 'effective_from'] }
+  ]
+});
+
+module.exports = MeterStallShare;
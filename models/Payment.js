@@ -0,0 +1,49 @@
+// models/Payment.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+const Payment = sequelize.define('Payment', {
+  payment_id:        { type: DataTypes.STRING, primaryKey: true },
+  tenant_id:         { type: DataTypes.STRING(30), allowNull: false },
+  building_id:       { type: DataTypes.STRING(30), allowNull: false },
+
+  payment_date:      { type: DataTypes.DATEONLY, allowNull: false },
+  amount:            { type: DataTypes.DECIMAL(18, 2), allowNull: false, validate: { min: 0.01 } },
+  payment_method:    {
+    type: DataTypes.ENUM('cash', 'check', 'bank_transfer', 'card', 'online'),
+    allowNull: false
+  },
+  payment_reference: { type: DataTypes.STRING(60), allowNull: true },
+  // Official receipt number (building OR series), NULL when the building has none
+  or_no:             { type: DataTypes.STRING(40), allowNull: true },
+
+  // Part of the amount not yet allocated to a statement (tenant credit)
+  unapplied_amount:  { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00 },
+
+  payment_status:    {
+    type: DataTypes.ENUM('posted', 'void'),
+    allowNull: false,
+    defaultValue: 'posted'
+  },
+  received_by:       { type: DataTypes.STRING(30), allowNull: false },
+  voided_at:         { type: DataTypes.DATE, allowNull: true },
+  voided_by:         { type: DataTypes.STRING(30), allowNull: true },
+  void_reason:       { type: DataTypes.STRING(250), allowNull: true },
+
+  last_updated:      { type: DataTypes.DATE, allowNull: false },
+  updated_by:        { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'payments',
+  timestamps: false,
+});
+
+module.exports = Payment;
+
+// ------------ Associations ------------
+const PaymentAllocation = require('./PaymentAllocation');
+
+Payment.hasMany(PaymentAllocation, {
+  foreignKey: 'payment_id',
+  sourceKey: 'payment_id',
+  as: 'allocations',
+});
@@ -0,0 +1,18 @@
+// models/PaymentAllocation.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+const PaymentAllocation = sequelize.define('PaymentAllocation', {
+  allocation_id: { type: DataTypes.STRING, primaryKey: true },
+  payment_id:    { type: DataTypes.STRING(30), allowNull: false },
+  statement_id:  { type: DataTypes.STRING(30), allowNull: false },
+  amount:        { type: DataTypes.DECIMAL(18, 2), allowNull: false, validate: { min: 0.01 } },
+
+  last_updated:  { type: DataTypes.DATE, allowNull: false },
+  updated_by:    { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'payment_allocations',
+  timestamps: false,
+});
+
+module.exports = PaymentAllocation;
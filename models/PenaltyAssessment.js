@@ -0,0 +1,39 @@
+// models/PenaltyAssessment.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Late-payment penalty assessed on an overdue statement (at most one per statement).
+ * penalty_rate is in percent points (2 = 2%) of overdue_amount, the unpaid part of
+ * the statement on the tenant's penalty_basis (base = VAT-exclusive, gross = base + VAT).
+ */
+const PenaltyAssessment = sequelize.define('PenaltyAssessment', {
+  assessment_id:     { type: DataTypes.STRING, primaryKey: true },
+  statement_id:      { type: DataTypes.STRING(30), allowNull: false, unique: true },
+  tenant_id:         { type: DataTypes.STRING(30), allowNull: false },
+  building_id:       { type: DataTypes.STRING(30), allowNull: false },
+
+  assessed_on:       { type: DataTypes.DATEONLY, allowNull: false },
+  due_date:          { type: DataTypes.DATEONLY, allowNull: false },
+  overdue_amount:    { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+  penalty_rate:      { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+  penalty_basis:     { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'gross' },
+  penalty_amount:    { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+
+  assessment_status: {
+    type: DataTypes.ENUM('assessed', 'waived'),
+    allowNull: false,
+    defaultValue: 'assessed'
+  },
+  waived_at:         { type: DataTypes.DATE, allowNull: true },
+  waived_by:         { type: DataTypes.STRING(30), allowNull: true },
+  waive_reason:      { type: DataTypes.STRING(250), allowNull: true },
+
+  last_updated:      { type: DataTypes.DATE, allowNull: false },
+  updated_by:        { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'penalty_assessments',
+  timestamps: false,
+});
+
+module.exports = PenaltyAssessment;
@@ -0,0 +1,33 @@
+// models/RateBlock.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Block (tiered) tariff per building + utility, effective-dated.
+ * Each block covers consumption in [block_from, block_to); the last block may
+ * leave block_to NULL (open-ended). When a utility has blocks in force, they
+ * replace the flat building rate for that utility. A lone block_no 0 row marks
+ * a return to the flat rate from its effective_from.
+ */
+const RateBlock = sequelize.define('RateBlock', {
+  block_id:     { type: DataTypes.STRING, primaryKey: true },
+  building_id:  { type: DataTypes.STRING(30), allowNull: false },
+  utility:      { type: DataTypes.ENUM('electric', 'water', 'lpg'), allowNull: false },
+  block_no:     { type: DataTypes.INTEGER, allowNull: false },
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+
+  block_from:   { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  block_to:     { type: DataTypes.DECIMAL(18, 2), allowNull: true },
+  block_rate:   { type: DataTypes.DECIMAL(12, 4), allowNull: false, defaultValue: 0.0000, validate: { min: 0 } },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'building_rate_blocks',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_id', 'utility', 'effective_from', 'block_no'] }
+  ]
+});
+
+module.exports = RateBlock;
@@ -24,6 +24,11 @@ const Reading = sequelize.define('Reading', {
     type: DataTypes.DATEONLY, // DATE in SQL
     allowNull: false
   },
+  is_estimated: {
+    type: DataTypes.BOOLEAN,  // true = computed from average daily consumption
+    allowNull: false,
+    defaultValue: false
+  },
   last_updated: {
     type: DataTypes.DATE,     // DATETIME in SQL
     allowNull: false
@@ -19,6 +19,11 @@ const Stall = sequelize.define('Stall', {
     type: DataTypes.STRING(30), // required FK
     allowNull: false,
   },
+  floor_area: {
+    type: DataTypes.DECIMAL(10, 2), // square meters; used by per_sqm charges
+    allowNull: true,
+    validate: { min: 0 },
+  },
   stall_status: {
     type: DataTypes.ENUM('occupied', 'available', 'under maintenance'),
     allowNull: false,
@@ -0,0 +1,35 @@
+// models/TenantRateOverride.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Negotiated rate of a tenant, used by billing ahead of the building rate:
+ *   rate      override_value is the contract rate per unit (replaces flat and block rates)
+ *   discount  override_value is a percent taken off the building-rate charge
+ * utility NULL applies to every utility; a utility-specific override wins.
+ * Valid for periods ending from valid_from through valid_to (NULL = open-ended).
+ */
+const TenantRateOverride = sequelize.define('TenantRateOverride', {
+  override_id:    { type: DataTypes.STRING, primaryKey: true },
+  tenant_id:      { type: DataTypes.STRING(30), allowNull: false },
+  utility:        { type: DataTypes.ENUM('electric', 'water', 'lpg'), allowNull: true },
+  override_type:  { type: DataTypes.ENUM('rate', 'discount'), allowNull: false },
+  override_value: {
+    type: DataTypes.DECIMAL(12, 4),
+    allowNull: false,
+    validate: { min: 0 }
+  },
+  valid_from:     { type: DataTypes.DATEONLY, allowNull: false },
+  valid_to:       { type: DataTypes.DATEONLY, allowNull: true },
+  notes:          { type: DataTypes.STRING(255), allowNull: true },
+  last_updated:   { type: DataTypes.DATE, allowNull: false },
+  updated_by:     { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'tenant_rate_overrides',
+  timestamps: false,
+  indexes: [
+    { fields: ['tenant_id', 'valid_from'] }
+  ]
+});
+
+module.exports = TenantRateOverride;
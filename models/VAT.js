@@ -37,6 +37,25 @@ const VAT = sequelize.define('VAT', {
     defaultValue: 0.00,
     validate: { min: 0 }
   },
+  // other (non-utility) charges, e.g. CUSA, garbage fee
+  o_vat: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: { min: 0 }
+  },
+  // exclusive: VAT = base × vat%; inclusive: rates already include VAT
+  vat_method: {
+    type: DataTypes.ENUM('exclusive', 'inclusive'),
+    allowNull: false,
+    defaultValue: 'exclusive',
+  },
+  // base: penalty on the VAT-exclusive base; gross: penalty on base + VAT
+  penalty_basis: {
+    type: DataTypes.ENUM('base', 'gross'),
+    allowNull: false,
+    defaultValue: 'base',
+  },
   
   last_updated: { type: DataTypes.DATE, allowNull: false },
   updated_by:   { type: DataTypes.STRING(30), allowNull: false },
@@ -38,6 +38,19 @@ const WT = sequelize.define('WT', {
     defaultValue: 1.00,
     validate: { min: 0, max: 100 },
   },
+  // other (non-utility) charges, e.g. CUSA, garbage fee
+  o_wt: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: { min: 0, max: 100 },
+  },
+  // on_vat: WT = VAT × wt%; on_base: WT = VAT-exclusive base × wt%
+  wt_method: {
+    type: DataTypes.ENUM('on_vat', 'on_base'),
+    allowNull: false,
+    defaultValue: 'on_vat',
+  },
   last_updated: { 
     type: DataTypes.DATE, 
     allowNull: false,
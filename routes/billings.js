@@ -6,20 +6,47 @@ const router = express.Router();
 
 const authenticateToken  = require('../middleware/authenticateToken');
 const authorizeRole      = require('../middleware/authorizeRole');
+const {
+  authorizeBuildingParam,
+  attachBuildingScope,
+  enforceRecordBuilding
+} = require('../middleware/authorizeBuilding');
 const getCurrentDateTime = require('../utils/getCurrentDateTime');
 
+const BillingRun = require('../models/BillingRun');
+
 const {
   computeBillingForMeter,
   computeBillingForTenant,
+  computeCommonAreaUsage,
 } = require('../utils/billingEngine');
+const { executeBillRun } = require('../utils/billingRuns');
+const { validateScenario, simulateBilling } = require('../utils/billingSimulation');
+const { loadTenantInvoice, loadRunInvoices, writeInvoicesPdf } = require('../utils/invoicePdf');
 
 // Require auth for all billing routes
 router.use(authenticateToken);
 
+// building of the bill run in :run_id (for enforceRecordBuilding)
+async function getRunBuildingId(req) {
+  const run = await BillingRun.findOne({
+    where: { run_id: req.params.run_id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return run?.building_id || null;
+}
+
+// true / 'true' / 1 / '1'
+function isTruthy(v) {
+  return v === true || v === 1 || ['true', '1'].includes(String(v).toLowerCase());
+}
+
 /**
  * GET /billings/meters/:meter_id/period-end/:endDate
  * - endDate: YYYY-MM-DD (e.g. 2025-02-20)
- * - optional query: ?penalty_rate=2  (in PERCENT, e.g. 2 = 2%)
+ * - optional query: ?estimate=1  (estimate missing indices; preview only, nothing is stored)
+ * - optional query: ?stall_id=STL-1  (shared meter: bill that stall's share)
  */
 router.get(
   '/meters/:meter_id/period-end/:endDate',
@@ -31,13 +58,12 @@ router.get(
         return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD.' });
       }
 
-      const penaltyRatePct = Number(req.query.penalty_rate) || 0;
-
       const result = await computeBillingForMeter({
         meterId: meter_id,
         endDate,
         user: req.user,
-        penaltyRatePct,
+        estimateMissing: isTruthy(req.query.estimate),
+        stallId: req.query.stall_id ? String(req.query.stall_id) : undefined,
       });
 
       res.json({
@@ -51,10 +77,41 @@ router.get(
   }
 );
 
+/**
+ * GET /billings/meters/:meter_id/period-end/:endDate/common-area
+ * - master meter: its consumption, the sum of its sub-meters, the residual
+ *   (common-area use) and each tenant's share by the meter's allocation_basis
+ * - optional query: ?estimate=1  (estimate missing indices; preview only, nothing is stored)
+ */
+router.get(
+  '/meters/:meter_id/period-end/:endDate/common-area',
+  authorizeRole('admin', 'operator', 'biller'),
+  async (req, res) => {
+    try {
+      const { meter_id, endDate } = req.params;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD.' });
+      }
+
+      const usage = await computeCommonAreaUsage({
+        masterMeterId: meter_id,
+        endDate,
+        user: req.user,
+        estimateMissing: isTruthy(req.query.estimate),
+      });
+
+      res.json({ ...usage, generated_at: getCurrentDateTime() });
+    } catch (err) {
+      console.error('Billing (common area) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 /**
  * GET /billings/tenants/:tenant_id/period-end/:endDate
  * - endDate: YYYY-MM-DD (e.g. 2025-02-20)
- * - optional query: ?penalty_rate=2  (in PERCENT)
+ * - optional query: ?estimate=1  (estimate missing indices; preview only, nothing is stored)
  */
 router.get(
   '/tenants/:tenant_id/period-end/:endDate',
@@ -66,15 +123,20 @@ router.get(
         return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD.' });
       }
 
-      const penaltyRatePct = Number(req.query.penalty_rate) || 0;
-
-      const { meters, totals_by_type, grand_totals } =
-        await computeBillingForTenant({ tenantId: tenant_id, endDate, user: req.user, penaltyRatePct });
+      const { meters, common_area, charges, totals_by_type, grand_totals } =
+        await computeBillingForTenant({
+          tenantId: tenant_id,
+          endDate,
+          user: req.user,
+          estimateMissing: isTruthy(req.query.estimate),
+        });
 
       res.json({
         tenant_id,
         end_date: endDate,
         meters,
+        common_area,
+        charges,
         totals_by_type,
         grand_totals,
         generated_at: getCurrentDateTime(),
@@ -86,4 +148,201 @@ router.get(
   }
 );
 
+/**
+ * GET /billings/tenants/:tenant_id/period-end/:endDate/invoice.pdf
+ * - printable invoice: the tenant's approved/issued statement of the period (from its saved
+ *   lines), otherwise a billing preview (no statement no., invoice no. or due date)
+ */
+router.get(
+  '/tenants/:tenant_id/period-end/:endDate/invoice.pdf',
+  authorizeRole('admin', 'operator', 'biller'),
+  async (req, res) => {
+    try {
+      const { tenant_id, endDate } = req.params;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD.' });
+      }
+
+      const invoice = await loadTenantInvoice({
+        tenantId: tenant_id,
+        endDate,
+        user: req.user,
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice-${tenant_id}-${invoice.period.end}.pdf"`);
+      writeInvoicesPdf([invoice], res);
+    } catch (err) {
+      console.error('Billing (invoice) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/* =========================
+ * Bill runs (whole building)
+ * ========================= */
+
+/**
+ * POST /billings/runs
+ * - admin, biller (biller only for their building)
+ * Body: { building_id, endDate (YYYY-MM-DD), [estimate_missing] }
+ * Bills every active tenant/stall/meter in the building and stores a run summary.
+ * estimate_missing: store estimated readings for meters missing an index instead of failing them.
+ */
+router.post(
+  '/runs',
+  authorizeRole('admin', 'biller'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { building_id, endDate, estimate_missing } = req.body || {};
+      if (!building_id || !endDate) {
+        return res.status(400).json({ error: 'building_id and endDate are required' });
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD.' });
+      }
+
+      const run = await executeBillRun({
+        buildingId: building_id,
+        endDate,
+        user: req.user,
+        estimateMissing: isTruthy(estimate_missing),
+      });
+
+      res.status(201).json(run);
+    } catch (err) {
+      console.error('Billing (run) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /billings/simulate
+ * - admin, biller (biller only for their building)
+ * Body: {
+ *   building_id, endDate (YYYY-MM-DD), [estimate_missing],
+ *   [rates]  { erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg, lmin_con },
+ *   [blocks] { electric|water|lpg: [{ from, to, rate }] }  ([] = flat rate),
+ *   [vat]    { <vat_code>: { e_vat, w_vat, l_vat, o_vat, vat_method } },
+ *   [wt]     { <wt_code>:  { e_wt, w_wt, l_wt, o_wt, wt_method } }
+ * }
+ * What-if: bills the building as it stands and with the proposed rates/tax percents,
+ * and returns per-tenant current vs proposed totals and the revenue delta.
+ * Nothing is stored (estimate_missing estimates are preview only).
+ */
+router.post(
+  '/simulate',
+  authorizeRole('admin', 'biller'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { building_id, endDate, estimate_missing } = req.body || {};
+      if (!building_id || !endDate) {
+        return res.status(400).json({ error: 'building_id and endDate are required' });
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD.' });
+      }
+      const checked = validateScenario(req.body);
+      if (!checked.ok) return res.status(400).json({ error: checked.error });
+
+      const result = await simulateBilling({
+        buildingId: building_id,
+        endDate,
+        user: req.user,
+        scenario: checked.data,
+        estimateMissing: isTruthy(estimate_missing),
+      });
+
+      res.json({ ...result, generated_at: getCurrentDateTime() });
+    } catch (err) {
+      console.error('Billing (simulate) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /billings/runs
+ * - admin: all runs (optional ?building_id=)
+ * - operator/biller: runs for their building
+ * Optional query: ?status=completed|completed_with_errors|failed|running
+ */
+router.get(
+  '/runs',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_id, status } = req.query || {};
+      const where = { ...req.buildingWhere() };
+      if (building_id && !req.restrictToBuildingId) where.building_id = building_id;
+      if (status) where.run_status = String(status).toLowerCase();
+
+      const runs = await BillingRun.findAll({
+        where,
+        attributes: { exclude: ['tenant_summaries'] },
+        order: [['started_at', 'DESC']],
+      });
+      res.json(runs);
+    } catch (err) {
+      console.error('Billing (runs list) error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /billings/runs/:run_id
+ * - full run summary: totals by utility, per-tenant totals, errors, status
+ */
+router.get(
+  '/runs/:run_id',
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(getRunBuildingId),
+  async (req, res) => {
+    try {
+      const run = await BillingRun.findOne({ where: { run_id: req.params.run_id } });
+      if (!run) return res.status(404).json({ error: 'Bill run not found' });
+      res.json(run);
+    } catch (err) {
+      console.error('Billing (run) error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /billings/runs/:run_id/invoices.pdf
+ * - one merged PDF with an invoice per billed tenant of the run: the tenant's approved/issued
+ *   statement of the run period, otherwise a billing preview
+ */
+router.get(
+  '/runs/:run_id/invoices.pdf',
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(getRunBuildingId),
+  async (req, res) => {
+    try {
+      const run = await BillingRun.findOne({ where: { run_id: req.params.run_id } });
+      if (!run) return res.status(404).json({ error: 'Bill run not found' });
+      if (run.run_status === 'running' || run.run_status === 'failed') {
+        return res.status(409).json({ error: `Bill run is ${run.run_status}` });
+      }
+
+      const invoices = await loadRunInvoices({ run, user: req.user });
+      if (!invoices.length) return res.status(404).json({ error: 'No billed tenants in this run' });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoices-${run.run_id}.pdf"`);
+      writeInvoicesPdf(invoices, res);
+    } catch (err) {
+      console.error('Billing (run invoices) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 module.exports = router;
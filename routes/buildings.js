@@ -13,17 +13,51 @@ const { authorizeBuildingParam } = require('../middleware/authorizeBuilding');
 const { Op } = require('sequelize');
 
 // Models
+const sequelize = require('../models');
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
 const Stall = require('../models/Stall');
 const Building = require('../models/Building');
+const BuildingRate = require('../models/BuildingRate');
+const RateBlock = require('../models/RateBlock');
+const BillingCyclePeriod = require('../models/BillingCyclePeriod');
+const ChargeType = require('../models/ChargeType');
+const BillingPeriodClosure = require('../models/BillingPeriodClosure');
+const InvoiceSeries = require('../models/InvoiceSeries');
+const InvoiceNumber = require('../models/InvoiceNumber');
+
+// Billing cycles + period closing
+const {
+  addDays,
+  resolvePeriodWindows,
+  assertCycleChangeAllowed,
+  getCutoffHistory,
+  setCutoffDay,
+} = require('../utils/billingPeriods');
+const { closePeriod, reopenPeriod } = require('../utils/periodClosing');
+const { DOCUMENT_TYPES, coerceSeries, createSeries, updateSeries } = require('../utils/invoiceSeries');
+
+// Penalty policy
+const { getPenaltyPolicy } = require('../utils/penalties');
+
+// Rate history
+const {
+  RATE_HISTORY_FLOOR,
+  BLOCK_UTILITIES,
+  todayYMD,
+  recordRateChange,
+  validateRateBlocks,
+  getRateBlocksInForce,
+  getRateBlockHistory,
+  replaceRateBlocks,
+} = require('../utils/buildingRates');
 
 // All routes below require a valid token
 router.use(authenticateToken);
 
 // ---------- helpers ----------
 
-const NUM_FIELDS = ['erate_perKwH', 'emin_con', 'wrate_perCbM', 'wmin_con', 'lrate_perKg'];
+const NUM_FIELDS = ['erate_perKwH', 'emin_con', 'wrate_perCbM', 'wmin_con', 'lrate_perKg', 'lmin_con'];
 
 // map common variations -> canonical keys
 const KEY_MAP = new Map([
@@ -39,9 +73,11 @@ const KEY_MAP = new Map([
   ['wmin_con', 'wmin_con'],
   ['w_min_con', 'wmin_con'],
 
-  // lpg
+  // lpg rate + min
   ['lrate_perkg', 'lrate_perKg'],
   ['l_rate_per_kg', 'lrate_perKg'],
+  ['lmin_con', 'lmin_con'],
+  ['l_min_con', 'lmin_con'],
 ]);
 
 // normalize an object’s keys to canonical model field names
@@ -79,7 +115,7 @@ function filterBuildingBaseRatesByUtility(reqBody, userUtilities) {
   const map = {
     electric: ['erate_perKwH', 'emin_con'],
     water:    ['wrate_perCbM', 'wmin_con'],
-    lpg:      ['lrate_perKg'],
+    lpg:      ['lrate_perKg', 'lmin_con'],
   };
   const allowed = new Set();
   (userUtilities || []).forEach(u => (map[u] || []).forEach(f => allowed.add(f)));
@@ -90,6 +126,97 @@ function filterBuildingBaseRatesByUtility(reqBody, userUtilities) {
   return out;
 }
 
+const CHARGE_BASES = ['flat', 'per_sqm'];
+const CHARGE_STATUS = ['active', 'inactive'];
+
+/**
+ * Validate charge type fields, return {ok, data|error}.
+ * partial=true (updates): only the given fields are checked.
+ * valid_from defaults to today on create; valid_to null / '' = open-ended.
+ */
+function coerceChargeType(body = {}, partial = false) {
+  const out = {};
+  const { charge_name, charge_basis, charge_rate, is_taxable, charge_status, valid_from, valid_to } = body;
+  const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+
+  if (charge_name !== undefined || !partial) {
+    const name = String(charge_name ?? '').trim();
+    if (!name || name.length > 60) return { ok: false, error: 'charge_name is required (max 60 characters)' };
+    out.charge_name = name;
+  }
+  if (charge_basis !== undefined || !partial) {
+    const basis = String(charge_basis ?? '').toLowerCase();
+    if (!CHARGE_BASES.includes(basis)) return { ok: false, error: 'charge_basis must be one of: flat, per_sqm' };
+    out.charge_basis = basis;
+  }
+  if (charge_rate !== undefined || !partial) {
+    const n = Number(charge_rate);
+    if (charge_rate === '' || charge_rate == null || !Number.isFinite(n) || n < 0) {
+      return { ok: false, error: 'charge_rate must be a non-negative number' };
+    }
+    out.charge_rate = Math.round(n * 10000) / 10000; // match DECIMAL(12,4)
+  }
+  if (is_taxable !== undefined) {
+    if (typeof is_taxable !== 'boolean') return { ok: false, error: 'is_taxable must be true or false' };
+    out.is_taxable = is_taxable;
+  }
+  if (charge_status !== undefined) {
+    const status = String(charge_status).toLowerCase();
+    if (!CHARGE_STATUS.includes(status)) return { ok: false, error: 'charge_status must be one of: active, inactive' };
+    out.charge_status = status;
+  }
+  if (valid_from !== undefined || !partial) {
+    if (valid_from === undefined || valid_from === null || valid_from === '') {
+      if (partial) return { ok: false, error: 'valid_from must be YYYY-MM-DD' };
+      out.valid_from = todayYMD();
+    } else if (!isYMD(valid_from)) {
+      return { ok: false, error: 'valid_from must be YYYY-MM-DD' };
+    } else {
+      out.valid_from = valid_from;
+    }
+  }
+  if (valid_to !== undefined) {
+    if (valid_to !== null && valid_to !== '' && !isYMD(valid_to)) {
+      return { ok: false, error: 'valid_to must be YYYY-MM-DD or null (open-ended)' };
+    }
+    out.valid_to = valid_to || null;
+  }
+  return { ok: true, data: out };
+}
+
+/**
+ * Cross-field rules on the merged charge type: valid_to not before valid_from, and
+ * no other row of the same name in the building valid in an overlapping range.
+ * Returns {ok, status?, error?}.
+ */
+async function checkChargeTypeValidity(c, excludeId) {
+  if (c.valid_to && c.valid_to < c.valid_from) {
+    return { ok: false, status: 400, error: 'valid_to must not be before valid_from' };
+  }
+  const where = {
+    building_id: c.building_id,
+    charge_name: c.charge_name,
+    valid_from: { [Op.lte]: c.valid_to || '9999-12-31' },
+    [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: c.valid_from } }],
+  };
+  if (excludeId) where.charge_type_id = { [Op.ne]: excludeId };
+  const clash = await ChargeType.findOne({ where, attributes: ['charge_type_id'], raw: true });
+  if (clash) {
+    return {
+      ok: false,
+      status: 409,
+      error: `${c.charge_name} is already valid in that range (${clash.charge_type_id}); set its valid_to first`
+    };
+  }
+  return { ok: true };
+}
+
+/** Expose :id as the requested building so authorizeBuildingParam() scopes non-admins */
+function buildingFromPath(req, _res, next) {
+  req.requestedBuildingId = req.params.id;
+  next();
+}
+
 function normalizeUtilityRole(uraw) {
   if (Array.isArray(uraw)) return uraw;
   if (uraw == null) return [];
@@ -138,7 +265,7 @@ router.get('/:id', authorizeRole('admin'), async (req, res) => {
 /**
  * POST /buildings
  * Admin-only: create a new building
- * Body: { building_name, [erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg] }
+ * Body: { building_name, [erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg, lmin_con] }
  */
 router.post('/', authorizeRole('admin'), async (req, res) => {
   const { building_name, ...rest } = req.body || {};
@@ -167,13 +294,24 @@ router.post('/', authorizeRole('admin'), async (req, res) => {
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
     const now = getCurrentDateTime();
-    await Building.create({
-      building_id: newBuildingId,
-      building_name,
-      // defaults exist in model; we also allow overrides via body
-      ...coerced.data,
-      last_updated: now,
-      updated_by: req.user.user_fullname
+    await sequelize.transaction(async (t) => {
+      const created = await Building.create({
+        building_id: newBuildingId,
+        building_name,
+        // defaults exist in model; we also allow overrides via body
+        ...coerced.data,
+        last_updated: now,
+        updated_by: req.user.user_fullname
+      }, { transaction: t });
+
+      // baseline rate history entry (covers every period before the first change)
+      await recordRateChange({
+        buildingId: newBuildingId,
+        effectiveFrom: RATE_HISTORY_FLOOR,
+        rates: created.get({ plain: true }),
+        user: req.user,
+        transaction: t
+      });
     });
 
     res.status(201).json({
@@ -189,7 +327,7 @@ router.post('/', authorizeRole('admin'), async (req, res) => {
 /**
  * PUT /buildings/:id
  * Admin-only: update name and/or any base rates
- * Body: { building_name?, erate_perKwH?, emin_con?, wrate_perCbM?, wmin_con?, lrate_perKg? }
+ * Body: { building_name?, erate_perKwH?, emin_con?, wrate_perCbM?, wmin_con?, lrate_perKg?, lmin_con? }
  */
 router.put('/:id', authorizeRole('admin'), async (req, res) => {
   const buildingId = req.params.id;
@@ -214,10 +352,21 @@ router.put('/:id', authorizeRole('admin'), async (req, res) => {
     const coerced = coerceRateNumbers(up);
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
-    await building.update({
-      ...coerced.data,
-      last_updated: getCurrentDateTime(),
-      updated_by: req.user.user_fullname
+    await sequelize.transaction(async (t) => {
+      await building.update({
+        ...coerced.data,
+        last_updated: getCurrentDateTime(),
+        updated_by: req.user.user_fullname
+      }, { transaction: t });
+
+      // rate changes take effect today; earlier periods keep their rates
+      await recordRateChange({
+        buildingId,
+        effectiveFrom: todayYMD(),
+        rates: coerced.data,
+        user: req.user,
+        transaction: t
+      });
     });
 
     res.json({ message: 'Building updated successfully' });
@@ -234,13 +383,14 @@ router.put('/:id', authorizeRole('admin'), async (req, res) => {
 router.get(
   '/:id/base-rates',
   authorizeRole('admin','biller'),
+  buildingFromPath,
   authorizeBuildingParam(), // for non-admin, must match their building
   async (req, res) => {
     try {
       const building = await Building.findOne({
         where: { building_id: req.params.id },
         attributes: [
-          'building_id','erate_perKwH','emin_con','wrate_perCbM','wmin_con','lrate_perKg','last_updated','updated_by'
+          'building_id','erate_perKwH','emin_con','wrate_perCbM','wmin_con','lrate_perKg','lmin_con','last_updated','updated_by'
         ]
       });
       if (!building) return res.status(404).json({ message: 'Building not found' });
@@ -261,8 +411,9 @@ router.get(
 router.put(
   '/:id/base-rates',
   authorizeRole('admin','biller'),
+  buildingFromPath,
   authorizeBuildingParam(),
-  authorizeUtilityRole({ roles: ['biller'], anyOf: ['electric','water','lpg'], requireAll: false }),
+  authorizeUtilityRole({ roles: ['biller'], anyOf: ['electric','water','lpg'], requireAll: false, meterIdFields: [] }), // :id is a building, not a meter
   async (req, res) => {
     try {
       const building = await Building.findOne({ where: { building_id: req.params.id } });
@@ -284,10 +435,21 @@ router.put(
       const coerced = coerceRateNumbers(candidate);
       if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
-      await building.update({
-        ...coerced.data,
-        last_updated: getCurrentDateTime(),
-        updated_by: req.user.user_fullname
+      await sequelize.transaction(async (t) => {
+        await building.update({
+          ...coerced.data,
+          last_updated: getCurrentDateTime(),
+          updated_by: req.user.user_fullname
+        }, { transaction: t });
+
+        // rate changes take effect today; earlier periods keep their rates
+        await recordRateChange({
+          buildingId: building.building_id,
+          effectiveFrom: todayYMD(),
+          rates: coerced.data,
+          user: req.user,
+          transaction: t
+        });
       });
 
       res.json({ message: 'Building base rates updated' });
@@ -298,6 +460,809 @@ router.put(
   }
 );
 
+/**
+ * GET /buildings/:id/rate-history
+ * Admin or biller (scoped): all effective-dated rate entries, newest first
+ * (NULL fields were not changed by that entry)
+ */
+router.get(
+  '/:id/rate-history',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+      if (!building) return res.status(404).json({ message: 'Building not found' });
+
+      const rows = await BuildingRate.findAll({
+        where: { building_id: req.params.id },
+        order: [['effective_from', 'DESC']]
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /buildings/:id/rate-history error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /buildings/:id/rate-history
+ * Admin or biller (scoped): schedule a rate change
+ * Body: { effective_from (YYYY-MM-DD), erate_perKwH?, emin_con?, wrate_perCbM?, wmin_con?, lrate_perKg?, lmin_con? }
+ * - Biller: effective_from must be in the future; only fields for their utility_role
+ * - Admin: may also backdate (corrects the rates used for past periods)
+ * - building_list keeps the rates last set via PUT; billing reads the history
+ */
+router.post(
+  '/:id/rate-history',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  authorizeUtilityRole({ roles: ['biller'], anyOf: ['electric','water','lpg'], requireAll: false, meterIdFields: [] }), // :id is a building, not a meter
+  async (req, res) => {
+    try {
+      const building = await Building.findOne({ where: { building_id: req.params.id } });
+      if (!building) return res.status(404).json({ error: 'Building not found' });
+
+      const { effective_from } = req.body || {};
+      if (!effective_from || !/^\d{4}-\d{2}-\d{2}$/.test(effective_from)) {
+        return res.status(400).json({ error: 'effective_from is required (YYYY-MM-DD)' });
+      }
+
+      const isAdmin = (req.user.user_level || '').toLowerCase() === 'admin';
+      if (!isAdmin && effective_from <= todayYMD()) {
+        return res.status(400).json({ error: 'effective_from must be a future date. Use PUT /buildings/:id/base-rates for changes effective today.' });
+      }
+
+      const normalized = normalizeRateKeys(req.body || {});
+      let candidate = {};
+      for (const f of NUM_FIELDS) if (normalized[f] !== undefined) candidate[f] = normalized[f];
+
+      if (!isAdmin) {
+        candidate = filterBuildingBaseRatesByUtility(candidate, normalizeUtilityRole(req.user.utility_role));
+      }
+      if (Object.keys(candidate).length === 0) {
+        return res.status(400).json({ error: 'No permitted base-rate fields to schedule.' });
+      }
+
+      const coerced = coerceRateNumbers(candidate);
+      if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+
+      const entry = await recordRateChange({
+        buildingId: building.building_id,
+        effectiveFrom: effective_from,
+        rates: coerced.data,
+        user: req.user
+      });
+
+      res.status(201).json({ message: 'Rate change scheduled', rate: entry });
+    } catch (err) {
+      console.error('POST /buildings/:id/rate-history error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * DELETE /buildings/:id/rate-history/:rate_id
+ * Admin or biller (scoped): cancel a scheduled (not yet effective) rate change
+ */
+router.delete(
+  '/:id/rate-history/:rate_id',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const entry = await BuildingRate.findOne({
+        where: { rate_id: req.params.rate_id, building_id: req.params.id }
+      });
+      if (!entry) return res.status(404).json({ error: 'Rate entry not found' });
+
+      if (entry.effective_from <= todayYMD()) {
+        return res.status(400).json({ error: 'Only rate changes that are not yet effective can be cancelled' });
+      }
+
+      await entry.destroy();
+      res.json({ message: `Rate entry ${req.params.rate_id} cancelled` });
+    } catch (err) {
+      console.error('DELETE /buildings/:id/rate-history/:rate_id error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Effective date of a block tariff change (body/query effective_from, default today).
+ * Billers may not backdate (past periods keep their tables); admins may correct them.
+ * Returns {ok, date|error}.
+ */
+function blockEffectiveFrom(req) {
+  const raw = req.body?.effective_from ?? req.query?.effective_from;
+  if (raw === undefined || raw === null || raw === '') return { ok: true, date: todayYMD() };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(raw))) {
+    return { ok: false, error: 'effective_from must be YYYY-MM-DD' };
+  }
+  const isAdmin = (req.user.user_level || '').toLowerCase() === 'admin';
+  if (!isAdmin && raw < todayYMD()) {
+    return { ok: false, error: 'effective_from must not be in the past' };
+  }
+  return { ok: true, date: raw };
+}
+
+/**
+ * GET /buildings/:id/rate-blocks
+ * Admin or biller (scoped): block tariffs in force, grouped by utility
+ * (an empty list means the flat base rate applies), plus all effective-dated tables
+ * Optional query: as_of (YYYY-MM-DD, default today)
+ */
+router.get(
+  '/:id/rate-blocks',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const asOf = req.query?.as_of || todayYMD();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(asOf))) {
+        return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
+      }
+
+      const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+      if (!building) return res.status(404).json({ message: 'Building not found' });
+
+      const { blocks, effective } = await getRateBlocksInForce(req.params.id, asOf);
+      res.json({
+        building_id: req.params.id,
+        as_of: asOf,
+        blocks,
+        effective_from: effective,
+        history: await getRateBlockHistory(req.params.id),
+      });
+    } catch (err) {
+      console.error('GET /buildings/:id/rate-blocks error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /buildings/:id/rate-blocks/:utility
+ * Admin or biller (scoped): set the block tariff for one utility from a date
+ * Body: { [effective_from] (YYYY-MM-DD, default today), blocks: [{ from?, to, rate }, ..., { from?, to: null, rate }] }
+ * - periods ending before effective_from keep billing with the earlier table
+ * - a table already set on that date is replaced
+ * - Biller may only edit utilities in their utility_role, and may not backdate
+ */
+router.put(
+  '/:id/rate-blocks/:utility',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const utility = String(req.params.utility || '').toLowerCase();
+      if (!BLOCK_UTILITIES.includes(utility)) {
+        return res.status(400).json({ error: 'utility must be one of: electric, water, lpg' });
+      }
+
+      const isAdmin = (req.user.user_level || '').toLowerCase() === 'admin';
+      if (!isAdmin && !normalizeUtilityRole(req.user.utility_role).includes(utility)) {
+        return res.status(403).json({ error: `Forbidden: missing ${utility} access` });
+      }
+
+      const from = blockEffectiveFrom(req);
+      if (!from.ok) return res.status(400).json({ error: from.error });
+
+      const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+      if (!building) return res.status(404).json({ error: 'Building not found' });
+
+      const validated = validateRateBlocks(req.body?.blocks);
+      if (!validated.ok) return res.status(400).json({ error: validated.error });
+
+      await replaceRateBlocks({
+        buildingId: req.params.id, utility, effectiveFrom: from.date, blocks: validated.data, user: req.user
+      });
+
+      const { blocks } = await getRateBlocksInForce(req.params.id, from.date);
+      res.json({ message: `${utility} rate blocks set effective ${from.date}`, effective_from: from.date, blocks: blocks[utility] });
+    } catch (err) {
+      console.error('PUT /buildings/:id/rate-blocks/:utility error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * DELETE /buildings/:id/rate-blocks/:utility
+ * Admin or biller (scoped): go back to the flat base rate from a date
+ * Optional body/query: effective_from (YYYY-MM-DD, default today; same rules as PUT)
+ */
+router.delete(
+  '/:id/rate-blocks/:utility',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const utility = String(req.params.utility || '').toLowerCase();
+      if (!BLOCK_UTILITIES.includes(utility)) {
+        return res.status(400).json({ error: 'utility must be one of: electric, water, lpg' });
+      }
+
+      const isAdmin = (req.user.user_level || '').toLowerCase() === 'admin';
+      if (!isAdmin && !normalizeUtilityRole(req.user.utility_role).includes(utility)) {
+        return res.status(403).json({ error: `Forbidden: missing ${utility} access` });
+      }
+
+      const from = blockEffectiveFrom(req);
+      if (!from.ok) return res.status(400).json({ error: from.error });
+
+      await replaceRateBlocks({ buildingId: req.params.id, utility, effectiveFrom: from.date, blocks: [], user: req.user });
+      res.json({ message: `${utility} rate blocks removed; flat base rate applies from ${from.date}` });
+    } catch (err) {
+      console.error('DELETE /buildings/:id/rate-blocks/:utility error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /buildings/:id/billing-cycle
+ * Admin or biller (scoped): cut-off day (latest + history) + explicit period calendar
+ * Optional query: ?end_date=YYYY-MM-DD  -> also returns the resolved current/previous windows
+ */
+router.get(
+  '/:id/billing-cycle',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const building = await Building.findOne({
+        where: { building_id: req.params.id },
+        attributes: ['building_id', 'billing_cutoff_day']
+      });
+      if (!building) return res.status(404).json({ message: 'Building not found' });
+
+      const periods = await BillingCyclePeriod.findAll({
+        where: { building_id: req.params.id },
+        order: [['period_start', 'ASC']]
+      });
+
+      const out = {
+        building_id: building.building_id,
+        billing_cutoff_day: building.billing_cutoff_day,
+        cutoff_history: await getCutoffHistory(req.params.id),
+        periods,
+      };
+
+      const { end_date } = req.query || {};
+      if (end_date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(end_date)) {
+          return res.status(400).json({ error: 'Invalid end_date. Use YYYY-MM-DD.' });
+        }
+        out.windows = await resolvePeriodWindows(req.params.id, end_date);
+      }
+
+      res.json(out);
+    } catch (err) {
+      console.error('GET /buildings/:id/billing-cycle error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /buildings/:id/billing-cycle
+ * Admin-only: set the cut-off day for periods from effective_from on
+ * Body: { billing_cutoff_day: 1..31 | null, [effective_from] }   (null = calendar month)
+ * e.g. 20 -> bill the 21st of one month to the 20th of the next
+ * - effective_from (YYYY-MM-DD) must start a billing period under the current cycle;
+ *   default: the start of the period after the current one
+ * - 409 when a closed period or a non-void statement ends on or after effective_from
+ *   (earlier periods keep their windows)
+ */
+router.put('/:id/billing-cycle', authorizeRole('admin'), async (req, res) => {
+  try {
+    const building = await Building.findOne({ where: { building_id: req.params.id } });
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+
+    const raw = req.body?.billing_cutoff_day;
+    if (raw === undefined) return res.status(400).json({ error: 'billing_cutoff_day is required (1..31 or null)' });
+
+    let cutoff = null;
+    if (raw !== null && raw !== '') {
+      cutoff = Number(raw);
+      if (!Number.isInteger(cutoff) || cutoff < 1 || cutoff > 31) {
+        return res.status(400).json({ error: 'billing_cutoff_day must be an integer from 1 to 31, or null' });
+      }
+    }
+
+    let effectiveFrom = req.body?.effective_from;
+    if (effectiveFrom === undefined || effectiveFrom === null || effectiveFrom === '') {
+      const { current } = await resolvePeriodWindows(req.params.id, todayYMD(), 1);
+      effectiveFrom = addDays(current.end, 1);
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(String(effectiveFrom))) {
+      return res.status(400).json({ error: 'Invalid effective_from. Use YYYY-MM-DD.' });
+    }
+
+    await sequelize.transaction(async (t) => {
+      await setCutoffDay({ buildingId: req.params.id, effectiveFrom, cutoffDay: cutoff, user: req.user, t });
+    });
+
+    res.json({ message: 'Billing cycle updated', billing_cutoff_day: cutoff, effective_from: effectiveFrom });
+  } catch (err) {
+    console.error('PUT /buildings/:id/billing-cycle error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /buildings/:id/billing-cycle/periods
+ * Admin-only: add an explicit billing period (from the first period on, the calendar
+ * overrides the cut-off day)
+ * Body: { period_start, period_end }  (YYYY-MM-DD, inclusive; must not overlap)
+ * - 409 when a closed period or a non-void statement ends on or after period_start
+ */
+router.post('/:id/billing-cycle/periods', authorizeRole('admin'), async (req, res) => {
+  try {
+    const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+
+    const { period_start, period_end } = req.body || {};
+    const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || ''));
+    if (!isYMD(period_start) || !isYMD(period_end)) {
+      return res.status(400).json({ error: 'period_start and period_end are required (YYYY-MM-DD)' });
+    }
+    if (period_end < period_start) {
+      return res.status(400).json({ error: 'period_end must be on or after period_start' });
+    }
+
+    const overlap = await BillingCyclePeriod.findOne({
+      where: {
+        building_id: req.params.id,
+        period_start: { [Op.lte]: period_end },
+        period_end: { [Op.gte]: period_start },
+      },
+      attributes: ['cycle_period_id', 'period_start', 'period_end'],
+      raw: true
+    });
+    if (overlap) {
+      return res.status(409).json({
+        error: `Overlaps billing period ${overlap.cycle_period_id} (${overlap.period_start}..${overlap.period_end})`
+      });
+    }
+    await assertCycleChangeAllowed(req.params.id, period_start);
+
+    // Generate next BCP-<n> (cross-dialect; scan + increment)
+    const rows = await BillingCyclePeriod.findAll({
+      where: { cycle_period_id: { [Op.like]: 'BCP-%' } },
+      attributes: ['cycle_period_id'],
+      raw: true
+    });
+    const maxNum = rows.reduce((max, r) => {
+      const m = String(r.cycle_period_id).match(/^BCP-(\d+)$/);
+      return m ? Math.max(max, Number(m[1])) : max;
+    }, 0);
+
+    const created = await BillingCyclePeriod.create({
+      cycle_period_id: `BCP-${maxNum + 1}`,
+      building_id: req.params.id,
+      period_start,
+      period_end,
+      last_updated: getCurrentDateTime(),
+      updated_by: req.user.user_fullname
+    });
+
+    res.status(201).json({ message: 'Billing period added', period: created });
+  } catch (err) {
+    console.error('POST /buildings/:id/billing-cycle/periods error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /buildings/:id/billing-cycle/periods/:period_id
+ * Admin-only: remove an explicit billing period
+ * - 409 when a closed period or a non-void statement ends on or after its period_start
+ */
+router.delete('/:id/billing-cycle/periods/:period_id', authorizeRole('admin'), async (req, res) => {
+  try {
+    const period = await BillingCyclePeriod.findOne({
+      where: { cycle_period_id: req.params.period_id, building_id: req.params.id }
+    });
+    if (!period) return res.status(404).json({ error: 'Billing period not found' });
+
+    await assertCycleChangeAllowed(req.params.id, period.period_start);
+    await period.destroy();
+    res.json({ message: `Billing period ${req.params.period_id} deleted` });
+  } catch (err) {
+    console.error('DELETE /buildings/:id/billing-cycle/periods/:period_id error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /buildings/:id/period-closures
+ * Admin or biller (scoped): closed (and reopened) billing periods, newest first
+ */
+router.get(
+  '/:id/period-closures',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const rows = await BillingPeriodClosure.findAll({
+        where: { building_id: req.params.id },
+        order: [['period_start', 'DESC'], ['closed_at', 'DESC']]
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /buildings/:id/period-closures error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /buildings/:id/period-closures
+ * Admin-only: close the billing period containing end_date (building cycle)
+ * Body: { end_date }  (YYYY-MM-DD)
+ * Readings dated in a closed period cannot be created, edited or deleted.
+ */
+router.post('/:id/period-closures', authorizeRole('admin'), async (req, res) => {
+  try {
+    const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+
+    const { end_date } = req.body || {};
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(end_date || ''))) {
+      return res.status(400).json({ error: 'end_date is required (YYYY-MM-DD)' });
+    }
+
+    const closure = await closePeriod({ buildingId: req.params.id, endDate: end_date, user: req.user });
+    res.status(201).json({ message: `Billing period ${closure.period_start} to ${closure.period_end} closed`, closure });
+  } catch (err) {
+    console.error('POST /buildings/:id/period-closures error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /buildings/:id/period-closures/:closure_id/reopen
+ * Admin-only: reopen a closed billing period so its readings can be corrected
+ * Body: { reason }  (required; kept on the closure record)
+ */
+router.put('/:id/period-closures/:closure_id/reopen', authorizeRole('admin'), async (req, res) => {
+  const reason = String(req.body?.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  if (reason.length > 255) return res.status(400).json({ error: 'reason must be at most 255 characters' });
+
+  try {
+    const closure = await reopenPeriod({
+      buildingId: req.params.id, closureId: req.params.closure_id, reason, user: req.user
+    });
+    res.json({ message: `Billing period ${closure.period_start} to ${closure.period_end} reopened`, closure });
+  } catch (err) {
+    console.error('PUT /buildings/:id/period-closures/:closure_id/reopen error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /buildings/:id/invoice-series
+ * Admin or biller (scoped): official invoice / OR numbering series of the building
+ */
+router.get(
+  '/:id/invoice-series',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const rows = await InvoiceSeries.findAll({
+        where: { building_id: req.params.id },
+        order: [['document_type', 'ASC'], ['range_start', 'ASC']]
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /buildings/:id/invoice-series error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /buildings/:id/invoice-series
+ * Admin-only: add a numbering series
+ * Body: {
+ *   document_type (invoice|official_receipt), [prefix], range_start, range_end,
+ *   atp_number, atp_date (YYYY-MM-DD), [atp_valid_until], [series_status] (active|inactive)
+ * }
+ * Only one series per document type may be active. Once a building has a series,
+ * statements (invoice) / payments (official_receipt) cannot be issued without a number.
+ */
+router.post('/:id/invoice-series', authorizeRole('admin'), async (req, res) => {
+  try {
+    const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+
+    const coerced = coerceSeries(req.body || {});
+    if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+
+    const series = await createSeries({ buildingId: req.params.id, data: coerced.data, user: req.user });
+    res.status(201).json({ message: 'Invoice series added', series });
+  } catch (err) {
+    console.error('POST /buildings/:id/invoice-series error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /buildings/:id/invoice-series/:series_id
+ * Admin-only: update ATP details, status or range_end (prefix/range_start only
+ * while no number has been assigned)
+ */
+router.put('/:id/invoice-series/:series_id', authorizeRole('admin'), async (req, res) => {
+  try {
+    const coerced = coerceSeries(req.body || {}, true);
+    if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    if (!Object.keys(coerced.data).length) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const series = await updateSeries({
+      buildingId: req.params.id, seriesId: req.params.series_id, data: coerced.data, user: req.user
+    });
+    res.json({ message: 'Invoice series updated', series });
+  } catch (err) {
+    console.error('PUT /buildings/:id/invoice-series/:series_id error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /buildings/:id/invoice-numbers
+ * Admin or biller (scoped): numbers handed out (issued and void), in serial order
+ * Optional query: series_id, document_type (invoice|official_receipt), status (issued|void)
+ */
+router.get(
+  '/:id/invoice-numbers',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { series_id, document_type, status } = req.query || {};
+      const where = { building_id: req.params.id };
+
+      if (series_id) where.series_id = series_id;
+      if (document_type) {
+        if (!DOCUMENT_TYPES.includes(String(document_type).toLowerCase())) {
+          return res.status(400).json({ error: 'document_type must be one of: invoice, official_receipt' });
+        }
+        where.document_type = String(document_type).toLowerCase();
+      }
+      if (status) {
+        if (!['issued', 'void'].includes(String(status).toLowerCase())) {
+          return res.status(400).json({ error: 'status must be one of: issued, void' });
+        }
+        where.number_status = String(status).toLowerCase();
+      }
+
+      const rows = await InvoiceNumber.findAll({
+        where,
+        order: [['series_id', 'ASC'], ['serial_no', 'ASC']]
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /buildings/:id/invoice-numbers error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /buildings/:id/penalty-policy
+ * Admin or biller (scoped): penalty rate, grace days and due-day offset
+ */
+router.get(
+  '/:id/penalty-policy',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const policy = await getPenaltyPolicy(req.params.id);
+      if (!policy) return res.status(404).json({ message: 'Building not found' });
+      res.json(policy);
+    } catch (err) {
+      console.error('GET /buildings/:id/penalty-policy error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /buildings/:id/penalty-policy
+ * Admin-only: set any of
+ *   penalty_rate        PERCENT of the unpaid balance (2 = 2%), >= 0
+ *   penalty_grace_days  days after the due date before assessing, integer >= 0
+ *   due_day_offset      due date = period_end + offset days, integer >= 0
+ * Applies to statements issued (due dates) and assessed (rate/grace) from now on.
+ */
+router.put('/:id/penalty-policy', authorizeRole('admin'), async (req, res) => {
+  try {
+    const building = await Building.findOne({ where: { building_id: req.params.id } });
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+
+    const { penalty_rate, penalty_grace_days, due_day_offset } = req.body || {};
+    const updates = {};
+
+    if (penalty_rate !== undefined) {
+      const n = Number(penalty_rate);
+      if (penalty_rate === '' || penalty_rate === null || !Number.isFinite(n) || n < 0) {
+        return res.status(400).json({ error: 'penalty_rate must be a non-negative number' });
+      }
+      updates.penalty_rate = Math.round(n * 10000) / 10000;
+    }
+    for (const [field, val] of [['penalty_grace_days', penalty_grace_days], ['due_day_offset', due_day_offset]]) {
+      if (val === undefined) continue;
+      const n = Number(val);
+      if (val === '' || val === null || !Number.isInteger(n) || n < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer` });
+      }
+      updates[field] = n;
+    }
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'Provide penalty_rate, penalty_grace_days and/or due_day_offset' });
+    }
+
+    await building.update({
+      ...updates,
+      last_updated: getCurrentDateTime(),
+      updated_by: req.user.user_fullname
+    });
+
+    res.json({ message: 'Penalty policy updated', policy: await getPenaltyPolicy(req.params.id) });
+  } catch (err) {
+    console.error('PUT /buildings/:id/penalty-policy error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /buildings/:id/charge-types
+ * Admin or biller (scoped): recurring charge types of the building, every validity range
+ */
+router.get(
+  '/:id/charge-types',
+  authorizeRole('admin','biller'),
+  buildingFromPath,
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+      if (!building) return res.status(404).json({ message: 'Building not found' });
+
+      const rows = await ChargeType.findAll({
+        where: { building_id: req.params.id },
+        order: [['charge_name', 'ASC'], ['valid_from', 'ASC']]
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /buildings/:id/charge-types error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /buildings/:id/charge-types
+ * Admin-only: add a recurring charge billed every period on each stall leased to a tenant
+ * Body: { charge_name, charge_basis (flat|per_sqm), charge_rate, [is_taxable=true],
+ *         [valid_from=today], [valid_to=null] }
+ * - flat: charge_rate per stall; per_sqm: charge_rate × stall floor_area
+ * - taxable charges use the tenant's o_vat / o_wt rates
+ * - billed for periods ending from valid_from through valid_to; to change a rate from a
+ *   date, set valid_to on the current row and add the same charge_name from the next day
+ */
+router.post('/:id/charge-types', authorizeRole('admin'), async (req, res) => {
+  try {
+    const building = await Building.findOne({ where: { building_id: req.params.id }, attributes: ['building_id'] });
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+
+    const coerced = coerceChargeType(req.body || {});
+    if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    const checked = await checkChargeTypeValidity({ ...coerced.data, building_id: req.params.id });
+    if (!checked.ok) return res.status(checked.status).json({ error: checked.error });
+
+    // Generate next CHG-<n> (cross-dialect; scan + increment)
+    const rows = await ChargeType.findAll({
+      where: { charge_type_id: { [Op.like]: 'CHG-%' } },
+      attributes: ['charge_type_id'],
+      raw: true
+    });
+    const maxNum = rows.reduce((max, r) => {
+      const m = String(r.charge_type_id).match(/^CHG-(\d+)$/);
+      return m ? Math.max(max, Number(m[1])) : max;
+    }, 0);
+
+    const created = await ChargeType.create({
+      charge_type_id: `CHG-${maxNum + 1}`,
+      building_id: req.params.id,
+      ...coerced.data,
+      last_updated: getCurrentDateTime(),
+      updated_by: req.user.user_fullname
+    });
+
+    res.status(201).json({ message: 'Charge type added', charge_type: created });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'charge_name already exists in this building from that valid_from' });
+    }
+    console.error('POST /buildings/:id/charge-types error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /buildings/:id/charge-types/:charge_type_id
+ * Admin-only: update any of charge_name, charge_basis, charge_rate, is_taxable,
+ * charge_status (inactive charges are no longer billed), valid_from, valid_to
+ */
+router.put('/:id/charge-types/:charge_type_id', authorizeRole('admin'), async (req, res) => {
+  try {
+    const row = await ChargeType.findOne({
+      where: { charge_type_id: req.params.charge_type_id, building_id: req.params.id }
+    });
+    if (!row) return res.status(404).json({ error: 'Charge type not found' });
+
+    const coerced = coerceChargeType(req.body || {}, true);
+    if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    if (!Object.keys(coerced.data).length) {
+      return res.status(400).json({ error: 'No charge type fields to update' });
+    }
+    const checked = await checkChargeTypeValidity({ ...row.get({ plain: true }), ...coerced.data }, row.charge_type_id);
+    if (!checked.ok) return res.status(checked.status).json({ error: checked.error });
+
+    await row.update({
+      ...coerced.data,
+      last_updated: getCurrentDateTime(),
+      updated_by: req.user.user_fullname
+    });
+
+    res.json({ message: 'Charge type updated', charge_type: row });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'charge_name already exists in this building from that valid_from' });
+    }
+    console.error('PUT /buildings/:id/charge-types/:charge_type_id error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /buildings/:id/charge-types/:charge_type_id
+ * Admin-only: remove a charge type (issued statements keep their charge lines)
+ */
+router.delete('/:id/charge-types/:charge_type_id', authorizeRole('admin'), async (req, res) => {
+  try {
+    const deleted = await ChargeType.destroy({
+      where: { charge_type_id: req.params.charge_type_id, building_id: req.params.id }
+    });
+    if (deleted === 0) return res.status(404).json({ error: 'Charge type not found' });
+    res.json({ message: `Charge type ${req.params.charge_type_id} deleted` });
+  } catch (err) {
+    console.error('DELETE /buildings/:id/charge-types/:charge_type_id error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * DELETE /buildings/:id
  * Admin-only: delete building if not referenced
@@ -332,8 +1297,17 @@ router.delete('/:id', authorizeRole('admin'), async (req, res) => {
       });
     }
 
-    // Safe to delete
-    const deleted = await Building.destroy({ where: { building_id: buildingId } });
+    // Safe to delete (rate history, blocks, period calendar/closures, charge types and
+    // unused invoice series go with the building)
+    const deleted = await sequelize.transaction(async (t) => {
+      await BuildingRate.destroy({ where: { building_id: buildingId }, transaction: t });
+      await RateBlock.destroy({ where: { building_id: buildingId }, transaction: t });
+      await BillingCyclePeriod.destroy({ where: { building_id: buildingId }, transaction: t });
+      await BillingPeriodClosure.destroy({ where: { building_id: buildingId }, transaction: t });
+      await ChargeType.destroy({ where: { building_id: buildingId }, transaction: t });
+      await InvoiceSeries.destroy({ where: { building_id: buildingId }, transaction: t });
+      return Building.destroy({ where: { building_id: buildingId }, transaction: t });
+    });
     if (deleted === 0) {
       return res.status(404).json({ error: 'Building not found' });
     }
@@ -0,0 +1,201 @@
+// routes/memos.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole     = require('../middleware/authorizeRole');
+const {
+  attachBuildingScope,
+  enforceRecordBuilding
+} = require('../middleware/authorizeBuilding');
+
+const { Op } = require('sequelize');
+
+const BillingMemo = require('../models/BillingMemo');
+const Tenant      = require('../models/Tenant');
+
+const {
+  MEMO_TYPES,
+  REASON_CODES,
+  coerceMemo,
+  createMemo,
+  decideMemo,
+} = require('../utils/memos');
+
+// All routes require a valid token
+router.use(authenticateToken);
+
+const STATUSES = ['pending', 'approved', 'rejected', 'billed'];
+
+const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+
+// building of a memo (for enforceRecordBuilding)
+async function getMemoBuildingId(req) {
+  const memo = await BillingMemo.findOne({
+    where: { memo_id: req.params.id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return memo?.building_id || null;
+}
+
+// building of the tenant in body.tenant_id (for enforceRecordBuilding)
+async function getTenantBuildingId(req) {
+  const tenantId = req.body?.tenant_id;
+  if (!tenantId) return null;
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return tenant?.building_id || null;
+}
+
+/**
+ * GET /memos
+ * - admin: all memos
+ * - operator/biller: memos in their building only
+ * Optional query:
+ *   tenant_id, status (pending|approved|rejected|billed), memo_type (credit|debit),
+ *   reason_code, from, to (memo_date, YYYY-MM-DD), building_id (admin only)
+ */
+router.get('/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, status, memo_type, reason_code, from, to, building_id } = req.query || {};
+      const where = { ...req.buildingWhere() };
+
+      if (tenant_id) where.tenant_id = tenant_id;
+      if (status) {
+        if (!STATUSES.includes(String(status).toLowerCase())) {
+          return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+        where.memo_status = String(status).toLowerCase();
+      }
+      if (memo_type) {
+        if (!MEMO_TYPES.includes(String(memo_type).toLowerCase())) {
+          return res.status(400).json({ error: 'memo_type must be one of: credit, debit' });
+        }
+        where.memo_type = String(memo_type).toLowerCase();
+      }
+      if (reason_code) {
+        if (!REASON_CODES.includes(String(reason_code).toLowerCase())) {
+          return res.status(400).json({ error: `reason_code must be one of: ${REASON_CODES.join(', ')}` });
+        }
+        where.reason_code = String(reason_code).toLowerCase();
+      }
+      if ((from && !isYMD(from)) || (to && !isYMD(to))) {
+        return res.status(400).json({ error: 'Invalid from/to format. Use YYYY-MM-DD.' });
+      }
+      if (from && to)  where.memo_date = { [Op.between]: [from, to] };
+      else if (from)   where.memo_date = { [Op.gte]: from };
+      else if (to)     where.memo_date = { [Op.lte]: to };
+      if (building_id && !req.restrictToBuildingId) where.building_id = building_id;
+
+      const rows = await BillingMemo.findAll({
+        where,
+        order: [['memo_date', 'DESC'], ['memo_id', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Error in GET /memos:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /memos/:id
+ */
+router.get('/:id',
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(getMemoBuildingId),
+  async (req, res) => {
+    try {
+      const memo = await BillingMemo.findOne({ where: { memo_id: req.params.id } });
+      if (!memo) return res.status(404).json({ error: 'Memo not found' });
+      res.json(memo);
+    } catch (err) {
+      console.error('Error in GET /memos/:id:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /memos
+ * - admin, biller (biller only for tenants in their building)
+ * Body: {
+ *   tenant_id, memo_type (credit|debit),
+ *   reason_code (penalty_waiver|goodwill|back_billing|correction|other),
+ *   description, amount (> 0), [memo_date] (YYYY-MM-DD, default today),
+ *   [apply_vat] (VAT per the tenant's vat_code), [related_statement_id]
+ * }
+ * The memo is pending until an admin approves it; approved memos are carried
+ * on the tenant's next statement.
+ */
+router.post('/',
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    const coerced = coerceMemo(req.body || {});
+    if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+
+    try {
+      const memo = await createMemo({ data: coerced.data, user: req.user });
+      res.status(201).json({ message: 'Memo recorded successfully', memo });
+    } catch (err) {
+      console.error('Error in POST /memos:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /memos/:id/approve
+ * - admin only
+ * Body: { [note] }
+ */
+router.put('/:id/approve',
+  authorizeRole('admin'),
+  async (req, res) => {
+    const note = String(req.body?.note || '').trim();
+    if (note.length > 255) return res.status(400).json({ error: 'note must be at most 255 characters' });
+
+    try {
+      const memo = await decideMemo({ memoId: req.params.id, approve: true, note, user: req.user });
+      res.json({ message: `Memo ${memo.memo_id} approved`, memo });
+    } catch (err) {
+      console.error('Error in PUT /memos/:id/approve:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /memos/:id/reject
+ * - admin only
+ * Body: { reason }
+ */
+router.put('/:id/reject',
+  authorizeRole('admin'),
+  async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+    if (reason.length > 255) return res.status(400).json({ error: 'reason must be at most 255 characters' });
+
+    try {
+      const memo = await decideMemo({ memoId: req.params.id, approve: false, note: reason, user: req.user });
+      res.json({ message: `Memo ${memo.memo_id} rejected`, memo });
+    } catch (err) {
+      console.error('Error in PUT /memos/:id/reject:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -13,15 +13,115 @@ const {
 
 const { Op } = require('sequelize');
 
-const Meter   = require('../models/Meter');
-const Stall   = require('../models/Stall');
-const Reading = require('../models/Reading');
+const sequelize        = require('../models');
+const Meter            = require('../models/Meter');
+const Stall            = require('../models/Stall');
+const Reading          = require('../models/Reading');
+const MeterReplacement = require('../models/MeterReplacement');
+const MeterStallShare  = require('../models/MeterStallShare');
+const BillingPeriodClosure = require('../models/BillingPeriodClosure');
+
+const { dec, sum } = require('../utils/money');
+const { assertPeriodOpen } = require('../utils/periodClosing');
+const { todayYMD } = require('../utils/buildingRates');
+const { getSharesInForce, getShareHistory, replaceShares, copyShareHistory } = require('../utils/meterShares');
 
 // All routes require a valid token
 router.use(authenticateToken);
 
 const ALLOWED_TYPES   = new Set(['electric', 'water', 'lpg']);
 const ALLOWED_STATUS  = new Set(['active', 'inactive']);
+const ALLOWED_BASES   = new Set(['area', 'consumption', 'equal']);
+
+/** Register digit count (for rollover detection): integer 1..12, or null to disable */
+function coerceMeterDigits(val) {
+  if (val === null || val === '') return { ok: true, value: null };
+  const n = Number(val);
+  if (!Number.isInteger(n) || n < 1 || n > 12) {
+    return { ok: false, error: 'meter_digits must be an integer from 1 to 12, or null' };
+  }
+  return { ok: true, value: n };
+}
+
+/** Common-area allocation basis of a master meter: area | consumption | equal, or null */
+function coerceAllocationBasis(val) {
+  if (val === null || val === '') return { ok: true, value: null };
+  const basis = String(val).toLowerCase();
+  if (!ALLOWED_BASES.has(basis)) {
+    return { ok: false, error: 'allocation_basis must be one of: area, consumption, equal, or null' };
+  }
+  return { ok: true, value: basis };
+}
+
+/**
+ * Validate a sub-meter → master meter link (one level): the master exists, is of
+ * the same type and building and is not a sub-meter itself; a meter that already
+ * has sub-meters cannot become one. Returns {ok} or {ok:false, error}.
+ */
+async function checkParentMeter({ meterId, parentId, meterType, buildingId }) {
+  if (meterId && parentId === meterId) return { ok: false, error: 'A meter cannot be its own master meter' };
+
+  const parent = await Meter.findOne({
+    where: { meter_id: parentId },
+    attributes: ['meter_id', 'meter_type', 'stall_id', 'parent_meter_id'],
+    raw: true
+  });
+  if (!parent) return { ok: false, error: 'Invalid parent_meter_id: Meter does not exist.' };
+  if (parent.meter_type !== meterType) return { ok: false, error: 'The master meter must be of the same type' };
+  if (parent.parent_meter_id) return { ok: false, error: `Meter ${parentId} is itself a sub-meter of ${parent.parent_meter_id}` };
+  if ((await getSharesInForce([parentId])).has(parentId)) {
+    return { ok: false, error: `Meter ${parentId} is shared across stalls and cannot be a master meter` };
+  }
+
+  const stall = await Stall.findOne({ where: { stall_id: parent.stall_id }, attributes: ['building_id'], raw: true });
+  if (!stall || stall.building_id !== buildingId) {
+    return { ok: false, error: 'The master meter must be in the same building' };
+  }
+
+  if (meterId && await Meter.count({ where: { parent_meter_id: meterId } })) {
+    return { ok: false, error: 'A meter with sub-meters cannot be a sub-meter' };
+  }
+  return { ok: true };
+}
+
+// building of the meter in :id (for enforceRecordBuilding)
+async function getMeterBuildingId(req) {
+  const meter = await Meter.findOne({
+    where: { meter_id: req.params.id },
+    attributes: ['stall_id'],
+    raw: true
+  });
+  if (!meter) return null;
+
+  const stall = await Stall.findOne({
+    where: { stall_id: meter.stall_id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return stall?.building_id || null;
+}
+
+// Next <prefix><n> number for a string id column (cross-dialect; scan + increment)
+async function nextIdNumber(Model, field, prefix, t) {
+  const rows = await Model.findAll({
+    where: { [field]: { [Op.like]: `${prefix}%` } },
+    attributes: [field],
+    transaction: t,
+    raw: true
+  });
+  const re = new RegExp(`^${prefix}(\\d+)$`);
+  return rows.reduce((max, r) => {
+    const m = String(r[field]).match(re);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0) + 1;
+}
+
+function coerceIndex(val, name) {
+  if (val === '' || val == null) return { ok: false, error: `${name} is required and must be a number` };
+  const num = Number(val);
+  if (!Number.isFinite(num) || num < 0) return { ok: false, error: `${name} must be a non-negative number` };
+  return { ok: true, value: Math.round(num * 100) / 100 };
+}
 
 /**
  * GET /meters
@@ -62,21 +162,7 @@ router.get('/',
  */
 router.get('/:id',
   authorizeRole('admin', 'operator'),
-  enforceRecordBuilding(async (req) => {
-    const meter = await Meter.findOne({
-      where: { meter_id: req.params.id },
-      attributes: ['stall_id'],
-      raw: true
-    });
-    if (!meter) return null;
-
-    const stall = await Stall.findOne({
-      where: { stall_id: meter.stall_id },
-      attributes: ['building_id'],
-      raw: true
-    });
-    return stall?.building_id || null;
-  }),
+  enforceRecordBuilding(getMeterBuildingId),
   async (req, res) => {
     try {
       const meter = await Meter.findOne({ where: { meter_id: req.params.id } });
@@ -94,12 +180,16 @@ router.get('/:id',
  * - admin: any building
  * - operator: only inside their building (checks stall.building_id)
  * - defaults meter_mult: water -> 93.00, others -> 1 (if not provided)
+ * - optional meter_digits: register digit count used to detect rollovers (99999 -> 00012)
+ * - optional parent_meter_id: master meter (same type and building) this is a sub-meter of
+ * - optional allocation_basis (master meters): area | consumption | equal
  */
 router.post('/',
   authorizeRole('admin', 'operator'),
   authorizeBuildingParam(), // if body.building_id is sent, ensures it matches operator’s building (admin bypass)
   async (req, res) => {
-    let { meter_type, meter_sn, meter_mult, stall_id, meter_status } = req.body || {};
+    let { meter_type, meter_sn, meter_mult, stall_id, meter_status, meter_digits,
+          parent_meter_id, allocation_basis } = req.body || {};
 
     if (!meter_type || !meter_sn || !stall_id || !meter_status) {
       return res.status(400).json({ error: 'meter_type, meter_sn, stall_id, and meter_status are required' });
@@ -127,6 +217,13 @@ router.post('/',
         return res.status(403).json({ error: 'No access: Stall not under your assigned building.' });
       }
 
+      if (parent_meter_id) {
+        const link = await checkParentMeter({ parentId: parent_meter_id, meterType: meter_type, buildingId: stall.building_id });
+        if (!link.ok) return res.status(400).json({ error: link.error });
+      }
+      const basis = coerceAllocationBasis(allocation_basis ?? null);
+      if (!basis.ok) return res.status(400).json({ error: basis.error });
+
       // Generate new meter_id (MTR-<n>) — cross-dialect scan + increment
       const rows = await Meter.findAll({
         where: { meter_id: { [Op.like]: 'MTR-%' } },
@@ -150,13 +247,23 @@ router.post('/',
         meter_mult = Math.round(asNum * 100) / 100;
       }
 
+      let digits = null;
+      if (meter_digits !== undefined) {
+        const coerced = coerceMeterDigits(meter_digits);
+        if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+        digits = coerced.value;
+      }
+
       await Meter.create({
         meter_id: newMeterId,
         meter_type,
         meter_sn,
         meter_mult,
+        meter_digits: digits,
         stall_id,
         meter_status,
+        parent_meter_id: parent_meter_id || null,
+        allocation_basis: basis.value,
         last_updated: getCurrentDateTime(),
         updated_by: req.user.user_fullname
       });
@@ -174,12 +281,15 @@ router.post('/',
  * - admin: unrestricted
  * - operator: only if meter is under their building; if moving to a new stall, that stall must also be under their building
  * - if meter_type changes and meter_mult not provided, assign default (water->93 else 1)
+ * - parent_meter_id (null to detach) / allocation_basis as in POST; the link is re-checked
+ *   when the meter's type, stall or master changes
  */
 router.put('/:id',
   authorizeRole('admin', 'operator'),
   async (req, res) => {
     const meterId = req.params.id;
-    let { meter_type, meter_sn, stall_id, meter_status, meter_mult } = req.body || {};
+    let { meter_type, meter_sn, stall_id, meter_status, meter_mult, meter_digits,
+          parent_meter_id, allocation_basis } = req.body || {};
 
     try {
       const meter = await Meter.findOne({ where: { meter_id: meterId } });
@@ -206,6 +316,15 @@ router.put('/:id',
         if (!isAdmin && target.building_id !== req.user.building_id) {
           return res.status(403).json({ error: 'No access: Target stall not under your building.' });
         }
+
+        // a shared meter stays in its share stalls' building
+        const share = await MeterStallShare.findOne({ where: { meter_id: meterId }, attributes: ['stall_id'], raw: true });
+        if (share) {
+          const shareStall = await Stall.findOne({ where: { stall_id: share.stall_id }, attributes: ['building_id'], raw: true });
+          if (shareStall && shareStall.building_id !== target.building_id) {
+            return res.status(400).json({ error: 'A shared meter cannot move to another building; clear its shares first' });
+          }
+        }
       }
 
       // unique meter_sn if changed
@@ -243,12 +362,44 @@ router.put('/:id',
         finalMult = (meter_type === 'water') ? 93.00 : 1;
       }
 
+      let finalDigits = meter.meter_digits;
+      if (meter_digits !== undefined) {
+        const coerced = coerceMeterDigits(meter_digits);
+        if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+        finalDigits = coerced.value;
+      }
+
+      // master / sub-meter links
+      const finalType   = meter_type ?? meter.meter_type;
+      const finalStall  = stall_id ?? meter.stall_id;
+      const finalParent = parent_meter_id !== undefined ? (parent_meter_id || null) : meter.parent_meter_id;
+      if (finalType !== meter.meter_type && await Meter.count({ where: { parent_meter_id: meterId } })) {
+        return res.status(400).json({ error: 'Cannot change the type of a meter with sub-meters' });
+      }
+      if (finalParent && (finalParent !== meter.parent_meter_id || finalType !== meter.meter_type || finalStall !== meter.stall_id)) {
+        const stall = await Stall.findOne({ where: { stall_id: finalStall }, attributes: ['building_id'], raw: true });
+        const link = await checkParentMeter({
+          meterId, parentId: finalParent, meterType: finalType, buildingId: stall?.building_id
+        });
+        if (!link.ok) return res.status(400).json({ error: link.error });
+      }
+
+      let finalBasis = meter.allocation_basis;
+      if (allocation_basis !== undefined) {
+        const coerced = coerceAllocationBasis(allocation_basis);
+        if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+        finalBasis = coerced.value;
+      }
+
       await meter.update({
         meter_type:  meter_type  ?? meter.meter_type,
         meter_sn:    meter_sn    ?? meter.meter_sn,
         stall_id:    stall_id    ?? meter.stall_id,
         meter_status:meter_status?? meter.meter_status,
         meter_mult:  finalMult,
+        meter_digits: finalDigits,
+        parent_meter_id: finalParent,
+        allocation_basis: finalBasis,
         last_updated: getCurrentDateTime(),
         updated_by:   req.user.user_fullname
       });
@@ -261,11 +412,403 @@ router.put('/:id',
   }
 );
 
+/**
+ * GET /meters/:id/replacements
+ * - admin, operator (scoped to building)
+ * Returns { replaced_by, replaces } — the replacement records where this meter
+ * is the outgoing / incoming meter (null when none).
+ */
+router.get('/:id/replacements',
+  authorizeRole('admin', 'operator'),
+  enforceRecordBuilding(getMeterBuildingId),
+  async (req, res) => {
+    try {
+      const meterId = req.params.id;
+      const [replaced_by, replaces] = await Promise.all([
+        MeterReplacement.findOne({ where: { old_meter_id: meterId } }),
+        MeterReplacement.findOne({ where: { new_meter_id: meterId } }),
+      ]);
+      res.json({ meter_id: meterId, replaced_by, replaces });
+    } catch (err) {
+      console.error('Error in GET /meters/:id/replacements:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /meters/:id/sub-meters
+ * - admin, operator (scoped to building)
+ * Sub-meters under this master meter
+ */
+router.get('/:id/sub-meters',
+  authorizeRole('admin', 'operator'),
+  enforceRecordBuilding(getMeterBuildingId),
+  async (req, res) => {
+    try {
+      const meters = await Meter.findAll({
+        where: { parent_meter_id: req.params.id },
+        order: [['meter_id', 'ASC']]
+      });
+      res.json(meters);
+    } catch (err) {
+      console.error('Error in GET /meters/:id/sub-meters:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Validate a shared meter's split: [{ stall_id, share_pct }], distinct stalls of the
+ * meter's building, each share > 0 and together exactly 100. An empty list is valid
+ * (sharing removed). Returns {ok, value:[{stall_id, share_pct}]} or {ok:false, error}.
+ */
+async function coerceShares(shares, buildingId) {
+  if (!Array.isArray(shares)) return { ok: false, error: 'shares must be an array of { stall_id, share_pct }' };
+  if (!shares.length) return { ok: true, value: [] };
+
+  const value = [];
+  for (const s of shares) {
+    const stallId = String(s?.stall_id || '').trim();
+    const pct = Number(s?.share_pct);
+    if (!stallId) return { ok: false, error: 'Each share needs a stall_id' };
+    if (s?.share_pct === '' || !Number.isFinite(pct) || pct <= 0 || pct > 100) {
+      return { ok: false, error: `share_pct of ${stallId} must be a number greater than 0 and at most 100` };
+    }
+    if (value.some(v => v.stall_id === stallId)) return { ok: false, error: `Stall ${stallId} is listed twice` };
+    value.push({ stall_id: stallId, share_pct: Math.round(pct * 10000) / 10000 });
+  }
+  if (value.length < 2) return { ok: false, error: 'A shared meter needs at least two stalls' };
+  if (!sum(value.map(v => v.share_pct)).eq(dec(100))) {
+    return { ok: false, error: 'share_pct values must add up to 100' };
+  }
+
+  const stalls = await Stall.findAll({
+    where: { stall_id: { [Op.in]: value.map(v => v.stall_id) } },
+    attributes: ['stall_id', 'building_id'],
+    raw: true
+  });
+  const buildingOf = new Map(stalls.map(s => [s.stall_id, s.building_id]));
+  for (const v of value) {
+    if (!buildingOf.has(v.stall_id)) return { ok: false, error: `Invalid stall_id: ${v.stall_id} does not exist.` };
+    if (buildingOf.get(v.stall_id) !== buildingId) {
+      return { ok: false, error: `Stall ${v.stall_id} is not in the meter's building` };
+    }
+  }
+  return { ok: true, value };
+}
+
+/**
+ * effective_from of a split change (default today). Only admins may backdate, and
+ * never into or before a closed billing period of the building.
+ * Returns {ok, date} or {ok:false, status, error}.
+ */
+async function shareEffectiveFrom(req, buildingId) {
+  const raw = req.body?.effective_from;
+  if (raw === undefined || raw === null || raw === '') return { ok: true, date: todayYMD() };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(raw))) {
+    return { ok: false, status: 400, error: 'effective_from must be YYYY-MM-DD' };
+  }
+  const isAdmin = (req.user.user_level || '').toLowerCase() === 'admin';
+  if (!isAdmin && raw < todayYMD()) {
+    return { ok: false, status: 400, error: 'effective_from must not be in the past' };
+  }
+  const closed = await BillingPeriodClosure.findOne({
+    where: { building_id: buildingId, closure_status: 'closed', period_end: { [Op.gte]: raw } },
+    order: [['period_end', 'ASC']],
+    raw: true
+  });
+  if (closed) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Billing period ${closed.period_start} to ${closed.period_end} is closed (${closed.closure_id}); ` +
+        `a split effective ${raw} would change it`
+    };
+  }
+  return { ok: true, date: raw };
+}
+
+/**
+ * GET /meters/:id/shares
+ * - admin, operator (scoped to building)
+ * Optional query: as_of (YYYY-MM-DD, default today)
+ * The split in force (empty when the meter bills its own stall only) and every
+ * effective-dated split of the meter, newest first.
+ */
+router.get('/:id/shares',
+  authorizeRole('admin', 'operator'),
+  enforceRecordBuilding(getMeterBuildingId),
+  async (req, res) => {
+    const asOf = req.query?.as_of || todayYMD();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(asOf))) {
+      return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
+    }
+    try {
+      const split = (await getSharesInForce([req.params.id], asOf)).get(req.params.id);
+      res.json({
+        meter_id: req.params.id,
+        as_of: asOf,
+        effective_from: split?.effective_from || null,
+        shares: split?.shares || [],
+        history: await getShareHistory(req.params.id),
+      });
+    } catch (err) {
+      console.error('Error in GET /meters/:id/shares:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /meters/:id/shares
+ * - admin, operator (scoped to building)
+ * Body: { shares: [{ stall_id, share_pct }, ...], [effective_from] (YYYY-MM-DD, default today) }
+ * Sets the meter's split from effective_from; earlier splits keep billing their periods
+ * (a split on the same date is replaced). Stalls must be in the meter's building and the
+ * shares add up to 100; the meter's own stall is billed only if listed. An empty array
+ * makes the meter unshared from that date. Only admins may backdate, and not into or
+ * before a closed period. Master meters (with sub-meters) cannot be shared.
+ */
+router.put('/:id/shares',
+  authorizeRole('admin', 'operator'),
+  enforceRecordBuilding(getMeterBuildingId),
+  async (req, res) => {
+    const meterId = req.params.id;
+    try {
+      const meter = await Meter.findOne({ where: { meter_id: meterId }, attributes: ['meter_id', 'stall_id'], raw: true });
+      if (!meter) return res.status(404).json({ error: 'Meter not found' });
+
+      const stall = await Stall.findOne({ where: { stall_id: meter.stall_id }, attributes: ['building_id'], raw: true });
+      const checked = await coerceShares(req.body?.shares, stall?.building_id);
+      if (!checked.ok) return res.status(400).json({ error: checked.error });
+      const from = await shareEffectiveFrom(req, stall?.building_id);
+      if (!from.ok) return res.status(from.status).json({ error: from.error });
+
+      if (checked.value.length && await Meter.count({ where: { parent_meter_id: meterId } })) {
+        return res.status(400).json({ error: 'A master meter (with sub-meters) cannot be shared' });
+      }
+
+      await sequelize.transaction(async (t) => {
+        await replaceShares({ meter, effectiveFrom: from.date, shares: checked.value, user: req.user, t });
+      });
+
+      res.json({
+        message: checked.value.length
+          ? `Meter ${meterId} shares set from ${from.date}`
+          : `Meter ${meterId} is not shared from ${from.date}`,
+        effective_from: from.date,
+        shares: checked.value,
+        history: await getShareHistory(meterId),
+      });
+    } catch (err) {
+      console.error('Error in PUT /meters/:id/shares:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /meters/:id/replace
+ * - admin, operator (scoped to building)
+ * Swap the meter in :id for a new one on replaced_date:
+ *  - stores the outgoing meter's final reading and the new meter's initial reading
+ *    (both dated replaced_date) and links the two meters
+ *  - the old meter is set inactive; the new meter is active, same stall and type
+ * Body: {
+ *   replaced_date (YYYY-MM-DD), final_reading, [initial_reading] (default 0), [reason],
+ *   new_meter_id            (existing meter, no readings before replaced_date)
+ *   | meter_sn, [meter_mult], [meter_digits]   (create the new meter)
+ * }
+ * Billing for the period containing replaced_date is the sum of both segments.
+ * The new meter takes over the old one's master meter / sub-meters links and stall shares.
+ * Rejected (409) when replaced_date is in a closed billing period.
+ */
+router.post('/:id/replace',
+  authorizeRole('admin', 'operator'),
+  enforceRecordBuilding(getMeterBuildingId),
+  async (req, res) => {
+    const oldMeterId = req.params.id;
+    let { replaced_date, final_reading, initial_reading, reason,
+          new_meter_id, meter_sn, meter_mult, meter_digits } = req.body || {};
+
+    if (!replaced_date || !/^\d{4}-\d{2}-\d{2}$/.test(replaced_date)) {
+      return res.status(400).json({ error: 'replaced_date is required (YYYY-MM-DD)' });
+    }
+    const finalIdx = coerceIndex(final_reading, 'final_reading');
+    if (!finalIdx.ok) return res.status(400).json({ error: finalIdx.error });
+    const initialIdx = coerceIndex(initial_reading ?? 0, 'initial_reading');
+    if (!initialIdx.ok) return res.status(400).json({ error: initialIdx.error });
+    if (!new_meter_id && !meter_sn) {
+      return res.status(400).json({ error: 'new_meter_id or meter_sn (for a new meter) is required' });
+    }
+
+    try {
+      const oldMeter = await Meter.findOne({ where: { meter_id: oldMeterId } });
+      if (!oldMeter) return res.status(404).json({ error: 'Meter not found' });
+      if (oldMeter.meter_status !== 'active') {
+        return res.status(409).json({ error: 'Only an active meter can be replaced' });
+      }
+
+      const already = await MeterReplacement.findOne({ where: { old_meter_id: oldMeterId }, raw: true });
+      if (already) {
+        return res.status(409).json({ error: `Meter was already replaced by ${already.new_meter_id} on ${already.replaced_date}` });
+      }
+
+      await assertPeriodOpen(await getMeterBuildingId(req), replaced_date);
+
+      // Old meter: no readings on/after the replacement date
+      const lateOld = await Reading.findOne({
+        where: { meter_id: oldMeterId, lastread_date: { [Op.gte]: replaced_date } },
+        attributes: ['reading_id', 'lastread_date'],
+        raw: true
+      });
+      if (lateOld) {
+        return res.status(409).json({
+          error: `Meter already has a reading on/after ${replaced_date} (${lateOld.reading_id} on ${lateOld.lastread_date})`
+        });
+      }
+
+      // Incoming meter: existing one, or details for a new one
+      let newMeter = null;
+      let digits = null;
+      if (new_meter_id) {
+        if (new_meter_id === oldMeterId) {
+          return res.status(400).json({ error: 'new_meter_id must differ from the replaced meter' });
+        }
+        newMeter = await Meter.findOne({ where: { meter_id: new_meter_id } });
+        if (!newMeter) return res.status(400).json({ error: 'Invalid new_meter_id: Meter does not exist.' });
+        if (newMeter.stall_id !== oldMeter.stall_id || newMeter.meter_type !== oldMeter.meter_type) {
+          return res.status(400).json({ error: 'The new meter must be in the same stall and of the same type' });
+        }
+        const installed = await MeterReplacement.findOne({ where: { new_meter_id }, raw: true });
+        if (installed) {
+          return res.status(409).json({ error: `Meter ${new_meter_id} already replaced ${installed.old_meter_id}` });
+        }
+        const earlyNew = await Reading.findOne({
+          where: { meter_id: new_meter_id, lastread_date: { [Op.lte]: replaced_date } },
+          attributes: ['reading_id'],
+          raw: true
+        });
+        if (earlyNew) {
+          return res.status(409).json({ error: `Meter ${new_meter_id} already has readings on/before ${replaced_date}` });
+        }
+      } else {
+        const dup = await Meter.findOne({ where: { meter_sn } });
+        if (dup) return res.status(409).json({ error: 'meter_sn already exists' });
+
+        if (meter_mult === undefined || meter_mult === null || meter_mult === '') {
+          meter_mult = oldMeter.meter_mult;
+        } else {
+          const asNum = Number(meter_mult);
+          if (!Number.isFinite(asNum)) {
+            return res.status(400).json({ error: 'meter_mult must be a valid number' });
+          }
+          meter_mult = Math.round(asNum * 100) / 100;
+        }
+
+        if (meter_digits !== undefined) {
+          const coerced = coerceMeterDigits(meter_digits);
+          if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+          digits = coerced.value;
+        } else {
+          digits = oldMeter.meter_digits ?? null;
+        }
+      }
+
+      const now = getCurrentDateTime();
+      const updatedBy = req.user.user_fullname;
+
+      const replacement = await sequelize.transaction(async (t) => {
+        let newMeterId = newMeter?.meter_id;
+        if (newMeter) {
+          await newMeter.update({
+            meter_status: 'active',
+            parent_meter_id: oldMeter.parent_meter_id,
+            allocation_basis: oldMeter.allocation_basis,
+            last_updated: now,
+            updated_by: updatedBy
+          }, { transaction: t });
+        } else {
+          newMeterId = `MTR-${await nextIdNumber(Meter, 'meter_id', 'MTR-', t)}`;
+          await Meter.create({
+            meter_id: newMeterId,
+            meter_type: oldMeter.meter_type,
+            meter_sn,
+            meter_mult,
+            meter_digits: digits,
+            stall_id: oldMeter.stall_id,
+            meter_status: 'active',
+            parent_meter_id: oldMeter.parent_meter_id,
+            allocation_basis: oldMeter.allocation_basis,
+            last_updated: now,
+            updated_by: updatedBy
+          }, { transaction: t });
+        }
+
+        const readingNum = await nextIdNumber(Reading, 'reading_id', 'MR-', t);
+        const finalReadingId   = `MR-${readingNum}`;
+        const initialReadingId = `MR-${readingNum + 1}`;
+        await Reading.bulkCreate([
+          {
+            reading_id: finalReadingId,
+            meter_id: oldMeterId,
+            reading_value: finalIdx.value,
+            lastread_date: replaced_date,
+            read_by: updatedBy,
+            last_updated: now,
+            updated_by: updatedBy
+          },
+          {
+            reading_id: initialReadingId,
+            meter_id: newMeterId,
+            reading_value: initialIdx.value,
+            lastread_date: replaced_date,
+            read_by: updatedBy,
+            last_updated: now,
+            updated_by: updatedBy
+          },
+        ], { transaction: t });
+
+        await oldMeter.update({ meter_status: 'inactive', last_updated: now, updated_by: updatedBy }, { transaction: t });
+
+        // sub-meters of a replaced master move to the new meter
+        await Meter.update(
+          { parent_meter_id: newMeterId, last_updated: now, updated_by: updatedBy },
+          { where: { parent_meter_id: oldMeterId }, transaction: t }
+        );
+
+        // a shared meter's split history carries over (the old meter's rows stay as history)
+        await copyShareHistory({ fromMeterId: oldMeterId, toMeterId: newMeterId, user: req.user, t });
+
+        return MeterReplacement.create({
+          replacement_id: `MRP-${await nextIdNumber(MeterReplacement, 'replacement_id', 'MRP-', t)}`,
+          old_meter_id: oldMeterId,
+          new_meter_id: newMeterId,
+          replaced_date,
+          old_final_reading: finalIdx.value,
+          new_initial_reading: initialIdx.value,
+          old_final_reading_id: finalReadingId,
+          new_initial_reading_id: initialReadingId,
+          reason: reason ? String(reason).trim() || null : null,
+          last_updated: now,
+          updated_by: updatedBy
+        }, { transaction: t });
+      });
+
+      res.status(201).json({ message: `Meter ${oldMeterId} replaced successfully`, replacement });
+    } catch (err) {
+      console.error('Error in POST /meters/:id/replace:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 /**
  * DELETE /meters/:id
  * - admin: unrestricted
  * - operator: only if meter is under their building
- * - blocks delete if readings exist
+ * - blocks delete if readings exist; the meter's stall shares are removed with it
  */
 router.delete('/:id',
   authorizeRole('admin', 'operator'),
@@ -293,7 +836,30 @@ router.delete('/:id',
         });
       }
 
-      const deleted = await Meter.destroy({ where: { meter_id: meterId } });
+      // dependency check: replacement records
+      const replacement = await MeterReplacement.findOne({
+        where: { [Op.or]: [{ old_meter_id: meterId }, { new_meter_id: meterId }] },
+        attributes: ['replacement_id'],
+        raw: true
+      });
+      if (replacement) {
+        return res.status(400).json({
+          error: `Cannot delete meter. It is still referenced by: Replacement [${replacement.replacement_id}]`
+        });
+      }
+
+      // dependency check: sub-meters
+      const subMeters = await Meter.findAll({ where: { parent_meter_id: meterId }, attributes: ['meter_id'], raw: true });
+      if (subMeters.length) {
+        return res.status(400).json({
+          error: `Cannot delete meter. It is still referenced by: Sub-meter(s) [${subMeters.map(m => m.meter_id).join(', ')}]`
+        });
+      }
+
+      const deleted = await sequelize.transaction(async (t) => {
+        await MeterStallShare.destroy({ where: { meter_id: meterId }, transaction: t });
+        return Meter.destroy({ where: { meter_id: meterId }, transaction: t });
+      });
       if (deleted === 0) return res.status(404).json({ error: 'Meter not found' });
 
       res.json({ message: `Meter with ID ${meterId} deleted successfully` });
@@ -0,0 +1,214 @@
+// routes/payments.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole     = require('../middleware/authorizeRole');
+const {
+  attachBuildingScope,
+  enforceRecordBuilding
+} = require('../middleware/authorizeBuilding');
+
+const { Op } = require('sequelize');
+
+const Payment = require('../models/Payment');
+const Tenant  = require('../models/Tenant');
+
+const {
+  PAYMENT_METHODS,
+  getPayment,
+  recordPayment,
+  voidPayment,
+  getStatementOfAccount,
+} = require('../utils/ledger');
+
+// All routes require a valid token
+router.use(authenticateToken);
+
+const ALLOWED_METHODS = new Set(PAYMENT_METHODS);
+const ALLOWED_STATUS  = new Set(['posted', 'void']);
+
+const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+
+// building of a payment (for enforceRecordBuilding)
+async function getPaymentBuildingId(req) {
+  const payment = await Payment.findOne({
+    where: { payment_id: req.params.id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return payment?.building_id || null;
+}
+
+// building of a tenant in :tenant_id or body.tenant_id (for enforceRecordBuilding)
+async function getTenantBuildingId(req) {
+  const tenantId = req.params.tenant_id || req.body?.tenant_id;
+  if (!tenantId) return null;
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return tenant?.building_id || null;
+}
+
+/**
+ * GET /payments
+ * - admin: all payments
+ * - operator/biller: payments in their building only
+ * Optional query:
+ *   tenant_id, status (posted|void), from, to (payment_date, YYYY-MM-DD), building_id (admin only)
+ */
+router.get('/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, status, from, to, building_id } = req.query || {};
+      const where = { ...req.buildingWhere() };
+
+      if (tenant_id) where.tenant_id = tenant_id;
+      if (status) {
+        if (!ALLOWED_STATUS.has(String(status).toLowerCase())) {
+          return res.status(400).json({ error: 'status must be one of: posted, void' });
+        }
+        where.payment_status = String(status).toLowerCase();
+      }
+      if ((from && !isYMD(from)) || (to && !isYMD(to))) {
+        return res.status(400).json({ error: 'Invalid from/to format. Use YYYY-MM-DD.' });
+      }
+      if (from && to)  where.payment_date = { [Op.between]: [from, to] };
+      else if (from)   where.payment_date = { [Op.gte]: from };
+      else if (to)     where.payment_date = { [Op.lte]: to };
+      if (building_id && !req.restrictToBuildingId) where.building_id = building_id;
+
+      const rows = await Payment.findAll({
+        where,
+        order: [['payment_date', 'DESC'], ['payment_id', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Error in GET /payments:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /payments/tenants/:tenant_id/statement-of-account
+ * - admin: any tenant; operator/biller: tenants in their building
+ * Optional query: from, to (YYYY-MM-DD)
+ * Opening balance, charges (issued statements, late penalties) and payments
+ * with a running balance, and the outstanding (closing) balance.
+ * Read-only: penalties appear once assessed (POST /statements/penalties/assess or a bill run).
+ */
+router.get('/tenants/:tenant_id/statement-of-account',
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    const { from, to } = req.query || {};
+    if ((from && !isYMD(from)) || (to && !isYMD(to))) {
+      return res.status(400).json({ error: 'Invalid from/to format. Use YYYY-MM-DD.' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    try {
+      const soa = await getStatementOfAccount({ tenantId: req.params.tenant_id, from, to });
+      res.json(soa);
+    } catch (err) {
+      console.error('Error in GET /payments/tenants/:tenant_id/statement-of-account:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /payments/:id
+ * - returns the payment with its allocations
+ */
+router.get('/:id',
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(getPaymentBuildingId),
+  async (req, res) => {
+    try {
+      const payment = await getPayment(req.params.id);
+      if (!payment) return res.status(404).json({ error: 'Payment not found' });
+      res.json(payment);
+    } catch (err) {
+      console.error('Error in GET /payments/:id:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /payments
+ * - admin, biller (biller only for tenants in their building)
+ * Body: { tenant_id, amount, payment_date (YYYY-MM-DD), payment_method, [payment_reference] }
+ * The payment is allocated to the tenant's issued statements, oldest first;
+ * any excess is kept as unapplied credit.
+ */
+router.post('/',
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    const { tenant_id, amount, payment_date, payment_method, payment_reference } = req.body || {};
+    if (!tenant_id || amount === undefined || !payment_date || !payment_method) {
+      return res.status(400).json({ error: 'tenant_id, amount, payment_date and payment_method are required' });
+    }
+
+    const amt = Math.round(Number(amount) * 100) / 100;
+    if (amount === '' || !Number.isFinite(amt) || amt <= 0) {
+      return res.status(400).json({ error: 'amount must be a number greater than 0' });
+    }
+    if (!isYMD(payment_date)) {
+      return res.status(400).json({ error: 'Invalid payment_date. Use YYYY-MM-DD.' });
+    }
+    const method = String(payment_method).toLowerCase();
+    if (!ALLOWED_METHODS.has(method)) {
+      return res.status(400).json({ error: `payment_method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    try {
+      const payment = await recordPayment({
+        tenantId: tenant_id,
+        amount: amt,
+        paymentDate: payment_date,
+        method,
+        reference: payment_reference ? String(payment_reference).trim() : null,
+        user: req.user,
+      });
+      res.status(201).json({ message: 'Payment recorded successfully', payment });
+    } catch (err) {
+      console.error('Error in POST /payments:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /payments/:id/void
+ * - admin only
+ * Body: { reason }
+ */
+router.put('/:id/void',
+  authorizeRole('admin'),
+  async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+    try {
+      const payment = await voidPayment({ paymentId: req.params.id, reason, user: req.user });
+      res.json({ message: `Payment ${payment.payment_id} voided`, payment });
+    } catch (err) {
+      console.error('Error in PUT /payments/:id/void:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -15,6 +15,10 @@ const Meter    = require('../models/Meter');
 const Stall    = require('../models/Stall');
 const Building = require('../models/Building');
 
+// Billing windows per building (period calendar / cut-off day / calendar month)
+const { resolvePeriodWindows } = require('../utils/billingPeriods');
+const { registerDelta } = require('../utils/billingEngine');
+
 /* =========================
  * Middleware
  * ========================= */
@@ -24,51 +28,18 @@ router.use(authenticateToken);
  * Local helpers (no DB)
  * ========================= */
 
-// Hardcoded LPG minimum consumption (no DB reference)
-const LPG_MIN_CON = 1;
-
 // round to d decimals
 function round(n, d = 2) {
   const f = Math.pow(10, d);
   return Math.round((Number(n) || 0) * f) / f;
 }
 
-// YYYY-MM-DD strings (match Reading.lastread_date = DATEONLY)
-function ymd(d) {
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-
-// month window based on an arbitrary endDate (YYYY-MM-DD)
-function getPeriodStrings(endDateStr) {
-  const end = new Date(endDateStr + 'T00:00:00Z');
-  const currStart = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
-  const nextMonthStart = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 1));
-  const currEnd = new Date(nextMonthStart.getTime() - 24 * 60 * 60 * 1000);
-
-  const prevStart = new Date(Date.UTC(currStart.getUTCFullYear(), currStart.getUTCMonth() - 1, 1));
-  const prevEnd = new Date(currStart.getTime() - 24 * 60 * 60 * 1000);
-
-  const prePrevStart = new Date(Date.UTC(prevStart.getUTCFullYear(), prevStart.getUTCMonth() - 1, 1));
-  const prePrevEnd = new Date(prevStart.getTime() - 24 * 60 * 60 * 1000);
-
-  return {
-    curr:   { start: ymd(currStart),   end: ymd(currEnd) },
-    prev:   { start: ymd(prevStart),   end: ymd(prevEnd) },
-    preprev:{ start: ymd(prePrevStart),end: ymd(prePrevEnd) },
-  };
-}
-
-// unified consumption rule for all utilities
-function computeUnitsOnly(meterType, meterMult, building, prevIdx, currIdx) {
+// unified consumption rule for all utilities (register rollover aware)
+function computeUnitsOnly(meterType, meterMult, building, prevIdx, currIdx, digits) {
   const t = String(meterType || '').toLowerCase();
   const mult = Number(meterMult) || 1;
-  const prev = Number(prevIdx) || 0;
-  const curr = Number(currIdx) || 0;
 
-  const raw = (curr - prev) * mult;
+  const raw = registerDelta(prevIdx, currIdx, digits).delta * mult;
 
   if (t === 'electric') {
     const min = Number(building.emin_con) || 0;
@@ -79,8 +50,8 @@ function computeUnitsOnly(meterType, meterMult, building, prevIdx, currIdx) {
     return round(raw > 0 ? raw : min);
   }
   if (t === 'lpg') {
-    // Use hardcoded minimum for LPG
-    return round(raw > 0 ? raw : LPG_MIN_CON);
+    const min = Number(building.lmin_con) || 0;
+    return round(raw > 0 ? raw : min);
   }
   throw new Error(`Unsupported meter type: ${t}`);
 }
@@ -110,7 +81,7 @@ async function computeROCForMeter({ meterId, endDate, user }) {
   // Meter → Stall → Building
   const meter = await Meter.findOne({
     where: { meter_id: meterId },
-    attributes: ['meter_id', 'meter_type', 'meter_mult', 'stall_id'],
+    attributes: ['meter_id', 'meter_type', 'meter_mult', 'meter_digits', 'stall_id'],
     raw: true
   });
   if (!meter) { const err = new Error('Meter not found'); err.status = 404; throw err; }
@@ -130,15 +101,18 @@ async function computeROCForMeter({ meterId, endDate, user }) {
     if (stall.building_id !== userBldg) { const err = new Error('No access to this meter'); err.status = 403; throw err; }
   }
 
-  // Only need electric & water mins from DB (LPG min is hardcoded)
+  // Only need the minimum consumptions from DB
   const building = await Building.findOne({
     where: { building_id: stall.building_id },
-    attributes: ['building_id','emin_con','wmin_con'],
+    attributes: ['building_id','emin_con','wmin_con','lmin_con'],
     raw: true
   });
   if (!building) { const err = new Error('Building configuration not found'); err.status = 400; throw err; }
 
-  const periods = getPeriodStrings(endDate);
+  // current, previous and pre-previous windows for the building's billing cycle
+  const windows = await resolvePeriodWindows(stall.building_id, endDate, 3);
+  const periods = { curr: windows.current, prev: windows.previous, preprev: windows.preprevious };
+
   const [currMax, prevMax, prePrevMax] = await Promise.all([
     getMaxReadingInPeriod(meterId, periods.curr.start, periods.curr.end),
     getMaxReadingInPeriod(meterId, periods.prev.start, periods.prev.end),
@@ -153,12 +127,17 @@ async function computeROCForMeter({ meterId, endDate, user }) {
     throw err;
   }
 
-  const unitsNow = computeUnitsOnly(meter.meter_type, meter.meter_mult, building, prevMax.value, currMax.value);
+  const digits = meter.meter_digits;
+  const unitsNow = computeUnitsOnly(meter.meter_type, meter.meter_mult, building, prevMax.value, currMax.value, digits);
+  const rollover = {
+    current: registerDelta(prevMax.value, currMax.value, digits).rollover,
+    previous: prePrevMax ? registerDelta(prePrevMax.value, prevMax.value, digits).rollover : false,
+  };
 
   let unitsPrev = null;
   let roc = null;
   if (prePrevMax && prevMax) {
-    unitsPrev = computeUnitsOnly(meter.meter_type, meter.meter_mult, building, prePrevMax.value, prevMax.value);
+    unitsPrev = computeUnitsOnly(meter.meter_type, meter.meter_mult, building, prePrevMax.value, prevMax.value, digits);
     if (unitsPrev > 0) {
       roc = Math.ceil(((unitsNow - unitsPrev) / unitsPrev) * 100);
     }
@@ -178,6 +157,7 @@ async function computeROCForMeter({ meterId, endDate, user }) {
     },
     current_consumption: unitsNow,
     previous_consumption: unitsPrev,
+    rollover,
     rate_of_change: roc
   };
 }
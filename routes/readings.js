@@ -1,5 +1,6 @@
 // routes/readings.js
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 // Utilities & middleware
@@ -10,9 +11,20 @@ const authorizeRole = require('../middleware/authorizeRole');
 const { Op } = require('sequelize');
 
 // Models
-const Reading = require('../models/Reading');
-const Meter   = require('../models/Meter');
-const Stall   = require('../models/Stall');
+const Reading              = require('../models/Reading');
+const Meter                = require('../models/Meter');
+const Stall                = require('../models/Stall');
+
+const { estimateReadingAt, createEstimatedReading } = require('../utils/billingEngine');
+const { assertPeriodOpen } = require('../utils/periodClosing');
+const { detectRebilling } = require('../utils/rebilling');
+const {
+  IMPORT_MODES,
+  coerceReadingValue,
+  findStatementUsingReading,
+  parseReadingFile,
+  importReadings,
+} = require('../utils/readingImport');
 
 // All routes require a valid token
 router.use(authenticateToken);
@@ -53,12 +65,14 @@ function todayYMD() {
   return new Date().toISOString().slice(0, 10);
 }
 
-function coerceReadingValue(val) {
-  if (val === '' || val == null) return { ok: false, error: 'reading_value is required and must be a number' };
-  const num = Number(val);
-  if (!Number.isFinite(num)) return { ok: false, error: 'reading_value must be a valid number' };
-  // match DECIMAL(30,2)
-  return { ok: true, value: Math.round(num * 100) / 100 };
+// Single spreadsheet upload kept in memory (field "file"); upload errors → 400
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } });
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const msg = err.code === 'LIMIT_FILE_SIZE' ? 'File too large (max 5 MB)' : err.message;
+    res.status(400).json({ error: msg });
+  });
 }
 
 // --- routes ---------------------------------------------------
@@ -287,6 +301,8 @@ router.get('/by-meter/:meter_id',
  * - Enforce DAILY: only one reading per meter per lastread_date
  * - lastread_date/read_by are NOT NULL → always set
  * - lastread_date: manual input; defaults to today (YYYY-MM-DD) if omitted
+ * - rejected (409) when lastread_date is in a closed billing period of the building
+ * - issued statements whose window covers lastread_date are rebilled (pending adjustments)
  */
 router.post('/',
   authorizeRole('admin', 'operator'),
@@ -317,15 +333,46 @@ router.post('/',
         ? lastread_date
         : todayYMD();
 
-      const existing = await Reading.findOne({
-        where: { meter_id, lastread_date: dateOnly },
-        attributes: ['reading_id'],
-        raw: true
-      });
-      if (existing) {
+      await assertPeriodOpen(await getMeterBuildingId(meter_id), dateOnly);
+
+      const existing = await Reading.findOne({ where: { meter_id, lastread_date: dateOnly } });
+      if (existing && !existing.is_estimated) {
         return res.status(409).json({ error: `Reading already exists for ${meter_id} on ${dateOnly}` });
       }
 
+      // An actual reading replaces an estimate on the same day, unless the estimate was
+      // already billed (then the next bill trues it up against a later actual reading)
+      if (existing) {
+        const billed = await findStatementUsingReading(meter_id, dateOnly);
+        if (billed) {
+          return res.status(409).json({
+            error: `Estimated reading ${existing.reading_id} on ${dateOnly} was billed on ${billed.statement_id}; ` +
+                   'record the actual reading on a later date to true it up'
+          });
+        }
+
+        const updatedBy = req.user.user_fullname;
+        await existing.update({
+          reading_value,
+          is_estimated: false,
+          read_by: updatedBy,
+          last_updated: getCurrentDateTime(),
+          updated_by: updatedBy
+        });
+        const rebilling = await detectRebilling({
+          meterIds: [meter_id],
+          dates: [dateOnly],
+          user: req.user,
+          reason: `Reading ${existing.reading_id} recorded by ${updatedBy}`,
+        });
+        return res.status(200).json({
+          message: `Estimated reading ${existing.reading_id} replaced by the actual reading`,
+          readingId: existing.reading_id,
+          adjustments: rebilling.adjustments,
+          rebilling_errors: rebilling.errors,
+        });
+      }
+
       // Generate MR-<n> (cross-dialect; scan + increment)
       const rows = await Reading.findAll({
         where: { reading_id: { [Op.like]: 'MR-%' } },
@@ -351,10 +398,117 @@ router.post('/',
         updated_by: updatedBy
       });
 
-      res.status(201).json({ message: 'Reading created successfully', readingId: newReadingId });
+      const rebilling = await detectRebilling({
+        meterIds: [meter_id],
+        dates: [dateOnly],
+        user: req.user,
+        reason: `Reading ${newReadingId} recorded by ${updatedBy}`,
+      });
+      res.status(201).json({
+        message: 'Reading created successfully',
+        readingId: newReadingId,
+        adjustments: rebilling.adjustments,
+        rebilling_errors: rebilling.errors,
+      });
     } catch (err) {
       console.error('Error in POST /meter_reading:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * IMPORT METER READINGS (CSV / XLSX)
+ * - Admins and Operators (operators only for meters under their building)
+ * - multipart/form-data: file (.csv or .xlsx, first worksheet), [mode], [dry_run]
+ * - header row: meter_id and/or meter_sn, reading_value, lastread_date (YYYY-MM-DD)
+ * - every row is checked with the rules of POST /readings (meter scope, numeric
+ *   reading_value, one reading per meter per day, open billing period); an
+ *   unbilled estimate on the same day is replaced by the imported reading
+ * - mode=all (default): nothing is stored unless every row is valid (400 with the report)
+ * - mode=partial: valid rows are stored, invalid rows are reported
+ * - dry_run=true: validate only
+ * - issued statements whose window covers a stored reading are rebilled (pending adjustments)
+ * Response: row-by-row report (see utils/readingImport.importReadings)
+ */
+router.post('/import',
+  authorizeRole('admin', 'operator'),
+  uploadFile,
+  async (req, res) => {
+    const mode = String(req.body?.mode || 'all').toLowerCase();
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+    const dryRun = String(req.body?.dry_run) === 'true';
+
+    let buildingId = null;
+    if (!isAdmin(req)) {
+      buildingId = req.user?.building_id;
+      if (!buildingId) return res.status(401).json({ error: 'Unauthorized: No building assigned' });
+    }
+
+    try {
+      const parsed = await parseReadingFile(req.file);
+      if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+
+      const report = await importReadings({ rows: parsed.rows, mode, dryRun, buildingId, user: req.user });
+      if (mode === 'all' && report.failed) {
+        return res.status(400).json({ error: 'Import rejected: fix the failed rows and upload again', ...report });
+      }
+      res.status(report.committed ? 201 : 200).json(report);
+    } catch (err) {
+      console.error('Error in POST /meter_reading/import:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * ESTIMATE A METER READING
+ * - Admins and Operators (operators only for meters under their building)
+ * - Estimates the index on lastread_date from the meter's average daily consumption
+ *   (latest actual readings before that date)
+ * Body: { meter_id, lastread_date (YYYY-MM-DD), [dry_run] }
+ * dry_run=true returns the estimate without storing it; otherwise it is stored
+ * as an estimated reading (is_estimated = true), unless lastread_date is in a
+ * closed billing period (409).
+ */
+router.post('/estimate',
+  authorizeRole('admin', 'operator'),
+  async (req, res) => {
+    const { meter_id, lastread_date, dry_run } = req.body || {};
+    if (!meter_id || !lastread_date) {
+      return res.status(400).json({ error: 'meter_id and lastread_date are required' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(lastread_date)) {
+      return res.status(400).json({ error: 'Invalid lastread_date format. Use YYYY-MM-DD.' });
+    }
+
+    try {
+      const meter = await Meter.findOne({ where: { meter_id }, attributes: ['meter_id'], raw: true });
+      if (!meter) return res.status(404).json({ error: 'Meter not found' });
+
+      if (!isAdmin(req)) {
+        const userBldg = req.user?.building_id;
+        if (!userBldg) return res.status(401).json({ error: 'Unauthorized: No building assigned' });
+        const meterBldg = await getMeterBuildingId(meter_id);
+        if (!meterBldg || meterBldg !== userBldg) {
+          return res.status(403).json({ error: 'No access: You can only estimate readings for meters under your assigned building.' });
+        }
+      }
+
+      if (dry_run === true || String(dry_run) === 'true') {
+        const estimate = await estimateReadingAt(meter_id, lastread_date);
+        return res.json({ estimate });
+      }
+
+      await assertPeriodOpen(await getMeterBuildingId(meter_id), lastread_date);
+
+      const estimate = await createEstimatedReading({ meterId: meter_id, date: lastread_date, user: req.user });
+      res.status(201).json({ message: 'Estimated reading created successfully', readingId: estimate.reading_id, estimate });
+    } catch (err) {
+      console.error('Error in POST /meter_reading/estimate:', err);
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -364,6 +518,9 @@ router.post('/',
  * - Admins: unrestricted
  * - Operators: can only update readings under their building
  * - DAILY: if lastread_date changes, enforce uniqueness per meter/day
+ * - rejected (409) when the current or new date is in a closed billing period
+ * - issued statements that used the reading are recomputed; differences become
+ *   pending rebilling adjustments (returned as `adjustments`)
  */
 router.put('/:id',
   authorizeRole('admin', 'operator'),
@@ -400,6 +557,9 @@ router.put('/:id',
         return res.status(400).json({ message: 'No changes detected in the request body.' });
       }
 
+      await assertPeriodOpen(await getReadingBuildingId(readingId), reading.lastread_date);
+      const before = { meter_id: reading.meter_id, lastread_date: reading.lastread_date };
+
       if (lastread_date !== undefined) {
         const dateOnly = lastread_date
           ? (/^\d{4}-\d{2}-\d{2}$/.test(lastread_date) ? lastread_date : null)
@@ -428,10 +588,15 @@ router.put('/:id',
 
       if (meter_id) reading.meter_id = meter_id;
 
+      if (meter_id || lastread_date !== undefined) {
+        await assertPeriodOpen(await getMeterBuildingId(reading.meter_id), reading.lastread_date);
+      }
+
       if (reading_value !== undefined) {
         const coerced = coerceReadingValue(reading_value);
         if (!coerced.ok) return res.status(400).json({ error: coerced.error });
         reading.reading_value = coerced.value;
+        reading.is_estimated = false; // edited by hand = actual reading
       }
 
       reading.read_by = updatedBy;
@@ -439,10 +604,21 @@ router.put('/:id',
       reading.updated_by = updatedBy;
 
       await reading.save();
-      res.json({ message: `Reading with ID ${readingId} updated successfully` });
+
+      const rebilling = await detectRebilling({
+        meterIds: [before.meter_id, reading.meter_id],
+        dates: [before.lastread_date, reading.lastread_date],
+        user: req.user,
+        reason: `Reading ${readingId} changed by ${updatedBy}`,
+      });
+      res.json({
+        message: `Reading with ID ${readingId} updated successfully`,
+        adjustments: rebilling.adjustments,
+        rebilling_errors: rebilling.errors,
+      });
     } catch (err) {
       console.error('Error in PUT /meter_reading/:id:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -451,6 +627,8 @@ router.put('/:id',
  * DELETE METER READING BY ID
  * - Admins: unrestricted
  * - Operators: can only delete readings under their building
+ * - rejected (409) when the reading is dated in a closed billing period
+ * - issued statements that used the reading are recomputed (see PUT)
  */
 router.delete('/:id',
   authorizeRole('admin', 'operator'),
@@ -478,14 +656,27 @@ router.delete('/:id',
         }
       }
 
+      await assertPeriodOpen(await getReadingBuildingId(readingId), reading.lastread_date);
+
       const deleted = await Reading.destroy({ where: { reading_id: readingId } });
       if (deleted === 0) {
         return res.status(404).json({ error: 'Reading not found' });
       }
-      res.json({ message: `Reading with ID ${readingId} deleted successfully` });
+
+      const rebilling = await detectRebilling({
+        meterIds: [reading.meter_id],
+        dates: [reading.lastread_date],
+        user: req.user,
+        reason: `Reading ${readingId} deleted by ${req.user.user_fullname}`,
+      });
+      res.json({
+        message: `Reading with ID ${readingId} deleted successfully`,
+        adjustments: rebilling.adjustments,
+        rebilling_errors: rebilling.errors,
+      });
     } catch (err) {
       console.error('Error in DELETE /meter_reading/:id:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -15,12 +15,21 @@ const { Op } = require('sequelize');
 const Stall = require('../models/Stall');
 const Tenant = require('../models/Tenant');
 const Meter  = require('../models/Meter');
+const MeterStallShare = require('../models/MeterStallShare');
 
 // All routes require a valid token
 router.use(authenticateToken);
 
 const ALLOWED_STATUS = new Set(['occupied', 'available', 'under maintenance']);
 
+// floor_area (sqm): null/'' clears it; otherwise a non-negative number (2 decimals)
+function coerceFloorArea(v) {
+  if (v === null || v === '') return { ok: true, value: null };
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return { ok: false, error: 'floor_area must be a non-negative number (sqm)' };
+  return { ok: true, value: Math.round(n * 100) / 100 };
+}
+
 /**
  * GET /stalls
  * - admin: all stalls
@@ -74,13 +83,14 @@ router.get('/:id',
  *   - if body.building_id is omitted, default to operator's building
  * - if stall_status = 'available', tenant_id is forced to NULL
  * - if tenant_id is provided, tenant must exist AND belong to the same building
+ * - optional floor_area (sqm) is used by per-sqm recurring charges
  */
 router.post('/',
   authorizeRole('admin', 'operator'),
   authorizeBuildingParam(),
   async (req, res) => {
     const isAdmin = (req.user?.user_level || '').toLowerCase() === 'admin';
-    const { stall_sn, tenant_id, stall_status } = req.body || {};
+    const { stall_sn, tenant_id, stall_status, floor_area } = req.body || {};
     const building_id = req.body.building_id || (!isAdmin ? req.user.building_id : undefined);
 
     if (!stall_sn || !building_id || !stall_status) {
@@ -89,6 +99,8 @@ router.post('/',
     if (!ALLOWED_STATUS.has(stall_status)) {
       return res.status(400).json({ error: 'stall_status must be one of: occupied, available, under maintenance' });
     }
+    const area = floor_area === undefined ? { ok: true, value: null } : coerceFloorArea(floor_area);
+    if (!area.ok) return res.status(400).json({ error: area.error });
 
     try {
       // unique stall_sn
@@ -133,6 +145,7 @@ router.post('/',
         tenant_id: finalTenantId,
         building_id,
         stall_status,
+        floor_area: area.value,
         last_updated: getCurrentDateTime(),
         updated_by: req.user.user_fullname
       });
@@ -167,7 +180,7 @@ router.put('/:id',
   }),
   async (req, res) => {
     const stallId = req.params.id;
-    const { stall_sn, tenant_id, building_id, stall_status } = req.body || {};
+    const { stall_sn, tenant_id, building_id, stall_status, floor_area } = req.body || {};
     const updatedBy = req.user.user_fullname;
     const lastUpdated = getCurrentDateTime();
 
@@ -187,6 +200,9 @@ router.put('/:id',
 
       const isAdmin = (req.user?.user_level || '').toLowerCase() === 'admin';
 
+      const area = floor_area === undefined ? { ok: true, value: stall.floor_area } : coerceFloorArea(floor_area);
+      if (!area.ok) return res.status(400).json({ error: area.error });
+
       // Determine final target values
       const finalStallSn     = stall_sn ?? stall.stall_sn;
       const finalStallStatus = stall_status ?? stall.stall_status;
@@ -220,6 +236,7 @@ router.put('/:id',
         tenant_id: finalTenantId,
         building_id: finalBuildingId,
         stall_status: finalStallStatus,
+        floor_area: area.value,
         last_updated: lastUpdated,
         updated_by: updatedBy
       });
@@ -236,7 +253,7 @@ router.put('/:id',
  * DELETE /stalls/:id
  * - admin: unrestricted
  * - operator: only if stall is in their building
- * - blocks delete if meters still reference this stall
+ * - blocks delete if meters (own or shared) still reference this stall
  */
 router.delete('/:id',
   authorizeRole('admin', 'operator'),
@@ -255,8 +272,11 @@ router.delete('/:id',
     try {
       const meters = await Meter.findAll({ where: { stall_id: stallId }, attributes: ['meter_id'] });
 
+      const shares = await MeterStallShare.findAll({ where: { stall_id: stallId }, attributes: ['meter_id'] });
+
       const errors = [];
       if (meters.length) errors.push(`Meter(s): [${meters.map(m => m.meter_id).join(', ')}]`);
+      if (shares.length) errors.push(`Shared meter(s): [${shares.map(s => s.meter_id).join(', ')}]`);
 
       if (errors.length) {
         return res.status(400).json({
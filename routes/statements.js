@@ -0,0 +1,432 @@
+// routes/statements.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole     = require('../middleware/authorizeRole');
+const authorizeUtilityRole = require('../middleware/authorizeUtilityRole');
+const {
+  attachBuildingScope,
+  enforceRecordBuilding
+} = require('../middleware/authorizeBuilding');
+
+const BillingStatement  = require('../models/BillingStatement');
+const PenaltyAssessment = require('../models/PenaltyAssessment');
+const BillingAdjustment = require('../models/BillingAdjustment');
+
+const {
+  prepareStatement,
+  reviewStatement,
+  approveStatement,
+  issueStatement,
+  getStatement,
+  voidStatement,
+} = require('../utils/billingStatements');
+const { getStatementBalances } = require('../utils/ledger');
+const { assessPenalties, waivePenalty } = require('../utils/penalties');
+const { decideAdjustment } = require('../utils/rebilling');
+const { todayYMD } = require('../utils/buildingRates');
+
+// All routes require a valid token
+router.use(authenticateToken);
+
+const STATUSES = ['draft', 'reviewed', 'approved', 'issued', 'void'];
+const ALLOWED_STATUS = new Set(STATUSES);
+
+// billers need at least one utility; the statement's own utilities are checked when it is computed/reviewed
+const requireAnyUtility = authorizeUtilityRole({
+  roles: ['biller'], anyOf: ['electric', 'water', 'lpg'], requireAll: false, meterIdFields: []
+});
+
+// building of a statement (for enforceRecordBuilding)
+async function getStatementBuildingId(req) {
+  const stmt = await BillingStatement.findOne({
+    where: { statement_id: req.params.id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return stmt?.building_id || null;
+}
+
+// building of a rebilling adjustment (for enforceRecordBuilding)
+async function getAdjustmentBuildingId(req) {
+  const adj = await BillingAdjustment.findOne({
+    where: { adjustment_id: req.params.id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return adj?.building_id || null;
+}
+
+/**
+ * GET /statements
+ * - admin: all statements
+ * - operator/biller: statements in their building only
+ * Optional query:
+ *   tenant_id, status (draft|reviewed|approved|issued|void), period_end (YYYY-MM-DD), building_id (admin only)
+ */
+router.get('/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, status, period_end, building_id } = req.query || {};
+      const where = { ...req.buildingWhere() };
+
+      if (tenant_id) where.tenant_id = tenant_id;
+      if (status) {
+        if (!ALLOWED_STATUS.has(String(status).toLowerCase())) {
+          return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+        where.statement_status = String(status).toLowerCase();
+      }
+      if (period_end) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(period_end)) {
+          return res.status(400).json({ error: 'Invalid period_end. Use YYYY-MM-DD.' });
+        }
+        where.period_end = period_end;
+      }
+      if (building_id && !req.restrictToBuildingId) where.building_id = building_id;
+
+      const rows = await BillingStatement.findAll({
+        where,
+        order: [['period_end', 'DESC'], ['statement_id', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Error in GET /statements:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/* =========================
+ * Late-payment penalties
+ * ========================= */
+
+/**
+ * GET /statements/penalties
+ * - admin: all; operator/biller: their building
+ * Optional query: tenant_id, statement_id, status (assessed|waived), building_id (admin only)
+ */
+router.get('/penalties',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, statement_id, status, building_id } = req.query || {};
+      const where = { ...req.buildingWhere() };
+
+      if (tenant_id) where.tenant_id = tenant_id;
+      if (statement_id) where.statement_id = statement_id;
+      if (status) {
+        if (!['assessed', 'waived'].includes(String(status).toLowerCase())) {
+          return res.status(400).json({ error: 'status must be one of: assessed, waived' });
+        }
+        where.assessment_status = String(status).toLowerCase();
+      }
+      if (building_id && !req.restrictToBuildingId) where.building_id = building_id;
+
+      const rows = await PenaltyAssessment.findAll({
+        where,
+        order: [['assessed_on', 'DESC'], ['assessment_id', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Error in GET /statements/penalties:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /statements/penalties/assess
+ * - admin, biller (biller limited to their building)
+ * Body: { [building_id], [tenant_id], [as_of] (YYYY-MM-DD, default today) }
+ * Assesses penalties on overdue statements per the building penalty policy.
+ * (Bill runs and statement-of-account requests also assess automatically.)
+ */
+router.post('/penalties/assess',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    const { building_id, tenant_id, as_of } = req.body || {};
+    if (as_of && !/^\d{4}-\d{2}-\d{2}$/.test(as_of)) {
+      return res.status(400).json({ error: 'Invalid as_of. Use YYYY-MM-DD.' });
+    }
+    if (req.restrictToBuildingId && building_id && building_id !== req.restrictToBuildingId) {
+      return res.status(403).json({ error: 'Forbidden: Building mismatch' });
+    }
+
+    try {
+      const assessments = await assessPenalties({
+        buildingId: req.restrictToBuildingId || building_id || undefined,
+        tenantId: tenant_id || undefined,
+        asOf: as_of || todayYMD(),
+        user: req.user,
+      });
+      res.json({ message: `${assessments.length} penalty assessment(s) created`, assessments });
+    } catch (err) {
+      console.error('Error in POST /statements/penalties/assess:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /statements/penalties/:id/waive
+ * - admin only
+ * Body: { reason }
+ */
+router.put('/penalties/:id/waive',
+  authorizeRole('admin'),
+  async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+    try {
+      const pen = await waivePenalty({ assessmentId: req.params.id, reason, user: req.user });
+      res.json({ message: `Penalty ${pen.assessment_id} waived`, penalty: pen });
+    } catch (err) {
+      console.error('Error in PUT /statements/penalties/:id/waive:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/* =========================
+ * Rebilling adjustments
+ * ========================= */
+
+const ADJUSTMENT_STATUSES = ['pending', 'accepted', 'rejected', 'billed'];
+
+/**
+ * GET /statements/adjustments
+ * - admin: all; operator/biller: their building
+ * Optional query: tenant_id, statement_id, status (pending|accepted|rejected|billed), building_id (admin only)
+ * Adjustments are created when a reading behind an issued statement is edited or deleted.
+ */
+router.get('/adjustments',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, statement_id, status, building_id } = req.query || {};
+      const where = { ...req.buildingWhere() };
+
+      if (tenant_id) where.tenant_id = tenant_id;
+      if (statement_id) where.statement_id = statement_id;
+      if (status) {
+        if (!ADJUSTMENT_STATUSES.includes(String(status).toLowerCase())) {
+          return res.status(400).json({ error: `status must be one of: ${ADJUSTMENT_STATUSES.join(', ')}` });
+        }
+        where.adjustment_status = String(status).toLowerCase();
+      }
+      if (building_id && !req.restrictToBuildingId) where.building_id = building_id;
+
+      const rows = await BillingAdjustment.findAll({
+        where,
+        order: [['period_end', 'DESC'], ['adjustment_id', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Error in GET /statements/adjustments:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /statements/adjustments/:id/accept
+ * - admin, biller (biller limited to their building)
+ * Body: { [note] }
+ * The adjustment is carried on the tenant's next statement.
+ */
+router.put('/adjustments/:id/accept',
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getAdjustmentBuildingId),
+  async (req, res) => {
+    const note = String(req.body?.note || '').trim();
+    if (note.length > 255) return res.status(400).json({ error: 'note must be at most 255 characters' });
+
+    try {
+      const adj = await decideAdjustment({ adjustmentId: req.params.id, accept: true, note, user: req.user });
+      res.json({ message: `Adjustment ${adj.adjustment_id} accepted`, adjustment: adj });
+    } catch (err) {
+      console.error('Error in PUT /statements/adjustments/:id/accept:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /statements/adjustments/:id/reject
+ * - admin, biller (biller limited to their building)
+ * Body: { reason }
+ */
+router.put('/adjustments/:id/reject',
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getAdjustmentBuildingId),
+  async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+    if (reason.length > 255) return res.status(400).json({ error: 'reason must be at most 255 characters' });
+
+    try {
+      const adj = await decideAdjustment({ adjustmentId: req.params.id, accept: false, note: reason, user: req.user });
+      res.json({ message: `Adjustment ${adj.adjustment_id} rejected`, adjustment: adj });
+    } catch (err) {
+      console.error('Error in PUT /statements/adjustments/:id/reject:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /statements/:id
+ * - returns the statement header with its frozen lines, plus assessed penalty,
+ *   paid and balance
+ */
+router.get('/:id',
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(getStatementBuildingId),
+  async (req, res) => {
+    try {
+      const stmt = await getStatement(req.params.id);
+      if (!stmt) return res.status(404).json({ error: 'Statement not found' });
+
+      const balances = await getStatementBalances(stmt.tenant_id);
+      const own = balances.find(b => b.statement_id === stmt.statement_id);
+      res.json({
+        ...stmt.toJSON(),
+        penalty: own ? own.penalty : 0,
+        paid: own ? own.paid : 0,
+        balance: own ? own.balance : 0,
+      });
+    } catch (err) {
+      console.error('Error in GET /statements/:id:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /statements
+ * - admin, biller (biller scoped to their building by the billing engine, and
+ *   needs every utility billed to the tenant)
+ * Body: { tenant_id, end_date (YYYY-MM-DD), [estimate_missing] }
+ * Computes the tenant bill and stores it as a draft statement. Late-payment penalties
+ * come from the building penalty policy (POST /statements/penalties/assess).
+ * estimate_missing: store estimated readings for meters missing an index instead of refusing.
+ */
+router.post('/',
+  authorizeRole('admin', 'biller'),
+  requireAnyUtility,
+  async (req, res) => {
+    const { tenant_id, end_date, estimate_missing } = req.body || {};
+    if (!tenant_id || !end_date) {
+      return res.status(400).json({ error: 'tenant_id and end_date are required' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(end_date)) {
+      return res.status(400).json({ error: 'Invalid end_date. Use YYYY-MM-DD.' });
+    }
+
+    try {
+      const stmt = await prepareStatement({
+        tenantId: tenant_id,
+        endDate: end_date,
+        user: req.user,
+        estimateMissing: estimate_missing === true || String(estimate_missing) === 'true',
+      });
+      res.status(201).json({ message: 'Statement draft prepared successfully', statement: stmt });
+    } catch (err) {
+      console.error('Error in POST /statements:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/* =========================
+ * Approval workflow: draft -> reviewed -> approved -> issued
+ * ========================= */
+
+/**
+ * PUT /statements/:id/review
+ * - admin, biller (biller scoped to their building and the statement's utilities)
+ * The reviewer must not be the user who prepared the draft.
+ */
+router.put('/:id/review',
+  authorizeRole('admin', 'biller'),
+  requireAnyUtility,
+  enforceRecordBuilding(getStatementBuildingId),
+  async (req, res) => {
+    try {
+      const stmt = await reviewStatement({ statementId: req.params.id, user: req.user });
+      res.json({ message: `Statement ${stmt.statement_id} reviewed`, statement: stmt });
+    } catch (err) {
+      console.error('Error in PUT /statements/:id/review:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /statements/:id/approve
+ * - admin only
+ */
+router.put('/:id/approve',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const stmt = await approveStatement({ statementId: req.params.id, user: req.user });
+      res.json({ message: `Statement ${stmt.statement_id} approved`, statement: stmt });
+    } catch (err) {
+      console.error('Error in PUT /statements/:id/approve:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /statements/:id/issue
+ * - admin only
+ * The approved statement is billed to the tenant (balance, penalties) and
+ * unapplied tenant credit is applied to it.
+ */
+router.put('/:id/issue',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const stmt = await issueStatement({ statementId: req.params.id, user: req.user });
+      res.json({ message: `Statement ${stmt.statement_id} issued`, statement: stmt });
+    } catch (err) {
+      console.error('Error in PUT /statements/:id/issue:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /statements/:id/void
+ * - admin only
+ * Body: { reason }
+ */
+router.put('/:id/void',
+  authorizeRole('admin'),
+  async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+    try {
+      const stmt = await voidStatement({ statementId: req.params.id, reason, user: req.user });
+      res.json({ message: `Statement ${stmt.statement_id} voided`, statement: stmt });
+    } catch (err) {
+      console.error('Error in PUT /statements/:id/void:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
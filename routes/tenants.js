@@ -19,6 +19,14 @@ const { Op } = require('sequelize');
 const sequelize = require('../models');           // your initialized sequelize instance
 const Tenant = require('../models/Tenant');
 const Building = require('../models/Building');   // only used for existence checks (optional)
+const TenantRateOverride = require('../models/TenantRateOverride');
+
+const {
+  coerceRateOverride,
+  checkRateOverride,
+  findOverlappingOverride,
+  generateNextOverrideId,
+} = require('../utils/tenantRates');
 
 // -----------------------------------------------------------------------------
 // Helpers
@@ -61,6 +69,25 @@ function toBool(v, fallback = false) {
   return fallback;
 }
 
+/** building of the tenant in :id (for enforceRecordBuilding) */
+async function getTenantBuildingId(req) {
+  const rec = await Tenant.findOne({ where: { tenant_id: req.params.id }, attributes: ['building_id'], raw: true });
+  return rec?.building_id;
+}
+
+/** 400/409 message when a merged override is invalid or overlaps another one, else null */
+async function rateOverrideProblem(o, excludeId) {
+  const checked = checkRateOverride(o);
+  if (!checked.ok) return { status: 400, error: checked.error };
+  const overlap = await findOverlappingOverride({
+    tenantId: o.tenant_id, utility: o.utility, validFrom: o.valid_from, validTo: o.valid_to, excludeId
+  });
+  if (overlap) {
+    return { status: 409, error: `Validity overlaps override ${overlap.override_id} for ${o.utility || 'all utilities'}` };
+  }
+  return null;
+}
+
 // -----------------------------------------------------------------------------
 // Routes
 // -----------------------------------------------------------------------------
@@ -269,10 +296,142 @@ router.put(
   }
 );
 
+/**
+ * GET /tenants/:id/rate-overrides
+ * - admin, biller (biller only within their building)
+ * Negotiated rates of the tenant, newest first
+ */
+router.get(
+  '/:id/rate-overrides',
+  authenticateToken,
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    try {
+      const rows = await TenantRateOverride.findAll({
+        where: { tenant_id: req.params.id },
+        order: [['valid_from', 'DESC'], ['override_id', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Error in GET /tenants/:id/rate-overrides:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /tenants/:id/rate-overrides
+ * - admin, biller (biller only within their building)
+ * Body: { [utility] (electric|water|lpg; omit/null = all), override_type (rate|discount),
+ *         override_value, valid_from, [valid_to], [notes] }
+ * - rate: override_value is the contract rate per unit (replaces the building's flat/block rate)
+ * - discount: override_value is the percent taken off the building-rate charge
+ * Billing uses the override valid on the period end; a utility-specific one wins over
+ * an all-utilities one. Overrides of the same utility scope may not overlap.
+ */
+router.post(
+  '/:id/rate-overrides',
+  authenticateToken,
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    try {
+      const tenant = await Tenant.findOne({ where: { tenant_id: req.params.id }, attributes: ['tenant_id'] });
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+      const coerced = coerceRateOverride(req.body || {});
+      if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+
+      const data = { valid_to: null, notes: null, ...coerced.data, tenant_id: req.params.id };
+      const problem = await rateOverrideProblem(data);
+      if (problem) return res.status(problem.status).json({ error: problem.error });
+
+      const created = await sequelize.transaction(async (t) => TenantRateOverride.create({
+        override_id: await generateNextOverrideId(t),
+        ...data,
+        last_updated: getCurrentDateTime(),
+        updated_by: req.user?.user_fullname || 'System Admin',
+      }, { transaction: t }));
+
+      res.status(201).json({ message: 'Rate override added', rate_override: created });
+    } catch (err) {
+      console.error('Error in POST /tenants/:id/rate-overrides:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /tenants/:id/rate-overrides/:override_id
+ * - admin, biller (biller only within their building)
+ * Update any of utility, override_type, override_value, valid_from, valid_to, notes
+ * (e.g. set valid_to to end a contract). Statements already issued keep their amounts.
+ */
+router.put(
+  '/:id/rate-overrides/:override_id',
+  authenticateToken,
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    try {
+      const row = await TenantRateOverride.findOne({
+        where: { override_id: req.params.override_id, tenant_id: req.params.id }
+      });
+      if (!row) return res.status(404).json({ error: 'Rate override not found' });
+
+      const coerced = coerceRateOverride(req.body || {}, true);
+      if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+      if (!Object.keys(coerced.data).length) {
+        return res.status(400).json({ error: 'No rate override fields to update' });
+      }
+
+      const problem = await rateOverrideProblem({ ...row.get({ plain: true }), ...coerced.data }, row.override_id);
+      if (problem) return res.status(problem.status).json({ error: problem.error });
+
+      await row.update({
+        ...coerced.data,
+        last_updated: getCurrentDateTime(),
+        updated_by: req.user?.user_fullname || 'System Admin',
+      });
+
+      res.json({ message: 'Rate override updated', rate_override: row });
+    } catch (err) {
+      console.error('Error in PUT /tenants/:id/rate-overrides/:override_id:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * DELETE /tenants/:id/rate-overrides/:override_id
+ * - admin, biller (biller only within their building)
+ * Statements already issued keep their amounts
+ */
+router.delete(
+  '/:id/rate-overrides/:override_id',
+  authenticateToken,
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(getTenantBuildingId),
+  async (req, res) => {
+    try {
+      const deleted = await TenantRateOverride.destroy({
+        where: { override_id: req.params.override_id, tenant_id: req.params.id }
+      });
+      if (deleted === 0) return res.status(404).json({ error: 'Rate override not found' });
+      res.json({ message: `Rate override ${req.params.override_id} deleted` });
+    } catch (err) {
+      console.error('Error in DELETE /tenants/:id/rate-overrides/:override_id:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 /**
  * DELETE /tenants/:id
  * - admin: full access
  * - operator/biller: only if in their building
+ * - the tenant's rate overrides are removed with it
  */
 router.delete(
   '/:id',
@@ -284,7 +443,10 @@ router.delete(
   }),
   async (req, res) => {
     try {
-      const deleted = await Tenant.destroy({ where: { tenant_id: req.params.id } });
+      const deleted = await sequelize.transaction(async (t) => {
+        await TenantRateOverride.destroy({ where: { tenant_id: req.params.id }, transaction: t });
+        return Tenant.destroy({ where: { tenant_id: req.params.id }, transaction: t });
+      });
       if (deleted === 0) return res.status(404).json({ error: 'Tenant not found' });
       res.json({ message: `Tenant ${req.params.id} deleted successfully` });
     } catch (err) {
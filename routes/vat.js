@@ -16,7 +16,7 @@ router.use(authenticateToken);
 
 /** helper: coerce numeric VAT fields to DECIMAL(10,2) percent points */
 function coerceVatNumbers(obj) {
-  const keys = ['e_vat', 'w_vat', 'l_vat'];
+  const keys = ['e_vat', 'w_vat', 'l_vat', 'o_vat'];
   const out = { ...obj };
   for (const k of keys) {
     if (out[k] !== undefined) {
@@ -31,6 +31,30 @@ function coerceVatNumbers(obj) {
   return { ok: true, data: out };
 }
 
+const VAT_METHODS    = ['exclusive', 'inclusive'];
+const PENALTY_BASES  = ['base', 'gross'];
+
+/**
+ * helper: validate the computation method fields when given
+ *   vat_method    exclusive (VAT = base × vat%) | inclusive (rates include VAT)
+ *   penalty_basis base (VAT-exclusive base) | gross (base + VAT): the part of an overdue
+ *                 statement late penalties are charged on (see utils/penalties.js)
+ */
+function coerceVatMethods(obj) {
+  const out = {};
+  if (obj.vat_method !== undefined) {
+    const v = String(obj.vat_method).toLowerCase();
+    if (!VAT_METHODS.includes(v)) return { ok: false, error: 'vat_method must be one of: exclusive, inclusive' };
+    out.vat_method = v;
+  }
+  if (obj.penalty_basis !== undefined) {
+    const v = String(obj.penalty_basis).toLowerCase();
+    if (!PENALTY_BASES.includes(v)) return { ok: false, error: 'penalty_basis must be one of: base, gross' };
+    out.penalty_basis = v;
+  }
+  return { ok: true, data: out };
+}
+
 /** =========================
  *  VAT CODE CATALOG (GLOBAL)
  *  =========================
@@ -69,17 +93,23 @@ router.get('/:tax_id', authorizeRole('admin', 'biller'), async (req, res) => {
   }
 });
 
-/** POST /vat — create a VAT code (admin & biller) */
+/**
+ * POST /vat — create a VAT code (admin & biller)
+ * Optional: vat_method (exclusive|inclusive, default exclusive),
+ *           penalty_basis (base|gross, default base)
+ */
 router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
   try {
-    const { vat_code, vat_description, e_vat, w_vat, l_vat } = req.body || {};
+    const { vat_code, vat_description, e_vat, w_vat, l_vat, o_vat, vat_method, penalty_basis } = req.body || {};
     if (!vat_code) {
       return res.status(400).json({ error: 'vat_code is required' });
     }
 
     // coerce numbers (percent points)
-    const coerced = coerceVatNumbers({ e_vat, w_vat, l_vat });
+    const coerced = coerceVatNumbers({ e_vat, w_vat, l_vat, o_vat });
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    const methods = coerceVatMethods({ vat_method, penalty_basis });
+    if (!methods.ok) return res.status(400).json({ error: methods.error });
 
     // Generate next VAT-<n> (cross-dialect; MSSQL-safe)
     const rows = await VAT.findAll({
@@ -101,6 +131,7 @@ router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
       vat_code,
       vat_description: vat_description ?? 'Zero Rated',
       ...coerced.data,
+      ...methods.data,
       last_updated: now,
       updated_by: updatedBy,
     });
@@ -128,16 +159,20 @@ router.put('/:tax_id', authorizeRole('admin', 'biller'), async (req, res) => {
       e_vat: req.body?.e_vat,
       w_vat: req.body?.w_vat,
       l_vat: req.body?.l_vat,
+      o_vat: req.body?.o_vat,
     };
 
     const coerced = coerceVatNumbers(candidate);
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    const methods = coerceVatMethods(req.body || {});
+    if (!methods.ok) return res.status(400).json({ error: methods.error });
 
     const now = getCurrentDateTime();
     const updatedBy = req.user?.user_fullname || 'System Admin';
 
     await row.update({
       ...coerced.data,
+      ...methods.data,
       vat_code: candidate.vat_code ?? row.vat_code,
       vat_description: candidate.vat_description ?? row.vat_description,
       last_updated: now,
@@ -184,7 +219,7 @@ router.get(
           {
             model: VAT,
             as: 'vat',
-            attributes: ['vat_code', 'vat_description', 'e_vat', 'w_vat', 'l_vat'],
+            attributes: ['vat_code', 'vat_description', 'e_vat', 'w_vat', 'l_vat', 'o_vat', 'vat_method', 'penalty_basis'],
             required: false, // show tenants even if vat_code is null or missing
           },
         ],
@@ -14,7 +14,7 @@ router.use(authenticateToken);
 
 /** helper: coerce numeric WT fields to DECIMAL(10,2) */
 function coerceWtNumbers(obj) {
-  const keys = ['e_wt', 'w_wt', 'l_wt'];
+  const keys = ['e_wt', 'w_wt', 'l_wt', 'o_wt'];
   const out = { ...obj };
   for (const k of keys) {
     if (out[k] !== undefined) {
@@ -29,6 +29,16 @@ function coerceWtNumbers(obj) {
   return { ok: true, data: out };
 }
 
+const WT_METHODS = ['on_vat', 'on_base'];
+
+/** helper: wt_method when given — on_vat (WT = VAT × wt%) | on_base (WT = VAT-exclusive base × wt%) */
+function coerceWtMethod(obj) {
+  if (obj.wt_method === undefined) return { ok: true, data: {} };
+  const v = String(obj.wt_method).toLowerCase();
+  if (!WT_METHODS.includes(v)) return { ok: false, error: 'wt_method must be one of: on_vat, on_base' };
+  return { ok: true, data: { wt_method: v } };
+}
+
 /** =========================
  *  WT CODE CATALOG (GLOBAL)
  *  =========================
@@ -67,17 +77,19 @@ router.get('/:wt_id', authorizeRole('admin', 'biller'), async (req, res) => {
   }
 });
 
-/** POST /wt — create a WT code (admin & biller) */
+/** POST /wt — create a WT code (admin & biller); optional wt_method (on_vat|on_base, default on_vat) */
 router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
   try {
-    const { wt_code, wt_description, e_wt, w_wt, l_wt } = req.body || {};
+    const { wt_code, wt_description, e_wt, w_wt, l_wt, o_wt, wt_method } = req.body || {};
     if (!wt_code) {
       return res.status(400).json({ error: 'wt_code is required' });
     }
 
     // coerce numbers (percent points)
-    const coerced = coerceWtNumbers({ e_wt, w_wt, l_wt });
+    const coerced = coerceWtNumbers({ e_wt, w_wt, l_wt, o_wt });
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    const method = coerceWtMethod({ wt_method });
+    if (!method.ok) return res.status(400).json({ error: method.error });
 
     // Generate next WT-<n> (cross-dialect; MSSQL-safe)
     const rows = await WT.findAll({
@@ -99,6 +111,7 @@ router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
       wt_code,
       wt_description: wt_description ?? 'Insert Description',
       ...coerced.data,
+      ...method.data,
       last_updated: now,
       updated_by: updatedBy,
     });
@@ -126,16 +139,20 @@ router.put('/:wt_id', authorizeRole('admin', 'biller'), async (req, res) => {
       e_wt: req.body?.e_wt,
       w_wt: req.body?.w_wt,
       l_wt: req.body?.l_wt,
+      o_wt: req.body?.o_wt,
     };
 
     const coerced = coerceWtNumbers(candidate);
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
+    const method = coerceWtMethod(req.body || {});
+    if (!method.ok) return res.status(400).json({ error: method.error });
 
     const now = getCurrentDateTime();
     const updatedBy = req.user?.user_fullname || 'System Admin';
 
     await row.update({
       ...coerced.data,
+      ...method.data,
       wt_code: candidate.wt_code ?? row.wt_code,
       wt_description: candidate.wt_description ?? row.wt_description,
       last_updated: now,
@@ -8,50 +8,84 @@ const Reading  = require('../models/Reading');   // DATEONLY lastread_date
 const Meter    = require('../models/Meter');
 const Stall    = require('../models/Stall');
 const Tenant   = require('../models/Tenant');    // vat_code, wt_code, for_penalty
-const VAT      = require('../models/VAT');       // e_vat, w_vat, l_vat (percent or fraction)
-const WT       = require('../models/WT');        // e_wt, w_wt, l_wt (percent or fraction)
-const Building = require('../models/Building');  // erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg
+const VAT      = require('../models/VAT');       // e_vat, w_vat, l_vat, o_vat (percent or fraction)
+const WT       = require('../models/WT');        // e_wt, w_wt, l_wt, o_wt (percent or fraction)
+const Building = require('../models/Building');  // erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg, lmin_con
+const MeterReplacement = require('../models/MeterReplacement'); // old → new meter, final/initial indices
+const ChargeType = require('../models/ChargeType'); // recurring flat / per-sqm charges per building
+
+// Billing windows per building (period calendar / cut-off day / calendar month)
+const {
+  daysBetween,
+  getCurrentPeriodFromEnd,
+  getPreviousPeriodFromCurrent,
+  resolvePeriodWindows,
+} = require('./billingPeriods');
+
+// Decimal money math + rounding policy (BILLING_ROUNDING_MODE / _SCOPE)
+const { dec, roundDec, roundNum, sum, getRoundingPolicy } = require('./money');
+
+// Effective-dated base rates (building_rate_history) + block tariffs
+const { getRatesInForce, getRateBlocksInForce, todayYMD } = require('./buildingRates');
+
+// Negotiated tenant rates (contract rate / % discount), ahead of the building rate
+const { getRateOverride } = require('./tenantRates');
+
+// Effective-dated splits of shared meters
+const { getSharesInForce, getSharesHeldBy } = require('./meterShares');
+
+// Closed billing periods refuse new (estimated) readings
+const { assertPeriodOpen } = require('./periodClosing');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
 
 /* =========================
  * Small helpers (no DB)
  * ========================= */
 
+// Round with the configured rounding mode (exact decimal, no toFixed float artefacts)
 function round(n, d = 2) {
-  if (n === null || n === undefined || isNaN(n)) return null;
-  return Number(Number(n).toFixed(d));
+  return roundNum(n, d);
 }
 
-// Percent normalizer: 1 -> 0.01, 12 -> 0.12, 0.12 -> 0.12
+// Percent normalizer: 1 -> 0.01, 12 -> 0.12, 0.12 -> 0.12 (decimal division, no float artefacts)
 const normalizePct = (v) => {
-  const n = Number(v) || 0;
-  return n >= 1 ? n / 100 : n;
+  const n = dec(v);
+  return (n.gte(1) ? n.div(100) : n).toNumber();
 };
 
-// LPG minimum is fixed (per your instruction)
-const LPG_MIN_CON = 1;
-
-// YYYY-MM-DD from a UTC Date
-function ymd(d) {
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
+// Largest wrapped delta taken as a rollover, as a fraction of the register range (10^digits)
+const ROLLOVER_MAX_FRACTION = 0.1;
 
-// Build string windows (DATEONLY-safe) for current and previous months
-function getCurrentPeriodFromEnd(endDateStr) {
-  const end = new Date(endDateStr + 'T00:00:00Z');
-  const startOfMonth = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
-  const nextMonthStart = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 1));
-  const endOfMonth = new Date(nextMonthStart.getTime() - 24 * 60 * 60 * 1000);
-  return { start: ymd(startOfMonth), end: ymd(endOfMonth) };
-}
+/**
+ * Register delta with rollover detection.
+ * If the current index is below the previous one and the meter has a digit
+ * count, the register wrapped (e.g. 99990 -> 00012 on 5 digits):
+ *   delta = (10^digits − prev) + curr
+ * only when that is plausible: the wrapped delta is at most ROLLOVER_MAX_FRACTION
+ * of the register range (so prev was near the top of the register). Any other
+ * drop (corrected or misread index, e.g. 500 -> 499) is an error (400) for the meter.
+ * Without a digit count the raw (negative) delta is returned unchanged.
+ */
+function registerDelta(prevIdx, currIdx, digits) {
+  const prev = dec(prevIdx);
+  const curr = dec(currIdx);
+  const d = Number(digits) || 0;
 
-function getPreviousPeriodFromCurrent(currStartStr) {
-  const s = new Date(currStartStr + 'T00:00:00Z'); // first day of current month
-  const prevStart = new Date(Date.UTC(s.getUTCFullYear(), s.getUTCMonth() - 1, 1));
-  const prevEnd   = new Date(s.getTime() - 24 * 60 * 60 * 1000);
-  return { prevStart: ymd(prevStart), prevEnd: ymd(prevEnd) };
+  if (curr.lt(prev) && d > 0) {
+    const range = dec(10).pow(d);
+    const wrapped = range.minus(prev).plus(curr);
+    if (wrapped.gt(range.times(ROLLOVER_MAX_FRACTION))) {
+      const e = new Error(
+        `Reading dropped from ${prev.toString()} to ${curr.toString()}, which is not a plausible ` +
+        `${d}-digit register rollover; check the readings`
+      );
+      e.status = 400;
+      throw e;
+    }
+    return { delta: wrapped.toNumber(), rollover: true };
+  }
+  return { delta: curr.minus(prev).toNumber(), rollover: false };
 }
 
 /* =========================
@@ -68,28 +102,355 @@ async function getMaxReadingInPeriod(meter_id, startStr, endStr) {
     order: [['lastread_date', 'DESC']],
     raw: true,
   });
-  return row ? { value: Number(row.reading_value) || 0, date: row.lastread_date } : null;
+  return row
+    ? { value: Number(row.reading_value) || 0, date: row.lastread_date, is_estimated: !!row.is_estimated }
+    : null;
+}
+
+/* =========================
+ * Estimated readings
+ * ========================= */
+
+// How many of the latest actual readings feed the average daily consumption
+const ESTIMATE_HISTORY = 12;
+
+/**
+ * Average daily consumption (register units/day) from the meter's latest
+ * actual (non-estimated) readings before beforeStr. Null with fewer than two.
+ */
+async function getAverageDailyUsage(meterId, beforeStr, digits) {
+  const rows = await Reading.findAll({
+    where: { meter_id: meterId, is_estimated: false, lastread_date: { [Op.lt]: beforeStr } },
+    order: [['lastread_date', 'DESC']],
+    limit: ESTIMATE_HISTORY + 1,
+    raw: true,
+  });
+  if (rows.length < 2) return null;
+  rows.reverse();
+
+  let units = 0;
+  for (let i = 1; i < rows.length; i++) {
+    try {
+      units += Math.max(0, registerDelta(rows[i - 1].reading_value, rows[i].reading_value, digits).delta);
+    } catch (err) {
+      if (err.status !== 400) throw err; // implausible drop: no usage counted for that interval
+    }
+  }
+  const first = rows[0];
+  const last  = rows[rows.length - 1];
+  const days  = daysBetween(first.lastread_date, last.lastread_date);
+  if (days <= 0) return null;
+
+  return {
+    avg_daily: units / days,
+    from: first.lastread_date,
+    to: last.lastread_date,
+    readings: rows.length,
+    anchor: { value: Number(last.reading_value) || 0, date: last.lastread_date },
+  };
+}
+
+/**
+ * Estimate a meter's index on dateStr: latest actual reading before the date
+ * plus average daily consumption × elapsed days (wrapped at meter_digits).
+ */
+async function estimateReadingAt(meterId, dateStr) {
+  const meter = await Meter.findOne({
+    where: { meter_id: meterId },
+    attributes: ['meter_id', 'meter_digits'],
+    raw: true
+  });
+  if (!meter) { const e = new Error('Meter not found'); e.status = 404; throw e; }
+
+  const usage = await getAverageDailyUsage(meterId, dateStr, meter.meter_digits);
+  if (!usage) {
+    const e = new Error(`Not enough actual readings to estimate ${meterId} on ${dateStr} (need at least 2 before it)`);
+    e.status = 400;
+    throw e;
+  }
+
+  let value = usage.anchor.value + usage.avg_daily * daysBetween(usage.anchor.date, dateStr);
+  const d = Number(meter.meter_digits) || 0;
+  if (d > 0) value = value % Math.pow(10, d);
+
+  return {
+    meter_id: meterId,
+    date: dateStr,
+    value: round(value, 2),
+    avg_daily: round(usage.avg_daily, 4),
+    anchor: usage.anchor,
+    basis: { from: usage.from, to: usage.to, readings: usage.readings },
+  };
+}
+
+/**
+ * Estimate a meter's index on dateStr and store it as an estimated reading.
+ * Refuses (409) when the meter already has a reading on that date.
+ */
+async function createEstimatedReading({ meterId, date, user }) {
+  const existing = await Reading.findOne({
+    where: { meter_id: meterId, lastread_date: date },
+    attributes: ['reading_id'],
+    raw: true
+  });
+  if (existing) {
+    const e = new Error(`Reading already exists for ${meterId} on ${date}`); e.status = 409; throw e;
+  }
+
+  const est = await estimateReadingAt(meterId, date);
+  const [saved] = await saveEstimatedReadings({ estimates: [est], user });
+  return saved;
+}
+
+// Highest MR-<n> in use (cross-dialect; scan)
+async function maxReadingNumber(t) {
+  const rows = await Reading.findAll({
+    where: { reading_id: { [Op.like]: 'MR-%' } },
+    attributes: ['reading_id'],
+    transaction: t,
+    raw: true
+  });
+  return rows.reduce((max, r) => {
+    const m = String(r.reading_id).match(/^MR-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+}
+
+// Building of a meter (through its stall), or null
+async function meterBuildingId(meterId, t) {
+  const meter = await Meter.findOne({ where: { meter_id: meterId }, attributes: ['stall_id'], transaction: t, raw: true });
+  if (!meter) return null;
+  const stall = await Stall.findOne({ where: { stall_id: meter.stall_id }, attributes: ['building_id'], transaction: t, raw: true });
+  return stall?.building_id || null;
+}
+
+/**
+ * Store estimates from the engine ({ meter_id, date, value }, see collectEstimates)
+ * as estimated readings, inside the caller's transaction when given (so they are
+ * rolled back with the statement / run that used them).
+ * Refuses (409) when a meter already has a reading on the estimate's date, or the
+ * date is in a closed billing period of the meter's building.
+ * @returns {Promise<Array>} the estimates with their reading_id
+ */
+async function saveEstimatedReadings({ estimates, user, t }) {
+  if (!estimates.length) return [];
+
+  const updatedBy = user?.user_fullname || 'System Admin';
+  let next = await maxReadingNumber(t);
+  const out = [];
+  for (const est of estimates) {
+    await assertPeriodOpen(await meterBuildingId(est.meter_id, t), est.date);
+
+    const existing = await Reading.findOne({
+      where: { meter_id: est.meter_id, lastread_date: est.date },
+      attributes: ['reading_id'],
+      transaction: t,
+      raw: true
+    });
+    if (existing) {
+      const e = new Error(`Reading already exists for ${est.meter_id} on ${est.date}`); e.status = 409; throw e;
+    }
+
+    const readingId = `MR-${++next}`;
+    await Reading.create({
+      reading_id: readingId,
+      meter_id: est.meter_id,
+      reading_value: est.value,
+      lastread_date: est.date,
+      is_estimated: true,
+      read_by: updatedBy,
+      last_updated: getCurrentDateTime(),
+      updated_by: updatedBy,
+    }, { transaction: t });
+    out.push({ ...est, reading_id: readingId });
+  }
+  return out;
+}
+
+/**
+ * Estimates used by engine results (meter results and common-area lines), one per
+ * meter and date, for saveEstimatedReadings. Errored results are skipped.
+ */
+function collectEstimates(results) {
+  const byKey = new Map();
+  for (const r of results) {
+    if (!r || r.error) continue;
+    const list = r.common_area
+      ? (r.common_area.estimates || [])
+      : [r.estimates?.previous, r.estimates?.current];
+    for (const est of list.filter(Boolean)) byKey.set(`${est.meter_id}|${est.date}`, est);
+  }
+  return [...byKey.values()];
+}
+
+// Estimate the missing index of a window on its end date (today if the window is still open).
+// The engine never stores it; callers that keep the bill store it (saveEstimatedReadings).
+async function estimateForWindow(meterId, win, buildingId) {
+  const today = todayYMD();
+  const date = win.end < today ? win.end : today;
+  if (date < win.start) {
+    const e = new Error(`Cannot estimate ${meterId} for ${win.start}..${win.end} before the period starts`);
+    e.status = 400;
+    throw e;
+  }
+  // no estimates into a closed period (they could not be stored)
+  await assertPeriodOpen(buildingId, date);
+  const est = await estimateReadingAt(meterId, date);
+  return { value: est.value, date, is_estimated: true, estimate: est };
+}
+
+/**
+ * Previous/current indices of a meter for its billing windows.
+ * Meter replacements: the outgoing meter stops billing once replaced (its last
+ * segment is billed on the new meter); the new meter starts with its install period.
+ * A split period (replaced inside the current window) returns two segments:
+ * old prev → old final, then new initial → curr.
+ * With estimateMissing, a missing index is estimated from average daily consumption
+ * (not stored here; see saveEstimatedReadings); the next actual reading is billed
+ * against the estimate, which trues the usage up. Estimates dated in a closed period
+ * of buildingId are refused (409).
+ * Returns { prevMax, currMax, replaces, segments|null }.
+ */
+async function resolveMeterReadings({ meter, windows, buildingId, estimateMissing = false }) {
+  const meterId = meter.meter_id;
+  const { start: currStart, end: currEnd } = windows.current;
+  const { start: prevStart, end: prevEnd } = windows.previous;
+
+  const [replacedBy, replaces] = await Promise.all([
+    MeterReplacement.findOne({ where: { old_meter_id: meterId }, raw: true }),
+    MeterReplacement.findOne({ where: { new_meter_id: meterId }, raw: true }),
+  ]);
+  if (replacedBy && replacedBy.replaced_date <= currEnd) {
+    const e = new Error(`Meter was replaced by ${replacedBy.new_meter_id} on ${replacedBy.replaced_date}`);
+    e.status = 409; e.notBillable = true; throw e;
+  }
+  if (replaces && replaces.replaced_date > currEnd) {
+    const e = new Error(`Meter was installed on ${replaces.replaced_date}, after ${currEnd}`);
+    e.status = 409; e.notBillable = true; throw e;
+  }
+  const splitPeriod = !!replaces && replaces.replaced_date >= currStart;
+
+  // Last reading in each window (by date); a split period takes the previous
+  // index from the outgoing meter
+  const prevMeterId = splitPeriod ? replaces.old_meter_id : meterId;
+  let [currMax, prevMax] = await Promise.all([
+    getMaxReadingInPeriod(meterId, currStart, currEnd),
+    getMaxReadingInPeriod(prevMeterId, prevStart, prevEnd),
+  ]);
+
+  if (estimateMissing) {
+    if (!prevMax) prevMax = await estimateForWindow(prevMeterId, windows.previous, buildingId);
+    if (!currMax) currMax = await estimateForWindow(meterId, windows.current, buildingId);
+  }
+
+  if (!currMax) { const e = new Error(`No readings for ${meterId} in ${currStart}..${currEnd}`); e.status = 400; throw e; }
+  if (!prevMax) { const e = new Error(`No readings for ${prevMeterId} in ${prevStart}..${prevEnd}`); e.status = 400; throw e; }
+
+  let segments = null;
+  if (splitPeriod) {
+    const oldMeter = await Meter.findOne({
+      where: { meter_id: replaces.old_meter_id },
+      attributes: ['meter_id', 'meter_sn', 'meter_mult', 'meter_digits'],
+      raw: true
+    });
+    segments = [
+      {
+        meter_id: replaces.old_meter_id,
+        meter_sn: oldMeter?.meter_sn ?? null,
+        prev: prevMax.value, prev_date: prevMax.date,
+        curr: Number(replaces.old_final_reading) || 0, curr_date: replaces.replaced_date,
+        mult: Number(oldMeter?.meter_mult) || 1,
+        digits: oldMeter?.meter_digits ?? null,
+      },
+      {
+        meter_id: meterId,
+        meter_sn: meter.meter_sn,
+        prev: Number(replaces.new_initial_reading) || 0, prev_date: replaces.replaced_date,
+        curr: currMax.value, curr_date: currMax.date,
+        mult: Number(meter.meter_mult) || 1,
+        digits: meter.meter_digits ?? null,
+      },
+    ];
+  }
+
+  return { prevMax, currMax, replaces: splitPeriod ? replaces : null, segments };
+}
+
+/**
+ * Building rates, minimums and block tables in force for a billed period, with a
+ * what-if scenario's proposed values laid over them:
+ *   scenario.rates   { erate_perKwH, emin_con, ... }  (proposed values have no effective date)
+ *   scenario.blocks  { electric: [{ from, to, rate }], ... }  ([] = back to the flat rate)
+ */
+async function loadBillingRates(buildingId, asOf, scenario = null) {
+  const building = await getRatesInForce(buildingId, asOf);
+  if (!building) { const e = new Error('Building configuration not found'); e.status = 400; throw e; }
+  const inForce = await getRateBlocksInForce(buildingId, asOf);
+  building.blocks = inForce.blocks;
+  building.blocks_effective = inForce.effective;
+
+  for (const [f, v] of Object.entries(scenario?.rates || {})) {
+    building[f] = v;
+    building.effective[f] = null;
+  }
+  for (const [u, b] of Object.entries(scenario?.blocks || {})) {
+    building.blocks[u] = b;
+    building.blocks_effective[u] = null;
+  }
+  return building;
 }
 
-// Pull VAT/WT per tenant codes (returns FRACTIONS)
-async function getTenantTaxKnobs(tenant) {
-  const [vatRow, wtRow] = await Promise.all([
+// Metered units (Decimal, before minimum consumption) of resolved readings
+function meterUnits(meter, { prevMax, currMax, segments }) {
+  const segs = segments || [{
+    prev: prevMax.value, curr: currMax.value, mult: meter.meter_mult, digits: meter.meter_digits
+  }];
+  return segs.reduce(
+    (acc, s) => acc.plus(dec(registerDelta(s.prev, s.curr, s.digits).delta).times(dec(Number(s.mult) || 1))),
+    dec(0)
+  );
+}
+
+// Tax computation methods carried by VAT codes (vat_method, penalty_basis) and WT codes (wt_method);
+// penalty_basis applies to late penalties (see penalties.assessPenalties)
+const TAX_METHODS = {
+  vat: ['exclusive', 'inclusive'],
+  wt: ['on_vat', 'on_base'],
+  penalty: ['base', 'gross'],
+};
+const DEFAULT_TAX_METHOD = { vat: 'exclusive', wt: 'on_vat', penalty: 'base' };
+
+const pickMethod = (kind, v) => (TAX_METHODS[kind].includes(v) ? v : DEFAULT_TAX_METHOD[kind]);
+
+// Pull VAT/WT per tenant codes (returns FRACTIONS) and their computation methods.
+// scenario.vat / scenario.wt: proposed percents per code laid over the stored ones (what-if).
+async function getTenantTaxKnobs(tenant, scenario = null) {
+  const [storedVat, storedWt] = await Promise.all([
     tenant?.vat_code ? VAT.findOne({ where: { vat_code: tenant.vat_code }, raw: true }) : null,
     tenant?.wt_code  ? WT.findOne({ where: { wt_code:  tenant.wt_code  }, raw: true }) : null,
   ]);
+  const vatRow = { ...storedVat, ...scenario?.vat?.[tenant?.vat_code] };
+  const wtRow  = { ...storedWt,  ...scenario?.wt?.[tenant?.wt_code] };
 
   const vat = {
     e: normalizePct(vatRow?.e_vat || 0),
     w: normalizePct(vatRow?.w_vat || 0),
     l: normalizePct(vatRow?.l_vat || 0),
+    o: normalizePct(vatRow?.o_vat || 0),
   };
   const wt = {
     e: normalizePct(wtRow?.e_wt || 0),
     w: normalizePct(wtRow?.w_wt || 0),
     l: normalizePct(wtRow?.l_wt || 0),
+    o: normalizePct(wtRow?.o_wt || 0),
+  };
+  const method = {
+    vat: pickMethod('vat', vatRow.vat_method),
+    wt: pickMethod('wt', wtRow.wt_method),
+    penalty: pickMethod('penalty', vatRow.penalty_basis),
   };
 
-  return { vat, wt };
+  return { vat, wt, method };
 }
 
 /* =========================
@@ -97,62 +458,358 @@ async function getTenantTaxKnobs(tenant) {
  * ========================= */
 
 /**
- * Rule:
- *  - VAT = base × vat%
- *  - WT  = VAT × wt%           (withholding is a fraction of VAT)
- *  - Pen = for_penalty ? base × penalty% : 0
- *  - Total = base + VAT + Penalty − WT   (withholding is deducted)
+ * Rule (`base` is the charge at the applicable rate; method from the tenant's codes):
+ *  - VAT  exclusive: VAT = base × vat%
+ *         inclusive: the rate includes VAT; base becomes base / (1 + vat%), VAT the rest
+ *  - WT   on_vat:  WT = VAT × wt%   (withholding is a fraction of VAT)
+ *         on_base: WT = base × wt%  (VAT-exclusive base)
+ *  - Total = base + VAT − WT   (withholding is deducted)
+ * Penalty is always 0 here: late penalties are assessed on issued statements
+ * (see penalties.assessPenalties).
+ * Returns the (net) base with the amounts, as the method may change it.
+ */
+function applyTaxes({ base, vatRate, wtRate, method = DEFAULT_TAX_METHOD }) {
+  const m = { ...DEFAULT_TAX_METHOD, ...method };
+  const amount = dec(base);
+  const inclusive = m.vat === 'inclusive';
+
+  const b   = inclusive ? amount.div(dec(1).plus(dec(vatRate))) : amount;
+  const vat = inclusive ? amount.minus(b) : b.times(dec(vatRate));
+  const wt  = (m.wt === 'on_base' ? b : vat).times(dec(wtRate));
+
+  const exact = {
+    base: b.toString(),
+    vat: vat.toString(),
+    wt: wt.toString(),
+    penalty: '0',
+    total: b.plus(vat).minus(wt).toString(), // deduct withholding
+  };
+
+  // VAT-inclusive: rounded base + VAT still add up to the rounded inclusive amount
+  const vatRounded = inclusive ? roundDec(amount).minus(roundDec(b)) : roundDec(vat);
+
+  // Per-line policy: the line total is the sum of its rounded parts, so lines tie out
+  const total = getRoundingPolicy().scope === 'line'
+    ? roundDec(b).plus(vatRounded).minus(roundDec(wt))
+    : roundDec(exact.total);
+
+  return {
+    base: roundNum(b),
+    vat: vatRounded.toNumber(),
+    wt: roundNum(wt),
+    penalty: 0,
+    total: total.toNumber(),
+    exact,
+    method: m,
+  };
+}
+
+const decMin = (a, b) => (a.lt(b) ? a : b);
+const decMax = (a, b) => (a.gt(b) ? a : b);
+
+/**
+ * Block (tiered) tariff: charge each band of consumption at its own rate.
+ * blocks: [{ from, to|null, rate }] ascending and contiguous from 0.
+ * Returns { base, breakdown: [{ from, to, units, rate, amount }] }.
  */
-function applyTaxes({ base, vatRate, wtRate, forPenalty, penaltyRate }) {
-  const b   = Number(base) || 0;
+function applyRateBlocks(consumption, blocks) {
+  const units = dec(consumption);
+  let base = dec(0);
+  const breakdown = [];
 
-  const vat = b * (Number(vatRate) || 0);          // base × VAT%
-  const wt  = vat * (Number(wtRate) || 0);         // VAT × WT%
-  const pen = forPenalty ? b * (Number(penaltyRate) || 0) : 0;
+  for (const b of blocks) {
+    const from = dec(b.from);
+    const open = b.to === null || b.to === undefined;
+    const upper = open ? units : decMin(units, dec(b.to));
+    const inBlock = decMax(dec(0), upper.minus(from));
+    const amount = inBlock.times(dec(b.rate));
+    base = base.plus(amount);
+    breakdown.push({
+      from: from.toNumber(),
+      to: open ? null : dec(b.to).toNumber(),
+      units: round(inBlock),
+      rate: round(b.rate, 4),
+      amount: round(amount),
+    });
+  }
 
-  const total = b + vat + pen - wt;                // deduct withholding
+  return { base, breakdown };
+}
 
-  return { vat: round(vat), wt: round(wt), penalty: round(pen), total: round(total) };
+// Bill breakdown entry for the tenant rate override applied (null when none)
+function rateOverrideInfo(ov, buildingRate) {
+  if (!ov) return null;
+  return {
+    override_id: ov.override_id,
+    override_type: ov.override_type,
+    override_value: Number(ov.override_value),
+    utility: ov.utility || null,
+    valid_from: ov.valid_from,
+    valid_to: ov.valid_to || null,
+    building_rate: round(buildingRate, 4), // rate the tenant would otherwise pay (average for blocks)
+  };
 }
 
-// Unified for all utilities; LPG min is constant (1)
-function computeChargesByType(mtype, mult, building, taxKnobs, prevIdx, currIdx, forPenalty, penaltyRate) {
+// Unified for all utilities; minimums come from the building (emin_con/wmin_con/lmin_con).
+// Uses building.blocks[type] (block tariff) when present, else the flat rate.
+// opts.digits: register digit count for rollover detection (see registerDelta).
+// opts.segments: [{ prev, curr, mult, digits }] — bill the summed units of several
+//   registers (meter replaced mid-period); prevIdx/currIdx/mult are then ignored.
+// opts.share: fraction of a shared meter billed here (0.4 = 40%); the minimum and
+//   block tariff apply to the whole meter, then consumption and base are pro-rated.
+// opts.override: tenant rate override in force (see getRateOverride) — a contract
+//   rate replaces the flat/block rate, a discount comes off the building-rate base.
+function computeChargesByType(mtype, mult, building, taxKnobs, prevIdx, currIdx, opts = {}) {
   const t = String(mtype || '').toLowerCase();
   const k = Number(mult) || 1;
-  const prev = Number(prevIdx) || 0;
-  const curr = Number(currIdx) || 0;
 
-  const raw = (curr - prev) * k;
+  const segments = opts.segments || [{ prev: prevIdx, curr: currIdx, mult: k, digits: opts.digits }];
+  let raw = dec(0), rollover = false;
+  for (const s of segments) {
+    const d = registerDelta(s.prev, s.curr, s.digits);
+    raw = raw.plus(dec(d.delta).times(dec(Number(s.mult) || 1)));
+    rollover = rollover || d.rollover;
+  }
 
-  let min = 0, rate = 0, vatR = 0, wtR = 0;
+  let min = 0, rate = 0, vatR = 0, wtR = 0, rateField = null;
 
   if (t === 'electric') {
     min  = Number(building.emin_con) || 0;
     rate = Number(building.erate_perKwH) || 0;
     vatR = taxKnobs.vat.e; wtR = taxKnobs.wt.e;
+    rateField = 'erate_perKwH';
   } else if (t === 'water') {
     min  = Number(building.wmin_con) || 0;
     rate = Number(building.wrate_perCbM) || 0;
     vatR = taxKnobs.vat.w; wtR = taxKnobs.wt.w;
+    rateField = 'wrate_perCbM';
   } else if (t === 'lpg') {
-    min  = LPG_MIN_CON; // fixed
+    min  = Number(building.lmin_con) || 0;
     rate = Number(building.lrate_perKg) || 0;
     vatR = taxKnobs.vat.l; wtR = taxKnobs.wt.l;
+    rateField = 'lrate_perKg';
   } else {
     throw new Error(`Unsupported meter type: ${t}`);
   }
 
-  const consumption = raw > 0 ? raw : min;
-  const base = consumption * rate;
-  const taxes = applyTaxes({ base, vatRate: vatR, wtRate: wtR, forPenalty, penaltyRate });
+  const consumption = raw.gt(0) ? raw : dec(min);
+
+  const blocks = building.blocks?.[t] || [];
+  let base, breakdown = null;
+  if (blocks.length) {
+    ({ base, breakdown } = applyRateBlocks(consumption, blocks));
+    rate = consumption.gt(0) ? base.div(consumption) : 0; // effective average rate
+  } else {
+    base = consumption.times(dec(rate));
+  }
+
+  const ov = opts.override || null;
+  const buildingRate = rate;
+  let discount = dec(0);
+  if (ov?.override_type === 'rate') {
+    rate = Number(ov.override_value) || 0;
+    base = consumption.times(dec(rate));
+    breakdown = null;
+  } else if (ov?.override_type === 'discount') {
+    discount = base.times(dec(ov.override_value)).div(100);
+    base = base.minus(discount);
+  }
+
+  const share = opts.share === null || opts.share === undefined ? null : dec(opts.share);
+  const billedUnits = share ? consumption.times(share) : consumption;
+  const billedBase  = share ? base.times(share) : base;
+  const billedDiscount = share ? discount.times(share) : discount;
+  const taxes = applyTaxes({
+    base: billedBase, vatRate: vatR, wtRate: wtR, method: taxKnobs.method
+  });
 
   return {
-    consumption: round(consumption),
-    base: round(base),
+    consumption: round(billedUnits),
+    meter_consumption: round(consumption), // whole meter (differs from consumption when shared)
+    share_pct: share ? round(share.times(100), 4) : null,
+    rollover,
+    min_con: round(min),
+    rate_type: ov?.override_type === 'rate' ? 'contract' : (blocks.length ? 'block' : 'flat'),
+    rate: round(rate, 4),
+    rate_effective_from: ov?.override_type === 'rate'
+      ? ov.valid_from
+      : (blocks.length ? (building.blocks_effective?.[t] ?? null) : (building.effective?.[rateField] ?? null)),
+    blocks: breakdown,
+    rate_override: rateOverrideInfo(ov, buildingRate),
+    discount: round(billedDiscount), // already taken off base
+    vat_rate: vatR,
+    wt_rate: wtR,
+    tax_method: taxes.method,
+    base: taxes.base,
     vat: taxes.vat,
     wt: taxes.wt,
     penalty: taxes.penalty,
     total: taxes.total,
+    exact: taxes.exact, // unrounded amounts (rolled up under the per-invoice policy)
+  };
+}
+
+/**
+ * Roll up per-meter, common-area and recurring charge results (skipping errored
+ * ones) into money totals by meter type ('common_area' / 'charges' for those
+ * lines) and grand totals.
+ * Per-line policy: sums of the rounded line amounts (exact decimal sums).
+ * Per-invoice policy: sums of the unrounded line amounts, rounded once here.
+ */
+function rollupTotals(results) {
+  const FIELDS = ['base', 'vat', 'wt', 'penalty', 'total'];
+  const perInvoice = getRoundingPolicy().scope === 'invoice';
+
+  const byType = {};
+  const grand = {};
+  for (const f of FIELDS) grand[f] = [];
+
+  for (const r of results) {
+    if (r.error) continue;
+    const t = r.charge ? 'charges' : r.common_area ? 'common_area' : r.meter.meter_type;
+    const amounts = (perInvoice && r.billing?.exact) ? r.billing.exact : r.totals;
+
+    if (!byType[t]) byType[t] = Object.fromEntries(FIELDS.map(f => [f, []]));
+    for (const f of FIELDS) {
+      byType[t][f].push(amounts[f]);
+      grand[f].push(amounts[f]);
+    }
+  }
+
+  const close = (lists) => Object.fromEntries(FIELDS.map(f => [f, roundNum(sum(lists[f]))]));
+
+  const totals_by_type = {};
+  Object.keys(byType).forEach(k => { totals_by_type[k] = close(byType[k]); });
+
+  return { totals_by_type, grand_totals: close(grand) };
+}
+
+/**
+ * Recurring charges for a tenant's stalls in one period: each active charge type
+ * of the stall's building valid on the period end (valid_from..valid_to) is billed
+ * once per stall (flat) or × the stall's floor_area (per_sqm). Taxable charges take
+ * the tenant's o_vat / o_wt rates.
+ * A per_sqm charge on a stall without floor_area comes back as an error entry.
+ * @param {Object} tenant  { tenant_id, vat_code, wt_code }
+ * @param {Array}  stalls  [{ stall_id, building_id, floor_area }]
+ * @param {string} endDate any date in the billed period (YYYY-MM-DD)
+ * @param {Object} [scenario]  what-if proposed VAT/WT (see getTenantTaxKnobs)
+ */
+async function computeRecurringCharges({ tenant, stalls, endDate, scenario = null }) {
+  if (!stalls.length) return [];
+
+  // Charge types valid on each building's period end
+  const chargeTypes = [];
+  for (const buildingId of [...new Set(stalls.map(s => s.building_id))]) {
+    const { end } = (await resolvePeriodWindows(buildingId, endDate, 1)).current;
+    chargeTypes.push(...await ChargeType.findAll({
+      where: {
+        building_id: buildingId,
+        charge_status: 'active',
+        valid_from: { [Op.lte]: end },
+        [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: end } }],
+      },
+      order: [['charge_type_id', 'ASC']],
+      raw: true
+    }));
+  }
+  if (!chargeTypes.length) return [];
+
+  const taxKnobs = await getTenantTaxKnobs(tenant, scenario);
+
+  const results = [];
+  for (const s of stalls) {
+    for (const c of chargeTypes.filter(x => x.building_id === s.building_id)) {
+      const perSqm = c.charge_basis === 'per_sqm';
+      if (perSqm && (s.floor_area === null || s.floor_area === undefined)) {
+        results.push({
+          charge_type_id: c.charge_type_id,
+          stall_id: s.stall_id,
+          error: `Stall ${s.stall_id} has no floor_area for ${c.charge_name}`,
+        });
+        continue;
+      }
+
+      const quantity = perSqm ? dec(s.floor_area) : dec(1);
+      const base = quantity.times(dec(c.charge_rate));
+      const vatR = c.is_taxable ? taxKnobs.vat.o : 0;
+      const wtR  = c.is_taxable ? taxKnobs.wt.o : 0;
+      const taxes = applyTaxes({ base, vatRate: vatR, wtRate: wtR, method: taxKnobs.method });
+
+      const bill = {
+        quantity: round(quantity),
+        unit: perSqm ? 'sqm' : 'stall',
+        rate: round(c.charge_rate, 4),
+        vat_rate: vatR,
+        wt_rate: wtR,
+        tax_method: taxes.method,
+        base: taxes.base,
+        vat: taxes.vat,
+        wt: taxes.wt,
+        penalty: taxes.penalty,
+        total: taxes.total,
+        exact: taxes.exact,
+      };
+
+      results.push({
+        charge: {
+          charge_type_id: c.charge_type_id,
+          charge_name: c.charge_name,
+          charge_basis: c.charge_basis,
+          is_taxable: !!c.is_taxable,
+          valid_from: c.valid_from,
+          valid_to: c.valid_to,
+        },
+        stall: {
+          stall_id: s.stall_id,
+          building_id: s.building_id,
+          floor_area: s.floor_area === null || s.floor_area === undefined ? null : Number(s.floor_area),
+        },
+        billing: bill,
+        totals: {
+          base: bill.base,
+          vat: bill.vat,
+          wt: bill.wt,
+          penalty: bill.penalty,
+          total: bill.total,
+        },
+      });
+    }
+  }
+  return results;
+}
+
+// Reading-derived fields of a meter result (from resolveMeterReadings)
+function readingResultFields({ prevMax, currMax, replaces, segments }) {
+  return {
+    indices: {
+      prev_index: round(prevMax.value, 2),
+      curr_index: round(currMax.value, 2),
+      prev_date: prevMax.date,
+      curr_date: currMax.date,
+      prev_estimated: prevMax.is_estimated,
+      curr_estimated: currMax.is_estimated,
+    },
+    estimates: {
+      previous: prevMax.estimate || null,
+      current: currMax.estimate || null,
+    },
+    // previous index was estimated, current is actual: this bill trues up the estimate
+    true_up: prevMax.is_estimated && !currMax.is_estimated,
+    replacement: segments ? {
+      replacement_id: replaces.replacement_id,
+      old_meter_id: replaces.old_meter_id,
+      replaced_date: replaces.replaced_date,
+      segments: segments.map(s => ({
+        meter_id: s.meter_id,
+        meter_sn: s.meter_sn,
+        prev_index: round(s.prev, 2),
+        curr_index: round(s.curr, 2),
+        prev_date: s.prev_date,
+        curr_date: s.curr_date,
+        units: round(dec(registerDelta(s.prev, s.curr, s.digits).delta).times(s.mult)),
+      })),
+    } : null,
   };
 }
 
@@ -161,24 +818,56 @@ function computeChargesByType(mtype, mult, building, taxKnobs, prevIdx, currIdx,
  * ========================= */
 
 /**
- * Compute billing for a single meter for the month containing endDate.
+ * Compute billing for a single meter for the billing period containing endDate
+ * (building cycle: period calendar, cut-off day, or calendar month).
  * @param {Object} params
  * @param {string} params.meterId
  * @param {string} params.endDate     YYYY-MM-DD
  * @param {Object} params.user        current user (for scope check)
- * @param {number} params.penaltyRatePct  Penalty % as PERCENT (e.g., 2 = 2%)
+ * @param {boolean} [params.estimateMissing]  estimate a missing current/previous index
+ *   (returned under `estimates`, never stored here; see saveEstimatedReadings)
+ * @param {string} [params.stallId]   shared meter: the stall whose share is billed
+ *   (default: the meter's own stall, which must then hold a share)
+ * @param {Object} [params.scenario]  what-if proposed rates/taxes (see loadBillingRates,
+ *   getTenantTaxKnobs); nothing is stored by the engine for it
  */
-async function computeBillingForMeter({ meterId, endDate, user, penaltyRatePct = 0 }) {
+async function computeBillingForMeter({
+  meterId, endDate, user, estimateMissing = false, stallId,
+  scenario = null
+}) {
   // Meter → Stall
   const meter = await Meter.findOne({
     where: { meter_id: meterId },
-    attributes: ['meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'stall_id'],
+    attributes: ['meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'meter_digits', 'stall_id'],
     raw: true
   });
   if (!meter) { const e = new Error('Meter not found'); e.status = 404; throw e; }
 
+  // Current & previous billing windows for the building's cycle (DATEONLY strings);
+  // share stalls are always in the meter's building
+  const ownStall = await Stall.findOne({ where: { stall_id: meter.stall_id }, attributes: ['building_id'], raw: true });
+  if (!ownStall) { const e = new Error('Stall not found for this meter'); e.status = 404; throw e; }
+  const windows = await resolvePeriodWindows(ownStall.building_id, endDate);
+  const { start: currStart, end: currEnd } = windows.current;
+  const { start: prevStart, end: prevEnd } = windows.previous;
+
+  // Shared meter: bill the tenant of one share stall its share_pct of the meter
+  // (the split in force on the period end)
+  const split = (await getSharesInForce([meterId], currEnd)).get(meterId);
+  const shares = split ? split.shares : [];
+  let share = null;
+  if (shares.length) {
+    share = shares.find(s => s.stall_id === (stallId || meter.stall_id));
+    if (!share) {
+      const e = new Error(`Meter is shared; stall_id required (one of ${shares.map(s => s.stall_id).join(', ')})`);
+      e.status = 400; throw e;
+    }
+  } else if (stallId && stallId !== meter.stall_id) {
+    const e = new Error(`Meter ${meterId} is not shared with stall ${stallId}`); e.status = 400; throw e;
+  }
+
   const stall = await Stall.findOne({
-    where: { stall_id: meter.stall_id },
+    where: { stall_id: share ? share.stall_id : meter.stall_id },
     attributes: ['stall_id', 'building_id', 'tenant_id'],
     raw: true
   });
@@ -191,15 +880,14 @@ async function computeBillingForMeter({ meterId, endDate, user, penaltyRatePct =
     if (user.building_id !== stall.building_id) { const e = new Error('No access to this meter'); e.status = 403; throw e; }
   }
 
-  // Building rates & mins
-  const building = await Building.findOne({
-    where: { building_id: stall.building_id },
-    attributes: ['building_id','erate_perKwH','emin_con','wrate_perCbM','wmin_con','lrate_perKg'],
-    raw: true
-  });
-  if (!building) { const e = new Error('Building configuration not found'); e.status = 400; throw e; }
+  // A master meter is not billed itself; its common-area residual is allocated instead
+  const subMeters = await Meter.count({ where: { parent_meter_id: meterId } });
+  if (subMeters) {
+    const e = new Error('Master meter; its common-area consumption is allocated to tenants');
+    e.status = 409; e.notBillable = true; throw e;
+  }
 
-  // Tenant tax knobs and penalty flag
+  // Tenant tax knobs
   const tenant = await Tenant.findOne({
     where: { tenant_id: stall.tenant_id },
     attributes: ['tenant_id','tenant_name','vat_code','wt_code','for_penalty'],
@@ -207,29 +895,23 @@ async function computeBillingForMeter({ meterId, endDate, user, penaltyRatePct =
   });
   if (!tenant) { const e = new Error('Tenant not found'); e.status = 400; throw e; }
 
-  const taxKnobs   = await getTenantTaxKnobs(tenant);
-  const forPenalty = !!tenant.for_penalty;
-  const penaltyRate = forPenalty ? normalizePct(penaltyRatePct) : 0; // omit if false
-
-  // Current & previous month windows (DATEONLY strings)
-  const { start: currStart, end: currEnd } = getCurrentPeriodFromEnd(endDate);
-  const { prevStart, prevEnd }             = getPreviousPeriodFromCurrent(currStart);
+  const taxKnobs = await getTenantTaxKnobs(tenant, scenario);
 
-  // Pick last reading in each window (by date)
-  const [currMax, prevMax] = await Promise.all([
-    getMaxReadingInPeriod(meterId, currStart, currEnd),
-    getMaxReadingInPeriod(meterId, prevStart, prevEnd),
-  ]);
-
-  if (!currMax) { const e = new Error(`No readings for ${currStart}..${currEnd}`); e.status = 400; throw e; }
-  if (!prevMax) { const e = new Error(`No readings for ${prevStart}..${prevEnd}`); e.status = 400; throw e; }
+  // Building rates & mins in force for the billed period (rate history)
+  const building = await loadBillingRates(stall.building_id, currEnd, scenario);
 
-  // Single-segment (Excel style): prev → curr
   const mtype = String(meter.meter_type || '').toLowerCase();
   const mult  = Number(meter.meter_mult) || 1;
+  const override = await getRateOverride(tenant.tenant_id, mtype, currEnd);
+
+  const readings = await resolveMeterReadings({
+    meter, windows, buildingId: ownStall.building_id, estimateMissing
+  });
+  const { prevMax, currMax, segments } = readings;
 
   const bill = computeChargesByType(
-    mtype, mult, building, taxKnobs, prevMax.value, currMax.value, forPenalty, penaltyRate
+    mtype, mult, building, taxKnobs, prevMax.value, currMax.value,
+    { digits: meter.meter_digits, segments, share: share ? dec(share.share_pct).div(100) : null, override }
   );
 
   return {
@@ -238,27 +920,26 @@ async function computeBillingForMeter({ meterId, endDate, user, penaltyRatePct =
       meter_sn: meter.meter_sn,
       meter_type: mtype,
       meter_mult: mult,
+      meter_digits: meter.meter_digits ?? null,
     },
     stall: {
       stall_id: stall.stall_id,
       building_id: stall.building_id,
       tenant_id: stall.tenant_id,
     },
+    share: share ? { stall_id: share.stall_id, share_pct: Number(share.share_pct), effective_from: split.effective_from } : null,
     tenant: {
       tenant_id: tenant.tenant_id,
       tenant_name: tenant.tenant_name,
       vat_code: tenant.vat_code || null,
       wt_code: tenant.wt_code || null,
-      for_penalty: forPenalty,
+      for_penalty: !!tenant.for_penalty,
     },
     period: {
       current: { start: currStart, end: currEnd },
       previous: { start: prevStart, end: prevEnd }
     },
-    indices: {
-      prev_index: round(prevMax.value, 2),
-      curr_index: round(currMax.value, 2),
-    },
+    ...readingResultFields(readings),
     billing: bill,
     totals: {
       consumption: bill.consumption,
@@ -271,15 +952,445 @@ async function computeBillingForMeter({ meterId, endDate, user, penaltyRatePct =
   };
 }
 
+const ALLOCATION_BASES = ['area', 'consumption', 'equal'];
+
+// flat rate field, minimum field and VAT/WT key per utility
+const UTILITY_RATE = {
+  electric: { field: 'erate_perKwH', min: 'emin_con', tax: 'e' },
+  water:    { field: 'wrate_perCbM', min: 'wmin_con', tax: 'w' },
+  lpg:      { field: 'lrate_perKg',  min: 'lmin_con', tax: 'l' },
+};
+
 /**
- * Compute billing for all meters under a tenant (scoped to user's building if not admin).
- * Returns per-meter results and aggregated totals_by_type and grand_totals.
+ * Common-area consumption of a master meter for the billing period containing
+ * endDate: master units minus the sum of its active sub-meters' units (system
+ * loss / shared use). Sub-meters replaced or decommissioned before the period
+ * are left out. A negative residual (sub-meters over-register) allocates 0.
+ * The residual is split among the tenants of the stalls the sub-meters serve,
+ * by the master's allocation_basis (default consumption):
+ *   area         tenant's served stalls floor_area
+ *   consumption  tenant's sub-meter units (equal split when these are all 0)
+ *   equal        same share per tenant
+ * A shared sub-meter serves its share stalls, each with share_pct of its units.
+ * @param {Object} params
+ * @param {string} params.masterMeterId
+ * @param {string} params.endDate     YYYY-MM-DD
+ * @param {Object} params.user        current user (for scope check)
+ * @param {boolean} [params.estimateMissing]  estimate missing indices (returned under
+ *   `estimates`, never stored here; see saveEstimatedReadings)
+ * @param {Set<string>} [params.estimateMeterIds]  with estimateMissing, estimate only these
+ *   meters; the others (master, sub-meters of other tenants) need readings on file
+ * @param {string} [params.basis]  allocation basis to use instead of the master's
+ *   (rebilling an issued statement keeps the basis it was billed with)
+ */
+async function computeCommonAreaUsage({
+  masterMeterId, endDate, user, estimateMissing = false, estimateMeterIds = null, basis: basisOverride = null
+}) {
+  const master = await Meter.findOne({
+    where: { meter_id: masterMeterId },
+    attributes: ['meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'meter_digits', 'stall_id', 'allocation_basis'],
+    raw: true
+  });
+  if (!master) { const e = new Error('Meter not found'); e.status = 404; throw e; }
+
+  const masterStall = await Stall.findOne({
+    where: { stall_id: master.stall_id },
+    attributes: ['stall_id', 'building_id'],
+    raw: true
+  });
+  if (!masterStall) { const e = new Error('Stall not found for this meter'); e.status = 404; throw e; }
+
+  const lvl = (user?.user_level || '').toLowerCase();
+  if (lvl !== 'admin') {
+    if (!user?.building_id) { const e = new Error('Unauthorized: No building assigned'); e.status = 401; throw e; }
+    if (user.building_id !== masterStall.building_id) { const e = new Error('No access to this meter'); e.status = 403; throw e; }
+  }
+
+  const children = await Meter.findAll({
+    where: { parent_meter_id: masterMeterId },
+    attributes: ['meter_id', 'meter_sn', 'meter_mult', 'meter_digits', 'stall_id', 'meter_status'],
+    order: [['meter_id', 'ASC']],
+    raw: true
+  });
+  if (!children.length) { const e = new Error(`Meter ${masterMeterId} has no sub-meters`); e.status = 400; throw e; }
+
+  const windows = await resolvePeriodWindows(masterStall.building_id, endDate);
+  const estimates = [];
+  const resolve = async (meter) => {
+    const r = await resolveMeterReadings({
+      meter, windows, buildingId: masterStall.building_id,
+      estimateMissing: estimateMissing && (!estimateMeterIds || estimateMeterIds.has(meter.meter_id))
+    });
+    estimates.push(...[r.prevMax.estimate, r.currMax.estimate].filter(Boolean));
+    return r;
+  };
+
+  const masterUnits = meterUnits(master, await resolve(master));
+
+  // Shared sub-meters serve their share stalls instead of their own stall (split in force on the period end)
+  const splits = await getSharesInForce(children.map(c => c.meter_id), windows.current.end);
+  const sharesOf = new Map([...splits].map(([id, sp]) => [id, sp.shares]));
+  const shareRows = [...sharesOf.values()].flat();
+
+  const stalls = await Stall.findAll({
+    where: { stall_id: { [Op.in]: [...new Set([...children.map(c => c.stall_id), ...shareRows.map(r => r.stall_id)])] } },
+    attributes: ['stall_id', 'tenant_id', 'floor_area'],
+    raw: true
+  });
+  const stallById = new Map(stalls.map(s => [s.stall_id, s]));
+
+  const subMeters = [];
+  for (const c of children) {
+    let units;
+    try {
+      units = meterUnits(c, await resolve(c));
+    } catch (err) {
+      if (err.notBillable || c.meter_status !== 'active') continue; // replaced / decommissioned
+      const e = new Error(`Sub-meter ${c.meter_id}: ${err.message}`); e.status = err.status || 400; throw e;
+    }
+    const served = sharesOf.get(c.meter_id) || [{ stall_id: c.stall_id, share_pct: 100 }];
+    for (const sh of served) {
+      subMeters.push({ meter_id: c.meter_id, meter_sn: c.meter_sn, stall_id: sh.stall_id,
+        tenant_id: stallById.get(sh.stall_id)?.tenant_id || null,
+        share_pct: sharesOf.has(c.meter_id) ? Number(sh.share_pct) : null,
+        units: units.times(dec(sh.share_pct)).div(100) });
+    }
+  }
+
+  const subUnits = sum(subMeters.map(m => m.units));
+  const residual = masterUnits.minus(subUnits);
+  const allocatable = residual.gt(0) ? residual : dec(0);
+
+  // Participants: tenants of the served stalls (share stalls for shared sub-meters)
+  const tenantIds = [...new Set(subMeters.map(m => m.tenant_id).filter(Boolean))];
+  const wanted = basisOverride || master.allocation_basis;
+  const basis = ALLOCATION_BASES.includes(wanted) ? wanted : 'consumption';
+  let allocatedBy = basis;
+
+  const weights = new Map(tenantIds.map(id => [id, dec(0)]));
+  if (basis === 'area') {
+    const served = new Set(subMeters.map(m => m.stall_id));
+    for (const s of stalls.filter(x => served.has(x.stall_id) && weights.has(x.tenant_id))) {
+      if (s.floor_area === null || s.floor_area === undefined) {
+        const e = new Error(`Stall ${s.stall_id} has no floor_area for area-based allocation`); e.status = 400; throw e;
+      }
+      weights.set(s.tenant_id, weights.get(s.tenant_id).plus(dec(s.floor_area)));
+    }
+  } else if (basis === 'consumption') {
+    for (const m of subMeters.filter(x => x.tenant_id)) {
+      weights.set(m.tenant_id, weights.get(m.tenant_id).plus(m.units));
+    }
+  }
+  let total = sum([...weights.values()]);
+  if (basis === 'equal' || total.isZero()) {
+    allocatedBy = 'equal';
+    for (const id of tenantIds) weights.set(id, dec(1));
+    total = dec(tenantIds.length);
+  }
+
+  const shares = tenantIds.map(id => {
+    const share = total.gt(0) ? weights.get(id).div(total) : dec(0);
+    const units = allocatable.times(share);
+    return {
+      tenant_id: id,
+      weight: round(weights.get(id), 4),
+      share_pct: round(share.times(100), 4),
+      units: round(units),
+      exact_units: units.toString(),
+    };
+  });
+
+  return {
+    master: {
+      meter_id: master.meter_id,
+      meter_sn: master.meter_sn,
+      meter_type: String(master.meter_type || '').toLowerCase(),
+      building_id: masterStall.building_id,
+    },
+    period: windows.current,
+    basis,
+    allocated_by: allocatedBy, // 'equal' when consumption/area weights are all 0
+    master_units: round(masterUnits),
+    submeter_units: round(subUnits),
+    residual_units: round(residual),
+    allocated_units: round(allocatable),
+    sub_meters: subMeters.map(m => ({ ...m, units: round(m.units) })), // one entry per share of a shared meter
+    shares,
+    estimates, // estimated indices used (master and sub-meters)
+  };
+}
+
+/**
+ * A tenant's common-area line from computeCommonAreaUsage: share units × the
+ * building's flat rate for the utility (block tariffs are not applied to
+ * shared use) or the tenant's rate override, taxed with the tenant's VAT/WT
+ * for that utility.
+ * Returns null when the tenant has no share.
  */
-async function computeBillingForTenant({ tenantId, endDate, user, penaltyRatePct = 0 }) {
+async function commonAreaCharge({ usage, tenant, scenario = null }) {
+  const share = usage.shares.find(s => s.tenant_id === tenant.tenant_id);
+  if (!share) return null;
+
+  const t = usage.master.meter_type;
+  const util = UTILITY_RATE[t];
+  if (!util) throw new Error(`Unsupported meter type: ${t}`);
+
+  const building = await loadBillingRates(usage.master.building_id, usage.period.end, scenario);
+
+  const taxKnobs = await getTenantTaxKnobs(tenant, scenario);
+
+  const override = await getRateOverride(tenant.tenant_id, t, usage.period.end);
+  const buildingRate = Number(building[util.field]) || 0;
+  const rate = override?.override_type === 'rate' ? Number(override.override_value) || 0 : buildingRate;
+  let base = dec(share.exact_units).times(dec(rate));
+  let discount = dec(0);
+  if (override?.override_type === 'discount') {
+    discount = base.times(dec(override.override_value)).div(100);
+    base = base.minus(discount);
+  }
+  const vatR = taxKnobs.vat[util.tax];
+  const wtR  = taxKnobs.wt[util.tax];
+  const taxes = applyTaxes({ base, vatRate: vatR, wtRate: wtR, method: taxKnobs.method });
+
+  const bill = {
+    consumption: share.units,
+    rate: round(rate, 4),
+    rate_effective_from: override?.override_type === 'rate' ? override.valid_from : (building.effective?.[util.field] ?? null),
+    rate_override: rateOverrideInfo(override, buildingRate),
+    discount: round(discount),
+    vat_rate: vatR,
+    wt_rate: wtR,
+    tax_method: taxes.method,
+    base: taxes.base,
+    vat: taxes.vat,
+    wt: taxes.wt,
+    penalty: taxes.penalty,
+    total: taxes.total,
+    exact: taxes.exact,
+  };
+
+  return {
+    common_area: {
+      master_meter_id: usage.master.meter_id,
+      meter_sn: usage.master.meter_sn,
+      meter_type: t,
+      basis: usage.basis,
+      period: usage.period,
+      master_units: usage.master_units,
+      submeter_units: usage.submeter_units,
+      residual_units: usage.residual_units,
+      share_pct: share.share_pct,
+      estimates: usage.estimates,
+    },
+    billing: bill,
+    totals: {
+      consumption: bill.consumption,
+      base: bill.base,
+      vat: bill.vat,
+      wt: bill.wt,
+      penalty: bill.penalty,
+      total: bill.total,
+    },
+  };
+}
+
+/* =========================
+ * Public API — Rebilling
+ * ========================= */
+
+// Pricing inputs saved with a billed line (billing part of a meter result):
+// the building rate/minimum/blocks, tenant taxes and override it was billed with
+function storedPricing(mtype, billing) {
+  const util = UTILITY_RATE[mtype];
+  if (!util) throw new Error(`Unsupported meter type: ${mtype}`);
+  if (!billing || billing.vat_rate === undefined) {
+    const e = new Error('Billed line has no stored rate details'); e.status = 400; throw e;
+  }
+
+  const ov = billing.rate_override || null;
+  const block = billing.rate_type === 'block' && Array.isArray(billing.blocks);
+  const building = {
+    [util.field]: ov?.override_type === 'rate' ? ov.building_rate : billing.rate,
+    [util.min]: billing.min_con || 0,
+    blocks: block ? { [mtype]: billing.blocks.map(b => ({ from: b.from, to: b.to, rate: b.rate })) } : {},
+    blocks_effective: { [mtype]: billing.rate_effective_from },
+    effective: { [util.field]: billing.rate_effective_from },
+  };
+  const taxKnobs = {
+    vat: { [util.tax]: billing.vat_rate },
+    wt: { [util.tax]: billing.wt_rate },
+    method: billing.tax_method,
+  };
+  return { util, building, taxKnobs, override: ov };
+}
+
+/**
+ * Recompute a billed meter line (its stored computeBillingForMeter result) from the
+ * readings now on file, with the rates, taxes, penalty, override and share it was
+ * billed with. Nothing is estimated: a missing reading fails the line.
+ */
+async function recomputeMeterResult(result) {
+  const { meter, stall, share, period } = result;
+  const mtype = String(meter.meter_type || '').toLowerCase();
+  const { building, taxKnobs, override } = storedPricing(mtype, result.billing);
+
+  const readings = await resolveMeterReadings({
+    meter, windows: period, buildingId: stall.building_id, estimateMissing: false
+  });
+  const { prevMax, currMax, segments } = readings;
+
+  const bill = computeChargesByType(
+    mtype, meter.meter_mult, building, taxKnobs, prevMax.value, currMax.value,
+    { digits: meter.meter_digits, segments, share: share ? dec(share.share_pct).div(100) : null, override }
+  );
+
+  return {
+    ...result,
+    ...readingResultFields(readings),
+    billing: bill,
+    totals: {
+      consumption: bill.consumption,
+      base: bill.base,
+      vat: bill.vat,
+      wt: bill.wt,
+      penalty: bill.penalty,
+      total: bill.total,
+    },
+  };
+}
+
+/**
+ * Recompute a tenant's billed common-area line (its stored commonAreaCharge result)
+ * from the readings now on file: the residual is re-allocated with the basis the
+ * line was billed with, then priced with its stored rate, taxes, penalty and override.
+ */
+async function recomputeCommonAreaResult({ result, tenantId, user }) {
+  const c = result.common_area;
+  const { util, building, taxKnobs, override } = storedPricing(c.meter_type, result.billing);
+
+  const usage = await computeCommonAreaUsage({
+    masterMeterId: c.master_meter_id, endDate: c.period.end, user, basis: c.basis
+  });
+  const share = usage.shares.find(s => s.tenant_id === tenantId);
+  if (!share) {
+    const e = new Error(`Tenant ${tenantId} no longer shares the common area of ${c.master_meter_id}`);
+    e.status = 409; throw e;
+  }
+
+  const rate = override?.override_type === 'rate' ? Number(override.override_value) || 0 : Number(building[util.field]) || 0;
+  let base = dec(share.exact_units).times(dec(rate));
+  let discount = dec(0);
+  if (override?.override_type === 'discount') {
+    discount = base.times(dec(override.override_value)).div(100);
+    base = base.minus(discount);
+  }
+  const taxes = applyTaxes({
+    base, vatRate: taxKnobs.vat[util.tax], wtRate: taxKnobs.wt[util.tax], method: taxKnobs.method
+  });
+
+  const bill = {
+    ...result.billing,
+    consumption: share.units,
+    discount: round(discount),
+    tax_method: taxes.method,
+    base: taxes.base,
+    vat: taxes.vat,
+    wt: taxes.wt,
+    penalty: taxes.penalty,
+    total: taxes.total,
+    exact: taxes.exact,
+  };
+
+  return {
+    common_area: {
+      ...c,
+      master_units: usage.master_units,
+      submeter_units: usage.submeter_units,
+      residual_units: usage.residual_units,
+      share_pct: share.share_pct,
+      estimates: usage.estimates,
+    },
+    billing: bill,
+    totals: {
+      consumption: bill.consumption,
+      base: bill.base,
+      vat: bill.vat,
+      wt: bill.wt,
+      penalty: bill.penalty,
+      total: bill.total,
+    },
+  };
+}
+
+/**
+ * Meter lines billed to the given stalls: [{ meter_id, stall_id, parent_meter_id }].
+ * Unshared meters are billed to their own stall; a shared meter gives one line per
+ * share held by these stalls (stall_id = the share's stall), wherever it is installed.
+ * Splits are those in force on asOf (the billed period end).
+ */
+async function getMeterLinesForStalls(stallIds, { activeOnly = false, asOf } = {}) {
+  if (!stallIds.length) return [];
+  const status = activeOnly ? { meter_status: 'active' } : {};
+  const attributes = ['meter_id', 'stall_id', 'parent_meter_id'];
+
+  const own = await Meter.findAll({ where: { stall_id: { [Op.in]: stallIds }, ...status }, attributes, raw: true });
+  const held = await getSharesHeldBy(stallIds, asOf);
+  const sharedIds = new Set((await getSharesInForce(own.map(m => m.meter_id), asOf)).keys());
+
+  const sharedMeters = held.length
+    ? await Meter.findAll({
+        where: { meter_id: { [Op.in]: [...new Set(held.map(r => r.meter_id))] }, ...status },
+        attributes,
+        raw: true
+      })
+    : [];
+  const sharedById = new Map(sharedMeters.map(m => [m.meter_id, m]));
+
+  return [
+    ...own.filter(m => !sharedIds.has(m.meter_id)),
+    ...held.filter(r => sharedById.has(r.meter_id))
+      .map(r => ({ ...sharedById.get(r.meter_id), stall_id: r.stall_id })),
+  ].sort((a, b) => a.meter_id.localeCompare(b.meter_id) || a.stall_id.localeCompare(b.stall_id));
+}
+
+/**
+ * Common-area lines of a tenant for the given master meters. Usage per master is
+ * cached in `cache` (Map) so a building run computes each master once.
+ * opts are passed to computeCommonAreaUsage (e.g. estimateMeterIds).
+ * Failures come back as { master_meter_id, error } entries.
+ */
+async function computeCommonAreaForTenant({ tenant, masterIds, cache = new Map(), ...opts }) {
+  const out = [];
+  for (const masterMeterId of masterIds) {
+    try {
+      if (!cache.has(masterMeterId)) {
+        cache.set(masterMeterId, computeCommonAreaUsage({ masterMeterId, ...opts }));
+      }
+      const line = await commonAreaCharge({
+        usage: await cache.get(masterMeterId), tenant, scenario: opts.scenario
+      });
+      if (line) out.push(line);
+    } catch (err) {
+      out.push({ master_meter_id: masterMeterId, error: err.message || 'Common-area allocation failed' });
+    }
+  }
+  return out;
+}
+
+/**
+ * Compute billing for all meters under a tenant (scoped to user's building if not admin),
+ * plus the tenant's share of common-area consumption (master meters of its sub-meters)
+ * and the recurring charges of the tenant's stalls.
+ * Returns per-meter results, common-area and recurring charge lines, and aggregated
+ * totals_by_type and grand_totals.
+ */
+async function computeBillingForTenant({
+  tenantId, endDate, user, estimateMissing = false, scenario = null
+}) {
   // All stalls of tenant
   const stalls = await Stall.findAll({
     where: { tenant_id: tenantId },
-    attributes: ['stall_id', 'building_id'],
+    attributes: ['stall_id', 'building_id', 'floor_area'],
     raw: true
   });
   if (!stalls.length) { const e = new Error('No stalls found for this tenant'); e.status = 404; throw e; }
@@ -289,63 +1400,171 @@ async function computeBillingForTenant({ tenantId, endDate, user, penaltyRatePct
   const scopedStalls = (lvl === 'admin') ? stalls : stalls.filter(s => s.building_id === user?.building_id);
   if (!scopedStalls.length) { const e = new Error('No accessible stalls in your building'); e.status = 403; throw e; }
 
-  const stallIds = scopedStalls.map(s => s.stall_id);
-  const meters = await Meter.findAll({
-    where: { stall_id: { [Op.in]: stallIds } },
-    attributes: ['meter_id'],
-    raw: true
-  });
+  // Meter lines per building, with the shared-meter splits in force on its period end
+  const meters = [];
+  for (const buildingId of [...new Set(scopedStalls.map(s => s.building_id))]) {
+    const { end } = (await resolvePeriodWindows(buildingId, endDate, 1)).current;
+    meters.push(...await getMeterLinesForStalls(
+      scopedStalls.filter(s => s.building_id === buildingId).map(s => s.stall_id), { asOf: end }
+    ));
+  }
   if (!meters.length) { const e = new Error('No meters for this tenant (in your scope)'); e.status = 404; throw e; }
 
   const results = [];
   for (const m of meters) {
     try {
-      const r = await computeBillingForMeter({ meterId: m.meter_id, endDate, user, penaltyRatePct });
+      const r = await computeBillingForMeter({
+        meterId: m.meter_id, stallId: m.stall_id, endDate, user, estimateMissing, scenario
+      });
       results.push(r);
     } catch (innerErr) {
+      if (innerErr.notBillable) continue; // replaced / not yet installed / master meter
       results.push({ meter_id: m.meter_id, error: innerErr.message || 'Billing failed for this meter' });
     }
   }
 
-  // Roll up money by type and grand
-  const totals_by_type = {};
-  let grand_totals = { base: 0, vat: 0, wt: 0, penalty: 0, total: 0 };
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['tenant_id', 'vat_code', 'wt_code', 'for_penalty'],
+    raw: true
+  });
+  const commonArea = tenant
+    ? await computeCommonAreaForTenant({
+        tenant, masterIds: [...new Set(meters.map(m => m.parent_meter_id).filter(Boolean))].sort(),
+        endDate, user, estimateMissing, scenario,
+        // a tenant bill only estimates the tenant's own meters
+        estimateMeterIds: new Set(meters.map(m => m.meter_id))
+      })
+    : [];
+  const charges = tenant ? await computeRecurringCharges({ tenant, stalls: scopedStalls, endDate, scenario }) : [];
 
-  for (const r of results) {
-    if (r.error) continue;
-    const t = r.meter.meter_type;
-    const b = r.totals;
-
-    if (!totals_by_type[t]) totals_by_type[t] = { base: 0, vat: 0, wt: 0, penalty: 0, total: 0 };
-
-    totals_by_type[t].base    += b.base;
-    totals_by_type[t].vat     += b.vat;
-    totals_by_type[t].wt      += b.wt;
-    totals_by_type[t].penalty += b.penalty;
-    totals_by_type[t].total   += b.total;
-
-    grand_totals.base    += b.base;
-    grand_totals.vat     += b.vat;
-    grand_totals.wt      += b.wt;
-    grand_totals.penalty += b.penalty;
-    grand_totals.total   += b.total;
-  }
-
-  Object.keys(totals_by_type).forEach(k => {
-    totals_by_type[k].base    = round(totals_by_type[k].base);
-    totals_by_type[k].vat     = round(totals_by_type[k].vat);
-    totals_by_type[k].wt      = round(totals_by_type[k].wt);
-    totals_by_type[k].penalty = round(totals_by_type[k].penalty);
-    totals_by_type[k].total   = round(totals_by_type[k].total);
+  const { totals_by_type, grand_totals } = rollupTotals([...results, ...commonArea, ...charges]);
+
+  return { meters: results, common_area: commonArea, charges, totals_by_type, grand_totals };
+}
+
+/**
+ * Compute billing for every active tenant in a building (bill run).
+ * Walks active tenants → their stalls in the building → active meters (plus
+ * common-area shares and the stalls' recurring charges), and collects per-line failures
+ * instead of aborting the whole run.
+ * Returns per-tenant results, building-wide totals_by_type / grand_totals,
+ * the flat error list and simple counts.
+ */
+async function computeBillingForBuilding({
+  buildingId, endDate, user, estimateMissing = false, scenario = null
+}) {
+  const building = await Building.findOne({
+    where: { building_id: buildingId },
+    attributes: ['building_id', 'building_name'],
+    raw: true
   });
+  if (!building) { const e = new Error('Building not found'); e.status = 404; throw e; }
 
-  grand_totals.base    = round(grand_totals.base);
-  grand_totals.vat     = round(grand_totals.vat);
-  grand_totals.wt      = round(grand_totals.wt);
-  grand_totals.penalty = round(grand_totals.penalty);
-  grand_totals.total   = round(grand_totals.total);
+  // Scope check (non-admin must match building)
+  const lvl = (user?.user_level || '').toLowerCase();
+  if (lvl !== 'admin') {
+    if (!user?.building_id) { const e = new Error('Unauthorized: No building assigned'); e.status = 401; throw e; }
+    if (user.building_id !== buildingId) { const e = new Error('No access to this building'); e.status = 403; throw e; }
+  }
 
-  return { meters: results, totals_by_type, grand_totals };
+  const tenants = await Tenant.findAll({
+    where: { building_id: buildingId, tenant_status: 'active' },
+    attributes: ['tenant_id', 'tenant_name', 'vat_code', 'wt_code', 'for_penalty'],
+    order: [['tenant_name', 'ASC']],
+    raw: true
+  });
+
+  const tenantIds = tenants.map(t => t.tenant_id);
+  const stalls = tenantIds.length
+    ? await Stall.findAll({
+        where: { building_id: buildingId, tenant_id: { [Op.in]: tenantIds } },
+        attributes: ['stall_id', 'tenant_id', 'building_id', 'floor_area'],
+        raw: true
+      })
+    : [];
+
+  const stallIds = stalls.map(s => s.stall_id);
+  const { end: periodEnd } = (await resolvePeriodWindows(buildingId, endDate, 1)).current;
+  const meters = await getMeterLinesForStalls(stallIds, { activeOnly: true, asOf: periodEnd });
+
+  const tenantOfStall = new Map(stalls.map(s => [s.stall_id, s.tenant_id]));
+  const metersByTenant = new Map(tenantIds.map(id => [id, []]));
+  for (const m of meters) metersByTenant.get(tenantOfStall.get(m.stall_id))?.push(m);
+
+  const tenantResults = [];
+  const allResults = [];
+  const errors = [];
+  const usageCache = new Map(); // master meter → common-area usage (computed once per run)
+  let skipped = 0;
+
+  for (const tenant of tenants) {
+    const tMeters = metersByTenant.get(tenant.tenant_id) || [];
+    if (!tMeters.length) {
+      errors.push({ tenant_id: tenant.tenant_id, meter_id: null, error: 'No active meters for this tenant' });
+      continue;
+    }
+
+    const results = [];
+    for (const m of tMeters) {
+      try {
+        const r = await computeBillingForMeter({
+          meterId: m.meter_id, stallId: m.stall_id, endDate, user, estimateMissing, scenario
+        });
+        results.push(r);
+      } catch (innerErr) {
+        if (innerErr.notBillable) { skipped++; continue; } // replaced / not yet installed / master
+        const msg = innerErr.message || 'Billing failed for this meter';
+        results.push({ meter_id: m.meter_id, error: msg });
+        errors.push({ tenant_id: tenant.tenant_id, meter_id: m.meter_id, error: msg });
+      }
+    }
+
+    const masterIds = [...new Set(tMeters.map(m => m.parent_meter_id).filter(Boolean))].sort();
+    const commonArea = await computeCommonAreaForTenant({
+      tenant, masterIds, cache: usageCache,
+      endDate, user, estimateMissing, scenario
+    });
+    for (const c of commonArea.filter(c => c.error)) {
+      errors.push({ tenant_id: tenant.tenant_id, meter_id: c.master_meter_id, error: c.error });
+    }
+
+    const charges = await computeRecurringCharges({
+      tenant, stalls: stalls.filter(s => s.tenant_id === tenant.tenant_id), endDate, scenario
+    });
+    for (const c of charges.filter(c => c.error)) {
+      errors.push({ tenant_id: tenant.tenant_id, meter_id: null, charge_type_id: c.charge_type_id, error: c.error });
+    }
+
+    allResults.push(...results, ...commonArea, ...charges);
+    tenantResults.push({
+      tenant_id: tenant.tenant_id,
+      tenant_name: tenant.tenant_name,
+      meters: results,
+      common_area: commonArea,
+      charges,
+      ...rollupTotals([...results, ...commonArea, ...charges]),
+    });
+  }
+
+  const { totals_by_type, grand_totals } = rollupTotals(allResults);
+
+  return {
+    building_id: buildingId,
+    tenants: tenantResults,
+    totals_by_type,
+    grand_totals,
+    errors,
+    counts: {
+      tenants: tenants.length,
+      meters: meters.length,
+      billed_meters: allResults.filter(r => r.meter && !r.error).length,
+      common_area_lines: allResults.filter(r => r.common_area).length,
+      charge_lines: allResults.filter(r => r.charge).length,
+      skipped_meters: skipped,
+      errors: errors.length,
+    },
+  };
 }
 
 /* =========================
@@ -355,14 +1574,33 @@ module.exports = {
   // money
   computeBillingForMeter,
   computeBillingForTenant,
+  computeBillingForBuilding,
+  computeRecurringCharges,
+  computeCommonAreaUsage,
+  ALLOCATION_BASES,
+
+  // rebilling
+  recomputeMeterResult,
+  recomputeCommonAreaResult,
+
+  // estimated readings
+  getAverageDailyUsage,
+  estimateReadingAt,
+  createEstimatedReading,
+  saveEstimatedReadings,
+  collectEstimates,
 
   // helpers (if you want to reuse elsewhere)
   round,
+  registerDelta,
   normalizePct,
   getCurrentPeriodFromEnd,
   getPreviousPeriodFromCurrent,
+  resolvePeriodWindows,
   getMaxReadingInPeriod,
   getTenantTaxKnobs,
   computeChargesByType,
+  applyRateBlocks,
+  rollupTotals,
   applyTaxes,
 };
@@ -0,0 +1,298 @@
+// utils/billingPeriods.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Building             = require('../models/Building');
+const BillingCyclePeriod   = require('../models/BillingCyclePeriod');
+const BillingCutoff        = require('../models/BillingCutoff');
+const BillingPeriodClosure = require('../models/BillingPeriodClosure');
+const BillingStatement     = require('../models/BillingStatement');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+
+// Cut-off history entries dated on this floor hold the day a building had before history was tracked
+const CUTOFF_HISTORY_FLOOR = '1900-01-01';
+
+/* =========================
+ * Small helpers (no DB)
+ * ========================= */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD from a UTC Date
+function ymd(d) {
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(d.getUTCDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function parseYMD(str) {
+  return new Date(str + 'T00:00:00Z');
+}
+
+function addDays(str, n) {
+  return ymd(new Date(parseYMD(str).getTime() + n * DAY_MS));
+}
+
+// Whole days from aStr to bStr (negative when b is earlier)
+function daysBetween(aStr, bStr) {
+  return Math.round((parseYMD(bStr).getTime() - parseYMD(aStr).getTime()) / DAY_MS);
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+}
+
+// Calendar month containing endDateStr
+function getCurrentPeriodFromEnd(endDateStr) {
+  const end = parseYMD(endDateStr);
+  const startOfMonth = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+  const nextMonthStart = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 1));
+  const endOfMonth = new Date(nextMonthStart.getTime() - DAY_MS);
+  return { start: ymd(startOfMonth), end: ymd(endOfMonth) };
+}
+
+// Calendar month before the one starting at currStartStr
+function getPreviousPeriodFromCurrent(currStartStr) {
+  const s = parseYMD(currStartStr); // first day of current month
+  const prevStart = new Date(Date.UTC(s.getUTCFullYear(), s.getUTCMonth() - 1, 1));
+  const prevEnd   = new Date(s.getTime() - DAY_MS);
+  return { prevStart: ymd(prevStart), prevEnd: ymd(prevEnd) };
+}
+
+// Cut-off day of month (y, m), clamped to short months (e.g. 30 -> Feb 28/29)
+function cutoffDate(y, m, cutoffDay) {
+  const d = new Date(Date.UTC(y, m, 1));
+  const yy = d.getUTCFullYear();
+  const mm = d.getUTCMonth();
+  return new Date(Date.UTC(yy, mm, Math.min(cutoffDay, daysInMonth(yy, mm))));
+}
+
+/**
+ * Cut-off cycle window containing endDateStr: (previous cut-off + 1) .. cut-off.
+ * e.g. cut-off 20, endDate 2025-03-05 -> 2025-02-21 .. 2025-03-20
+ */
+function getCutoffPeriodFromEnd(endDateStr, cutoffDay) {
+  const d = parseYMD(endDateStr);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+
+  let end = cutoffDate(y, m, cutoffDay);
+  if (d > end) end = cutoffDate(y, m + 1, cutoffDay);
+
+  const prevCutoff = cutoffDate(end.getUTCFullYear(), end.getUTCMonth() - 1, cutoffDay);
+  return { start: ymd(new Date(prevCutoff.getTime() + DAY_MS)), end: ymd(end) };
+}
+
+// Billing window containing d from a building's loaded cycle configuration
+// ({ buildingId, calendar: periods ASC, cutoffs: history ASC, fallbackCutoff })
+function windowContaining(cfg, d) {
+  const first = cfg.calendar[0];
+
+  // 1) Explicit calendar, from its first period on
+  if (first && d >= first.period_start) {
+    const row = cfg.calendar.find(p => p.period_start <= d && p.period_end >= d);
+    if (!row) {
+      const e = new Error(`No billing period defined for ${cfg.buildingId} covering ${d}`);
+      e.status = 400;
+      throw e;
+    }
+    return { mode: 'calendar', start: row.period_start, end: row.period_end };
+  }
+
+  // 2) Cut-off day in force on d / 3) calendar month; the first window of a
+  // cut-off change starts on its effective date and the last one before the
+  // calendar ends the day before it
+  const entry = [...cfg.cutoffs].reverse().find(c => c.effective_from <= d);
+  const cutoff = entry ? (Number(entry.billing_cutoff_day) || null) : cfg.fallbackCutoff;
+  const w = cutoff ? getCutoffPeriodFromEnd(d, cutoff) : getCurrentPeriodFromEnd(d);
+  if (entry && entry.effective_from > w.start) w.start = entry.effective_from;
+  if (first && w.end >= first.period_start) w.end = addDays(first.period_start, -1);
+  return { mode: cutoff ? 'cutoff' : 'month', ...w };
+}
+
+/* =========================
+ * DB helpers
+ * ========================= */
+
+// Building, explicit calendar and cut-off history for windowContaining
+async function loadCycleConfig(buildingId) {
+  const building = await Building.findOne({
+    where: { building_id: buildingId },
+    attributes: ['building_id', 'billing_cutoff_day'],
+    raw: true
+  });
+  if (!building) { const e = new Error('Building configuration not found'); e.status = 400; throw e; }
+
+  const [calendar, cutoffs] = await Promise.all([
+    BillingCyclePeriod.findAll({
+      where: { building_id: buildingId },
+      attributes: ['period_start', 'period_end'],
+      order: [['period_start', 'ASC']],
+      raw: true
+    }),
+    BillingCutoff.findAll({
+      where: { building_id: buildingId },
+      attributes: ['effective_from', 'billing_cutoff_day'],
+      order: [['effective_from', 'ASC']],
+      raw: true
+    }),
+  ]);
+  return { buildingId, calendar, cutoffs, fallbackCutoff: Number(building.billing_cutoff_day) || null };
+}
+
+// Generate next BCO-<n> (cross-dialect; scan + increment)
+async function generateNextCutoffId(t) {
+  const rows = await BillingCutoff.findAll({
+    where: { cutoff_id: { [Op.like]: 'BCO-%' } },
+    attributes: ['cutoff_id'],
+    transaction: t,
+    raw: true
+  });
+  return `BCO-${rows.reduce((max, r) => {
+    const m = String(r.cutoff_id).match(/^BCO-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0) + 1}`;
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/**
+ * Resolve the billing windows for a building and an end date (YYYY-MM-DD).
+ * Precedence for each window:
+ *  1) explicit period calendar (billing_cycle_periods), from its first period on
+ *  2) cut-off day in force on the date (billing_cutoff_history; building_list.billing_cutoff_day
+ *     for a building without history)
+ *  3) calendar months
+ * @param {string} buildingId
+ * @param {string} endDate    any date inside the billed (current) period
+ * @param {number} count      how many windows to return (current, previous, preprevious)
+ * @returns {{ mode, current, previous, preprevious? }} each window = { start, end }
+ */
+async function resolvePeriodWindows(buildingId, endDate, count = 2) {
+  const cfg = await loadCycleConfig(buildingId);
+  const names = ['current', 'previous', 'preprevious'].slice(0, count);
+
+  const out = {};
+  let anchor = endDate;
+  for (const name of names) {
+    const { mode, start, end } = windowContaining(cfg, anchor);
+    if (!out.mode) out.mode = mode;
+    out[name] = { start, end };
+    anchor = addDays(start, -1);
+  }
+  return out;
+}
+
+/**
+ * Refuse (409) a billing cycle change that moves windows from `fromDate` on while
+ * a closed period or a non-void statement of the building ends on or after it:
+ * already billed ranges keep their boundaries.
+ */
+async function assertCycleChangeAllowed(buildingId, fromDate) {
+  const [closure, stmt] = await Promise.all([
+    BillingPeriodClosure.findOne({
+      where: { building_id: buildingId, closure_status: 'closed', period_end: { [Op.gte]: fromDate } },
+      attributes: ['period_start', 'period_end'],
+      order: [['period_end', 'DESC']],
+      raw: true
+    }),
+    BillingStatement.findOne({
+      where: { building_id: buildingId, statement_status: { [Op.ne]: 'void' }, period_end: { [Op.gte]: fromDate } },
+      attributes: ['statement_id', 'period_end'],
+      order: [['period_end', 'DESC']],
+      raw: true
+    }),
+  ]);
+  if (closure) {
+    const e = new Error(`Billing period ${closure.period_start}..${closure.period_end} is closed; the cycle cannot change from ${fromDate}`);
+    e.status = 409; throw e;
+  }
+  if (stmt) {
+    const e = new Error(`Statement ${stmt.statement_id} covers a period ending ${stmt.period_end}; the cycle cannot change from ${fromDate}`);
+    e.status = 409; throw e;
+  }
+}
+
+/** Cut-off day history of a building, oldest first */
+async function getCutoffHistory(buildingId) {
+  return BillingCutoff.findAll({
+    where: { building_id: buildingId },
+    order: [['effective_from', 'ASC']],
+    raw: true
+  });
+}
+
+/**
+ * Set a building's cut-off day (null = calendar month) for periods from effectiveFrom on.
+ * effectiveFrom must be the start of a billing window under the current cycle, so the
+ * windows before it keep their boundaries; changes reaching a closed period or a
+ * billed statement are refused (see assertCycleChangeAllowed). A building without
+ * history first gets its current day as the baseline entry.
+ * @param {Object} params
+ * @param {string} params.buildingId
+ * @param {string} params.effectiveFrom  YYYY-MM-DD
+ * @param {number|null} params.cutoffDay
+ * @param {Object} params.user           for audit
+ * @param {Object} params.t              transaction
+ */
+async function setCutoffDay({ buildingId, effectiveFrom, cutoffDay, user, t }) {
+  const cfg = await loadCycleConfig(buildingId);
+  const w = windowContaining(cfg, effectiveFrom);
+  if (w.mode === 'calendar') {
+    const e = new Error(`${effectiveFrom} is in the explicit period calendar; change the calendar instead`);
+    e.status = 400; throw e;
+  }
+  if (w.start !== effectiveFrom) {
+    const e = new Error(`effective_from must start a billing period (the period containing ${effectiveFrom} starts ${w.start})`);
+    e.status = 400; throw e;
+  }
+  await assertCycleChangeAllowed(buildingId, effectiveFrom);
+
+  const audit = { last_updated: getCurrentDateTime(), updated_by: user?.user_fullname || 'System Admin' };
+  if (!cfg.cutoffs.length) {
+    await BillingCutoff.create({
+      cutoff_id: await generateNextCutoffId(t),
+      building_id: buildingId,
+      effective_from: CUTOFF_HISTORY_FLOOR,
+      billing_cutoff_day: cfg.fallbackCutoff,
+      ...audit,
+    }, { transaction: t });
+  }
+
+  // entries from this date on are superseded by the new day
+  await BillingCutoff.destroy({
+    where: { building_id: buildingId, effective_from: { [Op.gte]: effectiveFrom } },
+    transaction: t
+  });
+  await BillingCutoff.create({
+    cutoff_id: await generateNextCutoffId(t),
+    building_id: buildingId,
+    effective_from: effectiveFrom,
+    billing_cutoff_day: cutoffDay,
+    ...audit,
+  }, { transaction: t });
+
+  // building_list keeps the latest day (shown with the building)
+  await Building.update(
+    { billing_cutoff_day: cutoffDay, ...audit },
+    { where: { building_id: buildingId }, transaction: t }
+  );
+}
+
+module.exports = {
+  ymd,
+  addDays,
+  daysBetween,
+  getCurrentPeriodFromEnd,
+  getPreviousPeriodFromCurrent,
+  getCutoffPeriodFromEnd,
+  resolvePeriodWindows,
+  assertCycleChangeAllowed,
+  getCutoffHistory,
+  setCutoffDay,
+};
@@ -0,0 +1,133 @@
+// utils/billingRuns.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize  = require('../models');
+const BillingRun = require('../models/BillingRun');
+const Building   = require('../models/Building');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./buildingRates');
+const { assessPenalties } = require('./penalties');
+const {
+  computeBillingForBuilding,
+  resolvePeriodWindows,
+  collectEstimates,
+  saveEstimatedReadings,
+} = require('./billingEngine');
+
+// Generate next RUN-<n> (cross-dialect; scan + increment)
+async function generateNextRunId() {
+  const rows = await BillingRun.findAll({
+    where: { run_id: { [Op.like]: 'RUN-%' } },
+    attributes: ['run_id'],
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.run_id).match(/^RUN-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `RUN-${maxNum + 1}`;
+}
+
+// Per-tenant summary kept on the run (meter detail is left to the billing routes)
+function summarizeTenant(t) {
+  return {
+    tenant_id: t.tenant_id,
+    tenant_name: t.tenant_name,
+    meters: t.meters.length,
+    failed_meters: t.meters.filter(m => m.error).length,
+    common_area: t.common_area.length,
+    charges: t.charges.length,
+    totals_by_type: t.totals_by_type,
+    grand_totals: t.grand_totals,
+  };
+}
+
+/**
+ * Execute a bill run for a building and the billing period containing endDate.
+ * Late-payment penalties on the building's overdue statements are assessed first.
+ * The run row is created as 'running' first, then finalized as:
+ *  - completed              (no errors)
+ *  - completed_with_errors  (some tenants/meters failed)
+ *  - failed                 (the run itself threw)
+ * @param {Object} params
+ * @param {string} params.buildingId
+ * @param {string} params.endDate         YYYY-MM-DD
+ * @param {Object} params.user            current user (for scope check + audit)
+ * @param {boolean} [params.estimateMissing] estimate missing indices; the estimates of
+ *   the billed lines are stored as estimated readings when the run is finalized
+ */
+async function executeBillRun({ buildingId, endDate, user, estimateMissing = false }) {
+  const building = await Building.findOne({
+    where: { building_id: buildingId },
+    attributes: ['building_id'],
+    raw: true
+  });
+  if (!building) { const e = new Error('Building not found'); e.status = 404; throw e; }
+
+  const runBy = user?.user_fullname || 'System Admin';
+  const { start, end } = (await resolvePeriodWindows(buildingId, endDate, 1)).current;
+
+  const run = await BillingRun.create({
+    run_id: await generateNextRunId(),
+    building_id: buildingId,
+    end_date: endDate,
+    period_start: start,
+    period_end: end,
+    run_status: 'running',
+    started_at: getCurrentDateTime(),
+    run_by: runBy,
+    last_updated: getCurrentDateTime(),
+    updated_by: runBy,
+  });
+
+  try {
+    await assessPenalties({ buildingId, asOf: todayYMD(), user });
+
+    const result = await computeBillingForBuilding({
+      buildingId, endDate, user, estimateMissing
+    });
+
+    const now = getCurrentDateTime();
+    await sequelize.transaction(async (t) => {
+      await saveEstimatedReadings({
+        estimates: collectEstimates(result.tenants.flatMap(x => [...x.meters, ...x.common_area])),
+        user,
+        t
+      });
+
+      await run.update({
+        run_status: result.errors.length ? 'completed_with_errors' : 'completed',
+        tenant_count: result.counts.tenants,
+        meter_count: result.counts.meters,
+        error_count: result.counts.errors,
+        totals_by_type: result.totals_by_type,
+        grand_totals: result.grand_totals,
+        tenant_summaries: result.tenants.map(summarizeTenant),
+        run_errors: result.errors,
+        finished_at: now,
+        last_updated: now,
+        updated_by: runBy,
+      }, { transaction: t });
+    });
+  } catch (err) {
+    const now = getCurrentDateTime();
+    await run.update({
+      run_status: 'failed',
+      run_errors: [{ tenant_id: null, meter_id: null, error: err.message || 'Bill run failed' }],
+      error_count: 1,
+      finished_at: now,
+      last_updated: now,
+      updated_by: runBy,
+    });
+  }
+
+  return run;
+}
+
+module.exports = {
+  executeBillRun,
+  generateNextRunId,
+};
@@ -0,0 +1,178 @@
+// utils/billingSimulation.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const VAT = require('../models/VAT');
+const WT  = require('../models/WT');
+
+const { RATE_FIELDS, BLOCK_UTILITIES, validateRateBlocks } = require('./buildingRates');
+const { computeBillingForBuilding, resolvePeriodWindows } = require('./billingEngine');
+const { dec, roundNum } = require('./money');
+
+// Proposed percent fields per tax table (same names as vat_codes / wt_codes)
+const TAX_FIELDS = {
+  vat: ['e_vat', 'w_vat', 'l_vat', 'o_vat'],
+  wt:  ['e_wt', 'w_wt', 'l_wt', 'o_wt'],
+};
+
+// Proposed computation methods per tax table (penalty_basis is not simulated: late
+// penalties are assessed on issued statements, not billed by the engine)
+const METHOD_FIELDS = {
+  vat: { vat_method: ['exclusive', 'inclusive'] },
+  wt:  { wt_method: ['on_vat', 'on_base'] },
+};
+
+const AMOUNT_FIELDS = ['base', 'vat', 'wt', 'penalty', 'total'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Validate a what-if scenario:
+ *   rates   { erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg, lmin_con }  (any subset)
+ *   blocks  { electric|water|lpg: [{ from?, to, rate }] }  ([] = flat rate)
+ *   vat     { <vat_code>: { e_vat, w_vat, l_vat, o_vat, vat_method } }  (percent, any subset)
+ *   wt      { <wt_code>:  { e_wt, w_wt, l_wt, o_wt, wt_method } }
+ * Returns {ok, data|error}; data is the engine's scenario shape.
+ */
+function validateScenario(body = {}) {
+  const out = {};
+
+  if (body.rates !== undefined) {
+    if (!isObject(body.rates)) return { ok: false, error: 'rates must be an object of { <rate field>: value }' };
+    out.rates = {};
+    for (const [f, v] of Object.entries(body.rates)) {
+      if (!RATE_FIELDS.includes(f)) {
+        return { ok: false, error: `Unknown rate field ${f} (allowed: ${RATE_FIELDS.join(', ')})` };
+      }
+      const n = Number(v);
+      if (v === '' || v == null || !Number.isFinite(n) || n < 0) {
+        return { ok: false, error: `${f} must be a non-negative number` };
+      }
+      out.rates[f] = Math.round(n * 10000) / 10000;
+    }
+  }
+
+  if (body.blocks !== undefined) {
+    if (!isObject(body.blocks)) return { ok: false, error: 'blocks must be an object of { <utility>: [blocks] }' };
+    out.blocks = {};
+    for (const [u, list] of Object.entries(body.blocks)) {
+      if (!BLOCK_UTILITIES.includes(u)) {
+        return { ok: false, error: `blocks utility must be one of: ${BLOCK_UTILITIES.join(', ')}` };
+      }
+      if (Array.isArray(list) && !list.length) { out.blocks[u] = []; continue; }
+      const checked = validateRateBlocks(list);
+      if (!checked.ok) return { ok: false, error: `${u} blocks: ${checked.error}` };
+      out.blocks[u] = checked.data.map(b => ({ from: b.block_from, to: b.block_to, rate: b.block_rate }));
+    }
+  }
+
+  for (const kind of ['vat', 'wt']) {
+    if (body[kind] === undefined) continue;
+    if (!isObject(body[kind])) return { ok: false, error: `${kind} must be an object of { <code>: { <field>: percent } }` };
+    out[kind] = {};
+    for (const [code, fields] of Object.entries(body[kind])) {
+      if (!isObject(fields)) return { ok: false, error: `${kind} ${code} must be an object of percents` };
+      out[kind][code] = {};
+      for (const [f, v] of Object.entries(fields)) {
+        const methods = METHOD_FIELDS[kind][f];
+        if (methods) {
+          if (!methods.includes(String(v).toLowerCase())) {
+            return { ok: false, error: `${kind} ${code} ${f} must be one of: ${methods.join(', ')}` };
+          }
+          out[kind][code][f] = String(v).toLowerCase();
+          continue;
+        }
+        if (!TAX_FIELDS[kind].includes(f)) {
+          const allowed = [...TAX_FIELDS[kind], ...Object.keys(METHOD_FIELDS[kind])];
+          return { ok: false, error: `Unknown ${kind} field ${f} (allowed: ${allowed.join(', ')})` };
+        }
+        const n = Number(v);
+        if (v === '' || v == null || !Number.isFinite(n) || n < 0 || n > 100) {
+          return { ok: false, error: `${kind} ${code} ${f} must be a percent from 0 to 100` };
+        }
+        out[kind][code][f] = n;
+      }
+    }
+  }
+
+  if (!Object.keys(out).length) return { ok: false, error: 'Provide at least one of: rates, blocks, vat, wt' };
+  return { ok: true, data: out };
+}
+
+// 400 when the scenario names VAT/WT codes that do not exist
+async function checkTaxCodes(scenario) {
+  for (const [kind, Model, field] of [['vat', VAT, 'vat_code'], ['wt', WT, 'wt_code']]) {
+    const codes = Object.keys(scenario[kind] || {});
+    if (!codes.length) continue;
+    const rows = await Model.findAll({ where: { [field]: { [Op.in]: codes } }, attributes: [field], raw: true });
+    const known = new Set(rows.map(r => r[field]));
+    const unknown = codes.filter(c => !known.has(c));
+    if (unknown.length) {
+      const e = new Error(`Unknown ${field}(s): ${unknown.join(', ')}`); e.status = 400; throw e;
+    }
+  }
+}
+
+// current / proposed / delta of two totals objects (missing side counts as 0)
+function compare(current, proposed) {
+  const zero = Object.fromEntries(AMOUNT_FIELDS.map(f => [f, 0]));
+  const cur = current || zero;
+  const prop = proposed || zero;
+  const delta = Object.fromEntries(AMOUNT_FIELDS.map(f => [f, roundNum(dec(prop[f]).minus(dec(cur[f])))]));
+  return {
+    current: cur,
+    proposed: prop,
+    delta,
+    delta_pct: dec(cur.total).isZero() ? null : roundNum(dec(delta.total).div(dec(cur.total)).times(100)),
+  };
+}
+
+/**
+ * What-if bill run: the building's billing for the period containing endDate
+ * computed twice — as things stand and with the scenario's proposed rates/taxes —
+ * without storing anything (no run, statements or estimated readings).
+ * Returns per-tenant and per-utility current vs proposed totals and the overall
+ * revenue delta (proposed − current grand total).
+ * @param {Object} params
+ * @param {string} params.buildingId
+ * @param {string} params.endDate         YYYY-MM-DD
+ * @param {Object} params.user            current user (for scope check)
+ * @param {Object} params.scenario        from validateScenario
+ * @param {boolean} [params.estimateMissing] estimate missing indices (not stored)
+ */
+async function simulateBilling({ buildingId, endDate, user, scenario, estimateMissing = false }) {
+  await checkTaxCodes(scenario);
+
+  const opts = { buildingId, endDate, user, estimateMissing };
+  const current  = await computeBillingForBuilding(opts);
+  const proposed = await computeBillingForBuilding({ ...opts, scenario });
+
+  const proposedById = new Map(proposed.tenants.map(t => [t.tenant_id, t]));
+  const tenants = current.tenants.map(t => ({
+    tenant_id: t.tenant_id,
+    tenant_name: t.tenant_name,
+    ...compare(t.grand_totals, proposedById.get(t.tenant_id)?.grand_totals),
+  }));
+
+  const types = [...new Set([...Object.keys(current.totals_by_type), ...Object.keys(proposed.totals_by_type)])];
+  const grand = compare(current.grand_totals, proposed.grand_totals);
+
+  return {
+    building_id: buildingId,
+    period: (await resolvePeriodWindows(buildingId, endDate)).current,
+    scenario,
+    tenants,
+    totals_by_type: Object.fromEntries(types.map(k => [k, compare(current.totals_by_type[k], proposed.totals_by_type[k])])),
+    grand_totals: grand,
+    revenue_delta: grand.delta.total,
+    revenue_delta_pct: grand.delta_pct,
+    errors: proposed.errors,
+    counts: proposed.counts,
+  };
+}
+
+module.exports = {
+  validateScenario,
+  simulateBilling,
+};
@@ -0,0 +1,591 @@
+// utils/billingStatements.js
+'use strict';
+
+const { Op, Transaction } = require('sequelize');
+
+const sequelize            = require('../models');
+const BillingStatement     = require('../models/BillingStatement');
+const BillingStatementLine = require('../models/BillingStatementLine');
+const Tenant               = require('../models/Tenant');
+const BillingAdjustment    = require('../models/BillingAdjustment');
+const BillingMemo          = require('../models/BillingMemo');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { applyTenantCredits, releaseStatementAllocations } = require('./ledger');
+const { computeDueDate } = require('./penalties');
+const { dec, roundNum } = require('./money');
+const { CARRIED_LINE_TYPES, findAcceptedAdjustments, splitAdjustment } = require('./rebilling');
+const { findApprovedMemos, splitMemo } = require('./memos');
+const { assignNumber, voidNumber } = require('./invoiceSeries');
+const {
+  computeBillingForTenant,
+  resolvePeriodWindows,
+  collectEstimates,
+  saveEstimatedReadings,
+  round,
+} = require('./billingEngine');
+
+/* =========================
+ * Helpers (no DB)
+ * ========================= */
+
+// fraction -> percent points (0.12 -> 12)
+function toPct(fraction) {
+  return round((Number(fraction) || 0) * 100, 4);
+}
+
+// ' (contract rate)' / ' (10% discount)' when a tenant rate override was applied
+function overrideNote(b) {
+  const o = b.rate_override;
+  if (!o) return '';
+  return o.override_type === 'rate' ? ' (contract rate)' : ` (${o.override_value}% discount)`;
+}
+
+// Engine meter result -> statement line row
+function meterResultToLine(statementId, lineNo, r) {
+  const b = r.billing;
+  return {
+    line_id: `${statementId}-${lineNo}`,
+    statement_id: statementId,
+    line_no: lineNo,
+    line_type: 'meter',
+    description: (`${r.meter.meter_type} meter ${r.meter.meter_sn}`
+      + (r.share ? ` (${r.share.share_pct}% share)` : '')
+      + overrideNote(b)
+      + (r.indices.curr_estimated ? ' (estimated)' : '')).slice(0, 100),
+
+    meter_id: r.meter.meter_id,
+    meter_sn: r.meter.meter_sn,
+    meter_type: r.meter.meter_type,
+    meter_mult: r.meter.meter_mult,
+    stall_id: r.stall.stall_id,
+
+    prev_index: r.indices.prev_index,
+    curr_index: r.indices.curr_index,
+    prev_read_date: r.indices.prev_date,
+    curr_read_date: r.indices.curr_date,
+
+    consumption: b.consumption,
+    rate: b.rate,
+    vat_pct: toPct(b.vat_rate),
+    wt_pct: toPct(b.wt_rate),
+    penalty_pct: toPct(b.penalty_rate),
+
+    base: b.base,
+    vat: b.vat,
+    wt: b.wt,
+    penalty: b.penalty,
+    total: b.total,
+
+    line_details: r,
+  };
+}
+
+// Engine common-area result -> statement line row (meter fields hold the master meter)
+function commonAreaResultToLine(statementId, lineNo, r) {
+  const b = r.billing;
+  const c = r.common_area;
+  return {
+    line_id: `${statementId}-${lineNo}`,
+    statement_id: statementId,
+    line_no: lineNo,
+    line_type: 'common_area',
+    description: `Common area ${c.meter_type} (${c.meter_sn}, ${c.share_pct}% by ${c.basis})${overrideNote(b)}`.slice(0, 100),
+
+    meter_id: c.master_meter_id,
+    meter_sn: c.meter_sn,
+    meter_type: c.meter_type,
+
+    consumption: b.consumption,
+    rate: b.rate,
+    vat_pct: toPct(b.vat_rate),
+    wt_pct: toPct(b.wt_rate),
+    penalty_pct: toPct(b.penalty_rate),
+
+    base: b.base,
+    vat: b.vat,
+    wt: b.wt,
+    penalty: b.penalty,
+    total: b.total,
+
+    line_details: r,
+  };
+}
+
+// Engine recurring charge result -> statement line row
+function chargeResultToLine(statementId, lineNo, r) {
+  const b = r.billing;
+  const qty = b.unit === 'sqm' ? ` (${b.quantity} sqm)` : '';
+  return {
+    line_id: `${statementId}-${lineNo}`,
+    statement_id: statementId,
+    line_no: lineNo,
+    line_type: 'charge',
+    description: `${r.charge.charge_name}${qty}`.slice(0, 100),
+
+    stall_id: r.stall.stall_id,
+
+    consumption: b.quantity,
+    rate: b.rate,
+    vat_pct: toPct(b.vat_rate),
+    wt_pct: toPct(b.wt_rate),
+    penalty_pct: toPct(b.penalty_rate),
+
+    base: b.base,
+    vat: b.vat,
+    wt: b.wt,
+    penalty: b.penalty,
+    total: b.total,
+
+    line_details: r,
+  };
+}
+
+// Accepted rebilling adjustment -> statement line row (signed amounts; credit < 0)
+function adjustmentToLine(statementId, lineNo, adj) {
+  return {
+    line_id: `${statementId}-${lineNo}`,
+    statement_id: statementId,
+    line_no: lineNo,
+    line_type: 'adjustment',
+    description: `Rebilling ${adj.adjustment_type} ${adj.adjustment_id} for ${adj.statement_id} (${adj.period_start}..${adj.period_end})`.slice(0, 100),
+
+    base: adj.delta_base,
+    vat: adj.delta_vat,
+    wt: adj.delta_wt,
+    penalty: adj.delta_penalty,
+    total: adj.delta_total,
+
+    line_details: { adjustment_id: adj.adjustment_id, ...adj.adjustment_details },
+  };
+}
+
+// Approved credit/debit memo -> statement line row (credit amounts negative)
+function memoToLine(statementId, lineNo, memo) {
+  const sign = memo.memo_type === 'credit' ? -1 : 1;
+  const label = memo.memo_type === 'credit' ? 'Credit' : 'Debit';
+  return {
+    line_id: `${statementId}-${lineNo}`,
+    statement_id: statementId,
+    line_no: lineNo,
+    line_type: 'memo',
+    description: `${label} memo ${memo.memo_id}: ${memo.description}`.slice(0, 100),
+
+    vat_pct: memo.vat_pct,
+
+    base: sign * Number(memo.memo_base),
+    vat: sign * Number(memo.memo_vat),
+    wt: 0,
+    penalty: 0,
+    total: sign * Number(memo.memo_total),
+
+    line_details: {
+      memo_id: memo.memo_id,
+      memo_type: memo.memo_type,
+      reason_code: memo.reason_code,
+      memo_date: memo.memo_date,
+      related_statement_id: memo.related_statement_id,
+      vat_code: memo.vat_code,
+    },
+  };
+}
+
+/* =========================
+ * DB helpers
+ * ========================= */
+
+// Generate next STMT-<n> (cross-dialect; scan + increment)
+async function generateNextStatementId(t) {
+  const rows = await BillingStatement.findAll({
+    where: { statement_id: { [Op.like]: 'STMT-%' } },
+    attributes: ['statement_id'],
+    transaction: t,
+    lock: t?.LOCK && t.LOCK.UPDATE,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.statement_id).match(/^STMT-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `STMT-${maxNum + 1}`;
+}
+
+/**
+ * Carried credits may not take a statement below zero. The room is the engine total
+ * plus the carried debits; credits take it oldest first (adjustments, then memos).
+ * A credit larger than the room left is split (see splitAdjustment / splitMemo) and
+ * credits with no room left stay unbilled for a later statement.
+ * Returns the adjustments and memos to carry. Runs inside the caller's transaction.
+ */
+async function fitCarriedCredits({ total, adjustments, memos, user, t }) {
+  const items = [
+    ...adjustments.map(rec => ({ rec, total: dec(rec.delta_total), split: splitAdjustment, key: 'adj' })),
+    ...memos.map(rec => ({ rec, total: dec(rec.memo_total).times(rec.memo_type === 'credit' ? -1 : 1), split: splitMemo, key: 'memo' })),
+  ];
+
+  let room = dec(total);
+  for (const i of items.filter(x => x.total.gt(0))) room = room.plus(i.total);
+
+  const kept = [];
+  for (const i of items) {
+    if (i.total.gte(0)) { kept.push(i); continue; }
+    if (room.lte(0)) continue;
+    const credit = i.total.abs();
+    const applied = credit.gt(room) ? room : credit;
+    if (applied.lt(credit)) await i.split({ [i.key]: i.rec, amount: roundNum(applied), user, t });
+    room = room.minus(applied);
+    kept.push(i);
+  }
+
+  return {
+    adjustments: kept.filter(i => i.key === 'adj').map(i => i.rec),
+    memos: kept.filter(i => i.key === 'memo').map(i => i.rec),
+  };
+}
+
+// Non-void statement of a tenant for a period, or a 409 error naming it. Inside a
+// transaction the lookup holds an update lock on the key range (serializable), so a
+// concurrent prepare for the same tenant and period waits and then sees this one.
+async function assertNoOpenStatement(tenantId, period, t) {
+  const dup = await BillingStatement.findOne({
+    where: {
+      tenant_id: tenantId,
+      period_end: period.end,
+      statement_status: { [Op.ne]: 'void' },
+    },
+    attributes: ['statement_id', 'statement_status'],
+    transaction: t,
+    lock: t?.LOCK && t.LOCK.UPDATE,
+    raw: true
+  });
+  if (dup) {
+    const e = new Error(`Statement ${dup.statement_id} (${dup.statement_status}) already exists for ${tenantId} (${period.start}..${period.end})`);
+    e.status = 409;
+    throw e;
+  }
+}
+
+// Billers may only handle statements whose metered utilities are all in their utility_role
+function assertUtilityAccess(user, utilities) {
+  if (String(user?.user_level || '').toLowerCase() !== 'biller') return;
+  const granted = Array.isArray(user.utility_role)
+    ? user.utility_role.map(x => String(x).toLowerCase())
+    : [];
+  const missing = [...new Set(utilities.filter(Boolean))].filter(u => !granted.includes(u));
+  if (missing.length) {
+    const e = new Error(`Forbidden: missing ${missing.join(', ')} access`); e.status = 403; throw e;
+  }
+}
+
+/**
+ * Move a statement one step along draft -> reviewed -> approved -> issued,
+ * stamping <step>_at/<step>_by. `check(stmt)` runs before the update and
+ * `after(stmt, t)` inside the same transaction. The status change only applies
+ * while the statement is still `from` (409 otherwise), so concurrent requests
+ * cannot both advance it and `after` runs once.
+ */
+async function advanceStatement({ statementId, from, to, stamp, user, check, after }) {
+  const stmt = await BillingStatement.findOne({ where: { statement_id: statementId } });
+  if (!stmt) { const e = new Error('Statement not found'); e.status = 404; throw e; }
+  if (stmt.statement_status !== from) {
+    const e = new Error(`Statement is ${stmt.statement_status}; only a ${from} statement can be ${to}`);
+    e.status = 409;
+    throw e;
+  }
+  if (check) await check(stmt);
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+
+  await sequelize.transaction(async (t) => {
+    const [changed] = await BillingStatement.update({
+      statement_status: to,
+      [`${stamp}_at`]: now,
+      [`${stamp}_by`]: updatedBy,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { statement_id: statementId, statement_status: from }, transaction: t });
+    if (!changed) {
+      const e = new Error(`Statement ${statementId} is no longer ${from}; it cannot be ${to}`); e.status = 409; throw e;
+    }
+    await stmt.reload({ transaction: t });
+
+    if (after) await after(stmt, t);
+  });
+
+  return stmt;
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/**
+ * Compute a tenant's bill for the period containing endDate and freeze it
+ * as a draft statement (header + one line per meter, common-area share and
+ * recurring charge), due on period_end + the building's due_day_offset.
+ * Accepted rebilling adjustments of earlier periods and approved credit/debit memos
+ * dated up to period_end are carried as extra lines; credits are capped so the
+ * statement does not go below zero and the rest waits for a later statement
+ * (see fitCarriedCredits).
+ * Refuses when any meter or charge failed to bill, when a biller lacks one of the
+ * bill's utilities, or when a non-void statement already exists for the same
+ * tenant and period.
+ * The draft is not billed to the tenant until it is reviewed, approved and issued.
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {string} params.endDate         YYYY-MM-DD
+ * @param {Object} params.user            current user (for scope check + audit)
+ * @param {boolean} [params.estimateMissing] estimate missing indices; the estimates are
+ *   stored as estimated readings in the same transaction as the statement
+ */
+async function prepareStatement({ tenantId, endDate, user, estimateMissing = false }) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['tenant_id', 'building_id'],
+    raw: true
+  });
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+
+  // Duplicate check first, before any billing is computed
+  const { current } = (await resolvePeriodWindows(tenant.building_id, endDate, 1));
+
+  await assertNoOpenStatement(tenantId, current);
+
+  const { meters, common_area, charges, grand_totals } = await computeBillingForTenant({
+    tenantId, endDate, user, estimateMissing
+  });
+
+  const failed = [...meters, ...common_area, ...charges].filter(m => m.error);
+  if (failed.length) {
+    const e = new Error(
+      `Cannot prepare statement; billing failed for: ${failed.map(f => `${f.meter_id || f.master_meter_id || f.charge_type_id} (${f.error})`).join('; ')}`
+    );
+    e.status = 400;
+    throw e;
+  }
+
+  if (!meters.length) {
+    const e = new Error('Cannot prepare statement; no billable meters for this period'); e.status = 400; throw e;
+  }
+
+  assertUtilityAccess(user, [
+    ...meters.map(m => m.meter.meter_type),
+    ...common_area.map(c => c.common_area.meter_type),
+  ]);
+
+  const { previous } = meters[0].period;
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+  const dueDate = await computeDueDate(tenant.building_id, current.end);
+
+  const statementId = await sequelize.transaction({
+    isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE
+  }, async (t) => {
+    // again under lock: a concurrent prepare may have created one since the check above
+    await assertNoOpenStatement(tenantId, current, t);
+    const newId = await generateNextStatementId(t);
+
+    // estimates billed on this statement become estimated readings with it
+    await saveEstimatedReadings({ estimates: collectEstimates([...meters, ...common_area]), user, t });
+
+    const { adjustments, memos } = await fitCarriedCredits({
+      total: grand_totals.total,
+      adjustments: await findAcceptedAdjustments(tenantId, current.end, t),
+      memos: await findApprovedMemos(tenantId, current.end, t),
+      user,
+      t,
+    });
+
+    const lines = [
+      ...meters.map(r => [meterResultToLine, r]),
+      ...common_area.map(r => [commonAreaResultToLine, r]),
+      ...charges.map(r => [chargeResultToLine, r]),
+      ...adjustments.map(a => [adjustmentToLine, a]),
+      ...memos.map(m => [memoToLine, m]),
+    ].map(([toLine, r], i) => toLine(newId, i + 1, r));
+
+    // Carried adjustment/memo lines are added on top of the engine totals
+    const totals = { ...grand_totals };
+    for (const l of lines.filter(x => CARRIED_LINE_TYPES.includes(x.line_type))) {
+      for (const f of ['base', 'vat', 'wt', 'penalty', 'total']) {
+        totals[f] = roundNum(dec(totals[f]).plus(dec(l[f])));
+      }
+    }
+
+    await BillingStatement.create({
+      statement_id: newId,
+      tenant_id: tenantId,
+      building_id: tenant.building_id,
+      period_start: current.start,
+      period_end: current.end,
+      prev_period_start: previous.start,
+      prev_period_end: previous.end,
+      total_base: totals.base,
+      total_vat: totals.vat,
+      total_wt: totals.wt,
+      total_penalty: totals.penalty,
+      total_amount: totals.total,
+      due_date: dueDate,
+      statement_status: 'draft',
+      prepared_at: now,
+      prepared_by: updatedBy,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction: t });
+
+    await BillingStatementLine.bulkCreate(lines, { transaction: t });
+
+    for (const adj of adjustments) {
+      await adj.update({
+        adjustment_status: 'billed',
+        billed_statement_id: newId,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+    }
+    for (const memo of memos) {
+      await memo.update({
+        memo_status: 'billed',
+        billed_statement_id: newId,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+    }
+
+    return newId;
+  });
+
+  return getStatement(statementId);
+}
+
+/**
+ * Mark a draft as reviewed. The reviewer must not be the user who prepared it,
+ * and a biller needs every utility billed on the statement.
+ */
+async function reviewStatement({ statementId, user }) {
+  return advanceStatement({
+    statementId, from: 'draft', to: 'reviewed', stamp: 'reviewed', user,
+    check: async (stmt) => {
+      const reviewer = user?.user_fullname || 'System Admin';
+      if (stmt.prepared_by && stmt.prepared_by === reviewer) {
+        const e = new Error('A statement cannot be reviewed by the user who prepared it'); e.status = 409; throw e;
+      }
+      const lines = await BillingStatementLine.findAll({
+        where: { statement_id: stmt.statement_id },
+        attributes: ['meter_type'],
+        raw: true
+      });
+      assertUtilityAccess(user, lines.map(l => l.meter_type));
+    },
+  });
+}
+
+/** Approve a reviewed statement (admin) */
+async function approveStatement({ statementId, user }) {
+  return advanceStatement({ statementId, from: 'reviewed', to: 'approved', stamp: 'approved', user });
+}
+
+/**
+ * Issue an approved statement (admin): it takes the next official invoice number
+ * of the building's series (in the same transaction), becomes billable (ledger,
+ * penalties) and the tenant's unapplied credit is applied to it right away.
+ */
+async function issueStatement({ statementId, user }) {
+  return advanceStatement({
+    statementId, from: 'approved', to: 'issued', stamp: 'issued', user,
+    after: async (stmt, t) => {
+      const invoiceNo = await assignNumber({
+        buildingId: stmt.building_id, documentType: 'invoice', documentId: stmt.statement_id, user, t
+      });
+      if (invoiceNo) await stmt.update({ invoice_no: invoiceNo }, { transaction: t });
+      await applyTenantCredits(stmt.tenant_id, user, t);
+    },
+  });
+}
+
+/** Fetch a statement with its lines (ordered), or null */
+async function getStatement(statementId) {
+  return BillingStatement.findOne({
+    where: { statement_id: statementId },
+    include: [{ model: BillingStatementLine, as: 'lines' }],
+    order: [[{ model: BillingStatementLine, as: 'lines' }, 'line_no', 'ASC']],
+  });
+}
+
+/**
+ * Void a statement (any state). Lines and its invoice number (marked void) are kept
+ * for audit; payments allocated
+ * to it go back to the tenant's credit and are re-applied to other open statements.
+ * Adjustments and memos it carried are released again (for the next statement); undecided or
+ * unbilled adjustments of the voided statement itself are rejected, since its period
+ * is billed afresh.
+ */
+async function voidStatement({ statementId, reason, user }) {
+  const stmt = await BillingStatement.findOne({ where: { statement_id: statementId } });
+  if (!stmt) { const e = new Error('Statement not found'); e.status = 404; throw e; }
+  if (stmt.statement_status === 'void') {
+    const e = new Error('Statement is already void'); e.status = 409; throw e;
+  }
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+
+  await sequelize.transaction(async (t) => {
+    // only while still not void: a concurrent void must not release and void twice
+    const [changed] = await BillingStatement.update({
+      statement_status: 'void',
+      voided_at: now,
+      voided_by: updatedBy,
+      void_reason: reason,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { statement_id: statementId, statement_status: { [Op.ne]: 'void' } }, transaction: t });
+    if (!changed) { const e = new Error('Statement is already void'); e.status = 409; throw e; }
+
+    await voidNumber({ documentType: 'invoice', documentId: statementId, reason, user, t });
+
+    await BillingAdjustment.update({
+      adjustment_status: 'accepted',
+      billed_statement_id: null,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { billed_statement_id: statementId, adjustment_status: 'billed' }, transaction: t });
+
+    await BillingMemo.update({
+      memo_status: 'approved',
+      billed_statement_id: null,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { billed_statement_id: statementId, memo_status: 'billed' }, transaction: t });
+
+    await BillingAdjustment.update({
+      adjustment_status: 'rejected',
+      decided_at: now,
+      decided_by: updatedBy,
+      decision_note: `Statement ${statementId} voided`,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { statement_id: statementId, adjustment_status: { [Op.in]: ['pending', 'accepted'] } }, transaction: t });
+
+    await releaseStatementAllocations(statementId, stmt.tenant_id, user, t);
+  });
+
+  return stmt.reload();
+}
+
+module.exports = {
+  prepareStatement,
+  reviewStatement,
+  approveStatement,
+  issueStatement,
+  getStatement,
+  voidStatement,
+  generateNextStatementId,
+  meterResultToLine,
+  commonAreaResultToLine,
+  chargeResultToLine,
+  adjustmentToLine,
+  memoToLine,
+};
@@ -0,0 +1,287 @@
+// utils/buildingRates.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize    = require('../models');
+const BuildingRate = require('../models/BuildingRate');
+const Building     = require('../models/Building');
+const RateBlock    = require('../models/RateBlock');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+
+// Base-rate fields tracked in building_rate_history (same names as building_list)
+const RATE_FIELDS = ['erate_perKwH', 'emin_con', 'wrate_perCbM', 'wmin_con', 'lrate_perKg', 'lmin_con'];
+
+// Entries dated on this floor hold the rates a building had before history was tracked
+const RATE_HISTORY_FLOOR = '1900-01-01';
+
+// Today as YYYY-MM-DD in the app timezone
+function todayYMD() {
+  return getCurrentDateTime().slice(0, 10);
+}
+
+// Generate next RATE-<n> (cross-dialect; scan + increment)
+async function generateNextRateId(t) {
+  const rows = await BuildingRate.findAll({
+    where: { rate_id: { [Op.like]: 'RATE-%' } },
+    attributes: ['rate_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.rate_id).match(/^RATE-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `RATE-${maxNum + 1}`;
+}
+
+/**
+ * Resolve the base rates in force for a building on a date (YYYY-MM-DD).
+ * Each field resolves independently to the latest non-NULL history value
+ * with effective_from <= asOf; fields with no history fall back to the
+ * building_list column.
+ * Returns { building_id, <rate fields>, effective: { <field>: date|null } }.
+ */
+async function getRatesInForce(buildingId, asOf) {
+  const [building, history] = await Promise.all([
+    Building.findOne({
+      where: { building_id: buildingId },
+      attributes: ['building_id', ...RATE_FIELDS],
+      raw: true
+    }),
+    BuildingRate.findAll({
+      where: { building_id: buildingId, effective_from: { [Op.lte]: asOf } },
+      order: [['effective_from', 'DESC']],
+      raw: true
+    }),
+  ]);
+  if (!building) return null;
+
+  const out = { building_id: buildingId, effective: {} };
+  for (const f of RATE_FIELDS) {
+    const row = history.find(h => h[f] !== null && h[f] !== undefined);
+    out[f] = row ? Number(row[f]) : Number(building[f]) || 0;
+    out.effective[f] = row ? row.effective_from : null;
+  }
+  return out;
+}
+
+/**
+ * Record a rate change effective on a date. Only the given fields are stored;
+ * an existing entry on the same date is merged instead of duplicated.
+ * @param {Object} params
+ * @param {string} params.buildingId
+ * @param {string} params.effectiveFrom  YYYY-MM-DD
+ * @param {Object} params.rates          subset of RATE_FIELDS (already coerced)
+ * @param {Object} params.user           for audit
+ * @param {Object} [params.transaction]
+ */
+async function recordRateChange({ buildingId, effectiveFrom, rates, user, transaction }) {
+  const changes = {};
+  for (const f of RATE_FIELDS) if (rates?.[f] !== undefined) changes[f] = rates[f];
+  if (!Object.keys(changes).length) return null;
+
+  const audit = {
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  };
+
+  const existing = await BuildingRate.findOne({
+    where: { building_id: buildingId, effective_from: effectiveFrom },
+    transaction
+  });
+  if (existing) {
+    await existing.update({ ...changes, ...audit }, { transaction });
+    return existing;
+  }
+
+  return BuildingRate.create({
+    rate_id: await generateNextRateId(transaction),
+    building_id: buildingId,
+    effective_from: effectiveFrom,
+    ...changes,
+    ...audit,
+  }, { transaction });
+}
+
+/* =========================
+ * Block (tiered) rates
+ * ========================= */
+
+const BLOCK_UTILITIES = ['electric', 'water', 'lpg'];
+
+/**
+ * Validate a block table for one utility.
+ * Input: [{ from?, to, rate }] in ascending order. The first block starts at 0
+ * (from may be omitted), each block starts where the previous one ended, and
+ * only the last block may be open-ended (to = null).
+ * Returns {ok, data|error}; data rows are { block_no, block_from, block_to, block_rate }.
+ */
+function validateRateBlocks(blocks) {
+  if (!Array.isArray(blocks) || blocks.length === 0) {
+    return { ok: false, error: 'blocks must be a non-empty array' };
+  }
+
+  const out = [];
+  let expectedFrom = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    const b = blocks[i] || {};
+    const isLast = i === blocks.length - 1;
+
+    const from = (b.from === undefined || b.from === null || b.from === '') ? expectedFrom : Number(b.from);
+    if (!Number.isFinite(from) || Math.round(from * 100) !== Math.round(expectedFrom * 100)) {
+      return { ok: false, error: `Block ${i + 1}: from must be ${expectedFrom}` };
+    }
+
+    let to = null;
+    if (b.to !== undefined && b.to !== null && b.to !== '') {
+      to = Number(b.to);
+      if (!Number.isFinite(to) || to <= from) {
+        return { ok: false, error: `Block ${i + 1}: to must be a number greater than ${from}` };
+      }
+      to = Math.round(to * 100) / 100;
+    } else if (!isLast) {
+      return { ok: false, error: `Block ${i + 1}: only the last block may be open-ended` };
+    }
+
+    const rate = Number(b.rate);
+    if (b.rate === '' || b.rate == null || !Number.isFinite(rate) || rate < 0) {
+      return { ok: false, error: `Block ${i + 1}: rate must be a non-negative number` };
+    }
+
+    out.push({
+      block_no: i + 1,
+      block_from: Math.round(from * 100) / 100,
+      block_to: to,
+      block_rate: Math.round(rate * 10000) / 10000,
+    });
+    expectedFrom = to;
+  }
+  return { ok: true, data: out };
+}
+
+// Generate next BLK-<n> (cross-dialect; scan + increment)
+async function generateNextBlockNum(t) {
+  const rows = await RateBlock.findAll({
+    where: { block_id: { [Op.like]: 'BLK-%' } },
+    attributes: ['block_id'],
+    transaction: t,
+    raw: true
+  });
+  return rows.reduce((max, r) => {
+    const m = String(r.block_id).match(/^BLK-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0) + 1;
+}
+
+// block_no of the row marking a return to the flat rate (no blocks from its effective_from)
+const FLAT_MARKER_NO = 0;
+
+/**
+ * Block tables in force for a building on a date (YYYY-MM-DD), grouped by utility:
+ *   { blocks: { electric: [{ from, to, rate }], water: [...], lpg: [...] },
+ *     effective: { electric: date|null, ... } }
+ * Each utility resolves independently to its table with the latest
+ * effective_from <= asOf; a utility without one gets an empty array (flat rate).
+ */
+async function getRateBlocksInForce(buildingId, asOf = todayYMD()) {
+  const rows = await RateBlock.findAll({
+    where: { building_id: buildingId, effective_from: { [Op.lte]: asOf } },
+    order: [['utility', 'ASC'], ['effective_from', 'DESC'], ['block_no', 'ASC']],
+    raw: true
+  });
+
+  const blocks = Object.fromEntries(BLOCK_UTILITIES.map(u => [u, []]));
+  const effective = Object.fromEntries(BLOCK_UTILITIES.map(u => [u, null]));
+  for (const r of rows) {
+    if (effective[r.utility] === null) effective[r.utility] = r.effective_from;
+    if (r.effective_from !== effective[r.utility] || r.block_no === FLAT_MARKER_NO) continue;
+    blocks[r.utility].push({
+      from: Number(r.block_from),
+      to: r.block_to === null ? null : Number(r.block_to),
+      rate: Number(r.block_rate),
+    });
+  }
+  for (const u of BLOCK_UTILITIES) if (!blocks[u].length) effective[u] = null;
+  return { blocks, effective };
+}
+
+/**
+ * All block tables of a building, newest first:
+ *   [{ utility, effective_from, blocks: [{ from, to, rate }] }]  ([] = flat rate from that date)
+ */
+async function getRateBlockHistory(buildingId) {
+  const rows = await RateBlock.findAll({
+    where: { building_id: buildingId },
+    order: [['effective_from', 'DESC'], ['utility', 'ASC'], ['block_no', 'ASC']],
+    raw: true
+  });
+
+  const out = [];
+  for (const r of rows) {
+    let entry = out[out.length - 1];
+    if (!entry || entry.utility !== r.utility || entry.effective_from !== r.effective_from) {
+      entry = { utility: r.utility, effective_from: r.effective_from, blocks: [] };
+      out.push(entry);
+    }
+    if (r.block_no === FLAT_MARKER_NO) continue;
+    entry.blocks.push({
+      from: Number(r.block_from),
+      to: r.block_to === null ? null : Number(r.block_to),
+      rate: Number(r.block_rate),
+    });
+  }
+  return out;
+}
+
+/**
+ * Set the block table of one utility effective on a date (blocks already
+ * validated); an existing table on the same date is replaced. Earlier tables
+ * keep billing their periods. Passing an empty array returns the utility to the
+ * flat rate from that date.
+ */
+async function replaceRateBlocks({ buildingId, utility, effectiveFrom, blocks, user }) {
+  const audit = {
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  };
+
+  return sequelize.transaction(async (t) => {
+    await RateBlock.destroy({
+      where: { building_id: buildingId, utility, effective_from: effectiveFrom },
+      transaction: t
+    });
+
+    let rows = blocks;
+    if (!rows.length) {
+      // nothing to go back from when the utility never had blocks
+      const other = await RateBlock.count({ where: { building_id: buildingId, utility }, transaction: t });
+      if (!other) return [];
+      rows = [{ block_no: FLAT_MARKER_NO, block_from: 0, block_to: null, block_rate: 0 }];
+    }
+
+    let next = await generateNextBlockNum(t);
+    return RateBlock.bulkCreate(rows.map(b => ({
+      block_id: `BLK-${next++}`,
+      building_id: buildingId,
+      utility,
+      effective_from: effectiveFrom,
+      ...b,
+      ...audit,
+    })), { transaction: t });
+  });
+}
+
+module.exports = {
+  RATE_FIELDS,
+  RATE_HISTORY_FLOOR,
+  BLOCK_UTILITIES,
+  todayYMD,
+  getRatesInForce,
+  recordRateChange,
+  validateRateBlocks,
+  getRateBlocksInForce,
+  getRateBlockHistory,
+  replaceRateBlocks,
+};
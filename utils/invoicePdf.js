@@ -0,0 +1,367 @@
+// utils/invoicePdf.js
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+
+const Tenant           = require('../models/Tenant');
+const Stall            = require('../models/Stall');
+const Building         = require('../models/Building');
+const BillingStatement = require('../models/BillingStatement');
+const BillingStatementLine = require('../models/BillingStatementLine');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { computeBillingForTenant, computeBillingForBuilding } = require('./billingEngine');
+const { resolvePeriodWindows } = require('./billingPeriods');
+
+// Statements whose saved lines are the invoice (earlier states may still be re-prepared)
+const INVOICED_STATUSES = ['approved', 'issued'];
+
+/* =========================
+ * Invoice data
+ * ========================= */
+
+// Negotiated tenant rates applied (one note per override)
+function rateNotes(billings) {
+  const overrides = new Map();
+  for (const b of billings) {
+    const o = b?.rate_override;
+    if (o && !overrides.has(o.override_id)) overrides.set(o.override_id, o);
+  }
+  return [...overrides.values()].map(o =>
+    `${o.utility || 'All utilities'}: ${o.override_type === 'rate'
+      ? `contract rate ${Number(o.override_value).toFixed(4)}`
+      : `${o.override_value}% discount`}`);
+}
+
+async function stallSnMap(stallIds) {
+  const stalls = await Stall.findAll({
+    where: { stall_id: { [Op.in]: stallIds } }, attributes: ['stall_id', 'stall_sn'], raw: true
+  });
+  return new Map(stalls.map(s => [s.stall_id, s.stall_sn]));
+}
+
+async function buildingName(buildingId) {
+  const b = await Building.findOne({ where: { building_id: buildingId }, attributes: ['building_name'], raw: true });
+  return b?.building_name || buildingId;
+}
+
+/**
+ * Invoice of a saved statement, from its frozen lines and totals (nothing is recomputed).
+ * @param {Object} stmt    BillingStatement (plain) with its `lines`
+ * @param {Object} tenant  { tenant_id, tenant_name }
+ */
+async function statementInvoice(stmt, tenant) {
+  const lines = stmt.lines || [];
+  const stallSn = await stallSnMap([...new Set(lines.map(l => l.stall_id).filter(Boolean))]);
+  const details = (l) => (l.line_details && typeof l.line_details === 'object' ? l.line_details : {});
+
+  return {
+    preview: false,
+    building_name: await buildingName(stmt.building_id),
+    tenant_id: tenant.tenant_id,
+    tenant_name: tenant.tenant_name,
+    statement_id: stmt.statement_id,
+    invoice_no: stmt.invoice_no || null,
+    period: { start: stmt.period_start, end: stmt.period_end },
+    previous_period: { start: stmt.prev_period_start, end: stmt.prev_period_end },
+    due_date: stmt.due_date || null,
+    lines: lines.map(l => {
+      const d = details(l);
+      const meterSn = l.line_type === 'meter'
+        ? (d.share ? `${l.meter_sn} (${d.share.share_pct}%)` : l.meter_sn)
+        : l.line_type === 'common_area' ? `Common area (${l.meter_sn})` : l.description;
+      return {
+        stall: l.stall_id ? (stallSn.get(l.stall_id) || l.stall_id) : '',
+        meter_sn: meterSn,
+        meter_type: l.line_type === 'meter' || l.line_type === 'common_area' ? l.meter_type : l.line_type,
+        prev_index: l.line_type === 'meter' ? l.prev_index : null,
+        curr_index: l.line_type === 'meter' ? l.curr_index : null,
+        estimated: !!d.indices?.curr_estimated,
+        consumption: l.consumption,
+        rate: l.rate,
+        base: l.base,
+        vat: l.vat,
+        wt: l.wt,
+        penalty: l.penalty,
+        total: l.total,
+      };
+    }),
+    rate_notes: rateNotes(lines.map(l => details(l).billing)),
+    grand_totals: {
+      base: stmt.total_base,
+      vat: stmt.total_vat,
+      wt: stmt.total_wt,
+      penalty: stmt.total_penalty,
+      total: stmt.total_amount,
+    },
+    generated_at: getCurrentDateTime(),
+  };
+}
+
+/**
+ * Billing preview from an engine result (nothing saved yet): no statement number,
+ * invoice number or due date. Errored meters and charges are left off (they are not billed).
+ */
+async function buildInvoice({ tenant, buildingId, meters, common_area = [], charges = [], totals_by_type, grand_totals }) {
+  const billed = meters.filter(m => !m.error);
+  if (!billed.length) return null;
+  const billedCommon = common_area.filter(c => !c.error);
+  const billedCharges = charges.filter(c => !c.error);
+
+  const { current, previous } = billed[0].period;
+  const stallSn = await stallSnMap([...new Set([...billed, ...billedCharges].map(m => m.stall.stall_id))]);
+
+  return {
+    preview: true,
+    building_name: await buildingName(buildingId),
+    tenant_id: tenant.tenant_id,
+    tenant_name: tenant.tenant_name,
+    statement_id: null,
+    invoice_no: null,
+    period: current,
+    previous_period: previous,
+    due_date: null,
+    lines: billed.map(m => ({
+      stall: stallSn.get(m.stall.stall_id) || m.stall.stall_id,
+      meter_sn: m.share ? `${m.meter.meter_sn} (${m.share.share_pct}%)` : m.meter.meter_sn,
+      meter_type: m.meter.meter_type,
+      prev_index: m.indices.prev_index,
+      curr_index: m.indices.curr_index,
+      estimated: !!m.indices.curr_estimated,
+      consumption: m.billing.consumption,
+      rate: m.billing.rate,
+      base: m.billing.base,
+      vat: m.billing.vat,
+      wt: m.billing.wt,
+      penalty: m.billing.penalty,
+      total: m.billing.total,
+    })).concat(billedCommon.map(c => ({
+      stall: '',
+      meter_sn: `Common area (${c.common_area.meter_sn})`,
+      meter_type: c.common_area.meter_type,
+      prev_index: null,
+      curr_index: null,
+      estimated: false,
+      consumption: c.billing.consumption,
+      rate: c.billing.rate,
+      base: c.billing.base,
+      vat: c.billing.vat,
+      wt: c.billing.wt,
+      penalty: c.billing.penalty,
+      total: c.billing.total,
+    }))).concat(billedCharges.map(c => ({
+      stall: stallSn.get(c.stall.stall_id) || c.stall.stall_id,
+      meter_sn: c.charge.charge_name,
+      meter_type: 'charge',
+      prev_index: null,
+      curr_index: null,
+      estimated: false,
+      consumption: c.billing.quantity,
+      rate: c.billing.rate,
+      base: c.billing.base,
+      vat: c.billing.vat,
+      wt: c.billing.wt,
+      penalty: c.billing.penalty,
+      total: c.billing.total,
+    }))),
+    rate_notes: rateNotes([...billed, ...billedCommon].map(r => r.billing)),
+    totals_by_type,
+    grand_totals,
+    generated_at: getCurrentDateTime(),
+  };
+}
+
+// Approved/issued statements of a period (with lines), by tenant_id
+async function findInvoicedStatements(where) {
+  const rows = await BillingStatement.findAll({
+    where: { ...where, statement_status: { [Op.in]: INVOICED_STATUSES } },
+    include: [{ model: BillingStatementLine, as: 'lines' }],
+    order: [[{ model: BillingStatementLine, as: 'lines' }, 'line_no', 'ASC']],
+  });
+  return new Map(rows.map(r => [r.tenant_id, r.get({ plain: true })]));
+}
+
+/**
+ * Invoice for one tenant and the billing period containing endDate: the approved or
+ * issued statement of that period, otherwise a live billing preview.
+ */
+async function loadTenantInvoice({ tenantId, endDate, user }) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['tenant_id', 'tenant_name', 'building_id'],
+    raw: true
+  });
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+
+  const { current } = await resolvePeriodWindows(tenant.building_id, endDate, 1);
+  const saved = (await findInvoicedStatements({ tenant_id: tenantId, period_end: current.end })).get(tenantId);
+  if (saved) return statementInvoice(saved, tenant);
+
+  const { meters, common_area, charges, totals_by_type, grand_totals } =
+    await computeBillingForTenant({ tenantId, endDate, user });
+
+  const invoice = await buildInvoice({
+    tenant, buildingId: tenant.building_id, meters, common_area, charges, totals_by_type, grand_totals
+  });
+  if (!invoice) {
+    const e = new Error(`No billable meters for ${tenantId}: ${meters.map(m => m.error).filter(Boolean).join('; ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return invoice;
+}
+
+/**
+ * Invoices for every billed tenant of a bill run: the tenant's approved or issued statement
+ * of the run period, otherwise a live preview for the run's building and end date.
+ */
+async function loadRunInvoices({ run, user }) {
+  const summaries = (Array.isArray(run.tenant_summaries) ? run.tenant_summaries : [])
+    .filter(s => s.meters > s.failed_meters);
+  const saved = await findInvoicedStatements({ building_id: run.building_id, period_end: run.period_end });
+
+  const pending = new Set(summaries.map(s => s.tenant_id).filter(id => !saved.has(id)));
+  const live = pending.size
+    ? (await computeBillingForBuilding({ buildingId: run.building_id, endDate: run.end_date, user }))
+      .tenants.filter(t => pending.has(t.tenant_id))
+    : [];
+  const liveById = new Map(live.map(t => [t.tenant_id, t]));
+
+  const invoices = [];
+  for (const s of summaries) {
+    const tenant = { tenant_id: s.tenant_id, tenant_name: s.tenant_name };
+    const invoice = saved.has(s.tenant_id)
+      ? await statementInvoice(saved.get(s.tenant_id), tenant)
+      : liveById.has(s.tenant_id)
+        ? await buildInvoice({ tenant, buildingId: run.building_id, ...liveById.get(s.tenant_id) })
+        : null;
+    if (invoice) invoices.push(invoice);
+  }
+  return invoices;
+}
+
+/* =========================
+ * Rendering
+ * ========================= */
+
+const money = (n) => (Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const qty   = (n) => (Number(n) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+const index = (n) => (n === null || n === undefined ? '' : qty(n));
+
+// Line table (A4 landscape): [header, width, align, value(line)]
+const COLUMNS = [
+  ['Stall',       60, 'left',  l => l.stall],
+  ['Meter / Item', 85, 'left', l => l.meter_sn],
+  ['Type',        50, 'left',  l => l.meter_type],
+  ['Prev',        70, 'right', l => index(l.prev_index)],
+  ['Curr',        70, 'right', l => index(l.curr_index) + (l.estimated ? '*' : '')],
+  ['Qty',         65, 'right', l => qty(l.consumption)],
+  ['Rate',        55, 'right', l => Number(l.rate || 0).toFixed(4)],
+  ['Base',        65, 'right', l => money(l.base)],
+  ['VAT',         55, 'right', l => money(l.vat)],
+  ['W/Tax',       55, 'right', l => money(l.wt)],
+  ['Penalty',     55, 'right', l => money(l.penalty)],
+  ['Total',       75, 'right', l => money(l.total)],
+];
+
+function drawRow(doc, y, values, { bold = false } = {}) {
+  const x0 = doc.page.margins.left;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  let x = x0;
+  COLUMNS.forEach(([, width, align], i) => {
+    doc.text(String(values[i] ?? ''), x + 2, y, { width: width - 4, align, lineBreak: false });
+    x += width;
+  });
+  return y + 14;
+}
+
+function drawInvoice(doc, inv) {
+  const left  = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(14).text(inv.building_name, left, doc.page.margins.top);
+  doc.fontSize(12).text(inv.preview ? 'BILLING PREVIEW' : 'BILLING INVOICE', { align: 'right' });
+  doc.moveDown(0.5);
+
+  doc.font('Helvetica').fontSize(9);
+  const info = [
+    ['Tenant', `${inv.tenant_name} (${inv.tenant_id})`],
+    ['Billing period', `${inv.period.start} to ${inv.period.end}`],
+    ['Previous period', `${inv.previous_period.start} to ${inv.previous_period.end}`],
+    ...(inv.preview ? [] : [
+      ['Statement no.', inv.statement_id],
+      ...(inv.invoice_no ? [['Invoice no.', inv.invoice_no]] : []),
+      ['Due date', inv.due_date || '—'],
+    ]),
+  ];
+  for (const [k, v] of info) {
+    doc.font('Helvetica-Bold').text(`${k}: `, { continued: true }).font('Helvetica').text(v);
+  }
+  doc.moveDown(0.8);
+
+  // Lines
+  let y = doc.y;
+  y = drawRow(doc, y, COLUMNS.map(c => c[0]), { bold: true });
+  doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+
+  for (const line of inv.lines) {
+    if (y > bottom - 120) {
+      doc.addPage();
+      y = drawRow(doc, doc.page.margins.top, COLUMNS.map(c => c[0]), { bold: true });
+    }
+    y = drawRow(doc, y, COLUMNS.map(c => c[3](line)));
+  }
+  doc.moveTo(left, y).lineTo(right, y).stroke();
+
+  // Totals
+  const g = inv.grand_totals;
+  y = drawRow(doc, y + 4, ['', '', '', '', '', '', 'Totals', money(g.base), money(g.vat), money(g.wt), money(g.penalty), money(g.total)], { bold: true });
+
+  if (inv.preview) {
+    doc.font('Helvetica-Bold').fontSize(12)
+      .text(`PREVIEW TOTAL: ${money(g.total)}`, left, y + 16, { width: right - left, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+      .text('Preview of the current billing data; not a statement and not payable.', { width: right - left, align: 'right' });
+  } else {
+    doc.font('Helvetica-Bold').fontSize(12)
+      .text(`TOTAL AMOUNT DUE: ${money(g.total)}`, left, y + 16, { width: right - left, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+      .text(`Please pay on or before ${inv.due_date || 'the due date'}.`, { width: right - left, align: 'right' });
+  }
+
+  if (inv.rate_notes?.length) {
+    doc.moveDown(0.5).fontSize(8).text(`Negotiated rates applied: ${inv.rate_notes.join('; ')}.`, left);
+  }
+  if (inv.lines.some(l => l.estimated)) {
+    doc.moveDown(0.5).fontSize(8).text('* Estimated reading; the difference is adjusted on the next actual reading.', left);
+  }
+  doc.fontSize(7).fillColor('#666666')
+    .text(`Generated ${inv.generated_at}`, left, bottom - 10, { lineBreak: false })
+    .fillColor('black');
+}
+
+/**
+ * Render invoices (one or more pages each) into a single PDF written to `stream`
+ * (e.g. an Express response). Resolves when the document has been ended.
+ */
+function writeInvoicesPdf(invoices, stream) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(stream);
+  invoices.forEach((inv, i) => {
+    if (i > 0) doc.addPage();
+    drawInvoice(doc, inv);
+  });
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  statementInvoice,
+  buildInvoice,
+  loadTenantInvoice,
+  loadRunInvoices,
+  writeInvoicesPdf,
+};
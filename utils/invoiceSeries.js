@@ -0,0 +1,305 @@
+// utils/invoiceSeries.js
+'use strict';
+
+const { Op, TableHints } = require('sequelize');
+
+const InvoiceSeries = require('../models/InvoiceSeries');
+const InvoiceNumber = require('../models/InvoiceNumber');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./buildingRates');
+
+const DOCUMENT_TYPES = ['invoice', 'official_receipt'];
+const DOCUMENT_LABELS = { invoice: 'invoice', official_receipt: 'official receipt' };
+
+// Conditional claims lost to concurrent issues before giving up
+const MAX_CLAIM_ATTEMPTS = 5;
+
+const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+const isSerial = (n) => Number.isInteger(n) && n > 0;
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+/** Printed number: prefix + serial zero-padded to the width of range_end */
+function formatNumber(series, serial) {
+  return `${series.prefix || ''}${String(serial).padStart(String(series.range_end).length, '0')}`;
+}
+
+// Generate next ISR-<n> for series configuration rows (cross-dialect; scan + increment)
+async function generateNextSeriesId() {
+  const rows = await InvoiceSeries.findAll({
+    where: { series_id: { [Op.like]: 'ISR-%' } },
+    attributes: ['series_id'],
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.series_id).match(/^ISR-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `ISR-${maxNum + 1}`;
+}
+
+/**
+ * Validate a series payload (partial = only the fields given, for updates).
+ * Returns {ok, data|error}; rules against other series are in checkSeries.
+ */
+function coerceSeries(body = {}, partial = false) {
+  const out = {};
+  const { document_type, prefix, range_start, range_end, atp_number, atp_date, atp_valid_until, series_status } = body;
+
+  if (document_type !== undefined || !partial) {
+    const type = String(document_type ?? '').toLowerCase();
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return { ok: false, error: 'document_type must be one of: invoice, official_receipt' };
+    }
+    out.document_type = type;
+  }
+  if (prefix !== undefined) {
+    const p = prefix === null ? '' : String(prefix).trim();
+    if (p.length > 20) return { ok: false, error: 'prefix must be at most 20 characters' };
+    out.prefix = p;
+  }
+  for (const [key, val] of [['range_start', range_start], ['range_end', range_end]]) {
+    if (val === undefined && partial) continue;
+    const n = Number(val);
+    if (val === '' || val == null || !isSerial(n)) return { ok: false, error: `${key} must be a positive whole number` };
+    out[key] = n;
+  }
+  if (atp_number !== undefined || !partial) {
+    const a = String(atp_number ?? '').trim();
+    if (!a) return { ok: false, error: 'atp_number is required' };
+    if (a.length > 50) return { ok: false, error: 'atp_number must be at most 50 characters' };
+    out.atp_number = a;
+  }
+  if (atp_date !== undefined || !partial) {
+    if (!isYMD(atp_date)) return { ok: false, error: 'atp_date is required (YYYY-MM-DD)' };
+    out.atp_date = atp_date;
+  }
+  if (atp_valid_until !== undefined) {
+    if (atp_valid_until !== null && atp_valid_until !== '' && !isYMD(atp_valid_until)) {
+      return { ok: false, error: 'atp_valid_until must be YYYY-MM-DD or null' };
+    }
+    out.atp_valid_until = atp_valid_until || null;
+  }
+  if (series_status !== undefined) {
+    const st = String(series_status).toLowerCase();
+    if (!['active', 'inactive'].includes(st)) return { ok: false, error: 'series_status must be one of: active, inactive' };
+    out.series_status = st;
+  }
+  return { ok: true, data: out };
+}
+
+/**
+ * Rules on the merged series: a sane range, one active series per building and
+ * document type, and no serial range overlapping another series with the same prefix.
+ * Returns {ok, status?, error?}.
+ */
+async function checkSeries(s, excludeId) {
+  if (s.range_end < s.range_start) return { ok: false, status: 400, error: 'range_end must not be before range_start' };
+  if (s.atp_valid_until && s.atp_valid_until < s.atp_date) {
+    return { ok: false, status: 400, error: 'atp_valid_until must not be before atp_date' };
+  }
+  if (formatNumber(s, s.range_end).length > 40) {
+    return { ok: false, status: 400, error: 'prefix and range_end are too long for a 40-character number' };
+  }
+
+  const others = { series_id: { [Op.ne]: excludeId || '' } };
+  if (s.series_status === 'active') {
+    const active = await InvoiceSeries.findOne({
+      where: { ...others, building_id: s.building_id, document_type: s.document_type, series_status: 'active' },
+      attributes: ['series_id'],
+      raw: true
+    });
+    if (active) {
+      return {
+        ok: false, status: 409,
+        error: `Building already has an active ${DOCUMENT_LABELS[s.document_type]} series (${active.series_id}); deactivate it first`
+      };
+    }
+  }
+
+  const overlap = await InvoiceSeries.findOne({
+    where: {
+      ...others,
+      prefix: s.prefix || '',
+      range_start: { [Op.lte]: s.range_end },
+      range_end: { [Op.gte]: s.range_start },
+    },
+    attributes: ['series_id', 'range_start', 'range_end'],
+    raw: true
+  });
+  if (overlap) {
+    return {
+      ok: false, status: 409,
+      error: `Range overlaps series ${overlap.series_id} (${overlap.range_start}..${overlap.range_end}) with the same prefix`
+    };
+  }
+  return { ok: true };
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/** Create a series for a building (numbering starts at range_start) */
+async function createSeries({ buildingId, data, user }) {
+  const s = { prefix: '', series_status: 'active', atp_valid_until: null, ...data, building_id: buildingId };
+  const check = await checkSeries(s);
+  if (!check.ok) { const e = new Error(check.error); e.status = check.status; throw e; }
+
+  return InvoiceSeries.create({
+    series_id: await generateNextSeriesId(),
+    ...s,
+    next_number: s.range_start,
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  });
+}
+
+/**
+ * Update a series. Prefix and range_start are fixed once a number has been used;
+ * range_end may not drop below the last used serial. An exhausted series can be
+ * revived only by extending range_end.
+ */
+async function updateSeries({ buildingId, seriesId, data, user }) {
+  const series = await InvoiceSeries.findOne({ where: { series_id: seriesId, building_id: buildingId } });
+  if (!series) { const e = new Error('Invoice series not found'); e.status = 404; throw e; }
+
+  const used = series.next_number > series.range_start;
+  if (used && ((data.prefix !== undefined && data.prefix !== series.prefix) ||
+               (data.range_start !== undefined && data.range_start !== series.range_start) ||
+               (data.document_type !== undefined && data.document_type !== series.document_type))) {
+    const e = new Error('prefix, range_start and document_type cannot change once numbers were assigned');
+    e.status = 409;
+    throw e;
+  }
+
+  const merged = { ...series.get({ plain: true }), ...data };
+  if (merged.range_end < series.next_number - 1) {
+    const e = new Error(`range_end must not be below the last assigned serial (${series.next_number - 1})`);
+    e.status = 400;
+    throw e;
+  }
+  if (!used) merged.next_number = merged.range_start;
+
+  // an extended exhausted series comes back inactive (activate it explicitly)
+  if (series.series_status === 'exhausted' && data.series_status === undefined) merged.series_status = 'inactive';
+  if (merged.next_number > merged.range_end) merged.series_status = 'exhausted';
+
+  const check = await checkSeries(merged, seriesId);
+  if (!check.ok) { const e = new Error(check.error); e.status = check.status; throw e; }
+
+  await series.update({
+    ...data,
+    series_status: merged.series_status,
+    next_number: merged.next_number,
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  });
+  return series;
+}
+
+/**
+ * Assign the next official number of the building's active series to a document,
+ * inside the caller's transaction. The serial is claimed with a conditional UPDATE
+ * (… WHERE next_number = <read value>), whose row lock is held until the transaction
+ * ends: a concurrent issue waits, finds next_number moved on and retries with the
+ * following serial, and a rollback gives the number back, so the series stays
+ * gap-free. (Sequelize's `lock` option is ignored on MSSQL; the read also carries
+ * UPDLOCK there.) Buildings without any series of the document type are not
+ * numbered (returns null); once one is configured, numbering is required.
+ * @returns {Promise<string|null>} the number (e.g. 'SI-000123')
+ */
+async function assignNumber({ buildingId, documentType, documentId, user, t }) {
+  const label = DOCUMENT_LABELS[documentType];
+  const configured = await InvoiceSeries.count({
+    where: { building_id: buildingId, document_type: documentType },
+    transaction: t
+  });
+  if (!configured) return null;
+
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const series = await InvoiceSeries.findOne({
+      where: { building_id: buildingId, document_type: documentType, series_status: 'active' },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+      tableHint: TableHints.UPDLOCK,
+      raw: true
+    });
+    if (!series) {
+      const e = new Error(`No active ${label} series for building ${buildingId}`); e.status = 409; throw e;
+    }
+    if (series.atp_valid_until && series.atp_valid_until < todayYMD()) {
+      const e = new Error(`ATP ${series.atp_number} of ${label} series ${series.series_id} expired on ${series.atp_valid_until}`);
+      e.status = 409;
+      throw e;
+    }
+    const serial = series.next_number;
+    if (serial > series.range_end) {
+      const e = new Error(`${label} series ${series.series_id} is exhausted`); e.status = 409; throw e;
+    }
+
+    const [claimed] = await InvoiceSeries.update({
+      next_number: serial + 1,
+      series_status: serial >= series.range_end ? 'exhausted' : 'active',
+      last_updated: now,
+      updated_by: by,
+    }, {
+      where: { series_id: series.series_id, next_number: serial, series_status: 'active' },
+      transaction: t
+    });
+    if (claimed !== 1) continue; // taken by a concurrent issue; read again
+
+    const number = formatNumber(series, serial);
+    await InvoiceNumber.create({
+      invoice_no: number,
+      series_id: series.series_id,
+      serial_no: serial,
+      building_id: buildingId,
+      document_type: documentType,
+      document_id: documentId,
+      number_status: 'issued',
+      assigned_at: now,
+      assigned_by: by,
+      last_updated: now,
+      updated_by: by,
+    }, { transaction: t });
+    return number;
+  }
+
+  const e = new Error(`Could not reserve a ${label} number for building ${buildingId}; try again`);
+  e.status = 409;
+  throw e;
+}
+
+/** Mark the number of a voided document as void (kept for audit), inside the caller's transaction */
+async function voidNumber({ documentType, documentId, reason, user, t }) {
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+  await InvoiceNumber.update({
+    number_status: 'void',
+    voided_at: now,
+    voided_by: by,
+    void_reason: reason ? String(reason).slice(0, 250) : null,
+    last_updated: now,
+    updated_by: by,
+  }, {
+    where: { document_type: documentType, document_id: documentId, number_status: 'issued' },
+    transaction: t
+  });
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  formatNumber,
+  coerceSeries,
+  createSeries,
+  updateSeries,
+  assignNumber,
+  voidNumber,
+};
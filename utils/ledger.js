@@ -0,0 +1,393 @@
+// utils/ledger.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize         = require('../models');
+const Payment           = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const BillingStatement  = require('../models/BillingStatement');
+const PenaltyAssessment = require('../models/PenaltyAssessment');
+const Tenant            = require('../models/Tenant');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { assignNumber, voidNumber } = require('./invoiceSeries');
+
+const PAYMENT_METHODS = ['cash', 'check', 'bank_transfer', 'card', 'online'];
+
+/* =========================
+ * Helpers (no DB)
+ * ========================= */
+
+// Money is added up in whole cents to avoid float drift
+const toCents   = (n) => Math.round((Number(n) || 0) * 100);
+const fromCents = (c) => c / 100;
+
+function auditFields(user) {
+  return {
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  };
+}
+
+/* =========================
+ * DB helpers
+ * ========================= */
+
+// Generate next <prefix><n> for a string id column (cross-dialect; scan + increment)
+async function nextIdNumber(Model, field, prefix, t) {
+  const rows = await Model.findAll({
+    where: { [field]: { [Op.like]: `${prefix}%` } },
+    attributes: [field],
+    transaction: t,
+    lock: t?.LOCK && t.LOCK.UPDATE,
+    raw: true
+  });
+  const re = new RegExp(`^${prefix}(\\d+)$`);
+  return rows.reduce((max, r) => {
+    const m = String(r[field]).match(re);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0) + 1;
+}
+
+/**
+ * Issued (non-void) statements of a tenant, oldest first, with assessed late
+ * penalties and what has been paid against each:
+ * [{ statement_id, period_start, period_end, due_date, total_amount, penalty, paid, balance }].
+ * Allocations of voided payments are removed on void, so every allocation counts.
+ */
+async function getStatementBalances(tenantId, t) {
+  const stmts = await BillingStatement.findAll({
+    where: { tenant_id: tenantId, statement_status: 'issued' },
+    attributes: ['statement_id', 'period_start', 'period_end', 'due_date', 'total_amount'],
+    order: [['period_end', 'ASC'], ['statement_id', 'ASC']],
+    transaction: t,
+    raw: true
+  });
+  if (!stmts.length) return [];
+
+  const ids = stmts.map(s => s.statement_id);
+  const [allocs, penalties] = await Promise.all([
+    PaymentAllocation.findAll({
+      where: { statement_id: { [Op.in]: ids } },
+      attributes: ['statement_id', 'amount'],
+      transaction: t,
+      raw: true
+    }),
+    PenaltyAssessment.findAll({
+      where: { statement_id: { [Op.in]: ids }, assessment_status: 'assessed' },
+      attributes: ['statement_id', 'penalty_amount'],
+      transaction: t,
+      raw: true
+    }),
+  ]);
+
+  const sumBy = (rows, field) => {
+    const m = new Map();
+    for (const r of rows) m.set(r.statement_id, (m.get(r.statement_id) || 0) + toCents(r[field]));
+    return m;
+  };
+  const paidCents    = sumBy(allocs, 'amount');
+  const penaltyCents = sumBy(penalties, 'penalty_amount');
+
+  return stmts.map(s => {
+    const total   = toCents(s.total_amount);
+    const penalty = penaltyCents.get(s.statement_id) || 0;
+    const paid    = paidCents.get(s.statement_id) || 0;
+    return {
+      statement_id: s.statement_id,
+      period_start: s.period_start,
+      period_end: s.period_end,
+      due_date: s.due_date || null,
+      total_amount: fromCents(total),
+      penalty: fromCents(penalty),
+      paid: fromCents(paid),
+      balance: fromCents(total + penalty - paid),
+    };
+  });
+}
+
+/**
+ * Apply the tenant's unapplied payment credit to open statements:
+ * oldest payment first, oldest statement first. Runs inside the caller's transaction.
+ * Returns the allocation rows created.
+ */
+async function applyTenantCredits(tenantId, user, t) {
+  const payments = await Payment.findAll({
+    where: { tenant_id: tenantId, payment_status: 'posted', unapplied_amount: { [Op.gt]: 0 } },
+    order: [['payment_date', 'ASC'], ['payment_id', 'ASC']],
+    transaction: t
+  });
+  if (!payments.length) return [];
+
+  const open = (await getStatementBalances(tenantId, t))
+    .map(s => ({ statement_id: s.statement_id, cents: toCents(s.balance) }))
+    .filter(s => s.cents > 0);
+  if (!open.length) return [];
+
+  const audit = auditFields(user);
+  let next = await nextIdNumber(PaymentAllocation, 'allocation_id', 'ALLOC-', t);
+  const rows = [];
+
+  for (const p of payments) {
+    const before = toCents(p.unapplied_amount);
+    let left = before;
+    for (const s of open) {
+      if (left <= 0) break;
+      if (s.cents <= 0) continue;
+      const amt = Math.min(left, s.cents);
+      rows.push({
+        allocation_id: `ALLOC-${next++}`,
+        payment_id: p.payment_id,
+        statement_id: s.statement_id,
+        amount: fromCents(amt),
+        ...audit,
+      });
+      s.cents -= amt;
+      left -= amt;
+    }
+    if (left !== before) {
+      await p.update({ unapplied_amount: fromCents(left), ...audit }, { transaction: t });
+    }
+  }
+
+  if (rows.length) await PaymentAllocation.bulkCreate(rows, { transaction: t });
+  return rows;
+}
+
+/**
+ * Undo the allocations made to a statement (e.g. when it is voided): the amounts
+ * go back to the payments as unapplied credit, which is then re-applied to the
+ * tenant's other open statements. Runs inside the caller's transaction.
+ */
+async function releaseStatementAllocations(statementId, tenantId, user, t) {
+  const allocs = await PaymentAllocation.findAll({
+    where: { statement_id: statementId },
+    transaction: t
+  });
+  if (!allocs.length) return;
+
+  const audit = auditFields(user);
+  for (const a of allocs) {
+    const p = await Payment.findOne({ where: { payment_id: a.payment_id }, transaction: t });
+    if (p) {
+      await p.update({
+        unapplied_amount: fromCents(toCents(p.unapplied_amount) + toCents(a.amount)),
+        ...audit,
+      }, { transaction: t });
+    }
+    await a.destroy({ transaction: t });
+  }
+
+  await applyTenantCredits(tenantId, user, t);
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/** Fetch a payment with its allocations, or null */
+async function getPayment(paymentId) {
+  return Payment.findOne({
+    where: { payment_id: paymentId },
+    include: [{ model: PaymentAllocation, as: 'allocations' }],
+    order: [[{ model: PaymentAllocation, as: 'allocations' }, 'allocation_id', 'ASC']],
+  });
+}
+
+/**
+ * Record a payment from a tenant and allocate it to issued statements,
+ * oldest first. The payment takes the next official receipt number of the
+ * building's OR series (when it has one). Anything left over stays on the payment as unapplied credit
+ * and is applied when the next statement is issued.
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {number} params.amount        > 0
+ * @param {string} params.paymentDate   YYYY-MM-DD
+ * @param {string} params.method        one of PAYMENT_METHODS
+ * @param {string} [params.reference]   OR number, check number, bank reference, ...
+ * @param {Object} params.user          current user (for audit)
+ */
+async function recordPayment({ tenantId, amount, paymentDate, method, reference, user }) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['tenant_id', 'building_id'],
+    raw: true
+  });
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+
+  const audit = auditFields(user);
+
+  const paymentId = await sequelize.transaction(async (t) => {
+    const newId = `PAY-${await nextIdNumber(Payment, 'payment_id', 'PAY-', t)}`;
+    const orNo = await assignNumber({
+      buildingId: tenant.building_id, documentType: 'official_receipt', documentId: newId, user, t
+    });
+
+    await Payment.create({
+      payment_id: newId,
+      tenant_id: tenantId,
+      building_id: tenant.building_id,
+      payment_date: paymentDate,
+      amount,
+      payment_method: method,
+      payment_reference: reference || null,
+      or_no: orNo,
+      unapplied_amount: amount,
+      payment_status: 'posted',
+      received_by: audit.updated_by,
+      ...audit,
+    }, { transaction: t });
+
+    await applyTenantCredits(tenantId, user, t);
+    return newId;
+  });
+
+  return getPayment(paymentId);
+}
+
+/**
+ * Void a posted payment: its allocations are removed (the statements reopen),
+ * its receipt number is marked void, and any other unapplied credit of the
+ * tenant is re-applied.
+ */
+async function voidPayment({ paymentId, reason, user }) {
+  const payment = await Payment.findOne({ where: { payment_id: paymentId } });
+  if (!payment) { const e = new Error('Payment not found'); e.status = 404; throw e; }
+  if (payment.payment_status === 'void') {
+    const e = new Error('Payment is already void'); e.status = 409; throw e;
+  }
+
+  const audit = auditFields(user);
+
+  await sequelize.transaction(async (t) => {
+    // only while still not void: a concurrent void must not release and void twice
+    const [changed] = await Payment.update({
+      payment_status: 'void',
+      unapplied_amount: 0,
+      voided_at: audit.last_updated,
+      voided_by: audit.updated_by,
+      void_reason: reason,
+      ...audit,
+    }, { where: { payment_id: paymentId, payment_status: { [Op.ne]: 'void' } }, transaction: t });
+    if (!changed) { const e = new Error('Payment is already void'); e.status = 409; throw e; }
+
+    await PaymentAllocation.destroy({ where: { payment_id: paymentId }, transaction: t });
+
+    await voidNumber({ documentType: 'official_receipt', documentId: paymentId, reason, user, t });
+
+    await applyTenantCredits(payment.tenant_id, user, t);
+  });
+
+  return getPayment(paymentId);
+}
+
+/**
+ * Statement of account for a tenant over [from, to] (both optional, YYYY-MM-DD).
+ * Charges are issued statements dated by their period end and late penalties
+ * dated by assessment; payments are posted payments dated by payment_date.
+ * Void statements/payments and waived penalties are left out.
+ * Returns opening balance, dated entries with a running balance, totals,
+ * closing (outstanding) balance, plus the currently open statements and unapplied credit.
+ */
+async function getStatementOfAccount({ tenantId, from, to }) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['tenant_id', 'tenant_name', 'building_id'],
+    raw: true
+  });
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+
+  const [stmts, penalties, payments, balances] = await Promise.all([
+    BillingStatement.findAll({
+      where: { tenant_id: tenantId, statement_status: 'issued' },
+      attributes: ['statement_id', 'period_start', 'period_end', 'total_amount'],
+      raw: true
+    }),
+    PenaltyAssessment.findAll({
+      where: { tenant_id: tenantId, assessment_status: 'assessed' },
+      attributes: ['assessment_id', 'statement_id', 'assessed_on', 'penalty_amount'],
+      raw: true
+    }),
+    Payment.findAll({
+      where: { tenant_id: tenantId, payment_status: 'posted' },
+      attributes: ['payment_id', 'payment_date', 'amount', 'payment_method', 'payment_reference', 'unapplied_amount'],
+      raw: true
+    }),
+    getStatementBalances(tenantId),
+  ]);
+
+  const docs = [
+    ...stmts.map(s => ({
+      date: s.period_end,
+      type: 'charge',
+      reference: s.statement_id,
+      description: `Billing ${s.period_start}..${s.period_end}`,
+      cents: toCents(s.total_amount),
+    })),
+    ...penalties
+      .filter(p => stmts.some(s => s.statement_id === p.statement_id))
+      .map(p => ({
+        date: p.assessed_on,
+        type: 'penalty',
+        reference: p.assessment_id,
+        description: `Late payment penalty on ${p.statement_id}`,
+        cents: toCents(p.penalty_amount),
+      })),
+    ...payments.map(p => ({
+      date: p.payment_date,
+      type: 'payment',
+      reference: p.payment_id,
+      description: `Payment (${p.payment_method}${p.payment_reference ? ` ${p.payment_reference}` : ''})`,
+      cents: -toCents(p.amount),
+    })),
+  ];
+  // By date; on the same day, charges, then penalties, then payments
+  const TYPE_ORDER = { charge: 0, penalty: 1, payment: 2 };
+  docs.sort((a, b) =>
+    a.date < b.date ? -1 : a.date > b.date ? 1 :
+    a.type !== b.type ? TYPE_ORDER[a.type] - TYPE_ORDER[b.type] :
+    a.reference.localeCompare(b.reference, undefined, { numeric: true })
+  );
+
+  let opening = 0, charges = 0, paid = 0;
+  const entries = [];
+  for (const d of docs) {
+    if (from && d.date < from) { opening += d.cents; continue; }
+    if (to && d.date > to) continue;
+
+    if (d.cents >= 0) charges += d.cents; else paid -= d.cents;
+    entries.push({
+      date: d.date,
+      type: d.type,
+      reference: d.reference,
+      description: d.description,
+      charge: d.type !== 'payment' ? fromCents(d.cents) : 0,
+      payment: d.type === 'payment' ? fromCents(-d.cents) : 0,
+      balance: fromCents(opening + charges - paid),
+    });
+  }
+
+  return {
+    tenant,
+    from: from || null,
+    to: to || null,
+    opening_balance: fromCents(opening),
+    entries,
+    totals: { charges: fromCents(charges), payments: fromCents(paid) },
+    closing_balance: fromCents(opening + charges - paid),
+    open_statements: balances.filter(s => s.balance > 0),
+    unapplied_credit: fromCents(payments.reduce((sum, p) => sum + toCents(p.unapplied_amount), 0)),
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  getPayment,
+  recordPayment,
+  voidPayment,
+  getStatementBalances,
+  applyTenantCredits,
+  releaseStatementAllocations,
+  getStatementOfAccount,
+};
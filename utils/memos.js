@@ -0,0 +1,244 @@
+// utils/memos.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Tenant           = require('../models/Tenant');
+const BillingStatement = require('../models/BillingStatement');
+const BillingMemo      = require('../models/BillingMemo');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./buildingRates');
+const { dec, roundNum } = require('./money');
+const { getTenantTaxKnobs, applyTaxes } = require('./billingEngine');
+
+const MEMO_TYPES   = ['credit', 'debit'];
+const REASON_CODES = ['penalty_waiver', 'goodwill', 'back_billing', 'correction', 'other'];
+
+const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+// Generate next MEMO-<n> (cross-dialect; scan + increment)
+async function generateNextMemoId(t) {
+  const rows = await BillingMemo.findAll({
+    where: { memo_id: { [Op.like]: 'MEMO-%' } },
+    attributes: ['memo_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.memo_id).match(/^MEMO-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `MEMO-${maxNum + 1}`;
+}
+
+/**
+ * Validate a memo payload.
+ * Returns {ok, data|error}.
+ */
+function coerceMemo(body = {}) {
+  const { tenant_id, memo_type, reason_code, memo_date, description, amount, apply_vat, related_statement_id } = body;
+
+  if (!tenant_id) return { ok: false, error: 'tenant_id is required' };
+
+  const type = String(memo_type ?? '').toLowerCase();
+  if (!MEMO_TYPES.includes(type)) return { ok: false, error: 'memo_type must be one of: credit, debit' };
+
+  const reason = String(reason_code ?? '').toLowerCase();
+  if (!REASON_CODES.includes(reason)) {
+    return { ok: false, error: `reason_code must be one of: ${REASON_CODES.join(', ')}` };
+  }
+
+  if (memo_date !== undefined && memo_date !== null && memo_date !== '' && !isYMD(memo_date)) {
+    return { ok: false, error: 'Invalid memo_date. Use YYYY-MM-DD.' };
+  }
+
+  const desc = String(description ?? '').trim();
+  if (!desc) return { ok: false, error: 'description is required' };
+  if (desc.length > 255) return { ok: false, error: 'description must be at most 255 characters' };
+
+  const amt = Math.round(Number(amount) * 100) / 100;
+  if (amount === '' || amount == null || !Number.isFinite(amt) || amt <= 0) {
+    return { ok: false, error: 'amount must be a number greater than 0' };
+  }
+
+  return {
+    ok: true,
+    data: {
+      tenant_id,
+      memo_type: type,
+      reason_code: reason,
+      memo_date: memo_date || todayYMD(),
+      description: desc,
+      amount: amt,
+      apply_vat: apply_vat === true || String(apply_vat) === 'true',
+      related_statement_id: related_statement_id ? String(related_statement_id) : null,
+    }
+  };
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/**
+ * Record a pending memo. With apply_vat, VAT follows the tenant's vat_code
+ * ("other" rate and VAT method, as for recurring charges); otherwise the
+ * amount is the whole memo.
+ * @param {Object} params
+ * @param {Object} params.data  validated by coerceMemo
+ * @param {Object} params.user  current user (for audit)
+ */
+async function createMemo({ data, user }) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: data.tenant_id },
+    attributes: ['tenant_id', 'building_id', 'vat_code'],
+    raw: true
+  });
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+
+  if (data.related_statement_id) {
+    const stmt = await BillingStatement.findOne({
+      where: { statement_id: data.related_statement_id },
+      attributes: ['tenant_id'],
+      raw: true
+    });
+    if (!stmt || stmt.tenant_id !== tenant.tenant_id) {
+      const e = new Error(`related_statement_id ${data.related_statement_id} is not a statement of ${tenant.tenant_id}`);
+      e.status = 400;
+      throw e;
+    }
+  }
+
+  let vatRate = 0;
+  let method;
+  if (data.apply_vat) {
+    if (!tenant.vat_code) {
+      const e = new Error(`Tenant ${tenant.tenant_id} has no vat_code; cannot apply VAT`); e.status = 400; throw e;
+    }
+    const knobs = await getTenantTaxKnobs(tenant);
+    vatRate = knobs.vat.o;
+    method = knobs.method;
+  }
+  const taxes = applyTaxes({ base: data.amount, vatRate, wtRate: 0, method });
+
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+  return BillingMemo.create({
+    memo_id: await generateNextMemoId(),
+    ...data,
+    building_id: tenant.building_id,
+    vat_code: data.apply_vat ? tenant.vat_code : null,
+    vat_pct: Math.round(vatRate * 100 * 10000) / 10000,
+    memo_base: taxes.base,
+    memo_vat: taxes.vat,
+    memo_total: roundNum(dec(taxes.base).plus(taxes.vat)),
+    memo_status: 'pending',
+    created_at: now,
+    created_by: by,
+    last_updated: now,
+    updated_by: by,
+  });
+}
+
+/** Approve or reject a pending memo (admin); approved memos go on the tenant's next statement */
+async function decideMemo({ memoId, approve, note, user }) {
+  const memo = await BillingMemo.findOne({ where: { memo_id: memoId } });
+  if (!memo) { const e = new Error('Memo not found'); e.status = 404; throw e; }
+  if (memo.memo_status !== 'pending') {
+    const e = new Error(`Memo is already ${memo.memo_status}`); e.status = 409; throw e;
+  }
+
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+  // only while still pending: concurrent decisions must not overwrite each other
+  const [changed] = await BillingMemo.update({
+    memo_status: approve ? 'approved' : 'rejected',
+    decided_at: now,
+    decided_by: by,
+    decision_note: note || null,
+    last_updated: now,
+    updated_by: by,
+  }, { where: { memo_id: memoId, memo_status: 'pending' } });
+  if (!changed) { const e = new Error('Memo was already decided'); e.status = 409; throw e; }
+  return memo.reload();
+}
+
+/** Approved memos of a tenant not yet billed, dated on/before periodEnd */
+async function findApprovedMemos(tenantId, periodEnd, t) {
+  return BillingMemo.findAll({
+    where: {
+      tenant_id: tenantId,
+      memo_status: 'approved',
+      billed_statement_id: null,
+      memo_date: { [Op.lte]: periodEnd },
+    },
+    order: [['memo_date', 'ASC'], ['memo_id', 'ASC']],
+    transaction: t,
+  });
+}
+
+/**
+ * Split an approved credit memo that does not fit on a statement: it keeps `amount`
+ * of its total (VAT pro-rated) and the rest becomes a new approved memo, left for a
+ * later statement. Runs inside the caller's transaction; returns the new memo.
+ */
+async function splitMemo({ memo, amount, user, t }) {
+  const part = dec(amount).div(dec(memo.memo_total));
+  const total = roundNum(amount);
+  const vat = roundNum(dec(memo.memo_vat).times(part));
+  const base = roundNum(dec(total).minus(vat));
+  const kept = roundNum(dec(memo.amount).times(part));
+
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+  const carried = await BillingMemo.create({
+    memo_id: await generateNextMemoId(t),
+    tenant_id: memo.tenant_id,
+    building_id: memo.building_id,
+    memo_type: memo.memo_type,
+    reason_code: memo.reason_code,
+    memo_date: memo.memo_date,
+    description: `Rest of ${memo.memo_id}: ${memo.description}`.slice(0, 255),
+    related_statement_id: memo.related_statement_id,
+    amount: roundNum(dec(memo.amount).minus(kept)),
+    apply_vat: memo.apply_vat,
+    vat_code: memo.vat_code,
+    vat_pct: memo.vat_pct,
+    memo_base: roundNum(dec(memo.memo_base).minus(base)),
+    memo_vat: roundNum(dec(memo.memo_vat).minus(vat)),
+    memo_total: roundNum(dec(memo.memo_total).minus(total)),
+    memo_status: 'approved',
+    created_at: now,
+    created_by: by,
+    decided_at: memo.decided_at,
+    decided_by: memo.decided_by,
+    decision_note: memo.decision_note,
+    last_updated: now,
+    updated_by: by,
+  }, { transaction: t });
+
+  await memo.update({
+    amount: kept,
+    memo_base: base,
+    memo_vat: vat,
+    memo_total: total,
+    last_updated: now,
+    updated_by: by,
+  }, { transaction: t });
+  return carried;
+}
+
+module.exports = {
+  MEMO_TYPES,
+  REASON_CODES,
+  coerceMemo,
+  createMemo,
+  decideMemo,
+  findApprovedMemos,
+  splitMemo,
+};
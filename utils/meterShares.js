@@ -0,0 +1,174 @@
+// utils/meterShares.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const MeterStallShare = require('../models/MeterStallShare');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./buildingRates');
+
+/*
+ * Split history of shared meters (meter_stall_shares): a split is the set of rows of
+ * a meter with the same effective_from. Billing uses the split with the latest
+ * effective_from on or before the period end. A lone row with share_pct 0 marks the
+ * meter unshared from its date (billed wholly to its own stall again).
+ */
+const UNSHARED_MARKER_PCT = 0;
+
+const isMarker = (r) => Number(r.share_pct) === UNSHARED_MARKER_PCT;
+
+// Generate next MSS-<n> (cross-dialect; scan + increment)
+async function generateNextShareNum(t) {
+  const rows = await MeterStallShare.findAll({
+    where: { share_id: { [Op.like]: 'MSS-%' } },
+    attributes: ['share_id'],
+    transaction: t,
+    raw: true
+  });
+  return rows.reduce((max, r) => {
+    const m = String(r.share_id).match(/^MSS-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0) + 1;
+}
+
+/**
+ * Splits in force on a date (YYYY-MM-DD) for the given meters:
+ * Map meter_id → { effective_from, shares: [{ stall_id, share_pct }] }.
+ * Meters not shared on that date are left out.
+ */
+async function getSharesInForce(meterIds, asOf = todayYMD(), t) {
+  if (!meterIds.length) return new Map();
+  const rows = await MeterStallShare.findAll({
+    where: { meter_id: { [Op.in]: meterIds }, effective_from: { [Op.lte]: asOf } },
+    attributes: ['meter_id', 'stall_id', 'share_pct', 'effective_from'],
+    order: [['meter_id', 'ASC'], ['effective_from', 'DESC'], ['stall_id', 'ASC']],
+    transaction: t,
+    raw: true
+  });
+
+  const effective = new Map();
+  const out = new Map();
+  for (const r of rows) {
+    if (!effective.has(r.meter_id)) effective.set(r.meter_id, r.effective_from);
+    if (r.effective_from !== effective.get(r.meter_id) || isMarker(r)) continue;
+    if (!out.has(r.meter_id)) out.set(r.meter_id, { effective_from: r.effective_from, shares: [] });
+    out.get(r.meter_id).shares.push({ stall_id: r.stall_id, share_pct: Number(r.share_pct) });
+  }
+  return out;
+}
+
+/** Shares held by the given stalls on a date: [{ meter_id, stall_id, share_pct, effective_from }] */
+async function getSharesHeldBy(stallIds, asOf = todayYMD()) {
+  if (!stallIds.length) return [];
+  const rows = await MeterStallShare.findAll({
+    where: { stall_id: { [Op.in]: stallIds }, effective_from: { [Op.lte]: asOf } },
+    attributes: ['meter_id'],
+    raw: true
+  });
+  const wanted = new Set(stallIds);
+  const inForce = await getSharesInForce([...new Set(rows.map(r => r.meter_id))], asOf);
+
+  const out = [];
+  for (const [meterId, split] of inForce) {
+    for (const s of split.shares.filter(x => wanted.has(x.stall_id))) {
+      out.push({ meter_id: meterId, ...s, effective_from: split.effective_from });
+    }
+  }
+  return out;
+}
+
+/**
+ * All splits of a meter, newest first:
+ *   [{ effective_from, shares: [{ stall_id, share_pct }] }]  ([] = unshared from that date)
+ */
+async function getShareHistory(meterId) {
+  const rows = await MeterStallShare.findAll({
+    where: { meter_id: meterId },
+    order: [['effective_from', 'DESC'], ['stall_id', 'ASC']],
+    raw: true
+  });
+
+  const out = [];
+  for (const r of rows) {
+    let entry = out[out.length - 1];
+    if (!entry || entry.effective_from !== r.effective_from) {
+      entry = { effective_from: r.effective_from, shares: [] };
+      out.push(entry);
+    }
+    if (isMarker(r)) continue;
+    entry.shares.push({ stall_id: r.stall_id, share_pct: Number(r.share_pct) });
+  }
+  return out;
+}
+
+/**
+ * Set the split of a meter effective on a date (shares already validated); a split
+ * on the same date is replaced and earlier splits keep billing their periods.
+ * An empty list makes the meter unshared from that date.
+ * @param {Object} params
+ * @param {Object} params.meter          { meter_id, stall_id }
+ * @param {string} params.effectiveFrom  YYYY-MM-DD
+ * @param {Array}  params.shares         [{ stall_id, share_pct }]
+ * @param {Object} params.user           for audit
+ * @param {Object} params.t              transaction
+ */
+async function replaceShares({ meter, effectiveFrom, shares, user, t }) {
+  const audit = {
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  };
+
+  await MeterStallShare.destroy({
+    where: { meter_id: meter.meter_id, effective_from: effectiveFrom },
+    transaction: t
+  });
+
+  let rows = shares;
+  if (!rows.length) {
+    // nothing to go back from when the meter was never shared before that date
+    const earlier = await MeterStallShare.count({
+      where: { meter_id: meter.meter_id, effective_from: { [Op.lt]: effectiveFrom } },
+      transaction: t
+    });
+    if (!earlier) return [];
+    rows = [{ stall_id: meter.stall_id, share_pct: UNSHARED_MARKER_PCT }];
+  }
+
+  let next = await generateNextShareNum(t);
+  return MeterStallShare.bulkCreate(rows.map(s => ({
+    share_id: `MSS-${next++}`,
+    meter_id: meter.meter_id,
+    stall_id: s.stall_id,
+    share_pct: s.share_pct,
+    effective_from: effectiveFrom,
+    ...audit,
+  })), { transaction: t });
+}
+
+/** Copy a meter's whole split history to another meter (meter replacement) */
+async function copyShareHistory({ fromMeterId, toMeterId, user, t }) {
+  const rows = await MeterStallShare.findAll({ where: { meter_id: fromMeterId }, transaction: t, raw: true });
+  if (!rows.length) return [];
+
+  await MeterStallShare.destroy({ where: { meter_id: toMeterId }, transaction: t });
+  let next = await generateNextShareNum(t);
+  return MeterStallShare.bulkCreate(rows.map(r => ({
+    share_id: `MSS-${next++}`,
+    meter_id: toMeterId,
+    stall_id: r.stall_id,
+    share_pct: r.share_pct,
+    effective_from: r.effective_from,
+    last_updated: getCurrentDateTime(),
+    updated_by: user?.user_fullname || 'System Admin',
+  })), { transaction: t });
+}
+
+module.exports = {
+  UNSHARED_MARKER_PCT,
+  getSharesInForce,
+  getSharesHeldBy,
+  getShareHistory,
+  replaceShares,
+  copyShareHistory,
+};
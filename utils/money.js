@@ -0,0 +1,78 @@
+// utils/money.js
+'use strict';
+
+const Decimal = require('decimal.js');
+
+/**
+ * Decimal money arithmetic for billing + the rounding policy.
+ *
+ * Policy (environment, read once at startup):
+ *   BILLING_ROUNDING_MODE   half_up   (default) 0.125 -> 0.13, 0.135 -> 0.14
+ *                           half_even (banker's) 0.125 -> 0.12, 0.135 -> 0.14
+ *   BILLING_ROUNDING_SCOPE  line      (default) each meter line's base/VAT/WT/penalty is
+ *                                     rounded to centavos; line total and invoice totals
+ *                                     are sums of those rounded amounts
+ *                           invoice   lines keep full precision for the totals; only the
+ *                                     invoice (tenant/building) totals are rounded, so
+ *                                     displayed line amounts may differ from the total by
+ *                                     a centavo
+ * All intermediate math is exact (no binary floats); rates/units keep 4/2 places.
+ */
+
+const MODES  = { half_up: Decimal.ROUND_HALF_UP, half_even: Decimal.ROUND_HALF_EVEN };
+const SCOPES = ['line', 'invoice'];
+
+function readPolicy() {
+  const mode  = String(process.env.BILLING_ROUNDING_MODE || 'half_up').toLowerCase();
+  const scope = String(process.env.BILLING_ROUNDING_SCOPE || 'line').toLowerCase();
+  return {
+    mode: MODES[mode] !== undefined ? mode : 'half_up',
+    scope: SCOPES.includes(scope) ? scope : 'line',
+  };
+}
+
+const POLICY = readPolicy();
+
+// Decimal constructor bound to the policy's rounding mode
+const Dec = Decimal.clone({ precision: 40, rounding: MODES[POLICY.mode] });
+
+/** Anything numeric (number, numeric string, Decimal) -> Decimal; null/NaN -> 0 */
+function dec(v) {
+  if (v instanceof Dec) return v;
+  if (v === null || v === undefined || v === '') return new Dec(0);
+  try {
+    const d = new Dec(v);
+    return d.isFinite() ? d : new Dec(0);
+  } catch {
+    return new Dec(0);
+  }
+}
+
+/** Round to dp places with the policy mode; returns a Decimal */
+function roundDec(v, dp = 2) {
+  return dec(v).toDecimalPlaces(dp);
+}
+
+/** Round to dp places with the policy mode; returns a Number (null for null/NaN input) */
+function roundNum(v, dp = 2) {
+  if (v === null || v === undefined || (typeof v === 'number' && isNaN(v))) return null;
+  return roundDec(v, dp).toNumber();
+}
+
+/** Exact sum of values */
+function sum(values) {
+  return values.reduce((acc, v) => acc.plus(dec(v)), new Dec(0));
+}
+
+function getRoundingPolicy() {
+  return { ...POLICY };
+}
+
+module.exports = {
+  Dec,
+  dec,
+  roundDec,
+  roundNum,
+  sum,
+  getRoundingPolicy,
+};
@@ -0,0 +1,251 @@
+// utils/penalties.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize         = require('../models');
+const Building          = require('../models/Building');
+const Tenant            = require('../models/Tenant');
+const BillingStatement  = require('../models/BillingStatement');
+const Payment           = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const PenaltyAssessment = require('../models/PenaltyAssessment');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { addDays } = require('./billingPeriods');
+const { dec, roundDec } = require('./money');
+const { applyTenantCredits, releaseStatementAllocations } = require('./ledger');
+const { getTenantTaxKnobs } = require('./billingEngine');
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
+
+/** Penalty policy of a building (rate in percent points), or null */
+async function getPenaltyPolicy(buildingId, t) {
+  const b = await Building.findOne({
+    where: { building_id: buildingId },
+    attributes: ['building_id', 'penalty_rate', 'penalty_grace_days', 'due_day_offset'],
+    transaction: t,
+    raw: true
+  });
+  if (!b) return null;
+  return {
+    building_id: b.building_id,
+    penalty_rate: Number(b.penalty_rate) || 0,
+    penalty_grace_days: Number(b.penalty_grace_days) || 0,
+    due_day_offset: Number(b.due_day_offset) || 0,
+  };
+}
+
+/** Due date of a statement for a building: period_end + due_day_offset */
+async function computeDueDate(buildingId, periodEnd, t) {
+  const policy = await getPenaltyPolicy(buildingId, t);
+  return addDays(periodEnd, policy ? policy.due_day_offset : 0);
+}
+
+// Generate next PEN-<n> (cross-dialect; scan + increment)
+async function generateNextAssessmentNum(t) {
+  const rows = await PenaltyAssessment.findAll({
+    where: { assessment_id: { [Op.like]: 'PEN-%' } },
+    attributes: ['assessment_id'],
+    transaction: t,
+    lock: t?.LOCK && t.LOCK.UPDATE,
+    raw: true
+  });
+  return rows.reduce((max, r) => {
+    const m = String(r.assessment_id).match(/^PEN-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0) + 1;
+}
+
+// Cents paid against each statement by payments dated on/before its deadline
+async function paidByDeadline(statements, deadlineOf, t) {
+  const allocs = await PaymentAllocation.findAll({
+    where: { statement_id: { [Op.in]: statements.map(s => s.statement_id) } },
+    attributes: ['statement_id', 'payment_id', 'amount'],
+    transaction: t,
+    raw: true
+  });
+  if (!allocs.length) return new Map();
+
+  const payments = await Payment.findAll({
+    where: { payment_id: { [Op.in]: [...new Set(allocs.map(a => a.payment_id))] } },
+    attributes: ['payment_id', 'payment_date'],
+    transaction: t,
+    raw: true
+  });
+  const dateOf = new Map(payments.map(p => [p.payment_id, p.payment_date]));
+
+  const out = new Map();
+  for (const a of allocs) {
+    const paidOn = dateOf.get(a.payment_id);
+    if (paidOn && paidOn <= deadlineOf.get(a.statement_id)) {
+      out.set(a.statement_id, (out.get(a.statement_id) || 0) + toCents(a.amount));
+    }
+  }
+  return out;
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/**
+ * Assess late-payment penalties as of a date (YYYY-MM-DD).
+ * A statement is penalized once, when all of these hold:
+ *  - it is issued and has a due_date, and asOf is past due_date + penalty_grace_days
+ *  - its tenant is flagged for_penalty and the building penalty_rate is > 0
+ *  - part of the bill was still unpaid at that deadline (payments dated later do not count)
+ * Penalty = unpaid-at-deadline on the penalty basis of the tenant's VAT code × penalty_rate:
+ * the unpaid amount is scaled by total_base / total_amount (basis base) or
+ * (total_base + total_vat) / total_amount (basis gross). Unapplied tenant credit is
+ * applied afterwards.
+ * @param {Object} params
+ * @param {string} [params.buildingId]  limit to a building
+ * @param {string} [params.tenantId]    limit to a tenant
+ * @param {string} params.asOf          YYYY-MM-DD
+ * @param {Object} params.user          for audit
+ * @returns {Promise<Array>} assessments created
+ */
+async function assessPenalties({ buildingId, tenantId, asOf, user }) {
+  const where = {
+    statement_status: 'issued',
+    due_date: { [Op.ne]: null, [Op.lt]: asOf },
+  };
+  if (buildingId) where.building_id = buildingId;
+  if (tenantId) where.tenant_id = tenantId;
+
+  return sequelize.transaction(async (t) => {
+    const stmts = await BillingStatement.findAll({
+      where,
+      attributes: ['statement_id', 'tenant_id', 'building_id', 'due_date', 'total_base', 'total_vat', 'total_amount'],
+      order: [['due_date', 'ASC'], ['statement_id', 'ASC']],
+      transaction: t,
+      raw: true
+    });
+    if (!stmts.length) return [];
+
+    const assessed = await PenaltyAssessment.findAll({
+      where: { statement_id: { [Op.in]: stmts.map(s => s.statement_id) } },
+      attributes: ['statement_id'],
+      transaction: t,
+      raw: true
+    });
+    const done = new Set(assessed.map(a => a.statement_id));
+
+    const tenants = await Tenant.findAll({
+      where: { tenant_id: { [Op.in]: [...new Set(stmts.map(s => s.tenant_id))] } },
+      attributes: ['tenant_id', 'vat_code', 'wt_code', 'for_penalty'],
+      transaction: t,
+      raw: true
+    });
+    const forPenalty = new Set(tenants.filter(x => x.for_penalty).map(x => x.tenant_id));
+    const basisOf = new Map();
+    for (const x of tenants.filter(y => y.for_penalty)) {
+      basisOf.set(x.tenant_id, (await getTenantTaxKnobs(x)).method.penalty);
+    }
+
+    const policies = new Map();
+    for (const id of new Set(stmts.map(s => s.building_id))) {
+      policies.set(id, await getPenaltyPolicy(id, t));
+    }
+
+    // Candidates: past deadline, not yet assessed, penalizable tenant and policy
+    const deadlineOf = new Map();
+    const candidates = stmts.filter(s => {
+      const policy = policies.get(s.building_id);
+      if (done.has(s.statement_id) || !forPenalty.has(s.tenant_id)) return false;
+      if (!policy || policy.penalty_rate <= 0) return false;
+      const deadline = addDays(s.due_date, policy.penalty_grace_days);
+      deadlineOf.set(s.statement_id, deadline);
+      return deadline < asOf;
+    });
+    if (!candidates.length) return [];
+
+    const onTime = await paidByDeadline(candidates, deadlineOf, t);
+    const now = getCurrentDateTime();
+    const updatedBy = user?.user_fullname || 'System Admin';
+    let next = await generateNextAssessmentNum(t);
+
+    const rows = [];
+    for (const s of candidates) {
+      const unpaid = toCents(s.total_amount) - (onTime.get(s.statement_id) || 0);
+      if (unpaid <= 0) continue;
+
+      // unpaid part of the basis amount (base, or base + VAT) in proportion to the bill
+      const basis = basisOf.get(s.tenant_id);
+      const basisAmount = basis === 'gross' ? dec(s.total_base).plus(dec(s.total_vat)) : dec(s.total_base);
+      const overdue = toCents(roundDec(dec(unpaid).div(100).times(basisAmount).div(dec(s.total_amount))));
+      if (overdue <= 0) continue;
+
+      const rate = policies.get(s.building_id).penalty_rate;
+      const amount = toCents(roundDec(dec(overdue).div(100).times(rate).div(100)));
+      if (amount <= 0) continue;
+
+      rows.push({
+        assessment_id: `PEN-${next++}`,
+        statement_id: s.statement_id,
+        tenant_id: s.tenant_id,
+        building_id: s.building_id,
+        assessed_on: asOf,
+        due_date: s.due_date,
+        overdue_amount: overdue / 100,
+        penalty_rate: rate,
+        penalty_basis: basis,
+        penalty_amount: amount / 100,
+        assessment_status: 'assessed',
+        last_updated: now,
+        updated_by: updatedBy,
+      });
+    }
+    if (!rows.length) return [];
+
+    await PenaltyAssessment.bulkCreate(rows, { transaction: t });
+    for (const id of new Set(rows.map(r => r.tenant_id))) {
+      await applyTenantCredits(id, user, t);
+    }
+    return rows;
+  });
+}
+
+/**
+ * Waive an assessed penalty. Payments already allocated to the statement are
+ * re-balanced, so any excess goes back to the tenant's credit.
+ */
+async function waivePenalty({ assessmentId, reason, user }) {
+  const pen = await PenaltyAssessment.findOne({ where: { assessment_id: assessmentId } });
+  if (!pen) { const e = new Error('Penalty assessment not found'); e.status = 404; throw e; }
+  if (pen.assessment_status === 'waived') {
+    const e = new Error('Penalty is already waived'); e.status = 409; throw e;
+  }
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+
+  await sequelize.transaction(async (t) => {
+    // only while still assessed: a concurrent waiver must not re-balance twice
+    const [changed] = await PenaltyAssessment.update({
+      assessment_status: 'waived',
+      waived_at: now,
+      waived_by: updatedBy,
+      waive_reason: reason,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { assessment_id: assessmentId, assessment_status: { [Op.ne]: 'waived' } }, transaction: t });
+    if (!changed) { const e = new Error('Penalty is already waived'); e.status = 409; throw e; }
+
+    await releaseStatementAllocations(pen.statement_id, pen.tenant_id, user, t);
+  });
+
+  return pen.reload();
+}
+
+module.exports = {
+  getPenaltyPolicy,
+  computeDueDate,
+  assessPenalties,
+  waivePenalty,
+};
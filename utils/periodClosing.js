@@ -0,0 +1,122 @@
+// utils/periodClosing.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const BillingPeriodClosure = require('../models/BillingPeriodClosure');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { resolvePeriodWindows } = require('./billingPeriods');
+
+// Generate next PCL-<n> (cross-dialect; scan + increment)
+async function generateNextClosureId() {
+  const rows = await BillingPeriodClosure.findAll({
+    where: { closure_id: { [Op.like]: 'PCL-%' } },
+    attributes: ['closure_id'],
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.closure_id).match(/^PCL-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `PCL-${maxNum + 1}`;
+}
+
+/** Closed period of a building covering a date (YYYY-MM-DD), or null */
+async function findClosedPeriod(buildingId, dateStr) {
+  return BillingPeriodClosure.findOne({
+    where: {
+      building_id: buildingId,
+      closure_status: 'closed',
+      period_start: { [Op.lte]: dateStr },
+      period_end: { [Op.gte]: dateStr },
+    },
+    raw: true
+  });
+}
+
+/**
+ * Reject (409) a reading change dated in a closed period of the building.
+ * Call with every date the change touches (e.g. old and new lastread_date).
+ */
+async function assertPeriodOpen(buildingId, ...dates) {
+  for (const d of new Set(dates.filter(Boolean))) {
+    const closed = buildingId ? await findClosedPeriod(buildingId, d) : null;
+    if (closed) {
+      const e = new Error(
+        `Billing period ${closed.period_start} to ${closed.period_end} is closed (${closed.closure_id}); ` +
+        `reopen it to change readings dated ${d}`
+      );
+      e.status = 409;
+      throw e;
+    }
+  }
+}
+
+/**
+ * Close the billing period (building cycle) containing endDate.
+ * 409 when that period is already closed.
+ */
+async function closePeriod({ buildingId, endDate, user }) {
+  const { start, end } = (await resolvePeriodWindows(buildingId, endDate, 1)).current;
+
+  const existing = await BillingPeriodClosure.findOne({
+    where: {
+      building_id: buildingId,
+      closure_status: 'closed',
+      period_start: { [Op.lte]: end },
+      period_end: { [Op.gte]: start },
+    },
+    attributes: ['closure_id'],
+    raw: true
+  });
+  if (existing) {
+    const e = new Error(`Billing period ${start} to ${end} is already closed (${existing.closure_id})`);
+    e.status = 409;
+    throw e;
+  }
+
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+  return BillingPeriodClosure.create({
+    closure_id: await generateNextClosureId(),
+    building_id: buildingId,
+    period_start: start,
+    period_end: end,
+    closure_status: 'closed',
+    closed_at: now,
+    closed_by: by,
+    last_updated: now,
+    updated_by: by,
+  });
+}
+
+/** Reopen a closed period; the reason is recorded on the closure */
+async function reopenPeriod({ buildingId, closureId, reason, user }) {
+  const closure = await BillingPeriodClosure.findOne({ where: { closure_id: closureId, building_id: buildingId } });
+  if (!closure) { const e = new Error('Period closure not found'); e.status = 404; throw e; }
+  if (closure.closure_status !== 'closed') {
+    const e = new Error(`Billing period ${closure.period_start} to ${closure.period_end} is already reopened`);
+    e.status = 409;
+    throw e;
+  }
+
+  const now = getCurrentDateTime();
+  const by = user?.user_fullname || 'System Admin';
+  await closure.update({
+    closure_status: 'reopened',
+    reopened_at: now,
+    reopened_by: by,
+    reopen_reason: reason,
+    last_updated: now,
+    updated_by: by,
+  });
+  return closure;
+}
+
+module.exports = {
+  findClosedPeriod,
+  assertPeriodOpen,
+  closePeriod,
+  reopenPeriod,
+};
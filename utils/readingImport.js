@@ -0,0 +1,412 @@
+// utils/readingImport.js
+'use strict';
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { Op } = require('sequelize');
+
+const sequelize            = require('../models');
+const Reading              = require('../models/Reading');
+const Meter                = require('../models/Meter');
+const Stall                = require('../models/Stall');
+const BillingStatement     = require('../models/BillingStatement');
+const BillingStatementLine = require('../models/BillingStatementLine');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./buildingRates');
+const { assertPeriodOpen } = require('./periodClosing');
+const { detectRebilling } = require('./rebilling');
+
+const IMPORT_MODES = ['all', 'partial'];
+const MAX_IMPORT_ROWS = 5000;
+const COLUMNS = ['meter_id', 'meter_sn', 'reading_value', 'lastread_date'];
+
+const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+
+/* =========================
+ * Shared reading rules (also used by routes/readings.js)
+ * ========================= */
+
+function coerceReadingValue(val) {
+  if (val === '' || val == null) return { ok: false, error: 'reading_value is required and must be a number' };
+  const num = Number(val);
+  if (!Number.isFinite(num)) return { ok: false, error: 'reading_value must be a valid number' };
+  // match DECIMAL(30,2)
+  return { ok: true, value: Math.round(num * 100) / 100 };
+}
+
+// Non-void statement that billed this meter with an index read on dateStr (or null)
+async function findStatementUsingReading(meterId, dateStr) {
+  const lines = await BillingStatementLine.findAll({
+    where: {
+      meter_id: meterId,
+      [Op.or]: [{ curr_read_date: dateStr }, { prev_read_date: dateStr }],
+    },
+    attributes: ['statement_id'],
+    raw: true
+  });
+  if (!lines.length) return null;
+  return BillingStatement.findOne({
+    where: {
+      statement_id: { [Op.in]: lines.map(l => l.statement_id) },
+      statement_status: { [Op.ne]: 'void' },
+    },
+    attributes: ['statement_id'],
+    raw: true
+  });
+}
+
+// Highest MR-<n> in use (cross-dialect; scan)
+async function maxReadingNumber(t) {
+  const rows = await Reading.findAll({
+    where: { reading_id: { [Op.like]: 'MR-%' } },
+    attributes: ['reading_id'],
+    raw: true,
+    transaction: t
+  });
+  return rows.reduce((max, r) => {
+    const m = String(r.reading_id).match(/^MR-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+}
+
+/* =========================
+ * File parsing
+ * ========================= */
+
+// RFC 4180-style CSV: quoted fields, "" escapes, CRLF/LF line ends
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  return records;
+}
+
+// Plain value of an exceljs cell (dates as YYYY-MM-DD, formulas as their result)
+function cellValue(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  if (typeof v === 'object') {
+    if ('result' in v) return cellValue(v.result);
+    if (Array.isArray(v.richText)) return v.richText.map(r => r.text).join('');
+    if ('text' in v) return String(v.text);
+    return '';
+  }
+  return v;
+}
+
+async function parseXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+
+  const records = [];
+  ws.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based
+    records[rowNumber - 1] = (row.values || []).slice(1).map(cellValue);
+  });
+  return Array.from(records, r => r || []);
+}
+
+/**
+ * Read an uploaded CSV or XLSX file (first worksheet) into reading rows.
+ * The first row is the header: meter_id and/or meter_sn, reading_value,
+ * lastread_date (case-insensitive, any order; other columns are ignored).
+ * Blank lines are skipped. `row` is the line / worksheet row number.
+ * Returns {ok, rows|error}.
+ */
+async function parseReadingFile(file) {
+  if (!file || !file.buffer || !file.buffer.length) return { ok: false, error: 'file is required (CSV or XLSX)' };
+
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  let records;
+  if (ext === '.xlsx') {
+    try {
+      records = await parseXlsx(file.buffer);
+    } catch (err) {
+      return { ok: false, error: `Could not read XLSX file: ${err.message}` };
+    }
+  } else if (ext === '.csv' || ext === '.txt') {
+    records = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } else {
+    return { ok: false, error: 'Unsupported file type; upload a .csv or .xlsx file' };
+  }
+
+  const header = (records[0] || []).map(h => String(h).trim().toLowerCase());
+  const col = Object.fromEntries(COLUMNS.map(c => [c, header.indexOf(c)]));
+  if (col.meter_id < 0 && col.meter_sn < 0) return { ok: false, error: 'Header must include meter_id or meter_sn' };
+  if (col.reading_value < 0) return { ok: false, error: 'Header must include reading_value' };
+  if (col.lastread_date < 0) return { ok: false, error: 'Header must include lastread_date' };
+
+  const rows = [];
+  for (let i = 1; i < records.length; i++) {
+    const rec = records[i];
+    if (!rec.some(v => String(v).trim() !== '')) continue;
+    const get = (c) => (col[c] < 0 ? '' : String(rec[col[c]] ?? '').trim());
+    rows.push({
+      row: i + 1,
+      meter_id: get('meter_id'),
+      meter_sn: get('meter_sn'),
+      reading_value: get('reading_value'),
+      lastread_date: get('lastread_date'),
+    });
+  }
+  if (!rows.length) return { ok: false, error: 'File has no reading rows' };
+  if (rows.length > MAX_IMPORT_ROWS) return { ok: false, error: `File has more than ${MAX_IMPORT_ROWS} rows; split it` };
+  return { ok: true, rows };
+}
+
+/* =========================
+ * Import
+ * ========================= */
+
+// Resolve the meters referenced by the rows (by id and serial no.) with their buildings
+async function loadMeters(rows) {
+  const ids = [...new Set(rows.map(r => r.meter_id).filter(Boolean))];
+  const sns = [...new Set(rows.map(r => r.meter_sn).filter(Boolean))];
+  const or = [];
+  if (ids.length) or.push({ meter_id: { [Op.in]: ids } });
+  if (sns.length) or.push({ meter_sn: { [Op.in]: sns } });
+  const meters = or.length
+    ? await Meter.findAll({ where: { [Op.or]: or }, attributes: ['meter_id', 'meter_sn', 'stall_id'], raw: true })
+    : [];
+
+  const stallIds = [...new Set(meters.map(m => m.stall_id))];
+  const stalls = stallIds.length
+    ? await Stall.findAll({ where: { stall_id: { [Op.in]: stallIds } }, attributes: ['stall_id', 'building_id'], raw: true })
+    : [];
+  const buildingOf = new Map(stalls.map(s => [s.stall_id, s.building_id]));
+
+  const byId = new Map();
+  const bySn = new Map();
+  for (const m of meters) {
+    const meter = { ...m, building_id: buildingOf.get(m.stall_id) || null };
+    byId.set(m.meter_id, meter);
+    bySn.set(m.meter_sn, meter);
+  }
+  return { byId, bySn };
+}
+
+/**
+ * Check one row against the rules of POST /readings: known meter (meter_id or
+ * meter_sn, consistent when both are given), building scope, numeric
+ * reading_value, valid lastread_date (blank = today), open billing period and one
+ * reading per meter per day (an unbilled estimate on that day is replaced).
+ * Returns {ok, data|error}; data.replaces is the estimated reading to replace.
+ */
+async function validateRow(r, { meters, buildingId, seen }) {
+  if (!r.meter_id && !r.meter_sn) return { ok: false, error: 'meter_id or meter_sn is required' };
+  const meter = r.meter_id ? meters.byId.get(r.meter_id) : meters.bySn.get(r.meter_sn);
+  if (!meter) return { ok: false, error: r.meter_id ? `Meter ${r.meter_id} not found` : `Meter with serial no. ${r.meter_sn} not found` };
+  if (r.meter_id && r.meter_sn && meter.meter_sn !== r.meter_sn) {
+    return { ok: false, error: `meter_sn ${r.meter_sn} does not belong to meter ${r.meter_id}` };
+  }
+  if (buildingId && meter.building_id !== buildingId) {
+    return { ok: false, error: `No access: meter ${meter.meter_id} is not under your assigned building` };
+  }
+
+  const coerced = coerceReadingValue(r.reading_value);
+  if (!coerced.ok) return coerced;
+
+  if (r.lastread_date && !isYMD(r.lastread_date)) return { ok: false, error: 'Invalid lastread_date. Use YYYY-MM-DD.' };
+  const dateOnly = r.lastread_date || todayYMD();
+
+  const key = `${meter.meter_id}|${dateOnly}`;
+  if (seen.has(key)) return { ok: false, error: `Duplicate of row ${seen.get(key)} (${meter.meter_id} on ${dateOnly})` };
+  seen.set(key, r.row);
+
+  try {
+    await assertPeriodOpen(meter.building_id, dateOnly);
+  } catch (err) {
+    if (err.status) return { ok: false, error: err.message };
+    throw err;
+  }
+
+  const existing = await Reading.findOne({
+    where: { meter_id: meter.meter_id, lastread_date: dateOnly },
+    attributes: ['reading_id', 'is_estimated'],
+    raw: true
+  });
+  if (existing && !existing.is_estimated) {
+    return { ok: false, error: `Reading already exists for ${meter.meter_id} on ${dateOnly}` };
+  }
+  if (existing) {
+    const billed = await findStatementUsingReading(meter.meter_id, dateOnly);
+    if (billed) {
+      return {
+        ok: false,
+        error: `Estimated reading ${existing.reading_id} on ${dateOnly} was billed on ${billed.statement_id}; ` +
+               'record the actual reading on a later date to true it up'
+      };
+    }
+  }
+
+  return {
+    ok: true,
+    data: {
+      meter_id: meter.meter_id,
+      reading_value: coerced.value,
+      lastread_date: dateOnly,
+      replaces: existing ? existing.reading_id : null,
+    }
+  };
+}
+
+// Store one validated row: replace the estimate, or create MR-<next.n++>
+async function writeRow(data, { next, user, t }) {
+  const now = getCurrentDateTime();
+  const by = user.user_fullname;
+
+  if (data.replaces) {
+    const [updated] = await Reading.update({
+      reading_value: data.reading_value,
+      is_estimated: false,
+      read_by: by,
+      last_updated: now,
+      updated_by: by
+    }, {
+      where: { reading_id: data.replaces, is_estimated: true },
+      transaction: t
+    });
+    if (updated !== 1) throw new Error(`Reading already exists for ${data.meter_id} on ${data.lastread_date}`);
+    return { status: 'replaced', reading_id: data.replaces };
+  }
+
+  const readingId = `MR-${++next.n}`;
+  await Reading.create({
+    reading_id: readingId,
+    meter_id: data.meter_id,
+    reading_value: data.reading_value,
+    lastread_date: data.lastread_date,
+    read_by: by,
+    last_updated: now,
+    updated_by: by
+  }, { transaction: t });
+  return { status: 'created', reading_id: readingId };
+}
+
+/**
+ * Import parsed reading rows.
+ * - mode 'all': nothing is stored unless every row is valid; the rows are then
+ *   stored in one transaction (any write failure rolls all of them back)
+ * - mode 'partial': valid rows are stored one by one, invalid rows are reported
+ * - dryRun: validate only
+ * buildingId restricts the meters to one building (non-admins).
+ * Issued statements that used the stored readings' meters and dates are then rebilled
+ * (see rebilling.detectRebilling).
+ * Returns the row-by-row report: {mode, dry_run, committed, total, created,
+ * replaced, failed, rows: [{row, meter_id, meter_sn, lastread_date, status, reading_id?, error?}],
+ * adjustments, rebilling_errors} where status is created|replaced|valid (not stored)|error.
+ */
+async function importReadings({ rows, mode = 'all', dryRun = false, buildingId = null, user }) {
+  const meters = await loadMeters(rows);
+  const seen = new Map();
+
+  const results = [];
+  for (const r of rows) {
+    const checked = await validateRow(r, { meters, buildingId, seen });
+    results.push({
+      row: r.row,
+      meter_id: checked.ok ? checked.data.meter_id : (r.meter_id || null),
+      meter_sn: r.meter_sn || null,
+      lastread_date: checked.ok ? checked.data.lastread_date : (r.lastread_date || null),
+      status: checked.ok ? 'valid' : 'error',
+      ...(checked.ok ? {} : { error: checked.error }),
+      data: checked.ok ? checked.data : null,
+    });
+  }
+
+  const invalid = results.some(r => r.status === 'error');
+  const report = async () => {
+    const count = (s) => results.filter(r => r.status === s).length;
+    const stored = results.filter(r => r.status === 'created' || r.status === 'replaced');
+    const rebilling = stored.length
+      ? await detectRebilling({
+          meterIds: stored.map(r => r.meter_id),
+          dates: stored.map(r => r.lastread_date),
+          user,
+          reason: `Readings imported by ${user?.user_fullname || 'System Admin'}`,
+        })
+      : { adjustments: [], errors: [] };
+    return {
+      mode,
+      dry_run: dryRun,
+      committed: stored.length > 0,
+      total: results.length,
+      created: count('created'),
+      replaced: count('replaced'),
+      failed: count('error'),
+      rows: results.map(({ data, ...rest }) => rest),
+      adjustments: rebilling.adjustments,
+      rebilling_errors: rebilling.errors,
+    };
+  };
+
+  if (dryRun || (mode === 'all' && invalid)) return report();
+
+  if (mode === 'all') {
+    let failing = null;
+    try {
+      await sequelize.transaction(async (t) => {
+        const next = { n: await maxReadingNumber(t) };
+        for (const r of results) {
+          failing = r;
+          Object.assign(r, await writeRow(r.data, { next, user, t }));
+        }
+      });
+    } catch (err) {
+      for (const r of results) {
+        r.status = 'valid';
+        delete r.reading_id;
+      }
+      if (failing) {
+        failing.status = 'error';
+        failing.error = err.message;
+      }
+    }
+    return report();
+  }
+
+  const next = { n: await maxReadingNumber() };
+  for (const r of results) {
+    if (r.status !== 'valid') continue;
+    try {
+      Object.assign(r, await writeRow(r.data, { next, user }));
+    } catch (err) {
+      r.status = 'error';
+      r.error = err.message;
+    }
+  }
+  return report();
+}
+
+module.exports = {
+  IMPORT_MODES,
+  MAX_IMPORT_ROWS,
+  coerceReadingValue,
+  findStatementUsingReading,
+  parseReadingFile,
+  importReadings,
+};
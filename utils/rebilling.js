@@ -0,0 +1,325 @@
+// utils/rebilling.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Meter                = require('../models/Meter');
+const BillingStatement     = require('../models/BillingStatement');
+const BillingStatementLine = require('../models/BillingStatementLine');
+const BillingAdjustment    = require('../models/BillingAdjustment');
+
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { dec, roundNum, sum } = require('./money');
+const { recomputeMeterResult, recomputeCommonAreaResult, rollupTotals } = require('./billingEngine');
+
+const FIELDS = ['base', 'vat', 'wt', 'penalty', 'total'];
+
+// Statement lines carried from other documents (not computed by the engine for the period)
+const CARRIED_LINE_TYPES = ['adjustment', 'memo'];
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+// Generate next ADJ-<n> (cross-dialect; scan + increment)
+async function generateNextAdjustmentId(t) {
+  const rows = await BillingAdjustment.findAll({
+    where: { adjustment_id: { [Op.like]: 'ADJ-%' } },
+    attributes: ['adjustment_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.adjustment_id).match(/^ADJ-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `ADJ-${maxNum + 1}`;
+}
+
+// meterIds plus their master meters: sub-meter / master changes move the common-area
+// lines (stored under the master meter)
+async function withMasterMeters(meterIds) {
+  const meters = await Meter.findAll({
+    where: { meter_id: { [Op.in]: meterIds } },
+    attributes: ['meter_id', 'parent_meter_id'],
+    raw: true
+  });
+  return [...new Set([...meterIds, ...meters.map(m => m.parent_meter_id).filter(Boolean)])];
+}
+
+// Issued statements with a line on any of ids and a window ([prev_period_start, period_end]) covering a date
+async function findAffectedStatements(ids, dates) {
+  const lines = await BillingStatementLine.findAll({
+    where: { meter_id: { [Op.in]: ids } },
+    attributes: ['statement_id'],
+    raw: true
+  });
+  if (!lines.length) return [];
+
+  const stmts = await BillingStatement.findAll({
+    where: {
+      statement_id: { [Op.in]: [...new Set(lines.map(l => l.statement_id))] },
+      statement_status: 'issued',
+    },
+    order: [['period_end', 'ASC'], ['statement_id', 'ASC']],
+    raw: true
+  });
+  return stmts.filter(s => dates.some(d => d >= s.prev_period_start && d <= s.period_end));
+}
+
+// What the tenant has been billed for a statement's period so far:
+// its totals without carried adjustment/memo lines, plus accepted/billed adjustments of it
+async function billedBaseline(stmt) {
+  const [carried, prior] = await Promise.all([
+    BillingStatementLine.findAll({
+      where: { statement_id: stmt.statement_id, line_type: { [Op.in]: CARRIED_LINE_TYPES } },
+      attributes: FIELDS,
+      raw: true
+    }),
+    BillingAdjustment.findAll({
+      where: { statement_id: stmt.statement_id, adjustment_status: { [Op.in]: ['accepted', 'billed'] } },
+      attributes: FIELDS.map(f => `delta_${f}`),
+      raw: true
+    }),
+  ]);
+
+  const out = {};
+  for (const f of FIELDS) {
+    out[f] = roundNum(dec(stmt[`total_${f === 'total' ? 'amount' : f}`])
+      .minus(sum(carried.map(l => l[f])))
+      .plus(sum(prior.map(a => a[`delta_${f}`]))));
+  }
+  return out;
+}
+
+// Line numbers recomputed by the statement's accepted/billed adjustments (already part
+// of the baseline, so recomputed again)
+async function previouslyRecomputedLines(stmt) {
+  const prior = await BillingAdjustment.findAll({
+    where: { statement_id: stmt.statement_id, adjustment_status: { [Op.in]: ['accepted', 'billed'] } },
+    attributes: ['adjustment_details'],
+  });
+  const out = new Set();
+  for (const a of prior) {
+    (a.adjustment_details?.recomputed_lines || []).forEach(n => out.add(n));
+  }
+  return out;
+}
+
+// A line billed a changed meter: meter lines by their meter (or the meters of a
+// replacement split), common-area lines by their master meter
+function lineTouches(line, ids) {
+  if (ids.has(line.meter_id)) return true;
+  const segments = line.line_details?.replacement?.segments || [];
+  return line.line_type === 'meter' && segments.some(s => ids.has(s.meter_id));
+}
+
+/* =========================
+ * Public API
+ * ========================= */
+
+/**
+ * Recompute the lines of one issued statement that billed meterIds (and their
+ * masters) from the readings now on file, with the rates, taxes, penalty and share
+ * stored on each line; lines recomputed by earlier accepted adjustments are recomputed
+ * again and other lines keep their billed amounts. The difference
+ * against what was billed is recorded as a pending adjustment. An existing pending
+ * adjustment of the statement is replaced (or dropped when the difference is now zero).
+ * @returns {Promise<Object|null>} the pending adjustment, or null when nothing changed
+ */
+async function rebillStatement({ stmt, user, reason, meterIds }) {
+  const ids = new Set(await withMasterMeters(meterIds));
+  const prior = await previouslyRecomputedLines(stmt);
+  const lines = await BillingStatementLine.findAll({
+    where: { statement_id: stmt.statement_id, line_type: { [Op.notIn]: CARRIED_LINE_TYPES } },
+    order: [['line_no', 'ASC']],
+  });
+
+  const results = [];
+  const recomputed = [];
+  let changed = false;
+  for (const line of lines) {
+    const details = line.line_details;
+    if (!details || typeof details !== 'object') {
+      const e = new Error(`Line ${line.line_id} has no stored billing details`); e.status = 400; throw e;
+    }
+    const touched = lineTouches(line, ids);
+    if (!touched && !prior.has(line.line_no)) { results.push(details); continue; }
+
+    try {
+      results.push(line.line_type === 'common_area'
+        ? await recomputeCommonAreaResult({ result: details, tenantId: stmt.tenant_id, user })
+        : await recomputeMeterResult(details));
+    } catch (err) {
+      const e = new Error(`Recomputation failed for ${line.meter_id} (${err.message})`); e.status = err.status || 400;
+      throw e;
+    }
+    recomputed.push(line.line_no);
+    changed = changed || touched;
+  }
+  if (!changed) return null;
+
+  const { grand_totals } = rollupTotals(results);
+
+  const baseline = await billedBaseline(stmt);
+  const delta = {};
+  for (const f of FIELDS) delta[f] = roundNum(dec(grand_totals[f]).minus(baseline[f]));
+
+  const pending = await BillingAdjustment.findOne({
+    where: { statement_id: stmt.statement_id, adjustment_status: 'pending' }
+  });
+  if (FIELDS.every(f => delta[f] === 0)) {
+    if (pending) await pending.destroy();
+    return null;
+  }
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+  const values = {
+    adjustment_type: delta.total < 0 ? 'credit' : 'debit',
+    delta_base: delta.base,
+    delta_vat: delta.vat,
+    delta_wt: delta.wt,
+    delta_penalty: delta.penalty,
+    delta_total: delta.total,
+    adjustment_reason: String(reason).slice(0, 255),
+    adjustment_details: { baseline, recomputed: grand_totals, recomputed_lines: recomputed },
+    last_updated: now,
+    updated_by: updatedBy,
+  };
+
+  if (pending) return pending.update(values);
+  return BillingAdjustment.create({
+    adjustment_id: await generateNextAdjustmentId(),
+    statement_id: stmt.statement_id,
+    tenant_id: stmt.tenant_id,
+    building_id: stmt.building_id,
+    period_start: stmt.period_start,
+    period_end: stmt.period_end,
+    adjustment_status: 'pending',
+    ...values,
+  });
+}
+
+/**
+ * After readings of meterIds dated on `dates` changed (edited or deleted), rebill every
+ * issued statement that used them. A statement that cannot be recomputed is reported
+ * in `errors` and does not stop the others.
+ * @returns {Promise<{adjustments: Array, errors: Array}>}
+ */
+async function detectRebilling({ meterIds, dates, user, reason }) {
+  const changed = [...new Set(meterIds.filter(Boolean))];
+  const stmts = await findAffectedStatements(
+    await withMasterMeters(changed),
+    [...new Set(dates.filter(Boolean))]
+  );
+
+  const adjustments = [];
+  const errors = [];
+  for (const stmt of stmts) {
+    try {
+      const adj = await rebillStatement({ stmt, user, reason, meterIds: changed });
+      if (adj) adjustments.push(adj);
+    } catch (err) {
+      errors.push({ statement_id: stmt.statement_id, error: err.message });
+    }
+  }
+  return { adjustments, errors };
+}
+
+/** Accept or reject a pending adjustment (accepted ones go on the tenant's next statement) */
+async function decideAdjustment({ adjustmentId, accept, note, user }) {
+  const adj = await BillingAdjustment.findOne({ where: { adjustment_id: adjustmentId } });
+  if (!adj) { const e = new Error('Adjustment not found'); e.status = 404; throw e; }
+  if (adj.adjustment_status !== 'pending') {
+    const e = new Error(`Adjustment is already ${adj.adjustment_status}`); e.status = 409; throw e;
+  }
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+  // only while still pending: concurrent decisions must not overwrite each other
+  const [changed] = await BillingAdjustment.update({
+    adjustment_status: accept ? 'accepted' : 'rejected',
+    decided_at: now,
+    decided_by: updatedBy,
+    decision_note: note || null,
+    last_updated: now,
+    updated_by: updatedBy,
+  }, { where: { adjustment_id: adjustmentId, adjustment_status: 'pending' } });
+  if (!changed) { const e = new Error('Adjustment was already decided'); e.status = 409; throw e; }
+  return adj.reload();
+}
+
+/** Accepted adjustments of a tenant not yet billed, for periods ending before periodEnd */
+async function findAcceptedAdjustments(tenantId, periodEnd, t) {
+  return BillingAdjustment.findAll({
+    where: {
+      tenant_id: tenantId,
+      adjustment_status: 'accepted',
+      billed_statement_id: null,
+      period_end: { [Op.lt]: periodEnd },
+    },
+    order: [['period_end', 'ASC'], ['adjustment_id', 'ASC']],
+    transaction: t,
+  });
+}
+
+/**
+ * Split an accepted credit adjustment that does not fit on a statement: it keeps
+ * `amount` of its credit (parts pro-rated) and the rest becomes a new accepted
+ * adjustment of the same statement, left for a later one. Runs inside the caller's
+ * transaction; returns the new adjustment.
+ */
+async function splitAdjustment({ adj, amount, user, t }) {
+  const part = dec(amount).div(dec(adj.delta_total).abs());
+  const kept = {};
+  for (const f of ['vat', 'wt', 'penalty']) kept[f] = roundNum(dec(adj[`delta_${f}`]).times(part));
+  kept.total = roundNum(dec(amount).neg());
+  // base takes the rounding so the kept parts add up to the kept total
+  kept.base = roundNum(dec(kept.total).minus(kept.vat).minus(kept.penalty).plus(kept.wt));
+
+  const rest = {};
+  for (const f of FIELDS) rest[`delta_${f}`] = roundNum(dec(adj[`delta_${f}`]).minus(kept[f]));
+
+  const now = getCurrentDateTime();
+  const updatedBy = user?.user_fullname || 'System Admin';
+  const carried = await BillingAdjustment.create({
+    adjustment_id: await generateNextAdjustmentId(t),
+    statement_id: adj.statement_id,
+    tenant_id: adj.tenant_id,
+    building_id: adj.building_id,
+    period_start: adj.period_start,
+    period_end: adj.period_end,
+    adjustment_type: 'credit',
+    ...rest,
+    adjustment_reason: adj.adjustment_reason,
+    adjustment_details: { ...adj.adjustment_details, carried_from: adj.adjustment_id },
+    adjustment_status: 'accepted',
+    decided_at: adj.decided_at,
+    decided_by: adj.decided_by,
+    decision_note: adj.decision_note,
+    last_updated: now,
+    updated_by: updatedBy,
+  }, { transaction: t });
+
+  await adj.update({
+    delta_base: kept.base,
+    delta_vat: kept.vat,
+    delta_wt: kept.wt,
+    delta_penalty: kept.penalty,
+    delta_total: kept.total,
+    adjustment_details: { ...adj.adjustment_details, carried_to: carried.adjustment_id },
+    last_updated: now,
+    updated_by: updatedBy,
+  }, { transaction: t });
+  return carried;
+}
+
+module.exports = {
+  CARRIED_LINE_TYPES,
+  detectRebilling,
+  rebillStatement,
+  decideAdjustment,
+  findAcceptedAdjustments,
+  splitAdjustment,
+};
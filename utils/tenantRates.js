@@ -0,0 +1,128 @@
+// utils/tenantRates.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const TenantRateOverride = require('../models/TenantRateOverride');
+
+const OVERRIDE_UTILITIES = ['electric', 'water', 'lpg'];
+const OVERRIDE_TYPES     = ['rate', 'discount'];
+
+const isYMD = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d));
+
+/**
+ * Validate a rate override payload (partial = only the fields given, for updates).
+ * utility null / '' / 'all' means every utility.
+ * Returns {ok, data|error}; cross-field rules are in checkRateOverride.
+ */
+function coerceRateOverride(body = {}, partial = false) {
+  const out = {};
+  const { utility, override_type, override_value, valid_from, valid_to, notes } = body;
+
+  if (utility !== undefined || !partial) {
+    const u = utility === undefined || utility === null ? '' : String(utility).toLowerCase();
+    if (u && u !== 'all' && !OVERRIDE_UTILITIES.includes(u)) {
+      return { ok: false, error: 'utility must be one of: electric, water, lpg, or null (all utilities)' };
+    }
+    out.utility = u && u !== 'all' ? u : null;
+  }
+  if (override_type !== undefined || !partial) {
+    const type = String(override_type ?? '').toLowerCase();
+    if (!OVERRIDE_TYPES.includes(type)) return { ok: false, error: 'override_type must be one of: rate, discount' };
+    out.override_type = type;
+  }
+  if (override_value !== undefined || !partial) {
+    const n = Number(override_value);
+    if (override_value === '' || override_value == null || !Number.isFinite(n) || n < 0) {
+      return { ok: false, error: 'override_value must be a non-negative number' };
+    }
+    out.override_value = Math.round(n * 10000) / 10000; // match DECIMAL(12,4)
+  }
+  if (valid_from !== undefined || !partial) {
+    if (!isYMD(valid_from)) return { ok: false, error: 'valid_from is required (YYYY-MM-DD)' };
+    out.valid_from = valid_from;
+  }
+  if (valid_to !== undefined) {
+    if (valid_to !== null && valid_to !== '' && !isYMD(valid_to)) {
+      return { ok: false, error: 'valid_to must be YYYY-MM-DD or null (open-ended)' };
+    }
+    out.valid_to = valid_to || null;
+  }
+  if (notes !== undefined) {
+    const s = notes === null ? '' : String(notes).trim();
+    if (s.length > 255) return { ok: false, error: 'notes must be at most 255 characters' };
+    out.notes = s || null;
+  }
+  return { ok: true, data: out };
+}
+
+/** Rules on the merged override: discount at most 100%, valid_to not before valid_from */
+function checkRateOverride(o) {
+  if (o.override_type === 'discount' && Number(o.override_value) > 100) {
+    return { ok: false, error: 'A discount override_value is a percent from 0 to 100' };
+  }
+  if (o.valid_to && o.valid_to < o.valid_from) {
+    return { ok: false, error: 'valid_to must not be before valid_from' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Another override of the tenant for the same utility (or the same all-utilities
+ * scope) whose validity overlaps [validFrom, validTo]; null when none.
+ */
+async function findOverlappingOverride({ tenantId, utility, validFrom, validTo, excludeId }) {
+  const where = {
+    tenant_id: tenantId,
+    utility: utility ?? null,
+    valid_from: { [Op.lte]: validTo || '9999-12-31' },
+    [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: validFrom } }],
+  };
+  if (excludeId) where.override_id = { [Op.ne]: excludeId };
+  return TenantRateOverride.findOne({ where, attributes: ['override_id'], raw: true });
+}
+
+/**
+ * Override in force for a tenant and utility on a date (YYYY-MM-DD, the billed
+ * period end): the utility-specific one, else the all-utilities one, else null.
+ */
+async function getRateOverride(tenantId, utility, asOf) {
+  const rows = await TenantRateOverride.findAll({
+    where: {
+      tenant_id: tenantId,
+      valid_from: { [Op.lte]: asOf },
+      [Op.and]: [
+        { [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: asOf } }] },
+        { [Op.or]: [{ utility }, { utility: null }] },
+      ],
+    },
+    order: [['valid_from', 'DESC']],
+    raw: true
+  });
+  return rows.find(r => r.utility === utility) || rows.find(r => r.utility === null) || null;
+}
+
+// Generate next TRO-<n> (cross-dialect; scan + increment)
+async function generateNextOverrideId(t) {
+  const rows = await TenantRateOverride.findAll({
+    where: { override_id: { [Op.like]: 'TRO-%' } },
+    attributes: ['override_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.override_id).match(/^TRO-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `TRO-${maxNum + 1}`;
+}
+
+module.exports = {
+  OVERRIDE_UTILITIES,
+  OVERRIDE_TYPES,
+  coerceRateOverride,
+  checkRateOverride,
+  findOverlappingOverride,
+  getRateOverride,
+  generateNextOverrideId,
+};